@@ -0,0 +1,199 @@
+import astToContentMml from '../src/ast-to-content-mml';
+
+var converter = new astToContentMml();
+
+function math(mml) {
+  return '<math xmlns="http://www.w3.org/1998/Math/MathML">' + mml + '</math>';
+}
+
+const objectsToTest = [
+  {
+    'ast': ['+', 'x', ['*', 2, 'y'], ['-', 3]],
+    'mml': math('<apply><plus/><ci>x</ci><apply><times/><cn>2</cn><ci>y</ci></apply><apply><minus/><cn>3</cn></apply></apply>')
+  },
+  {
+    'ast': ['/', 1, ['^', 'x', 2]],
+    'mml': math('<apply><divide/><cn>1</cn><apply><power/><ci>x</ci><cn>2</cn></apply></apply>')
+  },
+  {
+    'ast': ['-', 'x'],
+    'mml': math('<apply><minus/><ci>x</ci></apply>')
+  },
+  {
+    'ast': ['apply', 'sin', 'x'],
+    'mml': math('<apply><sin/><ci>x</ci></apply>')
+  },
+  {
+    'ast': ['apply', 'asin', 'x'],
+    'mml': math('<apply><arcsin/><ci>x</ci></apply>')
+  },
+  {
+    'ast': ['apply', 'f', ['tuple', 'x', 'y']],
+    'mml': math('<apply><ci>f</ci><ci>x</ci><ci>y</ci></apply>')
+  },
+  {
+    'ast': ['apply', 'sqrt', 'x'],
+    'mml': math('<apply><root/><ci>x</ci></apply>')
+  },
+  {
+    'ast': ['apply', 'log', 'x'],
+    'mml': math('<apply><ln/><ci>x</ci></apply>')
+  },
+  {
+    'ast': ['apply', 'log10', 'x'],
+    'mml': math('<apply><log/><logbase><cn>10</cn></logbase><ci>x</ci></apply>')
+  },
+  {
+    'ast': ['apply', ['prime', 'f'], 'x'],
+    'mml': math('<apply><apply><diff/><ci>f</ci></apply><ci>x</ci></apply>')
+  },
+  {
+    'ast': ['_', 'x', 1],
+    'mml': math('<ci><msub><mi>x</mi><mn>1</mn></msub></ci>')
+  },
+  {
+    'ast': ['*', 'pi', ['^', 'e', 'x']],
+    'mml': math('<apply><times/><pi/><apply><power/><exponentiale/><ci>x</ci></apply></apply>')
+  },
+  {
+    'ast': 'infinity',
+    'mml': math('<infinity/>')
+  },
+  {
+    'ast': ['+', 3, ['*', 4, 'imaginary_unit']],
+    'mml': math('<apply><plus/><cn>3</cn><apply><times/><cn>4</cn><imaginaryi/></apply></apply>')
+  },
+  {
+    'ast': -2.5,
+    'mml': math('<cn>-2.5</cn>')
+  },
+  {
+    'ast': ['=', 'y', ['+', 'x', 1]],
+    'mml': math('<apply><eq/><ci>y</ci><apply><plus/><ci>x</ci><cn>1</cn></apply></apply>')
+  },
+  {
+    'ast': ['<', 'x', 'y'],
+    'mml': math('<apply><lt/><ci>x</ci><ci>y</ci></apply>')
+  },
+  {
+    'ast': ['le', 'x', 'y'],
+    'mml': math('<apply><leq/><ci>x</ci><ci>y</ci></apply>')
+  },
+  {
+    'ast': ['lts', ['tuple', 1, 'x', 2], ['tuple', true, true]],
+    'mml': math('<apply><lt/><cn>1</cn><ci>x</ci><cn>2</cn></apply>')
+  },
+  {
+    'ast': ['lts', ['tuple', 1, 'x', 2], ['tuple', true, false]],
+    'mml': math('<apply><and/><apply><lt/><cn>1</cn><ci>x</ci></apply><apply><leq/><ci>x</ci><cn>2</cn></apply></apply>')
+  },
+  {
+    'ast': ['and', ['>', 'x', 0], ['not', ['=', 'y', 1]]],
+    'mml': math('<apply><and/><apply><gt/><ci>x</ci><cn>0</cn></apply><apply><not/><apply><eq/><ci>y</ci><cn>1</cn></apply></apply></apply>')
+  },
+  {
+    'ast': ['in', 'x', ['union', 'A', 'B']],
+    'mml': math('<apply><in/><ci>x</ci><apply><union/><ci>A</ci><ci>B</ci></apply></apply>')
+  },
+  {
+    'ast': ['ni', 'A', 'x'],
+    'mml': math('<apply><in/><ci>x</ci><ci>A</ci></apply>')
+  },
+  {
+    'ast': ['interval', ['tuple', 0, 1], ['tuple', true, false]],
+    'mml': math('<interval closure="closed-open"><cn>0</cn><cn>1</cn></interval>')
+  },
+  {
+    'ast': ['interval', ['tuple', 0, 'infinity'], ['tuple', false, false]],
+    'mml': math('<interval closure="open"><cn>0</cn><infinity/></interval>')
+  },
+  {
+    'ast': ['set', 1, 2, 3],
+    'mml': math('<set><cn>1</cn><cn>2</cn><cn>3</cn></set>')
+  },
+  {
+    'ast': ['tuple', 'x', 'y'],
+    'mml': math('<vector><ci>x</ci><ci>y</ci></vector>')
+  },
+  {
+    'ast': ['matrix', ['tuple', 2, 2], ['tuple', ['tuple', 'a', 'b'], ['tuple', 'c', 'd']]],
+    'mml': math('<matrix><matrixrow><ci>a</ci><ci>b</ci></matrixrow><matrixrow><ci>c</ci><ci>d</ci></matrixrow></matrix>')
+  },
+  {
+    'ast': ['piecewise', ['tuple', 'x', ['>', 'x', 0]], ['tuple', 0, true]],
+    'mml': math('<piecewise><piece><ci>x</ci><apply><gt/><ci>x</ci><cn>0</cn></apply></piece><otherwise><cn>0</cn></otherwise></piecewise>')
+  },
+  {
+    'ast': ['derivative_leibniz', 'y', ['tuple', 'x']],
+    'mml': math('<apply><diff/><bvar><ci>x</ci></bvar><ci>y</ci></apply>')
+  },
+  {
+    'ast': ['derivative_leibniz', ['tuple', 'y', 2], ['tuple', ['tuple', 'x', 2]]],
+    'mml': math('<apply><diff/><bvar><ci>x</ci><degree><cn>2</cn></degree></bvar><ci>y</ci></apply>')
+  },
+  {
+    'ast': ['partial_derivative_leibniz', ['tuple', 'f', 2], ['tuple', 'x', 'y']],
+    'mml': math('<apply><partialdiff/><bvar><ci>x</ci></bvar><bvar><ci>y</ci></bvar><ci>f</ci></apply>')
+  },
+  {
+    'ast': ['integral', ['^', 'x', 2], 'x', 0, 1],
+    'mml': math('<apply><int/><bvar><ci>x</ci></bvar><lowlimit><cn>0</cn></lowlimit><uplimit><cn>1</cn></uplimit><apply><power/><ci>x</ci><cn>2</cn></apply></apply>')
+  },
+  {
+    'ast': ['integral', ['apply', 'f', 'x'], 'x'],
+    'mml': math('<apply><int/><bvar><ci>x</ci></bvar><apply><ci>f</ci><ci>x</ci></apply></apply>')
+  },
+  {
+    'ast': ['sum', ['/', 1, ['^', 'n', 2]], 'n', 1, 'infinity'],
+    'mml': math('<apply><sum/><bvar><ci>n</ci></bvar><lowlimit><cn>1</cn></lowlimit><uplimit><infinity/></uplimit><apply><divide/><cn>1</cn><apply><power/><ci>n</ci><cn>2</cn></apply></apply></apply>')
+  },
+  {
+    'ast': ['prod', 'k', 'k', 1, 'n'],
+    'mml': math('<apply><product/><bvar><ci>k</ci></bvar><lowlimit><cn>1</cn></lowlimit><uplimit><ci>n</ci></uplimit><ci>k</ci></apply>')
+  },
+  {
+    'ast': ['limit', ['/', 1, 'x'], 'x', 'infinity'],
+    'mml': math('<apply><limit/><bvar><ci>x</ci></bvar><lowlimit><infinity/></lowlimit><apply><divide/><cn>1</cn><ci>x</ci></apply></apply>')
+  },
+  {
+    'ast': ['limit', 'x', 'x', 0, '+'],
+    'mml': math('<apply><limit/><bvar><ci>x</ci></bvar><condition><apply><tendsto type="above"/><ci>x</ci><cn>0</cn></apply></condition><ci>x</ci></apply>')
+  },
+  {
+    'ast': ['apply', 'nthroot', ['tuple', ['+', 'x', 1], 3]],
+    'mml': math('<apply><root/><degree><cn>3</cn></degree><apply><plus/><ci>x</ci><cn>1</cn></apply></apply>')
+  },
+  {
+    'ast': ['apply', 'log', ['tuple', 'x', 2]],
+    'mml': math('<apply><log/><logbase><cn>2</cn></logbase><ci>x</ci></apply>')
+  },
+  {
+    'ast': ['+', 'x', ['pm', 'y']],
+    'mml': math('<apply><plus/><ci>x</ci><apply><csymbol>plusminus</csymbol><ci>y</ci></apply></apply>')
+  },
+]
+
+
+for (let objectToTest of objectsToTest) {
+  test("parses " + objectToTest.ast + ' to ' + objectToTest.mml, () => {
+    expect(converter.convert(objectToTest.ast)).toEqual(objectToTest.mml);
+  });
+
+}
+
+
+test("names of properties of objects are variables", function () {
+
+  expect(converter.convert(['apply', 'toString', 'constructor'])).toEqual(
+    math('<apply><ci>toString</ci><ci>constructor</ci></apply>'));
+
+});
+
+
+test("unsupported trees", function () {
+
+  expect(() => converter.convert(['error'])).toThrow("Badly formed ast: operator error not recognized.");
+  expect(() => converter.convert(['_', ['+', 'x', 1], 2])).toThrow("Subscripts are supported only on variables");
+  expect(() => converter.convert(['double_integral', 'f', ['tuple', 'x', 'y']])).toThrow("Badly formed ast: operator double_integral not recognized.");
+
+});
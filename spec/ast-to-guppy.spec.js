@@ -1,4 +1,6 @@
 import astToGuppy from '../src/ast-to-guppy';
+import guppyToAst from '../src/guppy-to-ast';
+import textToAst from '../src/text-to-ast';
 
 var converter = new astToGuppy();
 
@@ -582,6 +584,74 @@ const objectsToTest = [
   // },
 
 
+  {
+    'ast': ['sum', ['^', 'k', 2], 'k', 1, 'n'],
+    'guppy': "<m><e></e><f type=\"sum\" group=\"functions\"><b p=\"latex\">\\sum_{<r ref=\"1\"/>=<r ref=\"2\"/>}^{<r ref=\"3\"/>}<r ref=\"4\"/></b><b p=\"text\">sum(<r ref=\"4\"/>,<r ref=\"1\"/>,<r ref=\"2\"/>,<r ref=\"3\"/>)</b><c up=\"3\" delete=\"4\" name=\"index\" small=\"yes\"><e>k</e></c><c up=\"3\" delete=\"4\" name=\"lower\" small=\"yes\"><e>1</e></c><c down=\"1\" delete=\"4\" name=\"upper\" small=\"yes\"><e>n</e></c><c delete=\"4\" name=\"expression\"><e></e><f type=\"exponential\" group=\"functions\"><b p=\"latex\">{<r ref=\"1\"/>}^{<r ref=\"2\"/>}</b><b p=\"text\">(<r ref=\"1\"/>)^(<r ref=\"2\"/>)</b><c up=\"2\" bracket=\"yes\" delete=\"1\" name=\"base\"><e>k</e></c><c down=\"1\" delete=\"1\" name=\"exponent\" small=\"yes\"><e>2</e></c></f><e></e></c></f><e></e></m>"
+  },
+  {
+    'ast': ['prod', 'x', 'i'],
+    'guppy': "<m><e></e><f type=\"prod\" group=\"functions\"><b p=\"latex\">\\prod_{<r ref=\"1\"/>=<r ref=\"2\"/>}^{<r ref=\"3\"/>}<r ref=\"4\"/></b><b p=\"text\">prod(<r ref=\"4\"/>,<r ref=\"1\"/>,<r ref=\"2\"/>,<r ref=\"3\"/>)</b><c up=\"3\" delete=\"4\" name=\"index\" small=\"yes\"><e>i</e></c><c up=\"3\" delete=\"4\" name=\"lower\" small=\"yes\"><e></e></c><c down=\"1\" delete=\"4\" name=\"upper\" small=\"yes\"><e></e></c><c delete=\"4\" name=\"expression\"><e>x</e></c></f><e></e></m>"
+  },
+  {
+    'ast': ['=', 'x', 1],
+    'guppy': "<m><e>x=1</e></m>"
+  },
+  {
+    'ast': ['le', 'x', 2],
+    'guppy': "<m><e>x</e><f type=\"le\" group=\"operations\" c=\"yes\"><b p=\"latex\">\\le</b><b p=\"text\">&lt;=</b></f><e>2</e></m>"
+  },
+  {
+    'ast': ['lts', ['tuple', 0, 'x', 1], ['tuple', true, false]],
+    'guppy': "<m><e>0&lt;x</e><f type=\"le\" group=\"operations\" c=\"yes\"><b p=\"latex\">\\le</b><b p=\"text\">&lt;=</b></f><e>1</e></m>"
+  },
+  {
+    'ast': ['in', 'x', ['union', 'A', 'B']],
+    'guppy': "<m><e>x</e><f type=\"in\" group=\"operations\" c=\"yes\"><b p=\"latex\">\\in</b><b p=\"text\"> in </b></f><e>A</e><f type=\"union\" group=\"operations\" c=\"yes\"><b p=\"latex\">\\cup</b><b p=\"text\"> union </b></f><e>B</e></m>"
+  },
+  {
+    'ast': ['interval', ['tuple', 0, 'infinity'], ['tuple', false, true]],
+    'guppy': "<m><e></e><f type=\"open_closed_interval\" group=\"functions\"><b p=\"latex\">\\left(<r ref=\"1\"/>\\right]</b><b p=\"text\">(<r ref=\"1\"/>]</b><c delete=\"1\" is_bracket=\"yes\"><e>0,</e><f type=\"infinity\" group=\"functions\" c=\"yes\"><b p=\"latex\">\\infty</b><b p=\"text\"> infinity </b></f><e></e></c></f><e></e></m>"
+  },
+  {
+    'ast': ['+', 3, ['*', 4, 'imaginary_unit']],
+    'guppy': "<m><e>3+</e><f type=\"bracket\" group=\"functions\"><b p=\"latex\">\\left(<r ref=\"1\"/>\\right)</b><b p=\"text\">(<r ref=\"1\"/>)</b><c delete=\"1\" is_bracket=\"yes\"><e>4</e><f type=\"*\" group=\"operations\" c=\"yes\"><b p=\"latex\">\\cdot</b><b p=\"text\">*</b></f><f type=\"imaginary_unit\" group=\"functions\" c=\"yes\"><b p=\"latex\">i</b><b p=\"text\"> i </b></f><e></e></c></f><e></e></m>"
+  },
+  {
+    'ast': ['tuple', 1, 2],
+    'guppy': "<m><e></e><f type=\"bracket\" group=\"functions\"><b p=\"latex\">\\left(<r ref=\"1\"/>\\right)</b><b p=\"text\">(<r ref=\"1\"/>)</b><c delete=\"1\" is_bracket=\"yes\"><e>1,2</e></c></f><e></e></m>"
+  },
+  {
+    'ast': ['set', 1, 2],
+    'guppy': "<m><e></e><f type=\"set\" group=\"functions\"><b p=\"latex\">\\left\\{<r ref=\"1\"/>\\right\\}</b><b p=\"text\">{<r ref=\"1\"/>}</b><c delete=\"1\" is_bracket=\"yes\"><e>1,2</e></c></f><e></e></m>"
+  },
+  {
+    'ast': ['matrix', ['tuple', 2, 2], ['tuple', ['tuple', 1, 2], ['tuple', 3, 4]]],
+    'guppy': "<m><e></e><f type=\"matrix\" group=\"array\" c=\"yes\"><b p=\"latex\">\\begin{bmatrix}<r ref=\"1\"/>\\end{bmatrix}</b><b p=\"text\">matrix(<r ref=\"1\"/>)</b><l s=\"2\"><l s=\"2\"><c><e>1</e></c><c><e>2</e></c></l><l s=\"2\"><c><e>3</e></c><c><e>4</e></c></l></l></f><e></e></m>"
+  },
+  {
+    'ast': ['_', 'x', 1],
+    'guppy': "<m><e></e><f type=\"subscript\" group=\"functions\"><b p=\"latex\">{<r ref=\"1\"/>}_{<r ref=\"2\"/>}</b><b p=\"text\">(<r ref=\"1\"/>)_(<r ref=\"2\"/>)</b><c up=\"2\" bracket=\"yes\" delete=\"1\" name=\"base\"><e>x</e></c><c down=\"1\" delete=\"1\" name=\"subscript\" small=\"yes\"><e>1</e></c></f><e></e></m>"
+  },
+  {
+    'ast': ['apply', ['prime', 'f'], 'x'],
+    'guppy': "<m><e>f'</e><f type=\"bracket\" group=\"functions\"><b p=\"latex\">\\left(<r ref=\"1\"/>\\right)</b><b p=\"text\">(<r ref=\"1\"/>)</b><c delete=\"1\" is_bracket=\"yes\"><e>x</e></c></f><e></e></m>"
+  },
+  {
+    'ast': ['apply', 'f', ['tuple', 'x', 'y']],
+    'guppy': "<m><e>f</e><f type=\"bracket\" group=\"functions\"><b p=\"latex\">\\left(<r ref=\"1\"/>\\right)</b><b p=\"text\">(<r ref=\"1\"/>)</b><c delete=\"1\" is_bracket=\"yes\"><e>x,y</e></c></f><e></e></m>"
+  },
+  {
+    'ast': ['and', ['>', 'x', 0], ['not', ['=', 'y', 1]]],
+    'guppy': "<m><e>x&gt;0</e><f type=\"and\" group=\"operations\" c=\"yes\"><b p=\"latex\">\\land</b><b p=\"text\"> and </b></f><f type=\"not\" group=\"operations\" c=\"yes\"><b p=\"latex\">\\lnot</b><b p=\"text\"> not </b></f><f type=\"bracket\" group=\"functions\"><b p=\"latex\">\\left(<r ref=\"1\"/>\\right)</b><b p=\"text\">(<r ref=\"1\"/>)</b><c delete=\"1\" is_bracket=\"yes\"><e>y=1</e></c></f><e></e></m>"
+  },
+  {
+    'ast': ['apply', 'nthroot', ['tuple', ['+', 'x', 1], 3]],
+    'guppy': "<m><e></e><f type=\"root\" group=\"functions\"><b p=\"latex\">\\sqrt[<r ref=\"1\"/>]{<r ref=\"2\"/>}</b><b p=\"text\">nthroot(<r ref=\"2\"/>,<r ref=\"1\"/>)</b><c down=\"2\" delete=\"2\" name=\"index\" small=\"yes\"><e>3</e></c><c up=\"1\" delete=\"2\" name=\"radicand\"><e>x+1</e></c></f><e></e></m>"
+  },
+  {
+    'ast': ['apply', 'log', ['tuple', ['+', 'x', 1], 2]],
+    'guppy': "<m><e></e><f type=\"logbase\" group=\"functions\"><b p=\"latex\">\\log_{<r ref=\"1\"/>}\\left(<r ref=\"2\"/>\\right)</b><b p=\"text\">log(<r ref=\"2\"/>,<r ref=\"1\"/>)</b><c up=\"2\" delete=\"2\" name=\"base\" small=\"yes\"><e>2</e></c><c down=\"1\" delete=\"2\" name=\"argument\"><e>x+1</e></c></f><e></e></m>"
+  },
 ]
 
 
@@ -600,3 +670,165 @@ for (let objectToTest of objectsToTest) {
 //   expect(converter.convert(['matrix', ['tuple', 2, 2], ['tuple', ['tuple', 'a', 'b'], ['tuple', 'c', 'd']]])).toEqual('\\begin{pmatrix} a & b \\\\ c & d \\end{pmatrix}');
 //
 // });
+
+
+test("guppyToAst reads every symbol", function () {
+  // each symbol, with components of a single character, is one that
+  // guppyToAst reads, although the components may be invalid for it
+  let reader = new guppyToAst();
+  for (let name in converter.symbols) {
+    let symbol = converter.symbols[name];
+    let components = symbol.attrs.group === "array" ? [['<e>1</e>', '<e>1</e>']]
+      : (symbol.args || []).map(() => '<e>1</e>');
+    let xml = '<m><e>1</e>' + converter.symbol(name, components) + '<e>1</e></m>';
+    expect(() => reader.convert(xml)).not.toThrow(/Unsupported Guppy symbol/);
+  }
+});
+
+
+// a tree written with each symbol that is not a Greek letter
+// or a function applied to a single argument
+const symbolTrees = {
+  "*": ['*', ['/', 1, 2], 'x'],
+  "frac": ['/', 'x', 2],
+  "power": ['^', 'x', 2],
+  "subscript": ['_', 'x', 1],
+  "sqrt": ['apply', 'sqrt', 'x'],
+  "nthroot": ['apply', 'nthroot', ['tuple', 'x', 3]],
+  "logbase": ['apply', 'log', ['tuple', 'x', 2]],
+  "abs": ['apply', 'abs', 'x'],
+  "paren": ['tuple', 1, 2],
+  "square_bracket": ['array', 1, 2],
+  "set": ['set', 1, 2],
+  "matrix": ['matrix', ['tuple', 1, 2], ['tuple', ['tuple', 1, 2]]],
+  "piecewise": ['piecewise', ['tuple', 1, ['>', 'x', 0]], ['tuple', 0, ['le', 'x', 0]]],
+  "otherwise": ['piecewise', ['tuple', 1, ['>', 'x', 0]], ['tuple', 0, true]],
+  "limit": ['limit', 'x', 'x', 0, '-'],
+  "infinity": ['limit', 'x', 'x', 'infinity'],
+  "imaginary_unit": ['*', 2, 'imaginary_unit'],
+  "open_open_interval": ['interval', ['tuple', 0, 1], ['tuple', false, false]],
+  "open_closed_interval": ['interval', ['tuple', 0, 1], ['tuple', false, true]],
+  "closed_open_interval": ['interval', ['tuple', 0, 1], ['tuple', true, false]],
+  "closed_closed_interval": ['interval', ['tuple', 0, 1], ['tuple', true, true]],
+  "sum": ['sum', 'n', 'n', 1, 10],
+  "prod": ['prod', 'n', 'n', 1, 10],
+  "integral": ['integral', 'x', 'x', 0, 1],
+  "double_integral": ['double_integral', 'x', ['tuple', 'x', 'y'], 'R'],
+  "triple_integral": ['triple_integral', 1, ['tuple', 'x', 'y', 'z']],
+  "contour_integral": ['contour_integral', 'z', 'z', 'C'],
+  "and": ['and', 'p', 'q'],
+  "or": ['or', 'p', 'q'],
+  "not": ['not', 'p'],
+  "le": ['le', 'x', 1],
+  "ge": ['ge', 'x', 1],
+  "ne": ['ne', 'x', 1],
+  "in": ['in', 'x', 'A'],
+  "notin": ['notin', 'x', 'A'],
+  "ni": ['ni', 'A', 'x'],
+  "notni": ['notni', 'A', 'x'],
+  "subset": ['subset', 'A', 'B'],
+  "notsubset": ['notsubset', 'A', 'B'],
+  "superset": ['superset', 'A', 'B'],
+  "notsuperset": ['notsuperset', 'A', 'B'],
+  "union": ['union', 'A', 'B'],
+  "intersect": ['intersect', 'A', 'B'],
+  "|": ['set', ['|', 'x', ['>', 'x', 0]]],
+};
+
+for (let name in converter.symbols) {
+  test("guppyToAst reads back the " + name + " symbol", () => {
+    let symbol = converter.symbols[name];
+    let tree = symbolTrees[name];
+    if (tree === undefined)
+      tree = symbol.attrs.group === "greek" ? ['*', 2, name] : ['apply', name, 'x'];
+    let xml = converter.convert(tree);
+    expect(xml).toContain('type="' + symbol.attrs.type + '"');
+    expect(new guppyToAst().convert(xml)).toEqual(tree);
+  });
+}
+
+for (let objectToTest of objectsToTest) {
+  test("guppyToAst reads back " + objectToTest.ast, () => {
+    let reader = new guppyToAst();
+    expect(reader.convert(converter.convert(objectToTest.ast))).toEqual(objectToTest.ast);
+  });
+}
+
+
+// the text of a symbol with the given texts of its components,
+// and the tree that textToAst reads from it
+const templateTexts = [
+  ['nthroot', ['3', 'x+1'], ['apply', 'nthroot', ['tuple', ['+', 'x', 1], 3]]],
+  ['limit', ['x', '0', '+', '1/x'], ['limit', ['/', 1, 'x'], 'x', 0, '+']],
+  ['limit', ['x', 'infinity', '', 'e^(-x)'], ['limit', ['^', 'e', ['-', 'x']], 'x', 'infinity']],
+  ['sum', ['n', '1', '10', 'n^2'], ['sum', ['^', 'n', 2], 'n', 1, 10]],
+  ['prod', ['k', '', '', 'k'], ['prod', 'k', 'k']],
+  ['integral', ['0', '1', 'x^2', 'x'], ['integral', ['^', 'x', 2], 'x', 0, 1]],
+  ['integral', ['', '', 'x^2', 'x'], ['integral', ['^', 'x', 2], 'x']],
+  ['double_integral', ['R', '', 'x y', '(x,y)'], ['double_integral', ['*', 'x', 'y'], ['tuple', 'x', 'y'], 'R']],
+  ['triple_integral', ['', '', '1', '(x,y,z)'], ['triple_integral', 1, ['tuple', 'x', 'y', 'z']]],
+  ['contour_integral', ['C', '', 'z', 'z'], ['contour_integral', 'z', 'z', 'C']],
+];
+
+for (let [name, components, tree] of templateTexts) {
+  test("text of the " + name + " template is read by textToAst", function () {
+    let text = components.reduce(function (text, component, i) {
+      return text.replace('{$' + (i + 1) + '}', component);
+    }, converter.symbols[name].output.text);
+    expect(new textToAst().convert(text)).toEqual(tree);
+  });
+}
+
+
+test("static methods write the default symbols", function () {
+  expect(astToGuppy.dfrac('<e>1</e>', '<e>x</e>')).toEqual(converter.symbol("frac", ['<e>1</e>', '<e>x</e>']));
+  expect(astToGuppy.trig('sin', '<e>x</e>')).toEqual(converter.symbol("sin", ['<e>x</e>']));
+  expect(astToGuppy.sqrt('<e>x</e>')).toEqual(converter.symbol("sqrt", ['<e>x</e>']));
+  expect(astToGuppy.power('<e>x</e>', '<e>2</e>')).toEqual(converter.symbol("power", ['<e>x</e>', '<e>2</e>']));
+  expect(astToGuppy.abs('<e>x</e>')).toEqual(converter.symbol("abs", ['<e>x</e>']));
+  expect(astToGuppy.paren('<e>x</e>')).toEqual(converter.symbol("paren", ['<e>x</e>']));
+  expect(astToGuppy.isFunctionSymbol('ln')).toBe(true);
+  expect(astToGuppy.isFunctionSymbol('paren')).toBe(false);
+  expect(astToGuppy.isGreekLetterSymbol('theta')).toBe(true);
+  expect(astToGuppy.isGreekLetterSymbol('partial')).toBe(false);
+});
+
+
+test("variables named as properties of objects", function () {
+  expect(converter.convert(['+', 'toString', 'constructor'])).toEqual(
+    '<m><e>toString+constructor</e></m>');
+});
+
+
+test("unrecognized operator", function () {
+  expect(() => {converter.convert(['foo', 'x'])}).toThrow("Badly formed ast: operator foo not recognized.");
+});
+
+
+test("custom symbols", function () {
+
+  let converter = new astToGuppy({symbols: {
+    "sinh": {
+      "output": {"latex": "\\operatorname{sinh}\\left({$1}\\right)", "text": "sinh({$1})"},
+      "args": [{"delete": "1"}],
+      "attrs": {"type": "sinh", "group": "functions"}
+    },
+    "frac": {
+      "output": {"latex": "\\tfrac{{$1}}{{$2}}", "text": "({$1})/({$2})"},
+      "args": [{"name": "numerator"}, {"name": "denominator"}],
+      "attrs": {"type": "fraction", "group": "functions"}
+    },
+    "hbar": {
+      "output": {"latex": "\\hbar", "text": " hbar "},
+      "attrs": {"type": "hbar", "group": "greek", "c": "yes"}
+    },
+  }});
+
+  expect(converter.convert(['apply', 'sinh', 'x'])).toEqual('<m><e></e><f type="sinh" group="functions"><b p="latex">\\operatorname{sinh}\\left(<r ref="1"/>\\right)</b><b p="text">sinh(<r ref="1"/>)</b><c delete="1"><e>x</e></c></f><e></e></m>');
+  expect(converter.convert(['/', 1, 'hbar'])).toEqual('<m><e></e><f type="fraction" group="functions"><b p="latex">\\tfrac{<r ref="1"/>}{<r ref="2"/>}</b><b p="text">(<r ref="1"/>)/(<r ref="2"/>)</b><c name="numerator"><e>1</e></c><c name="denominator"><e></e><f type="hbar" group="greek" c="yes"><b p="latex">\\hbar</b><b p="text"> hbar </b></f><e></e></c></f><e></e></m>');
+
+  // the default symbols are unchanged
+  expect(converter.convert(['apply', 'sin', 'x'])).toEqual(new astToGuppy().convert(['apply', 'sin', 'x']));
+  expect(new astToGuppy().convert(['apply', 'sinh', 'x'])).toEqual('<m><e>sinh</e><f type="bracket" group="functions"><b p="latex">\\left(<r ref="1"/>\\right)</b><b p="text">(<r ref="1"/>)</b><c delete="1" is_bracket="yes"><e>x</e></c></f><e></e></m>');
+
+});
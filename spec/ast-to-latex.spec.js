@@ -1,4 +1,5 @@
 import astToLatex from '../src/ast-to-latex';
+import latexToAst from '../src/latex-to-ast';
 
 var converter = new astToLatex();
 
@@ -648,6 +649,106 @@ const objectsToTest = [
     'ast': ['set', [':', 'x', ['>', 'x', 0]]],
     'latex': '\\left\\{ x : x > 0 \\right\\}',
   },
+  {
+    'ast': ['integral', ['^', 'x', 2], 'x', 0, 1],
+    'latex': '\\int_{0}^{1} x^{2} \\, dx',
+  },
+  {
+    'ast': ['integral', ['+', 'x', 1], 'x'],
+    'latex': '\\int x + 1 \\, dx',
+  },
+  {
+    'ast': ['^', ['integral', 'x', 'theta'], 2],
+    'latex': '\\left(\\int x \\, d\\theta\\right)^{2}',
+  },
+  {
+    'ast': ['double_integral', ['*', 'x', 'y'], ['tuple', 'x', 'y']],
+    'latex': '\\iint x \\, y \\, dx \\, dy',
+  },
+  {
+    'ast': ['triple_integral', 'rho', 'V', 'R'],
+    'latex': '\\iiint_{R} \\rho \\, dV',
+  },
+  {
+    'ast': ['contour_integral', 'x', 'y', 'C'],
+    'latex': '\\oint_{C} x \\, dy',
+  },
+  {
+    'ast': ['sum', ['^', 'k', 2], 'k', 1, 'n'],
+    'latex': '\\sum_{k=1}^{n} k^{2}',
+  },
+  {
+    'ast': ['prod', ['+', 1, ['^', 'x', 'i']], 'i', 0, 'infinity'],
+    'latex': '\\prod_{i=0}^{\\infty} \\left(1 + x^{i}\\right)',
+  },
+  {
+    'ast': ['sum', ['_', 'a', 'alpha'], 'alpha'],
+    'latex': '\\sum_{\\alpha} a_{\\alpha}',
+  },
+  {
+    'ast': ['piecewise', ['tuple', 'x', ['>', 'x', 0]], ['tuple', ['-', 'x'], true]],
+    'latex': '\\begin{cases} x & x > 0 \\\\ - x & \\text{otherwise} \\end{cases}',
+  },
+  {
+    'ast': ['*', 2, ['piecewise', ['tuple', ['+', 'x', 1], ['lts', ['tuple', 0, 'x', 1], ['tuple', true, false]]]]],
+    'latex': '2 \\, \\begin{cases} x + 1 & 0 < x \\le 1 \\end{cases}',
+  },
+  {
+    'ast': ['limit', ['apply', 'f', 'x'], 'x', 0, '+'],
+    'latex': '\\lim_{x \\to 0^{+}} f\\left(x\\right)',
+  },
+  {
+    'ast': ['limit', ['/', 1, 'x'], 'x', 'infinity'],
+    'latex': '\\lim_{x \\to \\infty} \\frac{1}{x}',
+  },
+  {
+    'ast': ['limit', ['+', 'x', 1], 'x', ['+', 'a', 'b'], '-'],
+    'latex': '\\lim_{x \\to \\left(a + b\\right)^{-}} \\left(x + 1\\right)',
+  },
+  {
+    'ast': ['unit', 9.8, ['/', 'm', ['^', 's', 2]]],
+    'latex': '9.8\\, \\mathrm{m}/\\mathrm{s}^{2}',
+  },
+  {
+    'ast': ['unit', 2, ['/', 'J', ['*', 'kg', 'K']]],
+    'latex': '2\\, \\mathrm{J}/\\left(\\mathrm{kg}\\, \\mathrm{K}\\right)',
+  },
+  {
+    'ast': ['unit', 1, ['/', 1, ['^', 'm', 2]]],
+    'latex': '1\\, \\mathrm{m}^{-2}',
+  },
+  {
+    'ast': ['+', ['unit', 5, 'ohm'], ['unit', 2, 'um']],
+    'latex': '5\\, \\Omega + 2\\, \\mu \\mathrm{m}',
+  },
+  {
+    'ast': ['+', 3, ['*', 4, 'imaginary_unit']],
+    'latex': '3 + 4 \\, i',
+  },
+  {
+    'ast': ['*', 'r', ['^', 'e', ['*', 'imaginary_unit', 'theta']]],
+    'latex': 'r \\, e^{i \\, \\theta}',
+  },
+  {
+    'ast': ['*', 'r', ['apply', 'cis', 'theta']],
+    'latex': 'r \\, \\operatorname{cis}\\left(\\theta\\right)',
+  },
+  {
+    'ast': ['apply', 'nthroot', ['tuple', ['+', 'x', 1], 3]],
+    'latex': '\\sqrt[3]{x + 1}',
+  },
+  {
+    'ast': ['apply', 'log', ['tuple', 'x', 'b']],
+    'latex': '\\log_{b}\\left(x\\right)',
+  },
+  {
+    'ast': ['+', 'x', ['pm', 'y']],
+    'latex': 'x \\pm y',
+  },
+  {
+    'ast': ['*', 2, ['mp', 'x']],
+    'latex': '2 \\, \\left(\\mp x\\right)',
+  },
 
 
 ]
@@ -668,3 +769,29 @@ test("matrix environment", function () {
   expect(converter.convert(['matrix', ['tuple', 2, 2], ['tuple', ['tuple', 'a', 'b'], ['tuple', 'c', 'd']]])).toEqual('\\begin{pmatrix} a & b \\\\ c & d \\end{pmatrix}');
   
 });
+
+
+test("imaginary unit", function () {
+
+  let converter = new astToLatex({imaginaryUnit: 'j'});
+  expect(converter.convert(['*', 'r', ['^', 'e', ['*', 'imaginary_unit', 'theta']]])).toEqual('r \\, e^{j \\, \\theta}');
+
+  let tree = new latexToAst({imaginaryUnit: 'j'}).convert('3-4j');
+  expect(converter.convert(tree)).toEqual('3 - 4 \\, j');
+
+});
+
+
+test("locale", function () {
+
+  let converter = new astToLatex({locale: 'en-US'});
+  expect(converter.convert(['tuple', 3.14, 2])).toEqual('\\left( 3.14, 2 \\right)');
+
+  converter = new astToLatex({locale: 'de'});
+  expect(converter.convert(['tuple', 3.14, 2])).toEqual('\\left( 3{,}14; 2 \\right)');
+  expect(converter.convert(['=', 'x', ['-', 0.5]])).toEqual('x = - 0{,}5');
+  expect(converter.convert(['set', 1, 2.5])).toEqual('\\left\\{ 1; 2{,}5 \\right\\}');
+  expect(converter.convert(['apply', 'f', ['tuple', 'x', 1.5]])).toEqual('f\\left( x; 1{,}5 \\right)');
+  expect(converter.convert(['interval', ['tuple', 0, 1.5], ['tuple', true, false]])).toEqual('\\left[ 0; 1{,}5 \\right)');
+
+});
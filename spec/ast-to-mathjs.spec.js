@@ -1,4 +1,5 @@
 import astToMathjs from '../src/ast-to-mathjs';
+import math from 'mathjs';
 
 var converter = new astToMathjs();
 
@@ -202,27 +203,27 @@ const objectsToTest = [
   },
   {
     'ast': ['apply', ['prime', 'f'], 'x'],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"args": [{"args": [{"name": "x"}], "fn": {"name": "f"}}, {"name": "x"}], "fn": {"name": "derivative"}}
   },
   {
     'ast': ['prime', ['apply', 'f', 'x']],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"args": [{"args": [{"name": "x"}], "fn": {"name": "f"}}, {"name": "x"}], "fn": {"name": "derivative"}}
   },
   {
     'ast': ['prime', ['apply', 'sin', 'x']],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"args": [{"args": [{"name": "x"}], "fn": {"name": "sin"}}, {"name": "x"}], "fn": {"name": "derivative"}}
   },
   {
     'ast': ['apply', ['prime', 'sin'], 'x'],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"args": [{"args": [{"name": "x"}], "fn": {"name": "sin"}}, {"name": "x"}], "fn": {"name": "derivative"}}
   },
   {
     'ast': ['apply', ['prime', ['prime', 'f']], 'x'],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"args": [{"args": [{"args": [{"name": "x"}], "fn": {"name": "f"}}, {"name": "x"}], "fn": {"name": "derivative"}}, {"name": "x"}], "fn": {"name": "derivative"}}
   },
   {
     'ast': ['prime', ['prime', ['apply', 'sin', 'x']]],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"args": [{"args": [{"args": [{"name": "x"}], "fn": {"name": "sin"}}, {"name": "x"}], "fn": {"name": "derivative"}}, {"name": "x"}], "fn": {"name": "derivative"}}
   },
   {
     'ast': ['^', ['apply', 'f', 'x'],
@@ -314,13 +315,13 @@ const objectsToTest = [
   },
   {
     'ast': ['tuple', 'x', 'y', 'z'],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"items": [{"name": "x"}, {"name": "y"}, {"name": "z"}]}
   },
   {
     'ast': ['+', ['tuple', 'x', 'y'],
       ['-', ['array', 'x', 'y']]
     ],
-    'mathjs': {"args": [{"name": "NaN"}, {"args": [{"name": "NaN"}], "fn": "unaryMinus", "implicit": false, "op": "-"}], "fn": "add", "implicit": false, "op": "+"}
+    'mathjs': {"args": [{"items": [{"name": "x"}, {"name": "y"}]}, {"args": [{"items": [{"name": "x"}, {"name": "y"}]}], "fn": "unaryMinus", "implicit": false, "op": "-"}], "fn": "add", "implicit": false, "op": "+"}
   },
   {
     'ast': ['*', 2, ['+', 'z', ['-', ['+', 'x', 1]]]],
@@ -328,33 +329,27 @@ const objectsToTest = [
   },
   {
     'ast': ['set', 1, 2, 'x'],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"items": [{"value": 1}, {"value": 2}, {"name": "x"}]}
   },
   {
     'ast': ['set', 'x', 'x'],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"items": [{"name": "x"}, {"name": "x"}]}
   },
   {
     'ast': ['set', 'x'],
-    'mathjs': {"name": "NaN"}
-  },
-  {
-    'ast': ['interval', ['tuple', 1, 2],
-      ['tuple', false, true]
-    ],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"items": [{"name": "x"}]}
   },
   {
     'ast': ['array', 1, 2],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"items": [{"value": 1}, {"value": 2}]}
   },
   {
     'ast': ['tuple', 1, 2],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"items": [{"value": 1}, {"value": 2}]}
   },
   {
     'ast': ['list', 1, 2, 3],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"items": [{"value": 1}, {"value": 2}, {"value": 3}]}
   },
   {
     'ast': ['=', 'x', 'a'],
@@ -452,46 +447,38 @@ const objectsToTest = [
     'ast': ['>', ['<', 'x', 'y'], 'z'],
     'mathjs': {"args": [{"args": [{"name": "x"}, {"name": "y"}], "fn": "smaller", "implicit": false, "op": "<"}, {"name": "z"}], "fn": "larger", "implicit": false, "op": ">"}
   },
-  // {
-  //   'ast': ['subset', 'A', 'B'],
-  //   'mathjs': 'A ⊂ B'
-  // },
-  // {
-  //   'ast': ['notsubset', 'A', 'B'],
-  //   'mathjs': 'A ⊄ B'
-  // },
-  // {
-  //   'ast': ['superset', 'A', 'B'],
-  //   'mathjs': 'A ⊃ B'
-  // },
-  // {
-  //   'ast': ['notsuperset', 'A', 'B'],
-  //   'mathjs': 'A ⊅ B'
-  // },
-  // {
-  //   'ast': ['in', 'x', 'A'],
-  //   'mathjs': 'x ∈ A'
-  // },
-  // {
-  //   'ast': ['notin', 'x', 'A'],
-  //   'mathjs': 'x ∉ A'
-  // },
-  // {
-  //   'ast': ['ni', 'A', 'x'],
-  //   'mathjs': 'A ∋ x'
-  // },
-  // {
-  //   'ast': ['notni', 'A', 'x'],
-  //   'mathjs': 'A ∌ x'
-  // },
-  // {
-  //   'ast': ['union', 'A', 'B'],
-  //   'mathjs': 'A ∪ B'
-  // },
-  // {
-  //   'ast': ['intersect', 'A', 'B'],
-  //   'mathjs': 'A ∩ B'
-  // },
+  {
+    'ast': ['subset', 'A', 'B'],
+    'mathjs': {"args": [{"name": "A"}, {"name": "B"}], "fn": {"name": "setIsSubset"}}
+  },
+  {
+    'ast': ['notsuperset', 'A', 'B'],
+    'mathjs': {"args": [{"args": [{"name": "B"}, {"name": "A"}], "fn": {"name": "setIsSubset"}}], "fn": "not", "implicit": false, "op": "not"}
+  },
+  {
+    'ast': ['in', 'x', 'A'],
+    'mathjs': {"args": [{"items": [{"name": "x"}]}, {"name": "A"}], "fn": {"name": "setIsSubset"}}
+  },
+  {
+    'ast': ['notin', 'x', ['set', 1, 2]],
+    'mathjs': {"args": [{"args": [{"items": [{"name": "x"}]}, {"items": [{"value": 1}, {"value": 2}]}], "fn": {"name": "setIsSubset"}}], "fn": "not", "implicit": false, "op": "not"}
+  },
+  {
+    'ast': ['ni', ['interval', ['tuple', 0, 1], ['tuple', true, false]], 'x'],
+    'mathjs': {"args": [{"args": [{"name": "x"}, {"value": 0}], "fn": "largerEq", "implicit": false, "op": ">="}, {"args": [{"name": "x"}, {"value": 1}], "fn": "smaller", "implicit": false, "op": "<"}], "fn": "and", "implicit": false, "op": "and"}
+  },
+  {
+    'ast': ['in', 'x', ['union', ['interval', ['tuple', 0, 1], ['tuple', false, false]], ['set', 3]]],
+    'mathjs': {"args": [{"args": [{"args": [{"name": "x"}, {"value": 0}], "fn": "larger", "implicit": false, "op": ">"}, {"args": [{"name": "x"}, {"value": 1}], "fn": "smaller", "implicit": false, "op": "<"}], "fn": "and", "implicit": false, "op": "and"}, {"args": [{"items": [{"name": "x"}]}, {"items": [{"value": 3}]}], "fn": {"name": "setIsSubset"}}], "fn": "or", "implicit": false, "op": "or"}
+  },
+  {
+    'ast': ['union', 'A', 'B'],
+    'mathjs': {"args": [{"name": "A"}, {"name": "B"}], "fn": {"name": "setUnion"}}
+  },
+  {
+    'ast': ['intersect', 'A', 'B', 'C'],
+    'mathjs': {"args": [{"args": [{"name": "A"}, {"name": "B"}], "fn": {"name": "setIntersect"}}, {"name": "C"}], "fn": {"name": "setIntersect"}}
+  },
   {
     'ast': ['and', 'A', 'B'],
     'mathjs': {"args": [{"name": "A"}, {"name": "B"}], "fn": "and", "implicit": false, "op": "and"}
@@ -558,25 +545,65 @@ const objectsToTest = [
   },
   {
     'ast':  ['matrix', ['tuple', 2, 2], ['tuple', ['tuple', 'a', 'b'], ['tuple', 'c', 'd']]],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"items": [{"items": [{"name": "a"}, {"name": "b"}]}, {"items": [{"name": "c"}, {"name": "d"}]}]}
   },
   {
     'ast': ['matrix', ['tuple', 1, 2], ['tuple', ['tuple', ['+', 'a', ['*', 3, 'y']], ['*', 2, ['apply', 'sin', 'theta']]]]],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"items": [{"items": [{"args": [{"name": "a"}, {"args": [{"value": 3}, {"name": "y"}], "fn": "multiply", "implicit": false, "op": "*"}], "fn": "add", "implicit": false, "op": "+"}, {"args": [{"value": 2}, {"args": [{"name": "theta"}], "fn": {"name": "sin"}}], "fn": "multiply", "implicit": false, "op": "*"}]}]}
   },
   {
     'ast': ['matrix', ['tuple', 2, 3], ['tuple', ['tuple', 8, 0, 0], ['tuple', 1, 2, 3]]],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"items": [{"items": [{"value": 8}, {"value": 0}, {"value": 0}]}, {"items": [{"value": 1}, {"value": 2}, {"value": 3}]}]}
   },
   {
     'ast': ['derivative_leibniz', 'x', 't'],
-    'mathjs': {"name": "NaN"}
+    'mathjs': {"args": [{"name": "x"}, {"name": "t"}], "fn": {"name": "derivative"}}
+  },
+  {
+    'ast': ['derivative_leibniz', ['tuple', 'x', 2], ['tuple', ['tuple', 't', 2]]],
+    'mathjs': {"args": [{"args": [{"name": "x"}, {"name": "t"}], "fn": {"name": "derivative"}}, {"name": "t"}], "fn": {"name": "derivative"}}
+  },
+  {
+    'ast': ['partial_derivative_leibniz', ['tuple', 'x', 2], ['tuple', 's', 't']],
+    'mathjs': {"args": [{"args": [{"name": "x"}, {"name": "t"}], "fn": {"name": "derivative"}}, {"name": "s"}], "fn": {"name": "derivative"}}
   },
   {
     'ast': ['derivative_leibniz_mult', 2, 'x', 't'],
     'mathjs': {"name": "NaN"}
   },
 
+  {
+    'ast': ['sum', ['^', 'k', 2], 'k', 1, 'n'],
+    'mathjs': {"args": [{"args": [{"name": "k"}, {"value": 2}], "fn": "pow", "implicit": false, "op": "^"}, {"name": "k"}, {"value": 1}, {"name": "n"}], "fn": {"name": "summation"}}
+  },
+  {
+    'ast': ['prod', 'x', 'i'],
+    'mathjs': {"args": [{"name": "x"}, {"name": "i"}], "fn": {"name": "product"}}
+  },
+  {
+    'ast': ['sum', ['^', 'k', 2], 'k', 1, 3],
+    'mathjs': {"args": [{"args": [{"value": 1}, {"value": 2}], "fn": "pow", "implicit": false, "op": "^"}, {"args": [{"value": 2}, {"value": 2}], "fn": "pow", "implicit": false, "op": "^"}, {"args": [{"value": 3}, {"value": 2}], "fn": "pow", "implicit": false, "op": "^"}], "fn": "add", "implicit": false, "op": "+"}
+  },
+  {
+    'ast': ['prod', 'x', 'k', 1, 0],
+    'mathjs': {"value": 1}
+  },
+  {
+    'ast': ['piecewise', ['tuple', 'x', ['>', 'x', 0]], ['tuple', ['-', 'x'], true]],
+    'mathjs': {"condition": {"args": [{"name": "x"}, {"value": 0}], "fn": "larger", "implicit": false, "op": ">"}, "trueExpr": {"name": "x"}, "falseExpr": {"args": [{"name": "x"}], "fn": "unaryMinus", "implicit": false, "op": "-"}}
+  },
+  {
+    'ast': ['piecewise', ['tuple', 1, ['<', 'x', 0]], ['tuple', 2, ['>', 'x', 0]]],
+    'mathjs': {"condition": {"args": [{"name": "x"}, {"value": 0}], "fn": "smaller", "implicit": false, "op": "<"}, "trueExpr": {"value": 1}, "falseExpr": {"condition": {"args": [{"name": "x"}, {"value": 0}], "fn": "larger", "implicit": false, "op": ">"}, "trueExpr": {"value": 2}, "falseExpr": {"name": "NaN"}}}
+  },
+  {
+    'ast': ['apply', 'nthroot', ['tuple', ['+', 'x', 1], 3]],
+    'mathjs': {"args": [{"args": [{"name": "x"}, {"value": 1}], "fn": "add", "implicit": false, "op": "+"}, {"value": 3}], "fn": {"name": "nthRoot"}}
+  },
+  {
+    'ast': ['apply', 'log', ['tuple', 'x', 2]],
+    'mathjs': {"args": [{"name": "x"}, {"value": 2}], "fn": {"name": "log"}}
+  },
 ]
 
 
@@ -586,3 +613,94 @@ for (let objectToTest of objectsToTest) {
   });
 
 }
+
+
+test("compiles sets, intervals and matrices", function () {
+  let evaluate = (tree, scope) => converter.convert(tree).compile().eval(scope);
+
+  expect(evaluate(['in', 'x', ['set', 1, 2, 3]], {x: 2})).toBe(true);
+  expect(evaluate(['notin', 'x', ['set', 1, 2, 3]], {x: 2})).toBe(false);
+  expect(evaluate(['in', 'x', ['interval', ['tuple', 0, 1], ['tuple', true, false]]], {x: 1})).toBe(false);
+  expect(evaluate(['in', 'x', ['union', ['interval', ['tuple', 0, 1], ['tuple', true, false]], ['set', 3]]], {x: 3})).toBe(true);
+  expect(evaluate(['subset', ['set', 1, 2], ['union', ['set', 1], ['set', 2, 3]]], {})).toBe(true);
+  expect(evaluate(['in', 'x', ['union', ['set', 1], ['set', 2], ['set', 3]]], {x: 3})).toBe(true);
+  expect(evaluate(['in', 'x', ['union', ['set', 1], ['set', 2], ['set', 3]]], {x: 4})).toBe(false);
+  expect(evaluate(['in', 'x', ['intersect', ['set', 1, 2], ['set', 2, 3], ['set', 2]]], {x: 2})).toBe(true);
+  expect(evaluate(['in', 'x', ['intersect', ['set', 1, 2], ['set', 2, 3], ['set', 3]]], {x: 2})).toBe(false);
+  expect(evaluate(['=', 'x', 1], {x: 1})).toBe(true);
+  expect(evaluate(['=', ['tuple', 1, 'x'], ['tuple', 1, 2]], {x: 2})).toBe(true);
+  expect(evaluate(['=', ['tuple', 1, 'x'], ['tuple', 1, 2]], {x: 3})).toBe(false);
+  expect(evaluate(['=', ['vector', 1, 2], ['vector', 1, 2], ['vector', 1, 'x']], {x: 2})).toBe(true);
+  expect(evaluate(['ne', ['tuple', 1, 'x'], ['tuple', 1, 2]], {x: 3})).toBe(true);
+  expect(evaluate(['=', ['set', 1, 2, 2], ['set', 2, 1]], {})).toBe(true);
+  expect(evaluate(['=', ['set', 1, 2], ['set', 1, 3]], {})).toBe(false);
+  expect(evaluate(['=', ['matrix', ['tuple', 1, 2], ['tuple', ['tuple', 1, 'x']]],
+                   ['matrix', ['tuple', 1, 2], ['tuple', ['tuple', 1, 2]]]], {x: 2})).toBe(true);
+  expect(() => converter.convert(['interval', ['tuple', 1, 2], ['tuple', false, true]])).toThrow(
+    "Intervals can only be converted in membership and subset tests");
+  expect(() => converter.convert(['=', 'x', ['interval', ['tuple', 1, 2], ['tuple', false, true]]])).toThrow(
+    "Intervals can only be converted in membership and subset tests");
+  expect(evaluate(['matrix', ['tuple', 2, 2], ['tuple', ['tuple', 1, 'x'], ['tuple', 3, 4]]], {x: 2}).valueOf()).toEqual([[1, 2], [3, 4]]);
+  expect(evaluate(['tuple', 1, ['*', 2, 'x']], {x: 2}).valueOf()).toEqual([1, 4]);
+});
+
+
+test("compiles sums and products", function () {
+  let evaluate = (tree, scope) => converter.convert(tree).compile().eval(scope);
+
+  expect(evaluate(['sum', ['^', 'k', 2], 'k', 1, 3], {k: 2})).toBe(14);
+  expect(evaluate(['prod', ['+', 'x', 'k'], 'k', 1, 3], {x: 1})).toBe(24);
+  expect(evaluate(['sum', ['sum', ['*', 'j', 'k'], 'k', 1, 'j'], 'j', 1, 2], {})).toBe(7);
+  expect(evaluate(['sum', 'k', 'k', 5, 4], {})).toBe(0);
+  expect(() => evaluate(['sum', ['^', 'k', 2], 'k', 1, 'n'], {n: 3})).toThrow();
+});
+
+
+test("computes derivatives with math.js", function () {
+  let evaluate = (tree, scope) => converter.resolveDerivatives(converter.convert(tree)).compile().eval(scope);
+
+  expect(evaluate(['prime', ['apply', 'sin', 'x']], {x: 0})).toBe(1);
+  expect(evaluate(['apply', ['prime', ['prime', 'sin']], 'x'], {x: Math.PI/2})).toBe(-1);
+  expect(evaluate(['derivative_leibniz', ['tuple', ['^', 'x', 3], 2], ['tuple', ['tuple', 'x', 2]]], {x: 2})).toBe(12);
+  expect(evaluate(['partial_derivative_leibniz', ['tuple', ['*', 'x', 'y'], 2], ['tuple', 'x', 'y']], {x: 2, y: 3})).toBe(1);
+  expect(evaluate(['*', 2, ['derivative_leibniz', ['^', 'x', 2], ['tuple', 'x']]], {x: 3})).toBe(12);
+
+  // the derivative calls themselves cannot be evaluated,
+  // nor can derivatives of unknown functions be resolved
+  expect(() => converter.convert(['prime', ['apply', 'sin', 'x']]).compile().eval({x: 0})).toThrow();
+  expect(() => converter.resolveDerivatives(converter.convert(['apply', ['prime', 'f'], 'x']))).toThrow(/not supported by derivative/);
+});
+
+
+test("plus-minus is not converted", function () {
+  expect(() => converter.convert(['+', 'x', ['pm', 1]])).toThrow("Cannot convert pm to math.js");
+});
+
+
+test("compiles complex numbers", function () {
+  let evaluate = (tree, scope) => converter.convert(tree).compile().eval(scope);
+
+  expect(evaluate(['+', 3, ['*', 4, 'imaginary_unit']], {})).toEqual(math.complex(3, 4));
+  expect(evaluate(['^', 'imaginary_unit', 2], {}).re).toBeCloseTo(-1);
+  expect(math.equal(evaluate(['apply', 'abs', ['+', 3, ['*', 4, 'imaginary_unit']]], {}), 5)).toBe(true);
+
+  let polar = evaluate(['*', 'r', ['^', 'e', ['*', 'imaginary_unit', 'theta']]], {r: 2, theta: Math.PI/2});
+  expect(polar.re).toBeCloseTo(0);
+  expect(polar.im).toBeCloseTo(2);
+
+  let cis = evaluate(['*', 'r', ['apply', 'cis', 'theta']], {r: 2, theta: Math.PI/2});
+  expect(cis.re).toBeCloseTo(0);
+  expect(cis.im).toBeCloseTo(2);
+});
+
+
+test("compiles units", function () {
+  let evaluate = (tree, scope) => converter.convert(tree).compile().eval(scope);
+
+  expect(evaluate(['unit', 9.8, ['/', 'm', ['^', 's', 2]]], {}).toString()).toEqual('9.8 m / s^2');
+  expect(evaluate(['unit', ['-', 5], 'N'], {}).toString()).toEqual('-5 N');
+  expect(evaluate(['unit', 'x', 'km'], {x: 2}).toString()).toEqual('2 km');
+  expect(evaluate(['=', ['+', ['unit', 1, 'km'], ['unit', 200, 'm']], ['unit', 1200, 'm']], {})).toBe(true);
+  expect(evaluate(['=', ['unit', 3, ['/', ['*', 'kg', 'm'], ['^', 's', 2]]], ['unit', 3, 'N']], {})).toBe(true);
+  expect(evaluate(['=', ['unit', 1, ['/', 1, ['^', 'cm', 2]]], ['unit', 10000, ['^', 'm', ['-', 2]]]], {})).toBe(true);
+});
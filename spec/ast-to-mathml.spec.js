@@ -0,0 +1,221 @@
+import astToMathml from '../src/ast-to-mathml';
+
+var converter = new astToMathml();
+
+function math(mml) {
+  return '<math xmlns="http://www.w3.org/1998/Math/MathML">' + mml + '</math>';
+}
+
+const objectsToTest = [
+  {
+    'ast': ['*', ['/', 1, 2], 'x'],
+    'mathml': math('<mrow><mo>(</mo><mfrac><mn>1</mn><mn>2</mn></mfrac><mo>)</mo></mrow><mo>&#x2062;</mo><mi>x</mi>')
+  },
+  {
+    'ast': ['+', 1, 'x', 3],
+    'mathml': math('<mn>1</mn><mo>+</mo><mi>x</mi><mo>+</mo><mn>3</mn>')
+  },
+  {
+    'ast': ['+', 1, ['-', 'x'], ['-', 3]],
+    'mathml': math('<mn>1</mn><mo>−</mo><mi>x</mi><mo>−</mo><mn>3</mn>')
+  },
+  {
+    'ast': ['*', 2, 'x', 'y'],
+    'mathml': math('<mn>2</mn><mo>&#x2062;</mo><mi>x</mi><mo>&#x2062;</mo><mi>y</mi>')
+  },
+  {
+    'ast': ['*', 'x', 2],
+    'mathml': math('<mi>x</mi><mo>⋅</mo><mn>2</mn>')
+  },
+  {
+    'ast': ['*', 'x', ['-', 'y']],
+    'mathml': math('<mi>x</mi><mo>&#x2062;</mo><mrow><mo>(</mo><mo>−</mo><mi>y</mi><mo>)</mo></mrow>')
+  },
+  {
+    'ast': ['/', ['+', 'x', 1], 'y'],
+    'mathml': math('<mfrac><mrow><mi>x</mi><mo>+</mo><mn>1</mn></mrow><mi>y</mi></mfrac>')
+  },
+  {
+    'ast': ['^', 'x', 2],
+    'mathml': math('<msup><mi>x</mi><mn>2</mn></msup>')
+  },
+  {
+    'ast': ['^', ['+', 'x', 1], 2],
+    'mathml': math('<msup><mrow><mo>(</mo><mi>x</mi><mo>+</mo><mn>1</mn><mo>)</mo></mrow><mn>2</mn></msup>')
+  },
+  {
+    'ast': ['^', ['_', 'x', 1], 2],
+    'mathml': math('<msubsup><mi>x</mi><mn>1</mn><mn>2</mn></msubsup>')
+  },
+  {
+    'ast': ['_', 'x', ['+', 'i', 1]],
+    'mathml': math('<msub><mi>x</mi><mrow><mi>i</mi><mo>+</mo><mn>1</mn></mrow></msub>')
+  },
+  {
+    'ast': ['prime', 'f'],
+    'mathml': math('<mover><mi>f</mi><mo>′</mo></mover>')
+  },
+  {
+    'ast': ['prime', ['prime', 'f']],
+    'mathml': math('<mover><mi>f</mi><mo>″</mo></mover>')
+  },
+  {
+    'ast': ['apply', ['prime', 'f'], 'x'],
+    'mathml': math('<mover><mi>f</mi><mo>′</mo></mover><mo>&#x2061;</mo><mrow><mo>(</mo><mi>x</mi><mo>)</mo></mrow>')
+  },
+  {
+    'ast': ['apply', 'sin', 'x'],
+    'mathml': math('<mi>sin</mi><mo>&#x2061;</mo><mrow><mo>(</mo><mi>x</mi><mo>)</mo></mrow>')
+  },
+  {
+    'ast': ['apply', 'f', ['tuple', 'x', 'y']],
+    'mathml': math('<mi>f</mi><mo>&#x2061;</mo><mrow><mo>(</mo><mi>x</mi><mo>,</mo><mi>y</mi><mo>)</mo></mrow>')
+  },
+  {
+    'ast': ['apply', 'sqrt', 'x'],
+    'mathml': math('<msqrt><mi>x</mi></msqrt>')
+  },
+  {
+    'ast': ['apply', 'abs', 'x'],
+    'mathml': math('<mrow><mo>|</mo><mi>x</mi><mo>|</mo></mrow>')
+  },
+  {
+    'ast': ['apply', 'factorial', ['+', 'n', 1]],
+    'mathml': math('<mrow><mo>(</mo><mi>n</mi><mo>+</mo><mn>1</mn><mo>)</mo></mrow><mo>!</mo>')
+  },
+  {
+    'ast': ['-', 3],
+    'mathml': math('<mo>−</mo><mn>3</mn>')
+  },
+  {
+    'ast': -3,
+    'mathml': math('<mo>−</mo><mn>3</mn>')
+  },
+  {
+    'ast': ['*', 'pi', 'r'],
+    'mathml': math('<mi>π</mi><mo>&#x2062;</mo><mi>r</mi>')
+  },
+  {
+    'ast': ['^', 'e', ['*', 'i', 'theta']],
+    'mathml': math('<msup><mi>e</mi><mrow><mi>i</mi><mo>&#x2062;</mo><mi>θ</mi></mrow></msup>')
+  },
+  {
+    'ast': 'infinity',
+    'mathml': math('<mi>∞</mi>')
+  },
+  {
+    'ast': 'imaginary_unit',
+    'mathml': math('<mi>ⅈ</mi>')
+  },
+  {
+    'ast': ['interval', ['tuple', 0, 1], ['tuple', true, false]],
+    'mathml': math('<mrow><mo>[</mo><mn>0</mn><mo>,</mo><mn>1</mn><mo>)</mo></mrow>')
+  },
+  {
+    'ast': ['set', 1, 2, 3],
+    'mathml': math('<mrow><mo>{</mo><mn>1</mn><mo>,</mo><mn>2</mn><mo>,</mo><mn>3</mn><mo>}</mo></mrow>')
+  },
+  {
+    'ast': ['tuple', 'x', 'y'],
+    'mathml': math('<mrow><mo>(</mo><mi>x</mi><mo>,</mo><mi>y</mi><mo>)</mo></mrow>')
+  },
+  {
+    'ast': ['matrix', ['tuple', 2, 2], ['tuple', ['tuple', 'a', 'b'], ['tuple', 'c', 'd']]],
+    'mathml': math('<mrow><mo>[</mo><mtable><mtr><mtd><mi>a</mi></mtd><mtd><mi>b</mi></mtd></mtr><mtr><mtd><mi>c</mi></mtd><mtd><mi>d</mi></mtd></mtr></mtable><mo>]</mo></mrow>')
+  },
+  {
+    'ast': ['piecewise', ['tuple', 'x', ['>', 'x', 0]], ['tuple', 0, true]],
+    'mathml': math('<mrow><mo>{</mo><mtable><mtr><mtd><mi>x</mi></mtd><mtd><mi>x</mi><mo>&gt;</mo><mn>0</mn></mtd></mtr><mtr><mtd><mn>0</mn></mtd><mtd><mtext>otherwise</mtext></mtd></mtr></mtable></mrow>')
+  },
+  {
+    'ast': ['<', 'x', 'y'],
+    'mathml': math('<mi>x</mi><mo>&lt;</mo><mi>y</mi>')
+  },
+  {
+    'ast': ['lts', ['tuple', 1, 'x', 2], ['tuple', true, false]],
+    'mathml': math('<mn>1</mn><mo>&lt;</mo><mi>x</mi><mo>≤</mo><mn>2</mn>')
+  },
+  {
+    'ast': ['and', ['=', 'x', 1], 'y'],
+    'mathml': math('<mrow><mo>(</mo><mi>x</mi><mo>=</mo><mn>1</mn><mo>)</mo></mrow><mo>∧</mo><mi>y</mi>')
+  },
+  {
+    'ast': ['not', ['=', 'x', 1]],
+    'mathml': math('<mo>¬</mo><mrow><mo>(</mo><mi>x</mi><mo>=</mo><mn>1</mn><mo>)</mo></mrow>')
+  },
+  {
+    'ast': ['in', 'x', ['union', 'A', 'B']],
+    'mathml': math('<mi>x</mi><mo>∈</mo><mi>A</mi><mo>∪</mo><mi>B</mi>')
+  },
+  {
+    'ast': ['integral', ['^', 'x', 2], 'x', 0, 1],
+    'mathml': math('<msubsup><mo>∫</mo><mn>0</mn><mn>1</mn></msubsup><msup><mi>x</mi><mn>2</mn></msup><mspace width="0.167em"/><mi>d</mi><mi>x</mi>')
+  },
+  {
+    'ast': ['integral', 'f', 'x'],
+    'mathml': math('<mo>∫</mo><mi>f</mi><mspace width="0.167em"/><mi>d</mi><mi>x</mi>')
+  },
+  {
+    'ast': ['double_integral', ['*', 'x', 'y'], ['tuple', 'x', 'y']],
+    'mathml': math('<mo>∬</mo><mi>x</mi><mo>&#x2062;</mo><mi>y</mi><mspace width="0.167em"/><mi>d</mi><mi>x</mi><mspace width="0.167em"/><mi>d</mi><mi>y</mi>')
+  },
+  {
+    'ast': ['sum', ['/', 1, ['^', 'n', 2]], 'n', 1, 'infinity'],
+    'mathml': math('<munderover><mo>∑</mo><mrow><mi>n</mi><mo>=</mo><mn>1</mn></mrow><mi>∞</mi></munderover><mfrac><mn>1</mn><msup><mi>n</mi><mn>2</mn></msup></mfrac>')
+  },
+  {
+    'ast': ['prod', 'k', 'k'],
+    'mathml': math('<munder><mo>∏</mo><mi>k</mi></munder><mi>k</mi>')
+  },
+  {
+    'ast': ['limit', ['/', 1, 'x'], 'x', 'infinity'],
+    'mathml': math('<munder><mo>lim</mo><mrow><mi>x</mi><mo>→</mo><mi>∞</mi></mrow></munder><mfrac><mn>1</mn><mi>x</mi></mfrac>')
+  },
+  {
+    'ast': ['limit', ['+', 'x', 1], 'x', ['+', 'a', 'b'], '-'],
+    'mathml': math('<munder><mo>lim</mo><mrow><mi>x</mi><mo>→</mo><msup><mrow><mo>(</mo><mi>a</mi><mo>+</mo><mi>b</mi><mo>)</mo></mrow><mo>−</mo></msup></mrow></munder><mrow><mo>(</mo><mi>x</mi><mo>+</mo><mn>1</mn><mo>)</mo></mrow>')
+  },
+  {
+    'ast': ['derivative_leibniz', 'y', ['tuple', 'x']],
+    'mathml': math('<mfrac><mrow><mi>d</mi><mi>y</mi></mrow><mrow><mi>d</mi><mi>x</mi></mrow></mfrac>')
+  },
+  {
+    'ast': ['derivative_leibniz', ['tuple', 'y', 2], ['tuple', ['tuple', 'x', 2]]],
+    'mathml': math('<mfrac><mrow><msup><mi>d</mi><mn>2</mn></msup><mi>y</mi></mrow><mrow><mi>d</mi><msup><mi>x</mi><mn>2</mn></msup></mrow></mfrac>')
+  },
+  {
+    'ast': ['partial_derivative_leibniz', ['tuple', 'f', 2], ['tuple', 'x', 'y']],
+    'mathml': math('<mfrac><mrow><msup><mo>∂</mo><mn>2</mn></msup><mi>f</mi></mrow><mrow><mo>∂</mo><mi>x</mi><mo>∂</mo><mi>y</mi></mrow></mfrac>')
+  },
+  {
+    'ast': ['set', ['|', 'x', ['>', 'x', 0]]],
+    'mathml': math('<mrow><mo>{</mo><mi>x</mi><mo>|</mo><mi>x</mi><mo>&gt;</mo><mn>0</mn><mo>}</mo></mrow>')
+  },
+  {
+    'ast': ['apply', 'nthroot', ['tuple', ['+', 'x', 1], 3]],
+    'mathml': math('<mroot><mrow><mi>x</mi><mo>+</mo><mn>1</mn></mrow><mrow><mn>3</mn></mrow></mroot>')
+  },
+  {
+    'ast': ['apply', 'log', ['tuple', 'x', 2]],
+    'mathml': math('<msub><mi>log</mi><mn>2</mn></msub><mo>&#x2061;</mo><mrow><mo>(</mo><mi>x</mi><mo>)</mo></mrow>')
+  },
+  {
+    'ast': ['+', 'x', ['pm', 'y'], ['mp', 1]],
+    'mathml': math('<mi>x</mi><mo>±</mo><mi>y</mi><mo>∓</mo><mn>1</mn>')
+  },
+]
+
+
+for (let objectToTest of objectsToTest) {
+  test("parses " + objectToTest.ast + ' to ' + objectToTest.mathml, () => {
+    expect(converter.convert(objectToTest.ast)).toEqual(objectToTest.mathml);
+  });
+
+}
+
+
+test("unrecognized operator", function () {
+
+  expect(() => converter.convert(['error'])).toThrow("Badly formed ast: operator error not recognized.");
+
+});
@@ -1,4 +1,5 @@
 import astToText from '../src/ast-to-text';
+import textToAst from '../src/text-to-ast';
 
 var converter = new astToText();
 
@@ -646,6 +647,94 @@ const objectsToTest = [
     'text': '{ x : x > 0 }',
   },
   
+  {
+    'ast': ['integral', ['^', 'x', 2], 'x', 0, 1],
+    'text': 'int(x^2, x, 0, 1)'
+  },
+  {
+    'ast': ['integral', ['apply', 'sin', 'theta'], 'theta'],
+    'text': 'int(sin(θ), θ)'
+  },
+  {
+    'ast': ['double_integral', ['*', 'x', 'y'], ['tuple', 'x', 'y']],
+    'text': 'iint(x y, ( x, y ))'
+  },
+  {
+    'ast': ['contour_integral', 'x', 'y', 'C'],
+    'text': 'oint(x, y, C)'
+  },
+  {
+    'ast': ['sum', ['^', 'k', 2], 'k', 1, 'n'],
+    'text': 'sum(k^2, k, 1, n)'
+  },
+  {
+    'ast': ['prod', ['+', 1, ['^', 'x', 'i']], 'i', 0, 'infinity'],
+    'text': 'prod(1 + x^i, i, 0, ∞)'
+  },
+  {
+    'ast': ['piecewise', ['tuple', 'x', ['>', 'x', 0]], ['tuple', ['-', 'x'], true]],
+    'text': 'piecewise((x, x > 0), (- x, otherwise))'
+  },
+  {
+    'ast': ['*', 2, ['piecewise', ['tuple', ['+', 'x', 1], ['lts', ['tuple', 0, 'x', 1], ['tuple', true, false]]]]],
+    'text': '2 piecewise((x + 1, 0 < x ≤ 1))'
+  },
+  {
+    'ast': ['limit', ['apply', 'f', 'x'], 'x', 0, '+'],
+    'text': 'lim(x->0+, f(x))'
+  },
+  {
+    'ast': ['limit', ['/', 1, 'x'], 'x', 'infinity'],
+    'text': 'lim(x->∞, 1/x)'
+  },
+  {
+    'ast': ['limit', 'x', 'x', ['+', 'a', 'b'], '-'],
+    'text': 'lim(x->a + b-, x)'
+  },
+  {
+    'ast': ['unit', 9.8, ['/', 'm', ['^', 's', 2]]],
+    'text': '9.8 m/s^2'
+  },
+  {
+    'ast': ['unit', 3, ['/', ['*', 'kg', 'm'], 's']],
+    'text': '3 kg*m/s'
+  },
+  {
+    'ast': ['unit', 2, ['/', 'J', ['*', 'kg', 'K']]],
+    'text': '2 J/(kg*K)'
+  },
+  {
+    'ast': ['unit', 1, ['/', 1, ['^', 'm', 2]]],
+    'text': '1 m^-2'
+  },
+  {
+    'ast': ['+', ['unit', 1, 'km'], ['unit', ['-', 200], 'm']],
+    'text': '1 km - 200 m'
+  },
+  {
+    'ast': ['+', 3, ['*', 4, 'imaginary_unit']],
+    'text': '3 + 4 i'
+  },
+  {
+    'ast': ['*', 'r', ['^', 'e', ['*', 'imaginary_unit', 'theta']]],
+    'text': 'r e^(i θ)'
+  },
+  {
+    'ast': ['apply', 'log', ['tuple', 'x', 2]],
+    'text': 'log_2(x)'
+  },
+  {
+    'ast': ['apply', 'log', ['tuple', ['+', 'x', 1], ['+', 'b', 1]]],
+    'text': 'log_(b + 1)(x + 1)'
+  },
+  {
+    'ast': ['+', 'x', ['pm', 'y']],
+    'text': 'x ± y'
+  },
+  {
+    'ast': ['*', 3, ['mp', ['+', 'x', 1]]],
+    'text': '3 (∓ (x + 1))'
+  },
 ]
 
 
@@ -657,6 +746,40 @@ for (let objectToTest of objectsToTest) {
 }
 
 
+test("imaginary unit", function () {
+
+  let converter = new astToText({imaginaryUnit: 'j'});
+  expect(converter.convert(['+', 3, ['-', ['*', 4, 'imaginary_unit']]])).toEqual('3 - 4 j');
+
+  let tree = new textToAst({imaginaryUnit: 'j'}).convert('3 - 4j');
+  expect(converter.convert(tree)).toEqual('3 - 4 j');
+
+});
+
+
+test("plus-minus without unicode", function () {
+  let converter = new astToText({output_unicode: false});
+  expect(converter.convert(['+', 'x', ['pm', 'y'], ['mp', 1]])).toEqual('x +/- y -/+ 1');
+});
+
+
+test("locale", function () {
+
+  let converter = new astToText({locale: 'en-US'});
+  expect(converter.convert(['tuple', 3.14, 2])).toEqual('( 3.14, 2 )');
+
+  converter = new astToText({locale: 'pt-BR'});
+  expect(converter.convert(['tuple', 3.14, 2])).toEqual('( 3,14; 2 )');
+  expect(converter.convert(['=', 'x', ['-', 0.5]])).toEqual('x = - 0,5');
+  expect(converter.convert(['list', 1, 2.5])).toEqual('1; 2,5');
+  expect(converter.convert(['apply', 'f', ['tuple', 'x', 1.5]])).toEqual('f( x; 1,5 )');
+  expect(converter.convert(['interval', ['tuple', 0, 1.5], ['tuple', true, false]])).toEqual('[ 0; 1,5 )');
+  expect(converter.convert(['matrix', ['tuple', 2, 2], ['tuple', ['tuple', 1, 2.5], ['tuple', 3, 4]]])).toEqual('[ [ 1; 2,5 ]; [ 3; 4 ] ]');
+  expect(converter.convert(['piecewise', ['tuple', 0.5, ['<', 'x', 0]], ['tuple', 1, true]])).toEqual('piecewise((0,5; x < 0); (1; otherwise))');
+
+});
+
+
 //
 // describe("ast to text", function() {
 //     it("sum of two numbers", function() {
@@ -0,0 +1,194 @@
+import contentMmlToAst from '../src/content-mml-to-ast';
+import astToContentMml from '../src/ast-to-content-mml';
+
+var converter = new contentMmlToAst();
+var converter_ast_to_mml = new astToContentMml();
+
+const objectsToTest = [
+  {
+    'mml': '<cn>3</cn>',
+    'ast': 3,
+  },
+  {
+    'mml': '<cn type="real"> -2.5 </cn>',
+    'ast': -2.5,
+  },
+  {
+    'mml': '<cn type="rational">1<sep/>2</cn>',
+    'ast': ['/', 1, 2],
+  },
+  {
+    'mml': '<cn type="e-notation"> 3.1 <sep/> -3 </cn>',
+    'ast': 0.0031,
+  },
+  {
+    'mml': '<cn type="complex-cartesian">3<sep/>-4</cn>',
+    'ast': ['+', 3, ['*', -4, 'imaginary_unit']],
+  },
+  {
+    'mml': '<cn type="complex-cartesian">0<sep/>1</cn>',
+    'ast': 'imaginary_unit',
+  },
+  {
+    'mml': '<cn type="integer">42</cn>',
+    'ast': 42,
+  },
+  {
+    'mml': '<ci> x </ci>',
+    'ast': 'x',
+  },
+  {
+    'mml': '<math><apply><minus/><ci>x</ci><cn>1</cn></apply></math>',
+    'ast': ['+', 'x', ['-', 1]],
+  },
+  {
+    'mml': `<math xmlns="http://www.w3.org/1998/Math/MathML">
+  <apply>
+    <plus/>
+    <apply><power/><ci>x</ci><cn>2</cn></apply>
+    <apply><times/><cn>4</cn><ci>x</ci></apply>
+    <cn>4</cn>
+  </apply>
+</math>`,
+    'ast': ['+', ['^', 'x', 2], ['*', 4, 'x'], 4],
+  },
+  {
+    'mml': '<m:math><m:apply><m:sin/><m:ci>x</m:ci></m:apply></m:math>',
+    'ast': ['apply', 'sin', 'x'],
+  },
+  {
+    'mml': '<math><semantics><apply><cos/><ci>x</ci></apply><annotation encoding="application/x-tex">\\cos x</annotation></semantics></math>',
+    'ast': ['apply', 'cos', 'x'],
+  },
+  {
+    'mml': '<apply><arcsinh/><ci>x</ci></apply>',
+    'ast': ['apply', 'asinh', 'x'],
+  },
+  {
+    'mml': '<apply><root/><degree><cn>3</cn></degree><ci>x</ci></apply>',
+    'ast': ['apply', 'nthroot', ['tuple', 'x', 3]],
+  },
+  {
+    'mml': '<apply><log/><ci>x</ci></apply>',
+    'ast': ['apply', 'log10', 'x'],
+  },
+  {
+    'mml': '<apply><ln/><ci>x</ci></apply>',
+    'ast': ['apply', 'ln', 'x'],
+  },
+  {
+    'mml': '<apply><log/><logbase><cn>2</cn></logbase><ci>x</ci></apply>',
+    'ast': ['apply', 'log', ['tuple', 'x', 2]],
+  },
+  {
+    'mml': '<apply><leq/><cn>0</cn><ci>x</ci><cn>1</cn></apply>',
+    'ast': ['lts', ['tuple', 0, 'x', 1], ['tuple', false, false]],
+  },
+  {
+    'mml': '<apply><gt/><ci>a</ci><ci>b</ci><ci>c</ci></apply>',
+    'ast': ['gts', ['tuple', 'a', 'b', 'c'], ['tuple', true, true]],
+  },
+  {
+    'mml': '<interval><cn>0</cn><cn>1</cn></interval>',
+    'ast': ['interval', ['tuple', 0, 1], ['tuple', true, true]],
+  },
+  {
+    'mml': '<interval closure="open-closed"><cn>0</cn><cn>1</cn></interval>',
+    'ast': ['interval', ['tuple', 0, 1], ['tuple', false, true]],
+  },
+  {
+    'mml': '<list><ci>a</ci><ci>b</ci></list>',
+    'ast': ['list', 'a', 'b'],
+  },
+  {
+    'mml': '<apply><limit/><bvar><ci>x</ci></bvar><condition><apply><tendsto type="below"/><ci>x</ci><cn>1</cn></apply></condition><ci>x</ci></apply>',
+    'ast': ['limit', 'x', 'x', 1, '-'],
+  },
+  {
+    'mml': '<apply><diff/><bvar><ci>t</ci><degree><cn>3</cn></degree></bvar><ci>x</ci></apply>',
+    'ast': ['derivative_leibniz', ['tuple', 'x', 3], ['tuple', ['tuple', 't', 3]]],
+  },
+  {
+    'mml': '<apply><partialdiff/><bvar><ci>s</ci><degree><cn>2</cn></degree></bvar><bvar><ci>t</ci></bvar><ci>x</ci></apply>',
+    'ast': ['partial_derivative_leibniz', ['tuple', 'x', 3], ['tuple', ['tuple', 's', 2], 't']],
+  },
+  {
+    'mml': '<ci><msub><mi>x</mi><mi>i</mi></msub></ci>',
+    'ast': ['_', 'x', 'i'],
+  },
+  {
+    'mml': '<apply><csymbol>minusplus</csymbol><ci>x</ci><cn>1</cn></apply>',
+    'ast': ['+', 'x', ['mp', 1]],
+  },
+]
+
+
+for (let objectToTest of objectsToTest) {
+  test("parses " + objectToTest.mml + ' to ' + objectToTest.ast, () => {
+    expect(converter.convert(objectToTest.mml)).toEqual(objectToTest.ast);
+  });
+
+}
+
+
+const bad_inputs = {
+  '<mrow><mi>x</mi></mrow>': "Unsupported element: mrow",
+  '<cn>x</cn>': "Invalid number: x",
+  '<apply><minus/><ci>a</ci><ci>b</ci><ci>c</ci></apply>': "Invalid number of operands of minus: 3",
+  '<apply><minus/></apply>': "Invalid number of operands of minus: 0",
+  '<cn type="rational">1</cn>': "Invalid number of parts in rational number: 1",
+  '<cn type="complex-polar">1<sep/>3.14</cn>': "Unsupported number type: complex-polar",
+  '<apply><quotient/><cn>7</cn><cn>2</cn></apply>': "Unsupported element: quotient",
+  '<apply><diff/><bvar><ci>x</ci></bvar><apply><sin/><ci>x</ci></apply></apply>': "Derivatives are supported only of variables",
+  '<ci><mrow><mi>x</mi></mrow></ci>': "Unsupported element in identifier: mrow",
+  '<ci><msub><mi>x</mi><mn>a</mn></msub></ci>': "Invalid number: a",
+  '<apply><csymbol>foo</csymbol><ci>x</ci></apply>': "Unsupported csymbol: foo",
+  '<apply><csymbol>plusminus</csymbol></apply>': "Invalid number of operands of plusminus: 0",
+  '<apply><int/><ci>x</ci></apply>': "Missing bvar of int",
+  '<constructor/>': "Unsupported element: constructor",
+  '<apply><toString/><ci>x</ci></apply>': "Unsupported element: toString",
+  '<apply><int/><bvar><ci>x</ci></bvar><lowlimit/><ci>x</ci></apply>': "Missing content",
+  '': "Missing content",
+  '<apply><sum/><bvar><ci>n</ci></bvar></apply>': "Invalid number of operands of sum: 0",
+  '<apply><limit/><bvar><ci>x</ci></bvar><ci>x</ci></apply>': "Missing lowlimit or condition of limit",
+  '<apply><limit/><bvar><ci>x</ci></bvar><condition><apply><gt/><ci>x</ci><cn>0</cn></apply></condition><ci>x</ci></apply>': "Condition of limit must be tendsto",
+}
+
+
+for (let input in bad_inputs) {
+  test("throws " + input, function () {
+    expect(() => {converter.convert(input)}).toThrow(bad_inputs[input]);
+  });
+}
+
+
+// trees that are written to Content MathML and read back unchanged
+const trees = [
+  ['+', 'x', ['*', 2, 'y'], ['-', 3]],
+  ['apply', 'f', ['tuple', 'x', 'y']],
+  ['apply', ['prime', 'f'], 'x'],
+  ['apply', 'log10', 'x'],
+  ['*', 'pi', ['^', 'e', ['_', 'x', 1]]],
+  ['lts', ['tuple', 1, 'x', 2], ['tuple', true, true]],
+  ['and', ['ge', 'x', 0], ['not', ['ne', 'y', 1]]],
+  ['notin', 'x', ['intersect', 'A', 'B']],
+  ['interval', ['tuple', 0, 'infinity'], ['tuple', false, false]],
+  ['+', 3, ['*', 4, 'imaginary_unit']],
+  ['set', 1, 2, 3],
+  ['matrix', ['tuple', 2, 3], ['tuple', ['tuple', 1, 2, 3], ['tuple', 4, 5, 6]]],
+  ['piecewise', ['tuple', ['-', 'x'], ['<', 'x', 0]], ['tuple', 'x', true]],
+  ['derivative_leibniz', ['tuple', 'y', 2], ['tuple', ['tuple', 'x', 2]]],
+  ['integral', ['apply', 'exp', ['-', 'x']], 'x', 0, 'infinity'],
+  ['sum', ['/', 1, ['apply', 'factorial', 'n']], 'n', 0, 'infinity'],
+  ['limit', ['/', ['apply', 'sin', 'x'], 'x'], 'x', 0, '+'],
+  ['apply', 'nthroot', ['tuple', ['+', 'x', 1], 3]],
+  ['apply', 'log', ['tuple', 'x', 'b']],
+  ['+', 'x', ['pm', 'y']],
+  ['mp', ['*', 2, 'x']],
+]
+
+for (let tree of trees) {
+  test("round trip of " + tree, function () {
+    expect(converter.convert(converter_ast_to_mml.convert(tree))).toEqual(tree);
+  });
+}
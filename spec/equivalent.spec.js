@@ -0,0 +1,78 @@
+import equivalent from '../src/equivalent';
+import textToAst from '../src/text-to-ast';
+var parser = new textToAst();
+
+var equivalences = [
+  ['(x+1)^2', 'x^2+2x+1'],
+  ['sin(x)^2+cos(x)^2', '1'],
+  ['x_1+x_2', 'x_2+x_1'],
+  ['pi', '3.14159265358979'],
+  ['2y=4x', 'y=2x'],
+  ['x-y=0', 'y=x'],
+  ['x=x', 'y=y'],
+  ['x>0', '0<x'],
+  ['(x,y+1)', '(x,1+y)'],
+  ['{x,-x}', '{-x,x}'],
+  ['{1,2,2}', '{2,1}'],
+  ['(0,x^2]', '(0,x x]'],
+  ['sum(k, k, 1, 10)', '55'],
+];
+
+var nonequivalences = [
+  ['(x+1)^2', 'x^2+x+1'],
+  ['y=2x', 'y=2x+1'],
+  ['x=x', 'y=x'],
+  ['y=x', 'x+y'],
+  ['(x,y)', '(y,x)'],
+  ['(x,y)', '(x,y,0)'],
+  ['{x,1}', '{x,2}'],
+  ['(0,1]', '[0,1]'],
+  ['sqrt(x)^2', 'x'],
+  ['sqrt(x-100)', 'sqrt(x-100)'],
+];
+
+for (let [a, b] of equivalences) {
+  test(a + " is equivalent to " + b, () => {
+    expect(equivalent(parser.convert(a), parser.convert(b))).toBe(true);
+  });
+}
+
+for (let [a, b] of nonequivalences) {
+  test(a + " is not equivalent to " + b, () => {
+    expect(equivalent(parser.convert(a), parser.convert(b))).toBe(false);
+  });
+}
+
+test("domain restricts sampled values", () => {
+  expect(equivalent(parser.convert('sqrt(x)^2'), parser.convert('x'),
+		    { domain: [0, 10] })).toBe(true);
+  expect(equivalent(parser.convert('abs(x)'), parser.convert('x'),
+		    { domain: { x: [1, 2] } })).toBe(true);
+});
+
+test("domain mismatch can be ignored", () => {
+  expect(equivalent(parser.convert('sqrt(x)^2'), parser.convert('x'),
+		    { ignore_domain_mismatch: true })).toBe(true);
+});
+
+test("tolerance is relative", () => {
+  expect(equivalent(parser.convert('1000 x'), parser.convert('1000.01 x'))).toBe(false);
+  expect(equivalent(parser.convert('1000 x'), parser.convert('1000.01 x'),
+		    { tolerance: 1E-4 })).toBe(true);
+});
+
+test("imaginary unit is not sampled as a variable", () => {
+  let complex = new textToAst({imaginaryUnit: 'i'});
+  expect(() => equivalent(complex.convert('(1+i)^2'), complex.convert('2i'))).toThrow(
+    "Cannot compare complex numbers");
+  expect(equivalent(parser.convert('(1+i)^2'), parser.convert('1+2i+i^2'))).toBe(true);
+  expect(equivalent(complex.convert('sum(i^2, i, 1, 3)'), 14)).toBe(true);
+});
+
+test("random number generator can be given", () => {
+  let calls = 0;
+  let random = function () { calls += 1; return 0.5; };
+  expect(equivalent(parser.convert('x y'), parser.convert('y x'),
+		    { random: random, n_points: 5 })).toBe(true);
+  expect(calls).toBe(10);
+});
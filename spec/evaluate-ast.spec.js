@@ -0,0 +1,278 @@
+import evaluateAst from '../src/evaluate-ast';
+
+var bindings = {
+  x: 2,
+  y: -3,
+  n: 4,
+  v: [5, 6, 7],
+  x_1: 10,
+  f: function (a) { return 3 * a; },
+  g: function (a, b) { return a - b; },
+};
+
+var objectsToTest = [
+  {
+    'ast': ['+', 1, ['*', 2, 'x'], ['^', 'x', 2]],
+    'value': 9,
+  },
+  {
+    'ast': ['+', 'x', ['-', 'y']],
+    'value': 5,
+  },
+  {
+    'ast': ['/', 'x', 4],
+    'value': 0.5,
+  },
+  {
+    'ast': ['apply', 'sin', ['/', 'pi', 2]],
+    'value': 1,
+  },
+  {
+    'ast': ['apply', 'exp', 0],
+    'value': 1,
+  },
+  {
+    'ast': ['apply', 'abs', 'y'],
+    'value': 3,
+  },
+  {
+    'ast': ['apply', 'factorial', 'n'],
+    'value': 24,
+  },
+  {
+    'ast': ['apply', 'f', 'x'],
+    'value': 6,
+  },
+  {
+    'ast': ['apply', 'g', ['tuple', 'x', 'y']],
+    'value': 5,
+  },
+  {
+    'ast': ['^', 'e', ['apply', 'ln', 1]],
+    'value': 1,
+  },
+  {
+    'ast': 'infinity',
+    'value': Infinity,
+  },
+  {
+    'ast': ['_', 'x', 1],
+    'value': 10,
+  },
+  {
+    'ast': ['_', 'v', 2],
+    'value': 6,
+  },
+  {
+    'ast': ['tuple', 'x', ['+', 'x', 1]],
+    'value': [2, 3],
+  },
+  {
+    'ast': ['+', ['tuple', 1, 2], ['tuple', 'x', 'y']],
+    'value': [3, -1],
+  },
+  {
+    'ast': ['*', 2, ['vector', 1, 'x']],
+    'value': [2, 4],
+  },
+  {
+    'ast': ['set', 1, 'x', 2],
+    'value': [1, 2],
+  },
+  {
+    'ast': ['matrix', ['tuple', 2, 2], ['tuple', ['tuple', 1, 'x'], ['tuple', 'y', 4]]],
+    'value': [[1, 2], [-3, 4]],
+  },
+  {
+    'ast': ['interval', ['tuple', 0, 'x'], ['tuple', false, true]],
+    'value': { endpoints: [0, 2], closed: [false, true] },
+  },
+  {
+    'ast': ['=', ['*', 2, 'x'], 'n'],
+    'value': true,
+  },
+  {
+    'ast': ['=', 'x', 2, 'n'],
+    'value': false,
+  },
+  {
+    'ast': ['=', ['tuple', 'x', 1], ['tuple', 2, 1]],
+    'value': true,
+  },
+  {
+    'ast': ['ne', 'x', 'y'],
+    'value': true,
+  },
+  {
+    'ast': ['lts', ['tuple', 'y', 'x', 2], ['tuple', true, false]],
+    'value': true,
+  },
+  {
+    'ast': ['gts', ['tuple', 'n', 'x', 2], ['tuple', true, true]],
+    'value': false,
+  },
+  {
+    'ast': ['and', ['>', 'x', 0], ['le', 'y', 0]],
+    'value': true,
+  },
+  {
+    'ast': ['or', ['<', 'x', 0], ['not', ['ge', 'y', 0]]],
+    'value': true,
+  },
+  {
+    'ast': ['in', 'x', ['interval', ['tuple', 0, 2], ['tuple', false, true]]],
+    'value': true,
+  },
+  {
+    'ast': ['notin', 'x', ['interval', ['tuple', 0, 2], ['tuple', true, false]]],
+    'value': true,
+  },
+  {
+    'ast': ['ni', ['set', 1, 2, 3], 'x'],
+    'value': true,
+  },
+  {
+    'ast': ['subset', ['interval', ['tuple', 0, 1], ['tuple', true, true]],
+	    ['interval', ['tuple', 0, 1], ['tuple', false, true]]],
+    'value': false,
+  },
+  {
+    'ast': ['superset', ['set', 1, 2, 3], ['set', 'x', 3]],
+    'value': true,
+  },
+  {
+    'ast': ['union', ['set', 1, 2], ['set', 'x', 3]],
+    'value': [1, 2, 3],
+  },
+  {
+    'ast': ['intersect', ['set', 1, 2], ['set', 'x', 3]],
+    'value': [2],
+  },
+  {
+    'ast': ['piecewise', ['tuple', 'x', ['>', 'x', 0]], ['tuple', ['-', 'x'], true]],
+    'value': 2,
+  },
+  {
+    'ast': ['piecewise', ['tuple', 'y', ['>', 'y', 0]], ['tuple', ['-', 'y'], true]],
+    'value': 3,
+  },
+  {
+    'ast': ['piecewise', ['tuple', 1, ['<', 'x', 0]]],
+    'value': NaN,
+  },
+  {
+    'ast': ['sum', ['^', 'k', 2], 'k', 1, 'n'],
+    'value': 30,
+  },
+  {
+    'ast': ['prod', 'k', 'k', 1, 'n'],
+    'value': 24,
+  },
+  {
+    'ast': ['apply', 'nthroot', ['tuple', -8, 3]],
+    'value': -2,
+  },
+  {
+    'ast': ['apply', 'log', ['tuple', 8, 2]],
+    'value': 3,
+  },
+];
+
+for (let objectToTest of objectsToTest) {
+  test("evaluates " + JSON.stringify(objectToTest.ast), () => {
+    expect(evaluateAst(objectToTest.ast, bindings)).toEqual(objectToTest.value);
+  });
+}
+
+test("evaluates definite integral", () => {
+  expect(evaluateAst(['integral', ['^', 't', 2], 't', 0, 'x'], bindings)).toBeCloseTo(8/3, 8);
+});
+
+test("bindings take precedence over constants", () => {
+  expect(evaluateAst(['*', 2, 'e'], { e: 3 })).toEqual(6);
+});
+
+var bad_inputs = [
+  {
+    'ast': 'z',
+    'error': "No value for variable z",
+  },
+  {
+    'ast': ['^', ['+', 1, 'imaginary_unit'], 2],
+    'error': "Cannot evaluate complex numbers",
+  },
+  {
+    'ast': ['apply', 'h', 'x'],
+    'error': "Unknown function h",
+  },
+  {
+    'ast': ['apply', ['prime', 'f'], 'x'],
+    'error': "no support for prime of a function",
+  },
+  {
+    'ast': ['derivative_leibniz', 'y', 'x'],
+    'error': "Cannot evaluate derivative",
+  },
+  {
+    'ast': ['partial_derivative_leibniz', 'f', ['tuple', 'x', 'y']],
+    'error': "Cannot evaluate partial derivative",
+  },
+  {
+    'ast': ['prime', 'y'],
+    'error': "Cannot evaluate derivative",
+  },
+  {
+    'ast': ['limit', 'x', 'x', 0],
+    'error': "Cannot evaluate limit",
+  },
+  {
+    'ast': ['double_integral', 'x', ['tuple', 'x', 'y'], 'D'],
+    'error': "Cannot evaluate double integral",
+  },
+  {
+    'ast': ['triple_integral', 1, ['tuple', 'x', 'y', 'z']],
+    'error': "Cannot evaluate triple integral",
+  },
+  {
+    'ast': ['contour_integral', 'x', 'x', 'C'],
+    'error': "Cannot evaluate contour integral",
+  },
+  {
+    'ast': ['set', ['|', 'x', ['>', 'x', 0]]],
+    'error': "Cannot evaluate condition",
+  },
+  {
+    'ast': ['set', [':', 'x', ['>', 'x', 0]]],
+    'error': "Cannot evaluate condition",
+  },
+  {
+    'ast': ['+', 'x', ['pm', 1]],
+    'error': "no support for pm",
+  },
+  {
+    'ast': ['integral', 'x', 'x'],
+    'error': "Cannot evaluate indefinite integral",
+  },
+  {
+    'ast': ['sum', 'k', 'k', 1, 'infinity'],
+    'error': "Bounds of sum or product must be integers",
+  },
+  {
+    'ast': ['_', 'v', 4],
+    'error': "Invalid subscript of v",
+  },
+  {
+    'ast': ['union', ['interval', ['tuple', 0, 1], ['tuple', true, true]], ['set', 2]],
+    'error': "no support for union of intervals",
+  },
+  {
+    'ast': ['apply', 'toString', 'x'],
+    'error': "Unknown function toString",
+  },
+];
+
+for (let objectToTest of bad_inputs) {
+  test("throws " + JSON.stringify(objectToTest.ast), () => {
+    expect(() => {evaluateAst(objectToTest.ast, bindings)}).toThrow(objectToTest.error);
+  });
+}
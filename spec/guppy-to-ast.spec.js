@@ -0,0 +1,178 @@
+import guppyToAst from '../src/guppy-to-ast';
+import astToGuppy from '../src/ast-to-guppy';
+import { ParseError } from '../src/error';
+
+var converter = new guppyToAst();
+var converter_ast_to_guppy = new astToGuppy();
+
+const objectsToTest = [
+  {
+    'guppy': '<m><e>1+x+3</e></m>',
+    'ast': ['+', 1, 'x', 3],
+  },
+  {
+    'guppy': '<m><e>2x-y</e></m>',
+    'ast': ['+', ['*', 2, 'x'], ['-', 'y']],
+  },
+  {
+    'guppy': '<m><e>x=3.5</e></m>',
+    'ast': ['=', 'x', 3.5],
+  },
+  {
+    'guppy': '<m><e>n!</e></m>',
+    'ast': ['apply', 'factorial', 'n'],
+  },
+  {
+    'guppy': "<m><e></e><f type=\"bracket\" group=\"functions\"><b p=\"latex\">\\left(<r ref=\"1\"/>\\right)</b><b p=\"text\">(<r ref=\"1\"/>)</b><c delete=\"1\" is_bracket=\"yes\"><e></e><f type=\"fraction\" group=\"functions\"><b p=\"latex\">\\dfrac{<r ref=\"1\"/>}{<r ref=\"2\"/>}</b><b p=\"small_latex\">\\frac{<r ref=\"1\"/>}{<r ref=\"2\"/>}</b><b p=\"text\">(<r ref=\"1\"/>)/(<r ref=\"2\"/>)</b><c up=\"1\" down=\"2\" name=\"numerator\"><e>1</e></c><c up=\"1\" down=\"2\" name=\"denominator\"><e>2</e></c></f><e></e></c></f><f type=\"*\" group=\"operations\" c=\"yes\"><b p=\"latex\">\\cdot</b><b p=\"text\">*</b></f><e>x</e></m>",
+    'ast': ['*', ['/', 1, 2], 'x'],
+  },
+  {
+    'guppy': '<m><e>1+</e><f type=\"bracket\" group=\"functions\"><b p=\"latex\">\\left(<r ref=\"1\"/>\\right)</b><b p=\"text\">(<r ref=\"1\"/>)</b><c delete=\"1\" is_bracket=\"yes\"><e>-<e>x</e></e></c></f><e>+</e><f type=\"bracket\" group=\"functions\"><b p=\"latex\">\\left(<r ref=\"1\"/>\\right)</b><b p=\"text\">(<r ref=\"1\"/>)</b><c delete=\"1\" is_bracket=\"yes\"><e>-<e>3</e></e></c></f><e></e></m>',
+    'ast': ['+', 1, ['-', 'x'], ['-', 3]],
+  },
+  {
+    'guppy': '<m><e>2</e><f type="exponential" group="functions"><b p="latex">{<r ref="1"/>}^{<r ref="2"/>}</b><b p="text">(<r ref="1"/>)^(<r ref="2"/>)</b><c up="2" bracket="yes" delete="1" name="base"><e>x</e></c><c down="1" delete="1" name="exponent" small="yes"><e>n-1</e></c></f><e></e></m>',
+    'ast': ['*', 2, ['^', 'x', ['+', 'n', ['-', 1]]]],
+  },
+  {
+    'guppy': '<m><e></e><f type="sin" group="functions"><b p="latex">\\sin\\left(<r ref="1"/>\\right)</b><b p="text"> sin(<r ref="1"/>)</b><c delete="1"><e>2x</e></c></f><e></e></m>',
+    'ast': ['apply', 'sin', ['*', 2, 'x']],
+  },
+  {
+    'guppy': '<m><e></e><f type="square_root" group="functions"><b p="latex">\\sqrt{<r ref="1"/>}</b><b p="text">sqrt(<r ref="1"/>)</b><c delete="1"><e>x+1</e></c></f><e></e></m>',
+    'ast': ['apply', 'sqrt', ['+', 'x', 1]],
+  },
+  {
+    'guppy': '<m><e></e><f type="absolute_value" group="functions"><b p="latex">\\left|<r ref="1"/>\\right|</b><b p="text">abs(<r ref="1"/>)</b><c delete="1"><e>x</e></c></f><e></e></m>',
+    'ast': ['apply', 'abs', 'x'],
+  },
+  {
+    'guppy': '<m><e>2</e><f type="pi" group="greek" c="yes"><b p="latex">\\pi</b><b p="text"> $pi</b></f><e>r</e></m>',
+    'ast': ['*', 2, 'pi', 'r'],
+  },
+  {
+    'guppy': '<m><e></e><f type="bracket" group="functions"><b p="latex">\\left(<r ref="1"/>\\right)</b><b p="text">(<r ref="1"/>)</b><c delete="1" is_bracket="yes"><e>a,b</e></c></f><e></e></m>',
+    'ast': ['tuple', 'a', 'b'],
+  },
+  {
+    'guppy': "<m><e></e><f type=\"prod\" group=\"functions\"><b p=\"latex\">\\prod_{<r ref=\"1\"/>=<r ref=\"2\"/>}^{<r ref=\"3\"/>}<r ref=\"4\"/></b><b p=\"text\">prod(<r ref=\"4\"/>,<r ref=\"1\"/>,<r ref=\"2\"/>,<r ref=\"3\"/>)</b><c up=\"3\" delete=\"4\" name=\"index\" small=\"yes\"><e>i</e></c><c up=\"3\" delete=\"4\" name=\"lower\" small=\"yes\"><e></e></c><c down=\"1\" delete=\"4\" name=\"upper\" small=\"yes\"><e></e></c><c delete=\"4\" name=\"expression\"><e>x</e></c></f><e></e></m>",
+    'ast': ['prod', 'x', 'i'],
+  },
+]
+
+
+for (let objectToTest of objectsToTest) {
+  test("parses " + objectToTest.guppy + ' to ' + objectToTest.ast, () => {
+    expect(converter.convert(objectToTest.guppy)).toEqual(objectToTest.ast);
+  });
+
+}
+
+
+const bad_inputs = {
+  '<m><e>1+</e></m>': { message: "Unexpected end of input", code: 'unexpected_end' },
+  '<m><e>x)</e></m>': { message: "Invalid location of ')'", code: 'invalid_location' },
+  '<m><e>(x</e></m>': { message: "Expected ')'", code: 'expected_token' },
+  '<m><e>x#y</e></m>': { message: "Invalid symbol '#'", code: 'invalid_symbol' },
+  '<m><e></e></m>': { message: "Unexpected end of input", code: 'unexpected_end' },
+  '<m><f type="floor" group="functions"><c><e>x</e></c></f></m>':
+    { message: "Unsupported Guppy symbol: floor", code: 'invalid_symbol' },
+  '<m><f type="closed_open_interval" group="functions"><c><e>1</e></c></f></m>':
+    { message: "Interval must have two endpoints", code: 'invalid_interval' },
+  '<m><f type="limit" group="functions"><c name="variable"><e>x</e></c><c name="target"><e>0</e></c><c name="direction"><e>*</e></c><c name="expression"><e>x</e></c></f></m>':
+    { message: "Invalid direction of limit: *", code: 'invalid_symbol' },
+  '<m><f type="fraction" group="functions"><c name="numerator"><e>1</e></c><c name="denominator"><e></e></c></f></m>':
+    { message: "Empty denominator of fraction", code: 'unexpected_end' },
+}
+
+
+for (let input in bad_inputs) {
+  test("throws " + input, function () {
+    let error;
+    try {
+      converter.convert(input);
+    }
+    catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(ParseError);
+    expect(error).toMatchObject(bad_inputs[input]);
+  });
+}
+
+
+// trees that are written to Guppy XML and read back unchanged
+const trees = [
+  ['+', 'x', ['*', 2, 'y'], ['-', 3]],
+  ['*', ['/', 1, 2], 'x'],
+  ['/', ['+', 'x', 1], ['-', 'y']],
+  ['^', 'e', ['*', 2, 'x']],
+  ['apply', 'sin', ['^', 'x', 2]],
+  ['*', ['apply', 'ln', 'x'], ['apply', 'arctan', 'y']],
+  ['apply', 'sqrt', ['+', ['^', 'x', 2], 1]],
+  ['apply', 'abs', ['apply', 'sin', ['apply', 'abs', 'x']]],
+  ['*', 2, 'pi', 'theta'],
+  ['+', 1, ['-', ['-', 'x']]],
+  ['sum', ['^', 'n', 2], 'n', 1, 10],
+  ['apply', 'nthroot', ['tuple', ['+', 'x', 1], 3]],
+  ['apply', 'log', ['tuple', ['^', 'x', 2], 'b']],
+  ['_', 'x', ['+', 'i', 1]],
+  ['limit', ['/', 1, 'x'], 'x', 'infinity'],
+  ['limit', 'x', 'x', 0, '+'],
+  ['le', 'x', 2],
+  ['ne', ['ge', 'x', 2], 'y'],
+  ['lts', ['tuple', 0, 'x', 1], ['tuple', true, false]],
+  ['gts', ['tuple', 3, 'x', 'y'], ['tuple', false, true]],
+  ['=', 'x', 'y', 'z'],
+  ['interval', ['tuple', 1, 2], ['tuple', false, true]],
+  ['interval', ['tuple', ['-', 'infinity'], 0], ['tuple', false, true]],
+  ['array', 1, 2],
+  ['array', 'x'],
+  ['set', 1, 2],
+  ['set'],
+  ['matrix', ['tuple', 2, 2], ['tuple', ['tuple', 1, 'x'], ['tuple', 3, 4]]],
+  ['piecewise', ['tuple', 'x', ['>', 'x', 0]], ['tuple', ['-', 'x'], true]],
+  ['integral', ['^', 'x', 2], 'x', 0, 1],
+  ['double_integral', ['*', 'x', 'y'], ['tuple', 'x', 'y'], 'R'],
+  ['triple_integral', 1, ['tuple', 'x', 'y', 'z']],
+  ['contour_integral', 'z', 'z', 'C'],
+  ['and', ['>', 'x', 0], ['not', ['=', 'y', 1]]],
+  ['or', 'p', ['and', 'q', 'r']],
+  ['in', 'x', ['union', 'A', 'B']],
+  ['notin', 'x', ['intersect', 'A', 'B']],
+  ['ni', 'A', 'x'],
+  ['notni', 'A', 'x'],
+  ['subset', 'A', 'B'],
+  ['notsubset', 'A', 'B'],
+  ['superset', 'A', 'B'],
+  ['notsuperset', 'A', 'B'],
+  ['set', ['|', 'x', ['>', 'x', 0]]],
+  ['set', [':', 'x', ['>', 'x', 0]]],
+  ['*', ['prime', 'y'], 2],
+  ['+', 'x', ['pm', 'y']],
+  ['+', 'a', ['mp', ['+', 'b', 'c']]],
+  ['+', 3, ['*', 4, 'imaginary_unit']],
+  ['^', 'e', ['*', 'imaginary_unit', 'theta']],
+  ['apply', 'f', 'x'],
+  ['apply', 'g', ['tuple', 'x', 'y']],
+  ['apply', ['prime', 'f'], 'x'],
+  ['+', ['apply', 'f', ['+', 'x', 1]], ['*', 'h', 'x']],
+]
+
+for (let tree of trees) {
+  test("round trip of " + tree, function () {
+    expect(converter.convert(converter_ast_to_guppy.convert(tree))).toEqual(tree);
+  });
+}
+
+
+test("function symbols", function () {
+  expect(converter.convert('<m><e>f(x)+h(x)</e></m>')).toEqual(
+    ['+', ['apply', 'f', 'x'], ['*', 'h', 'x']]);
+  expect(converter.convert("<m><e>g''(t)!</e></m>")).toEqual(
+    ['apply', 'factorial', ['apply', ['prime', ['prime', 'g']], 't']]);
+
+  let h_converter = new guppyToAst({functionSymbols: ['h']});
+  let tree = ['+', ['*', 'f', 'x'], ['apply', 'h', 'x']];
+  expect(h_converter.convert(converter_ast_to_guppy.convert(tree))).toEqual(tree);
+});
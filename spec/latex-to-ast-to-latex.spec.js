@@ -191,6 +191,17 @@ var inputs = [
   ['A > B | C and D', 'A > B \\mid C and D'],
   'A or B : C < D',
   ['\\{ x_t | t \\in Z \\}', '\\{ x_{t} \\mid t \\in Z \\}'],
+  ['\\int_0^1 x^2 dx', '\\int_{0}^{1} x^{2} dx'],
+  ['\\int^b_a f(x)\\,dx', '\\int_{a}^{b} f(x) dx'],
+  '\\iint_{D} x y dA',
+  '\\oint_{C} x dy',
+  ['\\sum_{k=1}^n k^2', '\\sum_{k=1}^{n} k^{2}'],
+  '\\prod_{i=0}^{\\infty} (1+x^{i})',
+  '\\sum_{k} a_{k} x^{k}+1',
+  ['\\lim_{x \\to 0^+} f(x)', '\\lim_{x \\to 0^{+}} f(x)'],
+  '\\begin{cases} x & x>0 \\\\ -x & \\text{otherwise} \\end{cases}',
+  ['\\begin{cases} x^2, & \\text{if } x<0 \\\\ 0 & x=0 \\\\ \\end{cases}', '\\begin{cases} x^{2} & x<0 \\\\ 0 & x=0 \\end{cases}'],
+  ['\\lim_{x \\rightarrow \\infty} \\frac{1}{x}', '\\lim_{x \\to \\infty} \\frac{1}{x}'],
 ];
 
 function clean(text) {
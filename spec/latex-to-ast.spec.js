@@ -149,12 +149,21 @@ var trees = {
   '\\begin{bmatrix}a & b\\\\ c&d\\end{bmatrix}': ['matrix', ['tuple', 2, 2], ['tuple', ['tuple', 'a', 'b'], ['tuple', 'c', 'd']]],
   '\\begin{pmatrix}a & b\\\\ c\\end{pmatrix}': ['matrix', ['tuple', 2, 2], ['tuple', ['tuple', 'a', 'b'], ['tuple', 'c', 0]]],
   '\\begin{matrix}a & b\\\\ &d\\end{matrix}': ['matrix', ['tuple', 2, 2], ['tuple', ['tuple', 'a', 'b'], ['tuple', 0, 'd']]],
+  '\\begin{cases} x & x>0 \\\\ -x & \\text{otherwise}\\end{cases}': ['piecewise', ['tuple', 'x', ['>', 'x', 0]], ['tuple', ['-', 'x'], true]],
+  'f(x) = \\begin{cases} x^2, & \\text{if } x < 0 \\\\ \\sqrt{x} & x \\ge 0 \\\\ \\end{cases}': ['=', ['apply', 'f', 'x'], ['piecewise', ['tuple', ['^', 'x', 2], ['<', 'x', 0]], ['tuple', ['apply', 'sqrt', 'x'], ['ge', 'x', 0]]]],
+  '\\left|\\begin{cases} 1 & |x|<1 \\\\ 0 & \\mbox{otherwise} \\end{cases}\\right|': ['apply', 'abs', ['piecewise', ['tuple', 1, ['<', ['apply', 'abs', 'x'], 1]], ['tuple', 0, true]]],
   '\\begin{pmatrix}a + 3y & 2\\sin(\\theta)\\end{pmatrix}': ['matrix', ['tuple', 1, 2], ['tuple', ['tuple', ['+', 'a', ['*', 3, 'y']], ['*', 2, ['apply', 'sin', 'theta']]]]],
   '\\begin{bmatrix}3\\\\ \\\\ 4 & 5\\end{bmatrix}': ['matrix', ['tuple', 3, 2], ['tuple', ['tuple', 3, 0], ['tuple', 0, 0], ['tuple', 4, 5]]],
   '\\begin{matrix}8\\\\1&2&3\\end{matrix}': ['matrix', ['tuple', 2, 3], ['tuple', ['tuple', 8, 0, 0], ['tuple', 1, 2, 3]]],
   '\\frac{dx}{dt}=q': ['=', ['derivative_leibniz', 'x', ['tuple', 't']], 'q'],
   '\\frac { dx } { dt } = q': ['=', ['derivative_leibniz', 'x', ['tuple', 't']], 'q'],
   '\\frac{d x}{dt}': ['derivative_leibniz', 'x', ['tuple', 't']],
+  '\\sqrt[3]{x}': ['apply', 'nthroot', ['tuple', 'x', 3]],
+  '\\sqrt[n]{x+1}': ['apply', 'nthroot', ['tuple', ['+', 'x', 1], 'n']],
+  '\\log_2 x': ['apply', 'log', ['tuple', 'x', 2]],
+  '\\log_{b}(x^2)': ['apply', 'log', ['tuple', ['^', 'x', 2], 'b']],
+  '\\log_2^2 x': ['^', ['apply', 'log', ['tuple', 'x', 2]], 2],
+  '\\log_{10}^{3}(x+1)': ['^', ['apply', 'log', ['tuple', ['+', 'x', 1], 10]], 3],
   '\\frac{dx}{d t}': ['derivative_leibniz', 'x', ['tuple', 't']],
   '\\frac{dx_2}{dt}': ["/", ["*", "d", ["_", "x", 2]], ["*", "d", "t"]],
   '\\frac{dxy}{dt}': ["/", ["*", "d", "x", "y"], ["*", "d", "t"]],
@@ -209,6 +218,35 @@ var trees = {
   '\\{ x \\mid x > 0 \\}': ['set', ['|', 'x', ['>', 'x', 0]]],
   'r=1:x': [':', ['=', 'r', 1], 'x'],
   '\\{ x : x > 0 \\}': ['set', [':', 'x', ['>', 'x', 0]]],
+  '\\int_0^1 x^2\\,dx': ['integral', ['^', 'x', 2], 'x', 0, 1],
+  '\\int^1_0 x^2\\,dx': ['integral', ['^', 'x', 2], 'x', 0, 1],
+  '\\int_{a}^{b} f(x) dx': ['integral', ['apply', 'f', 'x'], 'x', 'a', 'b'],
+  '\\int x+1 \\, dx': ['integral', ['+', 'x', 1], 'x'],
+  '\\int dx': ['integral', 1, 'x'],
+  '\\int \\sin x\\,dx + 3': ['+', ['integral', ['apply', 'sin', 'x'], 'x'], 3],
+  '2\\int_0^\\pi \\cos(\\theta) d\\theta': ['*', 2, ['integral', ['apply', 'cos', 'theta'], 'theta', 0, 'pi']],
+  '\\int_0^\\infty e^{-t}\\,dt': ['integral', ['^', 'e', ['-', 't']], 't', 0, 'infinity'],
+  '\\int_0^1\\int_0^x xy\\,dy\\,dx': ['integral', ['integral', ['*', 'x', 'y'], 'y', 0, 'x'], 'x', 0, 1],
+  '\\iint xy\\,dx\\,dy': ['double_integral', ['*', 'x', 'y'], ['tuple', 'x', 'y']],
+  '\\iint_D f\\,dA': ['double_integral', 'f', 'A', 'D'],
+  '\\iiint_V \\rho \\,dx\\,dy\\,dz': ['triple_integral', 'rho', ['tuple', 'x', 'y', 'z'], 'V'],
+  '\\oint_C x\\,dy': ['contour_integral', 'x', 'y', 'C'],
+  '\\sum_{k=1}^{n} k^2': ['sum', ['^', 'k', 2], 'k', 1, 'n'],
+  '\\sum^n_{k=1} 2k': ['sum', ['*', 2, 'k'], 'k', 1, 'n'],
+  '\\sum_k a_k x^k + 1': ['+', ['sum', ['*', ['_', 'a', 'k'], ['^', 'x', 'k']], 'k'], 1],
+  '\\prod_{i=0}^\\infty (1+x^i)': ['prod', ['+', 1, ['^', 'x', 'i']], 'i', 0, 'infinity'],
+  '\\sum_{k=1}^n \\sum_{j=1}^k jk': ['sum', ['sum', ['*', 'j', 'k'], 'j', 1, 'k'], 'k', 1, 'n'],
+  '\\int_0^1 \\sum_{k=0}^\\infty x^k\\,dx': ['integral', ['sum', ['^', 'x', 'k'], 'k', 0, 'infinity'], 'x', 0, 1],
+  '\\lim_{x \\to 0^+} f(x)': ['limit', ['apply', 'f', 'x'], 'x', 0, '+'],
+  '\\lim_{x \\to 0} \\frac{\\sin x}{x}': ['limit', ['/', ['apply', 'sin', 'x'], 'x'], 'x', 0],
+  '\\lim_{x \\rightarrow a^{-}} \\frac{1}{x-a}': ['limit', ['/', 1, ['+', 'x', ['-', 'a']]], 'x', 'a', '-'],
+  '\\lim_{x\\to\\infty} (1+1/x)^x': ['limit', ['^', ['+', 1, ['/', 1, 'x']], 'x'], 'x', 'infinity'],
+  '\\lim_{t \\to -1^-} t + 1': ['+', ['limit', 't', 't', ['-', 1], '-'], 1],
+  '\\lim_{x \\to 2^2} x': ['limit', 'x', 'x', ['^', 2, 2]],
+  '\\lim_{n\\to\\infty} \\sum_{k=1}^n \\frac{1}{n}': ['limit', ['sum', ['/', 1, 'n'], 'k', 1, 'n'], 'n', 'infinity'],
+  'x \\pm y': ['+', 'x', ['pm', 'y']],
+  'a \\mp (b+c)': ['+', 'a', ['mp', ['+', 'b', 'c']]],
+  '\\pm 2': ['pm', 2],
 
 
 };
@@ -241,6 +279,20 @@ var bad_inputs = {
   '(x]': "Expected )",
   '\\sin': "Unexpected end of input",
   '\\sin+\\cos': "Invalid location of '+'",
+  '\\int x': "Expected differential at end of integral",
+  '\\int^1 x\\,dx': "Expected lower limit of integral",
+  '\\int_0^': "Unexpected end of input",
+  '\\sum k': "Expected index of sum",
+  '\\prod_{2k=1} k': "Expected index of prod",
+  '\\sum_k^n k': "Expected lower bound of sum",
+  '\\lim x': "Expected \\lim_{variable \\to target}",
+  '\\lim_{x} x': "Expected \\lim_{variable \\to target}",
+  '\\lim_{x \\to 0 x': "Expected }",
+  '\\lim_x \\to 0 x': "Expected {",
+  '\\begin{cases} x & x>0 \\end{matrix}': "Expected \\end{cases}",
+  '\\begin{cases} x \\end{cases}': "Expected &",
+  '\\begin{cases} x & x>0': "Unexpected end of input",
+  '\\log_2(x,y)': "Expected a single argument of \\log with a base",
 }
 
 
@@ -251,6 +303,107 @@ Object.keys(bad_inputs).forEach(function(string) {
 });
 
 
+// details of the errors thrown by bad inputs
+var bad_input_details = {
+  'x@2': { code: 'invalid_symbol', token_type: 'INVALID', token_text: '@',
+	   line: 1, column: 2, location: 1 },
+  '1++1': { code: 'invalid_location', token_type: '+', token_text: '+',
+	    line: 1, column: 3 },
+  'x)': { code: 'invalid_location', token_type: ')', expected: ['EOF'] },
+  'x-y-': { code: 'unexpected_end', token_type: 'EOF', token_text: '',
+	    line: 1, column: 5 },
+  '(1+1': { code: 'expected_token', token_type: 'EOF', expected: [')', ','] },
+  '[x)': { code: 'expected_token', token_type: ')', expected: [']', ','] },
+  '\\frac{1}2': { code: 'expected_token', token_type: 'NUMBER', token_text: '2',
+		  expected: ['{'], column: 9 },
+  '\\foo x': { code: 'unrecognized_command', token_type: 'LATEXCOMMAND',
+	       token_text: '\\foo' },
+  '\\begin{foo} x \\end{foo}': { code: 'unrecognized_environment',
+				   token_type: 'BEGINENVIRONMENT' },
+  '\\sum k': { code: 'invalid_arguments' },
+  '\\int x': { code: 'expected_token', expected: ['VAR'] },
+  '\\lim_{x} x': { code: 'expected_token', token_type: '}', expected: ['TO'] },
+  '\\lim_{2 \\to 0} x': { code: 'invalid_arguments' },
+  '\\begin{matrix} 1 & 2 \\\\\n 3 & 4 \\end{cases}': {
+    code: 'expected_token', token_type: 'ENDENVIRONMENT',
+    token_text: '\\end{cases}', expected: ['ENDENVIRONMENT'],
+    line: 2, column: 8 },
+  '\\begin{cases} x & x>0 \\\\\n 0 & \\text{otherwise} )\n\\end{cases}': {
+    code: 'invalid_location', token_type: ')', token_text: ')',
+    expected: ['LINEBREAK', 'ENDENVIRONMENT'], line: 2, column: 23 },
+}
+
+
+Object.keys(bad_input_details).forEach(function(string) {
+  test("error details of " + string, function() {
+    let error;
+    try {
+      converter.convert(string);
+    }
+    catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(ParseError);
+    expect(error).toMatchObject(bad_input_details[string]);
+  });
+});
+
+
+// partial trees and error messages from tolerant parsing
+var tolerant_converter = new latexToAst({ tolerant: true });
+
+var partial_trees = {
+  'x + ': { tree: ['+', 'x', ['error']], errors: ["Unexpected end of input"] },
+  '\\frac{1}{': { tree: ['/', 1, ['error']],
+		  errors: ["Unexpected end of input", "Expected }"] },
+  '\\frac{1}': { tree: ['/', 1, ['error']], errors: ["Expected {"] },
+  '\\sqrt{x': { tree: ['apply', 'sqrt', 'x'], errors: ["Expected }"] },
+  '\\sin(x': { tree: ['apply', 'sin', 'x'], errors: ["Expected )"] },
+  '(1,2': { tree: ['tuple', 1, 2], errors: ["Expected ) or ]"] },
+  'x@2': { tree: ['*', 'x', ['error'], 2], errors: ["Invalid symbol '@'"] },
+  '1++1': { tree: ['+', 1, ['error'], 1], errors: ["Invalid location of '+'"] },
+  'x)+y': { tree: 'x', errors: ["Invalid location of ')'"] },
+  '_x': { tree: ['_', ['error'], 'x'], errors: ["Invalid location of _"] },
+  '\\foo x': { tree: ['*', ['error'], 'x'], errors: ["Unrecognized latex command \\foo"] },
+  '\\begin{foo} x \\end{foo} + 1': { tree: ['+', ['error'], 1],
+				     errors: ["Unrecognized environment foo"] },
+  '\\begin{matrix} 1 & 2': {
+    tree: ['matrix', ['tuple', 1, 2], ['tuple', ['tuple', 1, 2]]],
+    errors: ["Unexpected end of input"] },
+  '\\begin{cases} x \\end{cases}': { tree: ['piecewise', ['tuple', 'x', ['error']]],
+				     errors: ["Expected &"] },
+  '\\lim_{x} x': { tree: ['limit', 'x', 'x', ['error']],
+		   errors: ["Expected \\lim_{variable \\to target}"] },
+  '\\int x': { tree: ['integral', 'x', ['error']],
+	       errors: ["Expected differential at end of integral"] },
+  '\\sum k': { tree: ['sum', 'k', ['error']], errors: ["Expected index of sum"] },
+  '\\{ x | x > 0': { tree: ['set', ['|', 'x', ['>', 'x', 0]]], errors: ["Expected RBRACE"] },
+}
+
+Object.keys(partial_trees).forEach(function(string) {
+  test("tolerantly parses " + string, function() {
+    let result = tolerant_converter.convert(string);
+    expect(result.tree).toEqual(partial_trees[string].tree);
+    expect(result.diagnostics.map(e => e.message)).toEqual(partial_trees[string].errors);
+  });
+});
+
+test("tolerant parsing of valid inputs", function () {
+  Object.keys(trees).forEach(function(string) {
+    expect(tolerant_converter.convert(string)).toEqual(
+      { tree: trees[string], diagnostics: [] });
+  });
+});
+
+test("tolerant parsing of bad inputs", function () {
+  Object.keys(bad_inputs).forEach(function(string) {
+    let result = tolerant_converter.convert(string);
+    expect(result.diagnostics[0]).toBeInstanceOf(ParseError);
+    expect(result.diagnostics[0].message).toEqual(bad_inputs[string]);
+  });
+});
+
+
 test("function symbols", function () {
   let converter = new latexToAst({functionSymbols: []});
   expect(converter.convert('f(x)+h(y)')).toEqual(
@@ -327,6 +480,103 @@ test("parse Leibniz notation", function () {
 
 });
 
+test("parse units", function () {
+
+  let converter = new latexToAst();
+  expect(() => converter.convert('\\SI{5}{\\newton}')).toThrow(
+    "Unrecognized latex command \\SI");
+
+  converter = new latexToAst({parseUnits: true});
+  expect(converter.convert('5\\,\\mathrm{N}')).toEqual(['unit', 5, 'N']);
+  expect(converter.convert('9.8\\,\\mathrm{m}/\\mathrm{s}^{2}')).toEqual(
+    ['unit', 9.8, ['/', 'm', ['^', 's', 2]]]);
+  expect(converter.convert('-3\\text{J}/(\\text{kg}\\,\\text{K})')).toEqual(
+    ['unit', ['-', 3], ['/', 'J', ['*', 'kg', 'K']]]);
+  expect(converter.convert('2\\,\\mu\\mathrm{m} + 5\\,\\Omega')).toEqual(
+    ['+', ['unit', 2, 'um'], ['unit', 5, 'ohm']]);
+  expect(converter.convert('2\\,(\\mathrm{m}/\\mathrm{s})')).toEqual(
+    ['unit', 2, ['/', 'm', 's']]);
+  expect(() => converter.convert('5\\,\\mathrm{m}^x')).toThrow(
+    "Exponent of units must be a number");
+  expect(() => converter.convert('\\SI{5}{m^{n}}')).toThrow(
+    "Exponent of units must be a number");
+  expect(converter.convert('\\SI{5}{\\newton}')).toEqual(['unit', 5, 'N']);
+  expect(converter.convert('\\SI{9.8}{\\meter\\per\\second\\squared}')).toEqual(
+    ['unit', 9.8, ['/', 'm', ['^', 's', 2]]]);
+  expect(converter.convert('\\SI{3}{\\kilo\\gram\\meter\\per\\second}')).toEqual(
+    ['unit', 3, ['/', ['*', 'kg', 'm'], 's']]);
+  expect(converter.convert('\\SI{1}{\\per\\square\\meter}')).toEqual(
+    ['unit', 1, ['/', 1, ['^', 'm', 2]]]);
+  expect(converter.convert('\\SI{2}{\\meter\\tothe{4}}')).toEqual(
+    ['unit', 2, ['^', 'm', 4]]);
+  expect(converter.convert('\\SI{9.8}{m/s^2}')).toEqual(
+    ['unit', 9.8, ['/', 'm', ['^', 's', 2]]]);
+  expect(converter.convert('\\SI{2}{kg m s^{-2}}')).toEqual(
+    ['unit', 2, ['*', 'kg', 'm', ['^', 's', ['-', 2]]]]);
+  expect(() => converter.convert('\\SI{5}{\\foo}')).toThrow(
+    "Unrecognized latex command \\foo");
+
+  // cases are still read
+  expect(converter.convert('\\begin{cases} 1 & x > 0 \\\\ 0 & \\text{otherwise} \\end{cases}')).toEqual(
+    ['piecewise', ['tuple', 1, ['>', 'x', 0]], ['tuple', 0, true]]);
+
+});
+
+test("imaginary unit", function () {
+
+  let converter = new latexToAst();
+  expect(converter.convert('3+4i')).toEqual(['+', 3, ['*', 4, 'i']]);
+  expect(() => converter.convert('\\cis x')).toThrow(
+    "Unrecognized latex command \\cis");
+
+  converter = new latexToAst({imaginaryUnit: 'i'});
+  expect(converter.convert('3+4i')).toEqual(
+    ['+', 3, ['*', 4, 'imaginary_unit']]);
+  expect(converter.convert('i^2')).toEqual(['^', 'imaginary_unit', 2]);
+  expect(converter.convert('re^{i\\theta}')).toEqual(
+    ['*', 'r', ['^', 'e', ['*', 'imaginary_unit', 'theta']]]);
+  expect(converter.convert('r\\operatorname{cis}\\theta')).toEqual(
+    ['*', 'r', ['apply', 'cis', 'theta']]);
+  expect(converter.convert('\\operatorname{cis}(\\pi/2)')).toEqual(
+    ['apply', 'cis', ['/', 'pi', 2]]);
+  expect(converter.convert('i_1')).toEqual(['_', 'i', 1]);
+  expect(converter.convert('i_1^2')).toEqual(['^', ['_', 'i', 1], 2]);
+  expect(converter.convert('\\sum_{i=1}^{3} i^2')).toEqual(
+    ['sum', ['^', 'i', 2], 'i', 1, 3]);
+  expect(converter.convert('\\prod_{i=1}^{3} (i+1) + i')).toEqual(
+    ['+', ['prod', ['+', 'i', 1], 'i', 1, 3], 'imaginary_unit']);
+  expect(converter.convert('\\lim_{i\\to 0} \\frac{i}{2}')).toEqual(
+    ['limit', ['/', 'i', 2], 'i', 0]);
+  expect(converter.convert('\\int_0^1 i^2 \\, di')).toEqual(
+    ['integral', ['^', 'i', 2], 'i', 0, 1]);
+  expect(converter.convert('\\int i \\, dx')).toEqual(
+    ['integral', 'imaginary_unit', 'x']);
+  expect(converter.convert('\\sum_{n=1}^{3} i^n')).toEqual(
+    ['sum', ['^', 'imaginary_unit', 'n'], 'n', 1, 3]);
+
+  converter = new latexToAst({imaginaryUnit: 'j'});
+  expect(converter.convert('3-4j')).toEqual(
+    ['+', 3, ['-', ['*', 4, 'imaginary_unit']]]);
+  expect(converter.convert('i')).toEqual('i');
+
+});
+
+test("locale", function () {
+
+  let converter = new latexToAst({locale: 'en-US'});
+  expect(converter.convert('(3.14, 2)')).toEqual(['tuple', 3.14, 2]);
+
+  converter = new latexToAst({locale: 'pt-BR'});
+  expect(converter.convert('3{,}14')).toEqual(3.14);
+  expect(converter.convert('3,14')).toEqual(3.14);
+  expect(converter.convert('\\left(1{,}5; 2\\right)')).toEqual(['tuple', 1.5, 2]);
+  expect(converter.convert('f(x; 2{,}5)')).toEqual(['apply', 'f', ['tuple', 'x', 2.5]]);
+  expect(converter.convert('\\{1; 2{,}5\\}')).toEqual(['set', 1, 2.5]);
+  expect(converter.convert('\\frac{1{,}5}{2}')).toEqual(['/', 1.5, 2]);
+  expect(converter.convert('(x, y)')).toEqual(['tuple', 'x', 'y']);
+
+});
+
 test("conditional probability", function () {
   
   let converter = new latexToAst({functionSymbols: ["P"]});
@@ -50,6 +50,45 @@ var converter = new mathjsToAst();
     'f+g': ['+', 'f', 'g'],
     'f(x)': ['apply', 'f', 'x'],
     'f(x,y,z)': ['apply', 'f', ['tuple', 'x', 'y', 'z']],
+    'sum(1, x, 2, 3)': ['apply', 'sum', ['tuple', 1, 'x', 2, 3]],
+    'toString(x, y)': ['apply', 'toString', ['tuple', 'x', 'y']],
+    'prod(x_i, i)': ['apply', 'prod', ['tuple', 'x_i', 'i']],
+    'sum(x, y)': ['apply', 'sum', ['tuple', 'x', 'y']],
+    'sum(x)': ['apply', 'sum', 'x'],
+    'summation(k^2, k, 1, n)': ['sum', ['^', 'k', 2], 'k', 1, 'n'],
+    'product(x_i, i)': ['prod', 'x_i', 'i'],
+    '[1, x]': ['vector', 1, 'x'],
+    '+x': 'x',
+    'a mod b': ['apply', 'mod', ['tuple', 'a', 'b']],
+    'a xor b': ['apply', 'xor', ['tuple', 'a', 'b']],
+    "A'": ['apply', 'transpose', 'A'],
+    'a[1]': ['_', 'a', 1],
+    'A[i, j]': ['_', 'A', ['tuple', 'i', 'j']],
+    'p.x': ['_', 'p', 'x'],
+    'x = 2': ['=', 'x', 2],
+    'a[1] = 3': ['=', ['_', 'a', 1], 3],
+    'f(x) = x^2': ['=', ['apply', 'f', 'x'], ['^', 'x', 2]],
+    'g(x, y) = x y': ['=', ['apply', 'g', ['tuple', 'x', 'y']], ['*', 'x', 'y']],
+    'a ? b : c': ['piecewise', ['tuple', 'b', 'a'], ['tuple', 'c', true]],
+    'x < 0 ? -x : x > 1 ? 1 : NaN': ['piecewise', ['tuple', ['-', 'x'], ['<', 'x', 0]], ['tuple', 1, ['>', 'x', 1]]],
+    '1:n': ['apply', 'range', ['tuple', 1, 'n']],
+    '1:2:n': ['apply', 'range', ['tuple', 1, 'n', 2]],
+    'a < b < c': ['lts', ['tuple', 'a', 'b', 'c'], ['tuple', true, true]],
+    'a <= b < c': ['lts', ['tuple', 'a', 'b', 'c'], ['tuple', false, true]],
+    'a > b >= c > d': ['gts', ['tuple', 'a', 'b', 'c', 'd'], ['tuple', true, false, true]],
+    'a < b > c': ['>', ['<', 'a', 'b'], 'c'],
+    '(a < b) < c': ['<', ['<', 'a', 'b'], 'c'],
+    '{a: 1, b: x}': ['list', ['=', 'a', 1], ['=', 'b', 'x']],
+    'a = 1; b = 2': ['list', ['=', 'a', 1], ['=', 'b', 2]],
+    'derivative(x, t)': ['derivative_leibniz', 'x', ['tuple', 't']],
+    'derivative(derivative(x, t), t)': ['derivative_leibniz', ['tuple', 'x', 2], ['tuple', ['tuple', 't', 2]]],
+    'derivative(derivative(derivative(x, t), s), s)': ['partial_derivative_leibniz', ['tuple', 'x', 3], ['tuple', ['tuple', 's', 2], 't']],
+    'derivative(f(x), x)': ['apply', ['prime', 'f'], 'x'],
+    'derivative(derivative(sin(x), x), x)': ['apply', ['prime', ['prime', 'sin']], 'x'],
+    'derivative(x^2, x)': ['apply', 'derivative', ['tuple', ['^', 'x', 2], 'x']],
+    'nthRoot(x, 3)': ['apply', 'nthroot', ['tuple', 'x', 3]],
+    'nthRoot(x)': ['apply', 'sqrt', 'x'],
+    'log(x, 2)': ['apply', 'log', ['tuple', 'x', 2]],
     // 'fg(x)': ['*', 'f', ['apply', 'g', 'x']],
     // 'fp(x)': ['*', 'f', 'p', 'x'],
     // 'fx': ['*', 'f', 'x'],
@@ -177,6 +216,35 @@ var converter = new mathjsToAst();
 
 
 
+  test("throws on unsupported operators", () => {
+    expect(() => converter.convert(math.parse('a & b'))).toThrow("Unsupported operator: &, bitAnd");
+  });
+
+  test("parses chained comparisons of later versions of math.js", () => {
+    var relational = {
+      type: 'RelationalNode',
+      conditionals: ['smaller', 'smallerEq'],
+      params: [new math.expression.node.SymbolNode('a'),
+        new math.expression.node.SymbolNode('b'),
+        new math.expression.node.SymbolNode('c')],
+    };
+    expect(converter.convert(relational)).toEqual(
+      ['lts', ['tuple', 'a', 'b', 'c'], ['tuple', true, false]]);
+    relational.conditionals = ['smaller', 'larger'];
+    expect(converter.convert(relational)).toEqual(
+      ['and', ['<', 'a', 'b'], ['>', 'b', 'c']]);
+  });
+
+  test("parses complex constants", () => {
+    var node = math.expression.node;
+    expect(converter.convert(new node.ConstantNode(math.i))).toEqual('imaginary_unit');
+    expect(converter.convert(new node.ConstantNode(math.complex(3, 4)))).toEqual(
+      ['+', 3, ['*', 4, 'imaginary_unit']]);
+    expect(converter.convert(new node.ConstantNode(math.complex(0, -2)))).toEqual(
+      ['*', -2, 'imaginary_unit']);
+  });
+
+
 // for (let objectToTest of objectsToTest) {
 //   test("parses " + objectToTest.mathjs + ' to ' + objectToTest.ast, () => {
 //     expect(converter.convert(JSON.parse(objectToTest.mathjs,math.json.reviver))).toEqual(objectToTest.ast);
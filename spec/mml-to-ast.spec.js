@@ -0,0 +1,248 @@
+import mmlToAst from '../src/mml-to-ast';
+import { ParseError } from '../src/error';
+
+var converter = new mmlToAst();
+
+const objectsToTest = [
+  {
+    'mml': '<math><mrow><msup><mi>x</mi><mn>2</mn></msup><mo>+</mo><mn>4</mn><mo>&InvisibleTimes;</mo><mi>x</mi><mo>+</mo><mn>4</mn></mrow><mo>=</mo><mn>0</mn></math>',
+    'ast': ['=', ['+', ['^', 'x', 2], ['*', 4, 'x'], 4], 0],
+  },
+  {
+    'mml': '<mrow><mrow><msup><mi>x</mi><mn>2</mn></msup><mo>+</mo><mrow><mn>4</mn><mo>&invisibletimes;</mo><mi>x</mi></mrow><mo>+</mo><mn>4</mn></mrow><mo>=</mo><mn>0</mn></mrow>',
+    'ast': ['=', ['+', ['^', 'x', 2], ['*', 4, 'x'], 4], 0],
+  },
+  {
+    'mml': '<math><mn>2</mn><mi>x</mi><mo>−</mo><mn>3</mn></math>',
+    'ast': ['+', ['*', 2, 'x'], ['-', 3]],
+  },
+  {
+    'mml': '<math><mo>-</mo><mn>2</mn><mi>x</mi></math>',
+    'ast': ['*', ['-', 2], 'x'],
+  },
+  {
+    'mml': '<math><mfrac><mrow><mi>x</mi><mo>+</mo><mn>1</mn></mrow><mi>y</mi></mfrac></math>',
+    'ast': ['/', ['+', 'x', 1], 'y'],
+  },
+  {
+    'mml': '<math><msub><mi>x</mi><mn>1</mn></msub></math>',
+    'ast': ['_', 'x', 1],
+  },
+  {
+    'mml': '<math><msubsup><mi>x</mi><mn>1</mn><mn>2</mn></msubsup></math>',
+    'ast': ['^', ['_', 'x', 1], 2],
+  },
+  {
+    'mml': '<math><mroot><mi>x</mi><mn>3</mn></mroot></math>',
+    'ast': ['apply', 'nthroot', ['tuple', 'x', 3]],
+  },
+  {
+    'mml': '<math><msub><mi>log</mi><mn>2</mn></msub><mo>&#x2061;</mo><mi>x</mi></math>',
+    'ast': ['apply', 'log', ['tuple', 'x', 2]],
+  },
+  {
+    'mml': '<math><msqrt><mi>x</mi><mo>+</mo><mn>1</mn></msqrt></math>',
+    'ast': ['apply', 'sqrt', ['+', 'x', 1]],
+  },
+  {
+    'mml': '<math><mi>sin</mi><mo>&#x2061;</mo><mrow><mo>(</mo><mi>x</mi><mo>)</mo></mrow></math>',
+    'ast': ['apply', 'sin', 'x'],
+  },
+  {
+    'mml': '<math><mi>sin</mi><mi>x</mi></math>',
+    'ast': ['apply', 'sin', 'x'],
+  },
+  {
+    'mml': '<math><msup><mi>sin</mi><mn>2</mn></msup><mi>x</mi></math>',
+    'ast': ['apply', ['^', 'sin', 2], 'x'],
+  },
+  {
+    'mml': '<math><msub><mi>log</mi><mn>2</mn></msub><mi>x</mi></math>',
+    'ast': ['apply', 'log', ['tuple', 'x', 2]],
+  },
+  {
+    'mml': '<math><mi>f</mi><mo stretchy="false">(</mo><mi>x</mi><mo>,</mo><mi>y</mi><mo stretchy="false">)</mo></math>',
+    'ast': ['apply', 'f', ['tuple', 'x', 'y']],
+  },
+  {
+    'mml': '<math><msup><mi>f</mi><mo>′</mo></msup><mo>(</mo><mi>x</mi><mo>)</mo></math>',
+    'ast': ['apply', ['prime', 'f'], 'x'],
+  },
+  {
+    'mml': '<math><mover><mi>x</mi><mo>^</mo></mover></math>',
+    'ast': 'x_hat',
+  },
+  {
+    'mml': '<math><mover><mi>v</mi><mo>→</mo></mover><mo>+</mo><mover><mi>y</mi><mo accent="true">¯</mo></mover></math>',
+    'ast': ['+', 'v_vec', 'y_bar'],
+  },
+  {
+    'mml': '<math><mn>2</mn><mover><mi>x</mi><mo>˙</mo></mover></math>',
+    'ast': ['*', 2, 'x_dot'],
+  },
+  {
+    'mml': '<math><mfenced><mi>a</mi><mi>b</mi></mfenced></math>',
+    'ast': ['tuple', 'a', 'b'],
+  },
+  {
+    'mml': '<math><mfenced open="[" close=")"><mn>0</mn><mn>1</mn></mfenced></math>',
+    'ast': ['interval', ['tuple', 0, 1], ['tuple', true, false]],
+  },
+  {
+    'mml': '<math><mo>{</mo><mn>1</mn><mo>,</mo><mn>2</mn><mo>}</mo></math>',
+    'ast': ['set', 1, 2],
+  },
+  {
+    'mml': '<math><mo>|</mo><mi>x</mi><mo>|</mo><mo>+</mo><mo>|</mo><mi>y</mi><mo>|</mo></math>',
+    'ast': ['+', ['apply', 'abs', 'x'], ['apply', 'abs', 'y']],
+  },
+  {
+    'mml': '<math><mrow><mo>[</mo><mtable><mtr><mtd><mi>a</mi></mtd><mtd><mi>b</mi></mtd></mtr><mtr><mtd><mi>c</mi></mtd><mtd><mi>d</mi></mtd></mtr></mtable><mo>]</mo></mrow></math>',
+    'ast': ['matrix', ['tuple', 2, 2], ['tuple', ['tuple', 'a', 'b'], ['tuple', 'c', 'd']]],
+  },
+  {
+    'mml': '<math><mi>f</mi><mo>(</mo><mi>x</mi><mo>)</mo><mo>=</mo><mrow><mo>{</mo><mtable><mtr><mtd><mi>x</mi><mo>,</mo></mtd><mtd><mi>x</mi><mo>&gt;</mo><mn>0</mn></mtd></mtr><mtr><mtd><mn>0</mn><mo>,</mo></mtd><mtd><mtext>otherwise</mtext></mtd></mtr></mtable></mrow></math>',
+    'ast': ['=', ['apply', 'f', 'x'], ['piecewise', ['tuple', 'x', ['>', 'x', 0]], ['tuple', 0, true]]],
+  },
+  {
+    'mml': '<math><mfenced open="{" close=""><mtable><mtr><mtd><mi>x</mi></mtd><mtd><mtext>if </mtext><mi>x</mi><mo>≥</mo><mn>0</mn></mtd></mtr><mtr><mtd><mo>-</mo><mi>x</mi></mtd><mtd><mtext>else</mtext></mtd></mtr></mtable></mfenced></math>',
+    'ast': ['piecewise', ['tuple', 'x', ['ge', 'x', 0]], ['tuple', ['-', 'x'], true]],
+  },
+  {
+    'mml': '<math><munderover><mo>∑</mo><mrow><mi>n</mi><mo>=</mo><mn>1</mn></mrow><mi>∞</mi></munderover><mfrac><mn>1</mn><msup><mi>n</mi><mn>2</mn></msup></mfrac></math>',
+    'ast': ['sum', ['/', 1, ['^', 'n', 2]], 'n', 1, 'infinity'],
+  },
+  {
+    'mml': '<math><msubsup><mo>∫</mo><mn>0</mn><mn>1</mn></msubsup><msup><mi>x</mi><mn>2</mn></msup><mo>+</mo><mn>1</mn><mi>d</mi><mi>x</mi></math>',
+    'ast': ['integral', ['+', ['^', 'x', 2], 1], 'x', 0, 1],
+  },
+  {
+    'mml': '<math><mo>∫</mo><mrow><mi>f</mi><mo>(</mo><mi>x</mi><mo>)</mo><mi>d</mi><mi>x</mi></mrow></math>',
+    'ast': ['integral', ['apply', 'f', 'x'], 'x'],
+  },
+  {
+    'mml': '<math><mo>∫</mo><mi>x</mi><mo>&DifferentialD;</mo><mi>x</mi></math>',
+    'ast': ['integral', 'x', 'x'],
+  },
+  {
+    'mml': '<math><munder><mo movablelimits="true">lim</mo><mrow><mi>x</mi><mo>→</mo><msup><mn>0</mn><mo>+</mo></msup></mrow></munder><mfrac><mn>1</mn><mi>x</mi></mfrac></math>',
+    'ast': ['limit', ['/', 1, 'x'], 'x', 0, '+'],
+  },
+  {
+    'mml': '<math><munder><mi>lim</mi><mrow><mi>x</mi><mo>&rarr;</mo><mi>&infin;</mi></mrow></munder><mfrac><mn>1</mn><mi>x</mi></mfrac></math>',
+    'ast': ['limit', ['/', 1, 'x'], 'x', 'infinity'],
+  },
+  {
+    'mml': '<math><mn>1</mn><mo>&lt;</mo><mi>x</mi><mo>≤</mo><mn>2</mn></math>',
+    'ast': ['lts', ['tuple', 1, 'x', 2], ['tuple', true, false]],
+  },
+  {
+    'mml': '<math><mi>x</mi><mo>∈</mo><mi>A</mi><mo>∪</mo><mi>B</mi></math>',
+    'ast': ['in', 'x', ['union', 'A', 'B']],
+  },
+  {
+    'mml': '<math><mi>n</mi><mo>!</mo></math>',
+    'ast': ['apply', 'factorial', 'n'],
+  },
+  {
+    'mml': '<math><mstyle displaystyle="true"><mi>π</mi><msup><mi>r</mi><mn>2</mn></msup></mstyle></math>',
+    'ast': ['*', 'pi', ['^', 'r', 2]],
+  },
+  {
+    'mml': '<math><semantics><mrow><mi>α</mi><mo>+</mo><mi>&beta;</mi></mrow><annotation encoding="application/x-tex">\\alpha+\\beta</annotation></semantics></math>',
+    'ast': ['+', 'alpha', 'beta'],
+  },
+  {
+    'mml': '<math><mi>x</mi><mspace width="1em"/><mo>×</mo><mi>y</mi></math>',
+    'ast': ['*', 'x', 'y'],
+  },
+  {
+    'mml': '<math><mi>x</mi><mo>/</mo><mi>y</mi></math>',
+    'ast': ['/', 'x', 'y'],
+  },
+  {
+    'mml': '<math><mi>x</mi><mo>,</mo><mi>y</mi></math>',
+    'ast': ['list', 'x', 'y'],
+  },
+  {
+    'mml': '<math><mo>(</mo><mi>x</mi><mo>+</mo><mn>1</mn><mo>)</mo><mo>(</mo><mi>x</mi><mo>−</mo><mn>1</mn><mo>)</mo></math>',
+    'ast': ['*', ['+', 'x', 1], ['+', 'x', ['-', 1]]],
+  },
+  {
+    'mml': '<math><mi>x</mi><mo>&le;</mo><mi>y</mi><mo>&and;</mo><mi>z</mi><mo>&isin;</mo><mi>A</mi><mo>&cap;</mo><mi>B</mi></math>',
+    'ast': ['and', ['le', 'x', 'y'], ['in', 'z', ['intersect', 'A', 'B']]],
+  },
+  {
+    'mml': '<math><mi>f</mi><mo>&af;</mo><mi>x</mi><mo>&InvisibleTimes;</mo><mi>&phi;</mi></math>',
+    'ast': ['*', ['apply', 'f', 'x'], 'phi'],
+  },
+  {
+    'mml': '<math><mn>3</mn><mo>+</mo><mn>4</mn><mo>&InvisibleTimes;</mo><mi>&ImaginaryI;</mi></math>',
+    'ast': ['+', 3, ['*', 4, 'imaginary_unit']],
+  },
+  {
+    'mml': '<math><mi>x</mi><mo>±</mo><mn>1</mn></math>',
+    'ast': ['+', 'x', ['pm', 1]],
+  },
+  {
+    'mml': '<math><mo>&PlusMinus;</mo><mn>2</mn></math>',
+    'ast': ['pm', 2],
+  },
+  {
+    'mml': '<math><mi>a</mi><mo>&#x2213;</mo><mi>b</mi></math>',
+    'ast': ['+', 'a', ['mp', 'b']],
+  },
+  {
+    'mml': '<math><mfrac><mrow><mo>∂</mo><mi>f</mi></mrow><mrow><mo>∂</mo><mi>x</mi></mrow></mfrac></math>',
+    'ast': ['/', ['*', 'partial', 'f'], ['*', 'partial', 'x']],
+  },
+  {
+    'mml': '<math><mo>&nabla;</mo><mo>&sdot;</mo><mi>F</mi></math>',
+    'ast': ['*', 'nabla', 'F'],
+  },
+]
+
+
+for (let objectToTest of objectsToTest) {
+  test("parses " + objectToTest.mml + ' to ' + objectToTest.ast, () => {
+    expect(converter.convert(objectToTest.mml)).toEqual(objectToTest.ast);
+  });
+
+}
+
+
+const bad_inputs = {
+  '<math><mi>x</mi><mo>)</mo></math>': { message: "Invalid location of ')'", code: 'invalid_location' },
+  '<math><mo>(</mo><mi>x</mi></math>': { message: "Expected ) after (", code: 'expected_token' },
+  '<math><mi>x</mi><mo>+</mo></math>': { message: "Unexpected end of input", code: 'unexpected_end' },
+  '<math><mtext>hello</mtext></math>': { message: "Invalid location of text 'hello'", code: 'invalid_location' },
+  '<math><mi>&foo;</mi></math>': { message: "Unrecognized entity: &foo;", code: 'invalid_symbol' },
+  '<math><mglyph/></math>': { message: "Unsupported element: mglyph", code: 'invalid_symbol' },
+  '<math><mover><mrow><mi>x</mi><mo>+</mo><mi>y</mi></mrow><mo>¯</mo></mover></math>': { message: "Unsupported overscript", code: 'invalid_location' },
+}
+
+
+for (let input in bad_inputs) {
+  test("throws " + input, function () {
+    let error;
+    try {
+      converter.convert(input);
+    }
+    catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(ParseError);
+    expect(error).toMatchObject(bad_inputs[input]);
+  });
+}
+
+
+test("function symbols", function () {
+
+  let mml = '<math><mi>h</mi><mo>(</mo><mi>x</mi><mo>)</mo></math>';
+  expect(converter.convert(mml)).toEqual(['*', 'h', 'x']);
+
+  let converter_h = new mmlToAst({ functionSymbols: ['h'] });
+  expect(converter_h.convert(mml)).toEqual(['apply', 'h', 'x']);
+
+});
@@ -5,9 +5,45 @@ const converter = new mmlToLatex();
 const objectsToTest = [
   {
     'mml': '<mrow><mrow><msup><mi>x</mi><mn>2</mn></msup><mo>+</mo><mrow><mn>4</mn><mo>&invisibletimes;</mo><mi>x</mi></mrow><mo>+</mo><mn>4</mn></mrow><mo>=</mo><mn>0</mn></mrow>',
-    'latex': '((x^{2} + (4 &invisibletimes; x) + 4) = 0)'
+    'latex': '((x^{2} + (4 x) + 4) = 0)'
 
   },
+  {
+    'mml': '<mrow><mi>sin</mi><mo>&ApplyFunction;</mo><mi>x</mi></mrow>',
+    'latex': '(\\sin x)'
+  },
+  {
+    'mml': '<mrow><mi>x</mi><mo>&le;</mo><mi>y</mi><mo>&ge;</mo><mi>z</mi><mo>&#x2260;</mo><mn>0</mn></mrow>',
+    'latex': '(x \\le y \\ge z \\ne 0)'
+  },
+  {
+    'mml': '<mrow><mi>x</mi><mo>&isin;</mo><mi>A</mi><mo>&cup;</mo><mi>B</mi><mo>&cap;</mo><mi>C</mi></mrow>',
+    'latex': '(x \\in A \\cup B \\cap C)'
+  },
+  {
+    'mml': '<mrow><mo>&part;</mo><mi>f</mi><mo>&plusmn;</mo><mo>&nabla;</mo><mi>g</mi></mrow>',
+    'latex': '(\\partial f \\pm \\nabla g)'
+  },
+  {
+    'mml': '<mrow><mo>&sum;</mo><mo>&int;</mo><mi>x</mi><mo>&rarr;</mo><mi>&infin;</mi></mrow>',
+    'latex': '(\\sum \\int x \\to \\infty)'
+  },
+  {
+    'mml': '<mrow><mi>&sigma;</mi><mi>&sigmaf;</mi><mi>&#x3C3;</mi><mi>&#963;</mi><mi>σ</mi></mrow>',
+    'latex': '(\\sigma \\varsigma \\sigma \\sigma \\sigma)'
+  },
+  {
+    'mml': '<mroot><mi>x</mi><mn>3</mn></mroot>',
+    'latex': '\\sqrt[3]{x}'
+  },
+  {
+    'mml': '<mroot><mrow><mi>x</mi><mo>+</mo><mn>1</mn></mrow><mn>3</mn></mroot>',
+    'latex': '\\sqrt[3]{x + 1}'
+  },
+  {
+    'mml': '<mrow><msub><mi>log</mi><mn>2</mn></msub><mo>&ApplyFunction;</mo><mi>x</mi></mrow>',
+    'latex': '(\\log_{2} x)'
+  },
 ]
 
 
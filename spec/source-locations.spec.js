@@ -0,0 +1,104 @@
+import textToAst from '../src/text-to-ast';
+import latexToAst from '../src/latex-to-ast';
+
+var textConverter = new textToAst({ trackLocations: true });
+var latexConverter = new latexToAst({ trackLocations: true });
+
+// the input covered by each subtree, indexed by its path in the tree
+function covered(input, locations) {
+  let result = {};
+  for (let path of Object.keys(locations))
+    result[path] = input.slice(locations[path].start, locations[path].end);
+  return result;
+}
+
+var text_inputs = {
+  'x + 2y - 3': {
+    '': 'x + 2y - 3',
+    '1': 'x',
+    '2': '2y',
+    '2,1': '2',
+    '2,2': 'y',
+    '3': '3',
+    '3,1': '3',
+  },
+  '(x+1)^2 = sin(x)': {
+    '': '(x+1)^2 = sin(x)',
+    '1': '(x+1)^2',
+    '1,1': 'x+1',
+    '1,1,1': 'x',
+    '1,1,2': '1',
+    '1,2': '2',
+    '2': 'sin(x)',
+    '2,2': 'x',
+  },
+  'x + x + (x)': {
+    '': 'x + x + (x)',
+    '1': 'x',
+    '2': 'x',
+    '3': 'x',
+  },
+  '  3xy ': {
+    '': '3xy',
+    '1': '3',
+    '2': 'x',
+    '3': 'y',
+  },
+  'sum(k^2, k, 1, n)': {
+    '': 'sum(k^2, k, 1, n)',
+    '1': 'k^2',
+    '1,1': 'k',
+    '1,2': '2',
+    '2': 'k',
+    '3': '1',
+    '4': 'n',
+  },
+};
+
+var latex_inputs = {
+  '\\frac{x}{2} + y_1': {
+    '': '\\frac{x}{2} + y_1',
+    '1': '\\frac{x}{2}',
+    '1,1': 'x',
+    '1,2': '2',
+    '2': 'y_1',
+    '2,2': '1',
+  },
+  '\\begin{bmatrix} 1 & x \\\\ y & 2 \\end{bmatrix}': {
+    '': '\\begin{bmatrix} 1 & x \\\\ y & 2 \\end{bmatrix}',
+    '2': '1 & x \\\\ y & 2',
+    '2,1': '1 & x',
+    '2,1,1': '1',
+    '2,1,2': 'x',
+    '2,2': 'y & 2',
+    '2,2,1': 'y',
+    '2,2,2': '2',
+  },
+  '\\int_0^1 x\\,dx': {
+    '': '\\int_0^1 x\\,dx',
+    '1': 'x',
+    '2': 'dx',
+    '3': '0',
+    '4': '1',
+  },
+};
+
+Object.keys(text_inputs).forEach(function(string) {
+  test("locates subtrees of " + string, () => {
+    let { tree, locations } = textConverter.convert(string);
+    expect(tree).toEqual(new textToAst().convert(string));
+    expect(covered(string, locations)).toEqual(text_inputs[string]);
+  });
+});
+
+Object.keys(latex_inputs).forEach(function(string) {
+  test("locates subtrees of " + string, () => {
+    let { tree, locations } = latexConverter.convert(string);
+    expect(tree).toEqual(new latexToAst().convert(string));
+    expect(covered(string, locations)).toEqual(latex_inputs[string]);
+  });
+});
+
+test("locations are not tracked by default", () => {
+  expect(new textToAst().convert('x+1')).toEqual(['+', 'x', 1]);
+});
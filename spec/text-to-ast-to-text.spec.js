@@ -194,6 +194,19 @@ var inputs = [
   'A > B | C and D',
   'A or B : C < D',
   ['{ x_t | t elementof Z }', '{ x_t | t ∈ Z }'],
+  'sum(k^2, k, 1, n)',
+  ['∏(1 + 1/k, k, 1, oo)', 'prod(1 + 1/k, k, 1, ∞)'],
+  'sum(a_k x^k, k) + 1',
+  'int(x^2, x, 0, 1)',
+  ['∫(e^(-t^2), t, 0, x)', 'int(e^(-t^2), t, 0, x)'],
+  'iint(x y, ( x, y ), D)',
+  'iiint(x^2 + y^2, ( x, y, z ))',
+  'oint(x, y, C)',
+  'lim(x->0+, f(x))',
+  'piecewise((x, x > 0), (-x, otherwise))',
+  ['f(x)=piecewise((x^2,x<0),(0,x=0))', 'f(x) = piecewise((x^2, x < 0), (0, x = 0))'],
+  ['lim(x → a^-, 1/(x-a))', 'lim(x->a-, 1/(x - a))'],
+  ['lim(x->oo, (1+1/x)^x)', 'lim(x->∞, (1 + 1/x)^x)'],
 ];
 
 
@@ -190,6 +190,67 @@ var trees = {
   '{ x | x > 0 }': ['set', ['|', 'x', ['>', 'x', 0]]],
   'r=1:x': [':', ['=', 'r', 1], 'x'],
   '{ x : x > 0 }': ['set', [':', 'x', ['>', 'x', 0]]],
+  'sum(k^2, k, 1, n)': ['sum', ['^', 'k', 2], 'k', 1, 'n'],
+  'sum(a_k, k)': ['sum', ['_', 'a', 'k'], 'k'],
+  'prod(1+1/k, k, 1, oo)': ['prod', ['+', 1, ['/', 1, 'k']], 'k', 1, 'infinity'],
+  '∑(k^2, k, 1, n)': ['sum', ['^', 'k', 2], 'k', 1, 'n'],
+  '∏(x_i, i, 0, n)': ['prod', ['_', 'x', 'i'], 'i', 0, 'n'],
+  '2sum(1/n^2, n, 1, oo)': ['*', 2, ['sum', ['/', 1, ['^', 'n', 2]], 'n', 1, 'infinity']],
+  'summary': ['*', 's', 'u', 'm', 'm', 'a', 'r', 'y'],
+  'int(x^2, x, 0, 1)': ['integral', ['^', 'x', 2], 'x', 0, 1],
+  'int(sin(θ), θ)': ['integral', ['apply', 'sin', 'theta'], 'theta'],
+  'int(x^2, x, , )': ['integral', ['^', 'x', 2], 'x'],
+  'oint(z, z, C, )': ['contour_integral', 'z', 'z', 'C'],
+  'prod(k, k, , )': ['prod', 'k', 'k'],
+  'x int': ['*', 'x', 'i', 'n', 't'],
+  'sum': ['*', 's', 'u', 'm'],
+  'lim + oint': ['+', ['*', 'l', 'i', 'm'], ['*', 'o', 'i', 'n', 't']],
+  'sum (k, k, 1, 3)': ['sum', 'k', 'k', 1, 3],
+  '∫(f(t), t, a, x)': ['integral', ['apply', 'f', 't'], 't', 'a', 'x'],
+  'iint(x y, (x, y))': ['double_integral', ['*', 'x', 'y'], ['tuple', 'x', 'y']],
+  'iiint(1, (x, y, z), E)': ['triple_integral', 1, ['tuple', 'x', 'y', 'z'], 'E'],
+  'oint(x, y, C)': ['contour_integral', 'x', 'y', 'C'],
+  '∮(x, y, C)': ['contour_integral', 'x', 'y', 'C'],
+  'interval': ['*', 'i', 'n', 't', 'e', 'r', 'v', 'a', 'l'],
+  'lim(x->0+, f(x))': ['limit', ['apply', 'f', 'x'], 'x', 0, '+'],
+  'lim(x->0, sin(x)/x)': ['limit', ['/', ['apply', 'sin', 'x'], 'x'], 'x', 0],
+  'lim(x → a^-, 1/(x-a))': ['limit', ['/', 1, ['+', 'x', ['-', 'a']]], 'x', 'a', '-'],
+  'lim(x->oo, (1+1/x)^x)': ['limit', ['^', ['+', 1, ['/', 1, 'x']], 'x'], 'x', 'infinity'],
+  'lim(t->-1-, t) + 1': ['+', ['limit', 't', 't', ['-', 1], '-'], 1],
+  'lim(x->a+b, x)': ['limit', 'x', 'x', ['+', 'a', 'b']],
+  'lim(x->2^+, x)': ['limit', 'x', 'x', 2, '+'],
+  'piecewise((x, x>0), (-x, otherwise))': ['piecewise', ['tuple', 'x', ['>', 'x', 0]], ['tuple', ['-', 'x'], true]],
+  'f(x) = piecewise((x^2, x<0), (sqrt(x), x>=0))': ['=', ['apply', 'f', 'x'], ['piecewise', ['tuple', ['^', 'x', 2], ['<', 'x', 0]], ['tuple', ['apply', 'sqrt', 'x'], ['ge', 'x', 0]]]],
+  '2piecewise((1, |x|<1))': ['*', 2, ['piecewise', ['tuple', 1, ['<', ['apply', 'abs', 'x'], 1]]]],
+  'x²+y²=r²': ['=', ['+', ['^', 'x', 2], ['^', 'y', 2]], ['^', 'r', 2]],
+  '2x³y': ['*', 2, ['^', 'x', 3], 'y'],
+  'x⁻¹': ['^', 'x', ['-', 1]],
+  'eⁿ': ['^', 'e', 'n'],
+  '(x+1)¹⁰': ['^', ['+', 'x', 1], 10],
+  'sin²x': ['apply', ['^', 'sin', 2], 'x'],
+  'x₁+x₂₃': ['+', ['_', 'x', 1], ['_', 'x', 23]],
+  'x₁²': ['^', ['_', 'x', 1], 2],
+  'f₁(x)': ['apply', ['_', 'f', 1], 'x'],
+  '½x': ['*', ['/', 1, 2], 'x'],
+  '2¾': ['+', 2, ['/', 3, 4]],
+  '√x': ['apply', 'sqrt', 'x'],
+  '√(x+1)': ['apply', 'sqrt', ['+', 'x', 1]],
+  '3√2': ['*', 3, ['apply', 'sqrt', 2]],
+  '∛x': ['apply', 'nthroot', ['tuple', 'x', 3]],
+  '∜(x y)': ['apply', 'nthroot', ['tuple', ['*', 'x', 'y'], 4]],
+  'nthroot(x, 5)': ['apply', 'nthroot', ['tuple', 'x', 5]],
+  'nthroot(x+1)': ['apply', 'sqrt', ['+', 'x', 1]],
+  'nthroot^2(x, 3)': ['^', ['apply', 'nthroot', ['tuple', 'x', 3]], 2],
+  'log_2(x)': ['apply', 'log', ['tuple', 'x', 2]],
+  'log_2^2(x)': ['^', ['apply', 'log', ['tuple', 'x', 2]], 2],
+  'log_b^n(x+1)': ['^', ['apply', 'log', ['tuple', ['+', 'x', 1], 'b']], 'n'],
+  'log_b x': ['apply', 'log', ['tuple', 'x', 'b']],
+  'log₁₀(x)': ['apply', 'log', ['tuple', 'x', 10]],
+  '∑(n², n, 1, 10)': ['sum', ['^', 'n', 2], 'n', 1, 10],
+  'x ± y': ['+', 'x', ['pm', 'y']],
+  'a +/- b -/+ c': ['+', 'a', ['pm', 'b'], ['mp', 'c']],
+  '±2': ['pm', 2],
+  '∓(x+1)': ['mp', ['+', 'x', 1]],
 };
 
 Object.keys(trees).forEach(function(string) {
@@ -220,6 +281,25 @@ var bad_inputs = {
   'sin': "Unexpected end of input",
   'sin+cos': "Invalid location of '+'",
   '\\cos(x)': "Invalid symbol '\\'",
+  '∑ k': "Expected ( after sum",
+  'sum(k, 1)': "Expected sum(expression, index, lower, upper)",
+  'int(x)': "Expected int(expression, variables, lower, upper)",
+  'sum(k, k, , 3)': "Expected sum(expression, index, lower, upper)",
+  'nthroot(x, 3, 2)': "Expected nthroot(radicand, index)",
+  'iint(x y, (x, y, z))': "Expected iint(expression, variables, lower, upper)",
+  '∮ x': "Expected ( after oint",
+  'prod(k, k, 1)': "Expected prod(expression, index, lower, upper)",
+  'lim(x, 1)': "Expected lim(variable->target, expression)",
+  'lim(x->0)': "Expected lim(variable->target, expression)",
+  'lim(x->0, x': "Expected )",
+  'x->y': "Invalid location of '->'",
+  'piecewise(x, x>0)': "Expected piecewise((value, condition), ...)",
+  'piecewise((x, x>0)': "Expected )",
+  'otherwise': "Invalid location of 'otherwise'",
+  '²': "Invalid location of superscript",
+  '₁x': "Invalid location of subscript",
+  '√': "Unexpected end of input",
+  'log_2(x,y)': "Expected a single argument of log with a base",
 }
 
 Object.keys(bad_inputs).forEach(function(string) {
@@ -230,6 +310,92 @@ Object.keys(bad_inputs).forEach(function(string) {
 
 
 
+// details of the errors thrown by bad inputs
+var bad_input_details = {
+  'x@2': { code: 'invalid_symbol', token_type: 'INVALID', token_text: '@',
+           line: 1, column: 2, location: 1 },
+  '1++1': { code: 'invalid_location', token_type: '+', token_text: '+',
+            line: 1, column: 3 },
+  'x)': { code: 'invalid_location', token_type: ')', expected: ['EOF'] },
+  'x-y-': { code: 'unexpected_end', token_type: 'EOF', token_text: '',
+            line: 1, column: 5 },
+  '(1+1': { code: 'expected_token', token_type: 'EOF', expected: [')', ','] },
+  '(1,2,3]': { code: 'expected_token', token_type: ']', expected: [')', ','] },
+  '(x,y}': { code: 'expected_token', token_type: '}', expected: [')', ']'] },
+  'sum(k, 1)': { code: 'invalid_arguments' },
+  'int(x, 1)': { code: 'invalid_arguments' },
+  'lim(2->0, x)': { code: 'invalid_arguments' },
+  'log_2(x,y)': { code: 'invalid_arguments' },
+  'lim(x, 1)': { code: 'expected_token', token_type: ',', expected: ['TO'] },
+  'abxy+': { code: 'unexpected_end', column: 6 },
+  'ab @': { code: 'invalid_symbol', column: 4 },
+  'x +\n(y': { code: 'expected_token', token_type: 'EOF', line: 2, column: 3 },
+  'x +\n  y)': { code: 'invalid_location', token_text: ')', line: 2, column: 4 },
+}
+
+Object.keys(bad_input_details).forEach(function(string) {
+  test("error details of " + string, function() {
+    let error;
+    try {
+      converter.convert(string);
+    }
+    catch (e) {
+      error = e;
+    }
+    expect(error).toBeInstanceOf(ParseError);
+    expect(error).toMatchObject(bad_input_details[string]);
+  });
+});
+
+
+
+// partial trees and error messages from tolerant parsing
+var tolerant_converter = new textToAst({ tolerant: true });
+
+var partial_trees = {
+  'x + ': { tree: ['+', 'x', ['error']], errors: ["Unexpected end of input"] },
+  '(1+2': { tree: ['+', 1, 2], errors: ["Expected )"] },
+  '(1,2': { tree: ['tuple', 1, 2], errors: ["Expected ) or ]"] },
+  'sin(x': { tree: ['apply', 'sin', 'x'], errors: ["Expected )"] },
+  'x@2': { tree: ['*', 'x', ['error'], 2], errors: ["Invalid symbol '@'"] },
+  '1++1': { tree: ['+', 1, ['error'], 1], errors: ["Invalid location of '+'"] },
+  'x)+y': { tree: 'x', errors: ["Invalid location of ')'"] },
+  ')': { tree: ['error'], errors: ["Invalid location of ')'"] },
+  '2^': { tree: ['^', 2, ['error']], errors: ["Unexpected end of input"] },
+  '|x': { tree: ['apply', 'abs', 'x'], errors: ["Expected |"] },
+  '{x | x>0': { tree: ['set', ['|', 'x', ['>', 'x', 0]]], errors: ["Expected }"] },
+  'lim(x, 1)': { tree: ['limit', 1, 'x', ['error']],
+                 errors: ["Expected lim(variable->target, expression)"] },
+  'piecewise((x, x>0)': { tree: ['piecewise', ['tuple', 'x', ['>', 'x', 0]]],
+                          errors: ["Expected )"] },
+  'sum(k': { tree: ['error'],
+             errors: ["Expected )", "Expected sum(expression, index, lower, upper)"] },
+}
+
+Object.keys(partial_trees).forEach(function(string) {
+  test("tolerantly parses " + string, function() {
+    let result = tolerant_converter.convert(string);
+    expect(result.tree).toEqual(partial_trees[string].tree);
+    expect(result.diagnostics.map(e => e.message)).toEqual(partial_trees[string].errors);
+  });
+});
+
+test("tolerant parsing of valid inputs", function () {
+  Object.keys(trees).forEach(function(string) {
+    expect(tolerant_converter.convert(string)).toEqual(
+      { tree: trees[string], diagnostics: [] });
+  });
+});
+
+test("tolerant parsing of bad inputs", function () {
+  Object.keys(bad_inputs).forEach(function(string) {
+    let result = tolerant_converter.convert(string);
+    expect(result.diagnostics[0]).toBeInstanceOf(ParseError);
+    expect(result.diagnostics[0].message).toEqual(bad_inputs[string]);
+  });
+});
+
+
 test("split symbols", function () {
   
   let converter_default = new textToAst();
@@ -326,6 +492,102 @@ test("parse Leibniz notation", function () {
 });
 
 
+test("parse units", function () {
+
+  let converter = new textToAst();
+  expect(converter.convert('9.8 m/s^2')).toEqual(
+    ['/', ['*', 9.8, 'm'], ['^', 's', 2]]);
+
+  converter = new textToAst({parseUnits: true});
+  expect(converter.convert('9.8 m/s^2')).toEqual(
+    ['unit', 9.8, ['/', 'm', ['^', 's', 2]]]);
+  expect(converter.convert('3 kg*m/s')).toEqual(
+    ['unit', 3, ['/', ['*', 'kg', 'm'], 's']]);
+  expect(converter.convert('2 kg m s^-2')).toEqual(
+    ['unit', 2, ['*', 'kg', 'm', ['^', 's', ['-', 2]]]]);
+  expect(converter.convert('2 J/(kg K)')).toEqual(
+    ['unit', 2, ['/', 'J', ['*', 'kg', 'K']]]);
+  expect(converter.convert('-5 N')).toEqual(
+    ['unit', ['-', 5], 'N']);
+  expect(converter.convert('1 km + 200 m')).toEqual(
+    ['+', ['unit', 1, 'km'], ['unit', 200, 'm']]);
+  expect(converter.convert('5 m / 2')).toEqual(
+    ['/', ['unit', 5, 'm'], 2]);
+  expect(converter.convert('t = 3 min')).toEqual(
+    ['=', 't', ['unit', 3, 'min']]);
+  expect(converter.convert('2 (m/s)')).toEqual(['unit', 2, ['/', 'm', 's']]);
+  expect(converter.convert('3 (m/s)^2')).toEqual(
+    ['unit', 3, ['^', ['/', 'm', 's'], 2]]);
+  expect(converter.convert('2 (m + 1)')).toEqual(['*', 2, ['+', 'm', 1]]);
+  expect(() => converter.convert('5 m^x')).toThrow(
+    "Exponent of units must be a number");
+
+  // only numbers are given units, and other symbols are variables
+  expect(converter.convert('4 x')).toEqual(['*', 4, 'x']);
+  expect(converter.convert('m s')).toEqual(['*', 'm', 's']);
+  expect(converter.convert('2 xs')).toEqual(['*', 2, 'x', 's']);
+
+  converter = new textToAst({parseUnits: true, unitSymbols: {'m': true}});
+  expect(converter.convert('3 km')).toEqual(['unit', 3, 'km']);
+  expect(converter.convert('3 s')).toEqual(['*', 3, 's']);
+
+});
+
+test("imaginary unit", function () {
+
+  let converter = new textToAst();
+  expect(converter.convert('3+4i')).toEqual(['+', 3, ['*', 4, 'i']]);
+  expect(converter.convert('cis x')).toEqual(['*', 'c', 'i', 's', 'x']);
+
+  converter = new textToAst({imaginaryUnit: 'i'});
+  expect(converter.convert('3+4i')).toEqual(
+    ['+', 3, ['*', 4, 'imaginary_unit']]);
+  expect(converter.convert('i^2')).toEqual(['^', 'imaginary_unit', 2]);
+  expect(converter.convert('2ix')).toEqual(['*', 2, 'imaginary_unit', 'x']);
+  expect(converter.convert('r e^(i theta)')).toEqual(
+    ['*', 'r', ['^', 'e', ['*', 'imaginary_unit', 'theta']]]);
+  expect(converter.convert('r cis theta')).toEqual(
+    ['*', 'r', ['apply', 'cis', 'theta']]);
+  expect(converter.convert('j')).toEqual('j');
+  expect(converter.convert('i_1')).toEqual(['_', 'i', 1]);
+  expect(converter.convert('i₁')).toEqual(['_', 'i', 1]);
+  expect(converter.convert('i_1 + i')).toEqual(
+    ['+', ['_', 'i', 1], 'imaginary_unit']);
+  expect(converter.convert('sum(i^2, i, 1, 3)')).toEqual(
+    ['sum', ['^', 'i', 2], 'i', 1, 3]);
+  expect(converter.convert('lim(i->0, i/2) + i')).toEqual(
+    ['+', ['limit', ['/', 'i', 2], 'i', 0], 'imaginary_unit']);
+  expect(converter.convert('int(i^2, i, 0, 1)')).toEqual(
+    ['integral', ['^', 'i', 2], 'i', 0, 1]);
+  expect(converter.convert('sum(i^n, n, 1, 3)')).toEqual(
+    ['sum', ['^', 'imaginary_unit', 'n'], 'n', 1, 3]);
+
+  converter = new textToAst({imaginaryUnit: 'j'});
+  expect(converter.convert('3-4j')).toEqual(
+    ['+', 3, ['-', ['*', 4, 'imaginary_unit']]]);
+  expect(converter.convert('i')).toEqual('i');
+
+});
+
+
+test("locale", function () {
+
+  let converter = new textToAst({locale: 'en-US'});
+  expect(converter.convert('(3.14, 2)')).toEqual(['tuple', 3.14, 2]);
+
+  converter = new textToAst({locale: 'de'});
+  expect(converter.convert('3,14')).toEqual(3.14);
+  expect(converter.convert('(1,5; 2)')).toEqual(['tuple', 1.5, 2]);
+  expect(converter.convert('f(x; 2,5)')).toEqual(['apply', 'f', ['tuple', 'x', 2.5]]);
+  expect(converter.convert('{1; 2,5}')).toEqual(['set', 1, 2.5]);
+  expect(converter.convert('[0; 1,5)')).toEqual(
+    ['interval', ['tuple', 0, 1.5], ['tuple', true, false]]);
+  expect(converter.convert('x = -0,5')).toEqual(['=', 'x', ['-', 0.5]]);
+  expect(converter.convert('(x, y)')).toEqual(['tuple', 'x', 'y']);
+  expect(() => converter.convert('3.14')).toThrow("Invalid symbol '.'");
+
+});
+
 test("conditional probability", function () {
   
   let converter = new textToAst({functionSymbols: ["P"]});
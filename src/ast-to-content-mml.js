@@ -0,0 +1,342 @@
+/*
+ * convert syntax trees to Content MathML
+ *
+ * Copyright 2014-2017 by
+ *  Jim Fowler <kisonecat@gmail.com>
+ *  Duane Nykamp <nykamp@umn.edu>
+ *
+ * This file is part of a math-expressions library
+ *
+ * math-expressions is free software: you can redistribute
+ * it and/or modify it under the terms of the GNU General Public
+ * License as published by the Free Software Foundation, either
+ * version 3 of the License, or at your option any later version.
+ *
+ * math-expressions is distributed in the hope that it
+ * will be useful, but WITHOUT ANY WARRANTY; without even the implied
+ * warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License for more details.
+ *
+ */
+
+// Content MathML has no superset or ni, so these are written with
+// the operands of subset and in reversed.
+// A binary - becomes the sum of a negation, as in the trees of the parsers,
+// when read back by contentMmlToAst.
+
+
+// operators applied to their operands, with the element of each
+const operators = {
+  '+': 'plus',
+  '*': 'times',
+  '/': 'divide',
+  '^': 'power',
+  '-': 'minus',
+  '=': 'eq',
+  'ne': 'neq',
+  '<': 'lt',
+  '>': 'gt',
+  'le': 'leq',
+  'ge': 'geq',
+  'and': 'and',
+  'or': 'or',
+  'not': 'not',
+  'in': 'in',
+  'notin': 'notin',
+  'subset': 'subset',
+  'notsubset': 'notsubset',
+  'union': 'union',
+  'intersect': 'intersect',
+};
+
+// operators written as the operator of the element with operands reversed
+const reversed_operators = {
+  'superset': 'subset',
+  'notsuperset': 'notsubset',
+  'ni': 'in',
+  'notni': 'notin',
+};
+
+// containers, whose operands are their children
+const containers = {
+  'tuple': 'vector',
+  'vector': 'vector',
+  'list': 'list',
+  'set': 'set',
+};
+
+// functions with an element, by the names used in trees
+const functions = {
+  'sin': 'sin', 'cos': 'cos', 'tan': 'tan',
+  'sec': 'sec', 'csc': 'csc', 'cosec': 'csc', 'cot': 'cot',
+  'sinh': 'sinh', 'cosh': 'cosh', 'tanh': 'tanh',
+  'sech': 'sech', 'csch': 'csch', 'coth': 'coth',
+  'arcsin': 'arcsin', 'asin': 'arcsin',
+  'arccos': 'arccos', 'acos': 'arccos',
+  'arctan': 'arctan', 'atan': 'arctan',
+  'arcsec': 'arcsec', 'asec': 'arcsec',
+  'arccsc': 'arccsc', 'acsc': 'arccsc',
+  'arccot': 'arccot', 'acot': 'arccot',
+  'asinh': 'arcsinh', 'acosh': 'arccosh', 'atanh': 'arctanh',
+  'asech': 'arcsech', 'acsch': 'arccsch', 'acoth': 'arccoth',
+  // log of the AST is the natural logarithm, while <log/> is to the base 10
+  'exp': 'exp', 'ln': 'ln', 'log': 'ln',
+  'abs': 'abs', 'arg': 'arg', 'factorial': 'factorial',
+  'sqrt': 'root',
+};
+
+// signs with no element of Content MathML, which are written as csymbols
+const signs = {
+  'pm': 'plusminus',
+  'mp': 'minusplus',
+};
+
+// symbols with an element
+const constants = {
+  'pi': '<pi/>',
+  'e': '<exponentiale/>',
+  'infinity': '<infinity/>',
+  'imaginary_unit': '<imaginaryi/>',
+};
+
+
+function apply(element, operands) {
+  return '<apply><' + element + '/>' + operands.join('') + '</apply>';
+}
+
+function bvar(variable, degree) {
+  var result = '<bvar>' + variable;
+  if (degree !== undefined && degree !== 1)
+    result += '<degree><cn>' + degree + '</cn></degree>';
+  return result + '</bvar>';
+}
+
+
+class astToContentMml {
+
+  convert(tree) {
+    return '<math xmlns="http://www.w3.org/1998/Math/MathML">' + this.content(tree)
+      + '</math>';
+  }
+
+  content(tree) {
+    if (typeof tree === 'number') {
+      if (tree === Infinity)
+	return constants.infinity;
+      if (tree === -Infinity)
+	return apply('minus', [constants.infinity]);
+      return '<cn>' + tree + '</cn>';
+    }
+
+    if (typeof tree === 'string') {
+      if (constants.hasOwnProperty(tree))
+	return constants[tree];
+      return '<ci>' + tree + '</ci>';
+    }
+
+    if (typeof tree === 'boolean')
+      return tree ? '<true/>' : '<false/>';
+
+    if (!Array.isArray(tree))
+      throw new Error("Badly formed ast");
+
+    var operator = tree[0];
+    var operands = tree.slice(1);
+
+    if (operators.hasOwnProperty(operator)) {
+      return apply(operators[operator], operands.map(function (v) {
+	return this.content(v);
+      }.bind(this)));
+    }
+
+    if (signs.hasOwnProperty(operator)) {
+      return '<apply><csymbol>' + signs[operator] + '</csymbol>'
+	+ this.content(operands[0]) + '</apply>';
+    }
+
+    if (reversed_operators.hasOwnProperty(operator)) {
+      return apply(reversed_operators[operator], operands.reverse().map(function (v) {
+	return this.content(v);
+      }.bind(this)));
+    }
+
+    if (containers.hasOwnProperty(operator)) {
+      return '<' + containers[operator] + '>' + operands.map(function (v) {
+	return this.content(v);
+      }.bind(this)).join('') + '</' + containers[operator] + '>';
+    }
+
+    if (operator === 'lts' || operator === 'gts') {
+      var args = operands[0];
+      var strict = operands[1];
+
+      if (args[0] != 'tuple' || strict[0] != 'tuple')
+	// something wrong if args or strict are not tuples
+	throw new Error("Badly formed ast");
+
+      var relations = [];
+      for (let i = 1; i < args.length - 1; i++) {
+	if (operator === 'lts')
+	  relations.push(strict[i] ? 'lt' : 'leq');
+	else
+	  relations.push(strict[i] ? 'gt' : 'geq');
+      }
+
+      args = args.slice(1).map(function (v) { return this.content(v); }.bind(this));
+
+      // a chain of the same relation is a single application
+      if (relations.every(function (r) { return r === relations[0]; }))
+	return apply(relations[0], args);
+
+      return apply('and', relations.map(function (r, i) {
+	return apply(r, [args[i], args[i + 1]]);
+      }));
+    }
+
+    if (operator === '_') {
+      // subscripted variables are identifiers with presentation markup
+      if (typeof operands[0] !== 'string' ||
+	  !(typeof operands[1] === 'string' || typeof operands[1] === 'number'))
+	throw new Error("Subscripts are supported only on variables");
+
+      var subscript = typeof operands[1] === 'number' ?
+	  '<mn>' + operands[1] + '</mn>' : '<mi>' + operands[1] + '</mi>';
+      return '<ci><msub><mi>' + operands[0] + '</mi>' + subscript + '</msub></ci>';
+    }
+
+    if (operator === 'prime') {
+      // derivative of a function
+      return apply('diff', [this.content(operands[0])]);
+    }
+
+    if (operator === 'interval') {
+      var args = operands[0];
+      var closed = operands[1];
+      if (args[0] !== 'tuple' || closed[0] !== 'tuple')
+	throw new Error("Badly formed ast");
+
+      var closure = (closed[1] ? 'closed' : 'open') + '-' + (closed[2] ? 'closed' : 'open');
+      if (closed[1] === closed[2])
+	closure = closed[1] ? 'closed' : 'open';
+
+      return '<interval closure="' + closure + '">' + this.content(args[1])
+	+ this.content(args[2]) + '</interval>';
+    }
+
+    if (operator === 'matrix') {
+      var size = operands[0];
+      var args = operands[1];
+
+      var result = '<matrix>';
+      for (let row = 0; row < size[1]; row += 1) {
+	result += '<matrixrow>';
+	for (let col = 0; col < size[2]; col += 1)
+	  result += this.content(args[row + 1][col + 1]);
+	result += '</matrixrow>';
+      }
+      return result + '</matrix>';
+    }
+
+    if (operator === 'piecewise') {
+      // each case is a tuple of a value and a condition,
+      // where a condition of true means otherwise
+      return '<piecewise>' + operands.map(function (v) {
+	if (v[2] === true)
+	  return '<otherwise>' + this.content(v[1]) + '</otherwise>';
+	return '<piece>' + this.content(v[1]) + this.content(v[2]) + '</piece>';
+      }.bind(this)).join('') + '</piecewise>';
+    }
+
+    if (operator === 'derivative_leibniz' || operator === 'partial_derivative_leibniz') {
+      // the order is given by the degrees of the variables
+      var num = operands[0];
+      var denom = operands[1];
+
+      var variables = denom[0] === 'tuple' ? denom.slice(1) : [denom];
+      var bvars = variables.map(function (v) {
+	if (Array.isArray(v))
+	  return bvar(this.content(v[1]), v[2]);
+	return bvar(this.content(v));
+      }.bind(this));
+
+      var f = Array.isArray(num) ? num[1] : num;
+
+      return apply(operator === 'derivative_leibniz' ? 'diff' : 'partialdiff',
+		   bvars.concat([this.content(f)]));
+    }
+
+    if (operator === 'integral') {
+      var variable = operands[1];
+      if (variable[0] === 'tuple') {
+	if (variable.length !== 2)
+	  throw new Error("Integrals are supported only in one variable");
+	variable = variable[1];
+      }
+
+      var qualifiers = [bvar(this.content(variable))];
+      if (operands.length > 2)
+	qualifiers.push('<lowlimit>' + this.content(operands[2]) + '</lowlimit>');
+      if (operands.length > 3)
+	qualifiers.push('<uplimit>' + this.content(operands[3]) + '</uplimit>');
+
+      return apply('int', qualifiers.concat([this.content(operands[0])]));
+    }
+
+    if (operator === 'sum' || operator === 'prod') {
+      var qualifiers = [bvar(this.content(operands[1]))];
+      if (operands.length > 2)
+	qualifiers.push('<lowlimit>' + this.content(operands[2]) + '</lowlimit>');
+      if (operands.length > 3)
+	qualifiers.push('<uplimit>' + this.content(operands[3]) + '</uplimit>');
+
+      return apply(operator === 'sum' ? 'sum' : 'product',
+		   qualifiers.concat([this.content(operands[0])]));
+    }
+
+    if (operator === 'limit') {
+      // operands are the expression, the variable, the target,
+      // and the optional direction of a one-sided limit
+      var variable = this.content(operands[1]);
+      var target;
+      if (operands.length > 3) {
+	var tendsto = '<tendsto type="' + (operands[3] === '-' ? 'below' : 'above') + '"/>';
+	target = '<condition><apply>' + tendsto + variable + this.content(operands[2])
+	  + '</apply></condition>';
+      }
+      else
+	target = '<lowlimit>' + this.content(operands[2]) + '</lowlimit>';
+
+      return apply('limit', [bvar(variable), target, this.content(operands[0])]);
+    }
+
+    if (operator === 'apply') {
+      var f = operands[0];
+      var args = operands[1];
+      if (Array.isArray(args) && args[0] === 'tuple')
+	args = args.slice(1);
+      else
+	args = [args];
+      args = args.map(function (v) { return this.content(v); }.bind(this));
+
+      if (f === 'log10')
+	return apply('log', ['<logbase><cn>10</cn></logbase>'].concat(args));
+
+      if (f === 'nthroot' && args.length === 2)
+	return apply('root', ['<degree>' + args[1] + '</degree>', args[0]]);
+
+      if (f === 'log' && args.length === 2)
+	return apply('log', ['<logbase>' + args[1] + '</logbase>', args[0]]);
+
+      if (typeof f === 'string' && functions.hasOwnProperty(f))
+	return apply(functions[f], args);
+
+      return '<apply>' + this.content(f) + args.join('') + '</apply>';
+    }
+
+    throw new Error("Badly formed ast: operator " + operator + " not recognized.");
+  }
+
+}
+
+
+export default astToContentMml;
@@ -20,75 +20,325 @@
 
 
 
+// Guppy symbols, in the format of Guppy's own symbols.json.  The output
+// of each symbol gives its renderings, where {$n} is its n-th component,
+// args gives the attributes of the <c> elements of the components and
+// attrs gives the attributes of the <f> element.  Symbols of the group
+// "array" have a list of rows of components rather than components.
+const symbolsDefault = {
+  "*": {
+    "output": {"latex": "\\cdot", "text": "*"},
+    "attrs": {"type": "*", "group": "operations", "c": "yes"}
+  },
+  "frac": {
+    "output": {"latex": "\\dfrac{{$1}}{{$2}}", "small_latex": "\\frac{{$1}}{{$2}}", "text": "({$1})/({$2})"},
+    "args": [{"up": "1", "down": "2", "name": "numerator"}, {"up": "1", "down": "2", "name": "denominator"}],
+    "attrs": {"type": "fraction", "group": "functions"}
+  },
+  "power": {
+    "output": {"latex": "{{$1}}^{{$2}}", "text": "({$1})^({$2})"},
+    "args": [{"up": "2", "bracket": "yes", "delete": "1", "name": "base"}, {"down": "1", "delete": "1", "name": "exponent", "small": "yes"}],
+    "attrs": {"type": "exponential", "group": "functions"}
+  },
+  "subscript": {
+    "output": {"latex": "{{$1}}_{{$2}}", "text": "({$1})_({$2})"},
+    "args": [{"up": "2", "bracket": "yes", "delete": "1", "name": "base"}, {"down": "1", "delete": "1", "name": "subscript", "small": "yes"}],
+    "attrs": {"type": "subscript", "group": "functions"}
+  },
+  "sqrt": {
+    "output": {"latex": "\\sqrt{{$1}}", "text": "sqrt({$1})"},
+    "args": [{"delete": "1"}],
+    "attrs": {"type": "square_root", "group": "functions"}
+  },
+  "nthroot": {
+    "output": {"latex": "\\sqrt[{$1}]{{$2}}", "text": "nthroot({$2},{$1})"},
+    "args": [{"down": "2", "delete": "2", "name": "index", "small": "yes"}, {"up": "1", "delete": "2", "name": "radicand"}],
+    "attrs": {"type": "root", "group": "functions"}
+  },
+  "logbase": {
+    "output": {"latex": "\\log_{{$1}}\\left({$2}\\right)", "text": "log({$2},{$1})"},
+    "args": [{"up": "2", "delete": "2", "name": "base", "small": "yes"}, {"down": "1", "delete": "2", "name": "argument"}],
+    "attrs": {"type": "logbase", "group": "functions"}
+  },
+  "abs": {
+    "output": {"latex": "\\left|{$1}\\right|", "text": "abs({$1})"},
+    "args": [{"delete": "1"}],
+    "attrs": {"type": "absolute_value", "group": "functions"}
+  },
+  "paren": {
+    "output": {"latex": "\\left({$1}\\right)", "text": "({$1})"},
+    "args": [{"delete": "1", "is_bracket": "yes"}],
+    "attrs": {"type": "bracket", "group": "functions"}
+  },
+  "square_bracket": {
+    "output": {"latex": "\\left[{$1}\\right]", "text": "[{$1}]"},
+    "args": [{"delete": "1", "is_bracket": "yes"}],
+    "attrs": {"type": "square_bracket", "group": "functions"}
+  },
+  "set": {
+    "output": {"latex": "\\left\\{{$1}\\right\\}", "text": "{{$1}}"},
+    "args": [{"delete": "1", "is_bracket": "yes"}],
+    "attrs": {"type": "set", "group": "functions"}
+  },
+  "matrix": {
+    "output": {"latex": "\\begin{bmatrix}{$1}\\end{bmatrix}", "text": "matrix({$1})"},
+    "attrs": {"type": "matrix", "group": "array", "c": "yes"}
+  },
+  "piecewise": {
+    "output": {"latex": "\\begin{cases}{$1}\\end{cases}", "text": "piecewise({$1})"},
+    "attrs": {"type": "piecewise", "group": "array", "c": "yes"}
+  },
+  "limit": {
+    "output": {"latex": "\\lim_{{$1}\\to {$2}^{{$3}}}{$4}", "text": "lim({$1}->{$2}{$3},{$4})"},
+    "args": [{"up": "4", "delete": "4", "name": "variable", "small": "yes"}, {"up": "4", "delete": "4", "name": "target", "small": "yes"}, {"up": "4", "delete": "4", "name": "direction", "small": "yes"}, {"delete": "4", "name": "expression"}],
+    "attrs": {"type": "limit", "group": "functions"}
+  },
+  "infinity": {
+    "output": {"latex": "\\infty", "text": " infinity "},
+    "attrs": {"type": "infinity", "group": "functions", "c": "yes"}
+  },
+  "imaginary_unit": {
+    "output": {"latex": "i", "text": " i "},
+    "attrs": {"type": "imaginary_unit", "group": "functions", "c": "yes"}
+  },
+  "otherwise": {
+    "output": {"latex": "\\text{otherwise}", "text": " otherwise "},
+    "attrs": {"type": "otherwise", "group": "functions", "c": "yes"}
+  },
+};
+
+// intervals have distinct symbols so that they are not confused with tuples and arrays
+for (let [name, open, close] of [["open_open_interval", "(", ")"], ["open_closed_interval", "(", "]"],
+				 ["closed_open_interval", "[", ")"], ["closed_closed_interval", "[", "]"]]) {
+  symbolsDefault[name] = {
+    "output": {"latex": "\\left" + open + "{$1}\\right" + close, "text": open + "{$1}" + close},
+    "args": [{"delete": "1", "is_bracket": "yes"}],
+    "attrs": {"type": name, "group": "functions"}
+  };
+}
+
+for (let [name, symbol] of [["sum", "\\sum"], ["prod", "\\prod"]]) {
+  symbolsDefault[name] = {
+    "output": {"latex": symbol + "_{{$1}={$2}}^{{$3}}{$4}", "text": name + "({$4},{$1},{$2},{$3})"},
+    "args": [{"up": "3", "delete": "4", "name": "index", "small": "yes"}, {"up": "3", "delete": "4", "name": "lower", "small": "yes"}, {"down": "1", "delete": "4", "name": "upper", "small": "yes"}, {"delete": "4", "name": "expression"}],
+    "attrs": {"type": name, "group": "functions"}
+  };
+}
+
+for (let [name, symbol, text] of [["integral", "\\int", "int"], ["double_integral", "\\iint", "iint"],
+				  ["triple_integral", "\\iiint", "iiint"], ["contour_integral", "\\oint", "oint"]]) {
+  symbolsDefault[name] = {
+    "output": {"latex": symbol + "_{{$1}}^{{$2}}{$3}\\,d{$4}", "text": text + "({$3},{$4},{$1},{$2})"},
+    "args": [{"up": "3", "delete": "3", "name": "lower", "small": "yes"}, {"down": "1", "delete": "3", "name": "upper", "small": "yes"}, {"delete": "3", "name": "integrand"}, {"delete": "3", "name": "variable"}],
+    "attrs": {"type": name, "group": "functions"}
+  };
+}
+
+// functions applied to a single argument
+const appliedFunctions = ['sin', 'cos', 'tan', 'arcsin', 'arccos', 'arctan', 'arccsc', 'arcsec', 'arccot', 'csc', 'sec', 'cot', 'log', 'exp', 'ln'];
+
+for (let name of appliedFunctions) {
+  symbolsDefault[name] = {
+    "output": {"latex": "\\" + name + "\\left({$1}\\right)", "text": " " + name + "({$1})"},
+    "args": [{"delete": "1"}],
+    "attrs": {"type": name, "group": "functions"}
+  };
+}
+
+for (let name of ['alpha', 'beta', 'gamma', 'Gamma', 'delta', 'Delta', 'epsilon', 'zeta', 'eta', 'theta', 'Theta', 'iota', 'kappa', 'lambda', 'Lambda', 'nu', 'xi', 'Xi', 'pi', 'Pi', 'rho', 'sigma', 'Sigma', 'tau', 'upsilon', 'Upsilon', 'phi', 'Phi', 'chi', 'psi', 'Psi', 'omega', 'Omega', 'partial']) {
+  symbolsDefault[name] = {
+    "output": {"latex": "\\" + name, "text": " $" + name},
+    "attrs": {"type": name, "group": "greek", "c": "yes"}
+  };
+}
+
+// operations, which are named by the operators of the trees
+for (let [name, latex, text] of [
+  ["and", "\\land", " and "], ["or", "\\lor", " or "], ["not", "\\lnot", " not "],
+  ["le", "\\le", "<="], ["ge", "\\ge", ">="], ["ne", "\\ne", "!="],
+  ["in", "\\in", " in "], ["notin", "\\notin", " notin "],
+  ["ni", "\\ni", " ni "], ["notni", "\\not\\ni", " notni "],
+  ["subset", "\\subset", " subset "], ["notsubset", "\\not\\subset", " notsubset "],
+  ["superset", "\\supset", " superset "], ["notsuperset", "\\not\\supset", " notsuperset "],
+  ["union", "\\cup", " union "], ["intersect", "\\cap", " intersect "], ["|", "\\mid", "|"]]) {
+  symbolsDefault[name] = {
+    "output": {"latex": latex, "text": text},
+    "attrs": {"type": name, "group": "operations", "c": "yes"}
+  };
+}
+
+
+function escape(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function attributes(attrs) {
+  return Object.keys(attrs).map(function(name) {
+      return ' ' + name + '="' + escape(attrs[name]) + '"';
+  }).join('');
+}
+
+
 class astToGuppy{
-  constructor(){
+  constructor({
+    symbols = symbolsDefault,
+  } = {}){
+    // symbols given replace the default symbols of the same name,
+    // so that a table with a few symbols adds to the defaults
+    this.symbols = Object.assign({}, symbolsDefault, symbols);
+
+    var symbol = this.symbol.bind(this);
+
     this.operators = {
         "+": function(operands) { return operands.join( '<e>+</e>' ); },
         "-": function(operands) { return "<e>-" + operands.join( '-' ) + "</e>"; },
-        "*": function(operands) { return operands.join( '<f type="*" group="operations" c="yes"><b p="latex">\\cdot</b><b p="text">*</b></f>' ); },
-        "/": function(operands) { return astToGuppy.dfrac(operands[0], operands[1]); },
-        "^": function(operands) { return astToGuppy.power(operands[0],operands[1]); },
-        "sin": function(operands) { return astToGuppy.trig("sin",operands[0]); },
-        "cos": function(operands) { return astToGuppy.trig("cos",operands[0]); },
-        "tan": function(operands) { return astToGuppy.trig("tan",operands[0]); },
-        "arcsin": function(operands) { return astToGuppy.trig("arcsin",operands[0]); },
-        "arccos": function(operands) { return astToGuppy.trig("arccos",operands[0]); },
-        "arctan": function(operands) { return astToGuppy.trig("arctan",operands[0]); },
-        "arccsc": function(operands) { return astToGuppy.trig("arccsc",operands[0]); },
-        "arcsec": function(operands) { return astToGuppy.trig("arcsec",operands[0]); },
-        "arccot": function(operands) { return astToGuppy.trig("arccot",operands[0]); },
-        "csc": function(operands) { return astToGuppy.trig("csc",operands[0]); },
-        "sec": function(operands) { return astToGuppy.trig("sec",operands[0]); },
-        "cot": function(operands) { return astToGuppy.trig("cot",operands[0]); },
-        "log": function(operands) { return astToGuppy.trig("log",operands[0]); },
-        "exp": function(operands) { return astToGuppy.trig("exp",operands[0]); },
-        "ln": function(operands) { return astToGuppy.trig("ln",operands[0]); },
-        "sqrt": function(operands) { return astToGuppy.sqrt(operands[0]); },
-        "abs": function(operands) { return astToGuppy.abs(operands[0]); },
+        "pm": function(operands) { return "<e>±" + operands[0] + "</e>"; },
+        "mp": function(operands) { return "<e>∓" + operands[0] + "</e>"; },
+        "*": function(operands) { return operands.join( symbol("*") ); },
+        "/": function(operands) { return symbol("frac", operands); },
+        "^": function(operands) { return symbol("power", operands); },
+        "sqrt": function(operands) { return symbol("sqrt", operands); },
+        "abs": function(operands) { return symbol("abs", operands); },
+        "sum": function(operands) { return symbol("sum", [operands[1], operands[2], operands[3], operands[0]]); },
+        "prod": function(operands) { return symbol("prod", [operands[1], operands[2], operands[3], operands[0]]); },
         //"factorial": function(operands) { return operands[0] + "!"; },
+        "_": function(operands) { return symbol("subscript", operands); },
+        "prime": function(operands) { return operands[0] + "<e>'</e>"; },
+        "tuple": function(operands) { return symbol("paren", [operands.join( '<e>,</e>' )]); },
+        "vector": function(operands) { return symbol("paren", [operands.join( '<e>,</e>' )]); },
+        "array": function(operands) { return symbol("square_bracket", [operands.join( '<e>,</e>' )]); },
+        "list": function(operands) { return operands.join( '<e>,</e>' ); },
+        "set": function(operands) { return symbol("set", [operands.join( '<e>,</e>' )]); },
+        "interval": function(operands) {
+	    var name = (operands[2] ? "closed" : "open") + "_" + (operands[3] ? "closed" : "open") + "_interval";
+	    return symbol(name, [operands[0] + '<e>,</e>' + operands[1]]);
+	},
+        "matrix": function(operands) { return symbol("matrix", operands); },
+        "piecewise": function(operands) { return symbol("piecewise", operands); },
+        "and": function(operands) { return operands.join( symbol("and") ); },
+        "or": function(operands) { return operands.join( symbol("or") ); },
+        "not": function(operands) { return symbol("not") + operands[0]; },
+        "=": function(operands) { return operands.join( '<e>=</e>' ); },
+        "<": function(operands) { return operands.join( '<e>&lt;</e>' ); },
+        ">": function(operands) { return operands.join( '<e>&gt;</e>' ); },
+        "lts": function(operands) { return operands.join( '<e>&lt;</e>' ); },
+        "gts": function(operands) { return operands.join( '<e>&gt;</e>' ); },
+        "le": function(operands) { return operands.join( symbol("le") ); },
+        "ge": function(operands) { return operands.join( symbol("ge") ); },
+        "ne": function(operands) { return operands.join( symbol("ne") ); },
+        "in": function(operands) { return operands.join( symbol("in") ); },
+        "notin": function(operands) { return operands.join( symbol("notin") ); },
+        "ni": function(operands) { return operands.join( symbol("ni") ); },
+        "notni": function(operands) { return operands.join( symbol("notni") ); },
+        "subset": function(operands) { return operands.join( symbol("subset") ); },
+        "notsubset": function(operands) { return operands.join( symbol("notsubset") ); },
+        "superset": function(operands) { return operands.join( symbol("superset") ); },
+        "notsuperset": function(operands) { return operands.join( symbol("notsuperset") ); },
+        "union": function(operands) { return operands.join( symbol("union") ); },
+        "intersect": function(operands) { return operands.join( symbol("intersect") ); },
+        "|": function(operands) { return operands.join( symbol("|") ); },
+        ":": function(operands) { return operands.join( '<e>:</e>' ); },
+        "derivative_leibniz": function(operands) { return symbol("frac", operands); },
+        "partial_derivative_leibniz": function(operands) { return symbol("frac", operands); },
+        "integral": function(operands) { return symbol("integral", [operands[2], operands[3], operands[0], operands[1]]); },
+        "double_integral": function(operands) { return symbol("double_integral", [operands[2], operands[3], operands[0], operands[1]]); },
+        "triple_integral": function(operands) { return symbol("triple_integral", [operands[2], operands[3], operands[0], operands[1]]); },
+        "contour_integral": function(operands) { return symbol("contour_integral", [operands[2], operands[3], operands[0], operands[1]]); },
+        "limit": function(operands) { return symbol("limit", [operands[1], operands[2], operands[3], operands[0]]); },
     };
 
   }
 
+  symbol(name, components = []) {
+      // Guppy XML of the symbol with the given name, whose components
+      // are the contents of its <c> elements, which may be omitted if empty,
+      // or for arrays, the rows of the contents of its <c> elements
+      var symbol = this.symbols.hasOwnProperty(name) ? this.symbols[name] : undefined;
+      if (symbol === undefined)
+	  throw new Error("Guppy symbol " + name + " not defined.");
+
+      var renderings = Object.keys(symbol.output).map(function(p) {
+	  return '<b p="' + p + '">' + escape(symbol.output[p]).replace(/\{\$([0-9]+)\}/g, '<r ref="$1"/>') + '</b>';
+      }).join('');
+
+      var contents;
+      if (symbol.attrs.group === "array") {
+	  contents = '<l s="' + components.length + '">' + components.map(function(row) {
+	      return '<l s="' + row.length + '">' + row.map(function(entry) {
+		  return '<c><e></e>' + entry + '<e></e></c>';
+	      }).join('') + '</l>';
+	  }).join('') + '</l>';
+      }
+      else {
+	  contents = (symbol.args || []).map(function(arg, i) {
+	      var component = components[i] === undefined ? '' : components[i];
+	      return '<c' + attributes(arg) + '><e></e>' + component + '<e></e></c>';
+	  }).join('');
+      }
+
+      return '<f' + attributes(symbol.attrs) + '>' + renderings + contents + '</f>';
+  }
+
+  paren(x) {
+      return this.symbol("paren", [x]);
+  }
+
+  // Earlier versions wrote the symbols with these static methods,
+  // which are kept for callers outside the library.  They write
+  // the default symbols rather than those given to the constructor.
+
   static dfrac(a,b) {
-      return '<f type="fraction" group="functions"><b p="latex">\\dfrac{<r ref="1"/>}{<r ref="2"/>}</b><b p="small_latex">\\frac{<r ref="1"/>}{<r ref="2"/>}</b><b p="text">(<r ref="1"/>)/(<r ref="2"/>)</b><c up="1" down="2" name="numerator"><e></e>' + a + '<e></e></c><c up="1" down="2" name="denominator"><e></e>' + b + '<e></e></c></f>';
+      return new astToGuppy().symbol("frac", [a, b]);
   }
 
-  static trig(name, parameter ) {
-      return '<f type="' + name + '" group="functions"><b p="latex">\\' + name + '\\left(<r ref="1"/>\\right)</b><b p="text"> ' + name + '(<r ref="1"/>)</b><c delete="1"><e></e>' + parameter + '<e></e></c></f>';
+  static trig(name, parameter) {
+      return new astToGuppy().symbol(name, [parameter]);
   }
 
   static sqrt(x) {
-      return '<f type="square_root" group="functions"><b p="latex">\\sqrt{<r ref="1"/>}</b><b p="text">sqrt(<r ref="1"/>)</b><c delete="1"><e></e>' + x + '<e></e></c></f>';
+      return new astToGuppy().symbol("sqrt", [x]);
   }
 
   static power(x,y) {
-      return '<f type="exponential" group="functions"><b p="latex">{<r ref="1"/>}^{<r ref="2"/>}</b><b p="text">(<r ref="1"/>)^(<r ref="2"/>)</b><c up="2" bracket="yes" delete="1" name="base"><e></e>' + x + '<e></e></c><c down="1" delete="1" name="exponent" small="yes"><e></e>' + y + '<e></e></c></f>';
+      return new astToGuppy().symbol("power", [x, y]);
   }
 
   static abs(x) {
-      return '<f type="absolute_value" group="functions"><b p="latex">\\left|<r ref="1"/>\\right|</b><b p="text">abs(<r ref="1"/>)</b><c delete="1"><e></e>' + x + '<e></e></c></f>';
+      return new astToGuppy().symbol("abs", [x]);
   }
 
   static paren(x) {
-      return '<f type="bracket" group="functions"><b p="latex">\\left(<r ref="1"/>\\right)</b><b p="text">(<r ref="1"/>)</b><c delete="1" is_bracket="yes"><e></e>' + x + '<e></e></c></f>';
+      return new astToGuppy().paren(x);
   }
 
   static isFunctionSymbol( symbol ){
-      var functionSymbols = ['sin', 'cos', 'tan', 'csc', 'sec', 'cot', 'arcsin', 'arccos', 'arctan', 'arccsc', 'arcsec', 'arccot', 'log', 'ln', 'exp', 'sqrt', 'abs', 'this.factorial'];
-      return (functionSymbols.indexOf(symbol) != -1);
+      return appliedFunctions.includes(symbol) || symbol === 'sqrt' || symbol === 'abs';
   }
 
   static isGreekLetterSymbol( symbol ){
-      var greekSymbols = ['pi', 'theta', 'theta', 'Theta', 'alpha', 'nu', 'beta', 'xi', 'Xi', 'gamma', 'Gamma', 'delta', 'Delta', 'pi', 'Pi', 'epsilon', 'epsilon', 'rho', 'rho', 'zeta', 'sigma', 'Sigma', 'eta', 'tau', 'upsilon', 'Upsilon', 'iota', 'phi', 'phi', 'Phi', 'kappa', 'chi', 'lambda', 'Lambda', 'psi', 'Psi', 'omega', 'Omega'];
-      return (greekSymbols.indexOf(symbol) != -1);
+      return symbolsDefault.hasOwnProperty(symbol) && symbolsDefault[symbol].attrs.group === "greek"
+	  && symbol !== 'partial';
+  }
+
+  isFunctionSymbol( name ){
+      // functions with a symbol of a single component
+      var symbol = this.symbols.hasOwnProperty(name) ? this.symbols[name] : undefined;
+      return (symbol !== undefined) && (symbol.attrs.group === "functions") &&
+	  (symbol.args !== undefined) && (symbol.args.length === 1);
+  }
+
+  isVariableSymbol( name ){
+      // variables with a symbol, such as Greek letters
+      var symbol = this.symbols.hasOwnProperty(name) ? this.symbols[name] : undefined;
+      return (symbol !== undefined) && (symbol.attrs.group !== "operations") &&
+	  (symbol.attrs.group !== "array") && ((symbol.args === undefined) || (symbol.args.length === 0));
   }
 
   factorWithParenthesesIfNegated(tree){
       var result = this.factor(tree);
 
-      if (result.toString().match( /^<e>-/ ))
-  	return astToGuppy.paren( result.toString() );
+      if (result.toString().match( /^<e>[-±∓]/ ))
+  	return this.paren( result.toString() );
 
       // else
       return result;
@@ -111,8 +361,8 @@ class astToGuppy{
 
 factor(tree) {
       if (typeof tree === 'string') {
-  	if (astToGuppy.isGreekLetterSymbol(tree)) {
-  	    return '<f type="' + tree + '" group="greek" c="yes"><b p="latex">\\' + tree + '</b><b p="text"> $' + tree + '</b></f>';
+  	if (this.isVariableSymbol(tree)) {
+  	    return this.symbol(tree);
   	}
 
   	return '<e>' + tree + '</e>';
@@ -128,21 +378,49 @@ factor(tree) {
       if(operator === "apply") {
   	operator = tree[1];
   	operands = tree.slice(2);
+
+  	if (operator === "factorial") {
+  	    return this.factorWithParenthesesIfNotSimple(operands[0]) + "<e>!</e>";
+  	}
+
+  	if (operator === "nthroot" && operands[0][0] === 'tuple' && operands[0].length === 3) {
+  	    // the index is written before the radicand
+  	    return this.symbol("nthroot", [this.expression(operands[0][2]),
+  					   this.expression(operands[0][1])]);
+  	}
+
+  	if (operator === "log" && operands[0][0] === 'tuple' && operands[0].length === 3) {
+  	    return this.symbol("logbase", [this.expression(operands[0][2]),
+  					   this.statement(operands[0][1])]);
+  	}
+
+  	if (!this.isFunctionSymbol(operator)) {
+  	    // other functions are followed by their arguments in parentheses,
+  	    // which are the entries of a tuple
+  	    var args = operands[0];
+  	    if (Array.isArray(args) && (args[0] === 'tuple'))
+  		args = args.slice(1).map( function(v,i) { return this.statement(v); }.bind(this) ).join( '<e>,</e>' );
+  	    else
+  		args = this.statement(args);
+
+  	    return this.factorWithParenthesesIfNotSimple(tree[1]) + this.paren(args);
+  	}
       }
 
       // Absolute value doesn't need any special parentheses handling, but its operand is really an this.expression
       if (operator === "abs") {
   	return this.operators[operator]( operands.map( function(v,i) { return this.expression(v); }.bind(this) ));
-  } else if (astToGuppy.isFunctionSymbol(operator)) {
-  	if ((operator == 'this.factorial') && ((operands[0].toString().length == 1) || (operands[0].toString().match( /^[0-9]*$/ ))))
-  	    return this.operators[operator]( operands );
-
-  	return this.operators[operator]( operands.map( function(v,i) {
+  } else if ((operator === "sqrt") || ((tree[0] === "apply") && this.isFunctionSymbol(operator))) {
+  	return this.symbol( operator, operands.map( function(v,i) {
   	    var result = this.factor(v);
   	    return result;
   	}.bind(this)));
       }
 
+      if (operator === "sum" || operator === "prod") {
+  	return this.operators[operator]( operands.map( function(v,i) { return this.expression(v); }.bind(this) ));
+      }
+
       if (operator === "^") {
   	return this.operators[operator]( operands.map( function(v,i) { return this.factor(v); }.bind(this) ) );
       }
@@ -151,7 +429,97 @@ factor(tree) {
   	return this.operators[operator]( operands.map( function(v,i) { return this.factor(v); }.bind(this) ) );
       }
 
-      return astToGuppy.paren( this.expression(tree) );
+      if (operator === "_") {
+  	return this.operators[operator]( [this.factorWithParenthesesIfNotSimple(operands[0]), this.statement(operands[1])] );
+      }
+
+      if (operator === "prime") {
+  	return this.operators[operator]( [this.factorWithParenthesesIfNotSimple(operands[0])] );
+      }
+
+      if (operator === "tuple" || operator === "vector" || operator === "array" ||
+  	  operator === "set" || operator === "list") {
+  	return this.operators[operator]( operands.map( function(v,i) { return this.statement(v); }.bind(this) ) );
+      }
+
+      if (operator === "interval") {
+  	var args = operands[0];
+  	var closed = operands[1];
+  	if (args[0] !== 'tuple' || closed[0] !== 'tuple')
+  	    throw new Error("Badly formed ast");
+
+  	return this.operators[operator]( [this.statement(args[1]), this.statement(args[2]), closed[1], closed[2]] );
+      }
+
+      if (operator === "matrix") {
+  	// the entries are given by rows after the size
+  	return this.operators[operator]( operands[1].slice(1).map( function(row) {
+  	    return row.slice(1).map( function(v,i) { return this.statement(v); }.bind(this) );
+  	}.bind(this)));
+      }
+
+      if (operator === "piecewise") {
+  	// each case is a tuple of a value and a condition,
+  	// where a condition of true means otherwise
+  	return this.operators[operator]( operands.map( function(v) {
+  	    var condition = v[2] === true ? this.symbol("otherwise") : this.statement(v[2]);
+  	    return [this.statement(v[1]), condition];
+  	}.bind(this)));
+      }
+
+      if (operator === "derivative_leibniz" || operator === "partial_derivative_leibniz") {
+  	var d = operator === "derivative_leibniz" ? '<e>d</e>' : this.symbol("partial");
+
+  	// the variables of the numerator and denominator are
+  	// either variables or tuples of a variable and its order
+  	var differential = function(v, is_numerator) {
+  	    if (Array.isArray(v) && v[0] === 'tuple') {
+  		if (is_numerator)
+  		    return this.symbol("power", [d, '<e>' + v[2] + '</e>']) + this.factor(v[1]);
+  		return d + this.symbol("power", [this.factor(v[1]), '<e>' + v[2] + '</e>']);
+  	    }
+  	    return d + this.factor(v);
+  	}.bind(this);
+
+  	var variables = operands[1][0] === 'tuple' ? operands[1].slice(1) : [operands[1]];
+
+  	return this.operators[operator]( [differential(operands[0], true),
+  					  variables.map( function(v) { return differential(v, false); } ).join('')] );
+      }
+
+      if (operator === "integral" || operator === "double_integral" ||
+  	  operator === "triple_integral" || operator === "contour_integral") {
+  	var variables = operands[1][0] === 'tuple' ? operands[1].slice(1) : [operands[1]];
+
+  	var args = [this.expression(operands[0]),
+  		    variables.map( function(v) { return this.factor(v); }.bind(this) ).join( '<e>,</e>' )];
+  	return this.operators[operator]( args.concat( operands.slice(2).map( function(v) { return this.statement(v); }.bind(this) ) ) );
+      }
+
+      if (operator === "limit") {
+  	var args = [this.expression(operands[0]), this.factor(operands[1]), this.statement(operands[2])];
+  	if (operands.length > 3)
+  	    args.push('<e>' + operands[3] + '</e>');
+  	return this.operators[operator]( args );
+      }
+
+      return this.paren( this.statement(tree) );
+  }
+
+  factorWithParenthesesIfNotSimple(tree){
+      // bases of subscripts and primes and applied functions are
+      // variables, numbers, subscripts and applications,
+      // or otherwise are in parentheses
+      var result = this.factor(tree);
+
+      if ((typeof tree === 'string') || (typeof tree === 'number') ||
+  	  (tree[0] === 'apply') || (tree[0] === '_') || (tree[0] === 'prime'))
+  	return result;
+
+      if (result.toString().match( /^<f type="bracket"/ ))
+  	return result;
+
+      return this.paren( result.toString() );
   }
 
 
@@ -204,16 +572,100 @@ factor(tree) {
       var operator = tree[0];
       var operands = tree.slice(1);
 
-      if ((operator == '+') || (operator == '-')) {
+      if ((operator == '+') || (operator == '-') ||
+  	  (operator == 'pm') || (operator == 'mp')) {
   	return this.operators[operator]( operands.map( function(v,i) { return this.factorWithParenthesesIfNegated(v); }.bind(this) ));
       }
 
+      if ((operator == 'union') || (operator == 'intersect')) {
+  	return this.operators[operator]( operands.map( function(v,i) { return this.term(v); }.bind(this) ));
+      }
+
       return this.term(tree);
   }
 
+  /*
+     this.single_statement =
+      'not' this.single_statement |
+      this.expression relation this.expression |
+      this.expression
+  */
+
+  single_statement(tree) {
+      if ((typeof tree === 'string') || (typeof tree === 'number')) {
+  	return this.expression(tree);
+      }
+
+      var operator = tree[0];
+      var operands = tree.slice(1);
+
+      if (operator == 'not') {
+  	return this.operators[operator]( operands.map( function(v,i) { return this.factor(v); }.bind(this) ));
+      }
+
+      if ((operator == '=') || (operator == 'ne') ||
+  	  (operator == '<') || (operator == '>') ||
+  	  (operator == 'le') || (operator == 'ge') ||
+  	  (operator == 'in') || (operator == 'notin') ||
+  	  (operator == 'ni') || (operator == 'notni') ||
+  	  (operator == 'subset') || (operator == 'notsubset') ||
+  	  (operator == 'superset') || (operator == 'notsuperset') ||
+  	  (operator == '|') || (operator == ':')) {
+  	return this.operators[operator]( operands.map( function(v,i) { return this.expression(v); }.bind(this) ));
+      }
+
+      if (operator == 'lts' || operator == 'gts') {
+  	var args = operands[0];
+  	var strict = operands[1];
+
+  	if (args[0] != 'tuple' || strict[0] != 'tuple')
+  	    throw new Error("Badly formed ast");
+
+  	// each pair of neighboring arguments is a relation
+  	var result = this.expression(args[1]);
+  	for (var i = 1; i < args.length - 1; i++) {
+  	    var relation = (operator == 'lts') ? (strict[i] ? '<' : 'le') : (strict[i] ? '>' : 'ge');
+  	    result = this.operators[relation]( [result, this.expression(args[i+1])] );
+  	}
+  	return result;
+      }
+
+      return this.expression(tree);
+  }
+
+  /*
+     this.statement =
+      this.statement 'and' this.single_statement |
+      this.statement 'or' this.single_statement |
+      this.single_statement
+  */
+
+  statement(tree) {
+      if ((typeof tree === 'string') || (typeof tree === 'number')) {
+  	return this.single_statement(tree);
+      }
+
+      var operator = tree[0];
+      var operands = tree.slice(1);
+
+      if ((!(operator in this.operators)) && operator !== "apply")
+  	throw new Error("Badly formed ast: operator " + operator + " not recognized.");
+
+      if ((operator == 'and') || (operator == 'or')) {
+  	return this.operators[operator]( operands.map( function(v,i) {
+  	    // statements joined by the other of and and or are in parentheses
+  	    if (Array.isArray(v) && ((v[0] == 'and') || (v[0] == 'or')))
+  		return this.paren( this.statement(v) );
+  	    return this.single_statement(v);
+  	}.bind(this)));
+      }
+
+      return this.single_statement(tree);
+  }
+
 
   convert(tree){
-    return ('<m><e></e>' + this.expression(tree) + '<e></e></m>').replace(/<\/e><e>/g,'');
+    return ('<m><e></e>' + this.statement(tree) + '<e></e></m>').replace(/<\/e><e>/g,'');
   }
 
 }
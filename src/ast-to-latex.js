@@ -19,6 +19,32 @@
  *
  */
 
+import { isUnit, reciprocal } from './units';
+import { decimalSeparator, listSeparator } from './locale';
+
+
+function integral(symbol, operands) {
+  // operands are the integrand, the differentials,
+  // and the optional lower and upper limits
+  var result = symbol;
+  if (operands.length > 2)
+    result += "_{" + operands[2] + "}";
+  if (operands.length > 3)
+    result += "^{" + operands[3] + "}";
+  return result + " " + operands[0] + " " + operands[1];
+}
+
+function big_operator(symbol, operands) {
+  // operands are the expression, the index,
+  // and the optional lower and upper bounds
+  var result = symbol + "_{" + operands[1];
+  if (operands.length > 2)
+    result += "=" + operands[2];
+  result += "}";
+  if (operands.length > 3)
+    result += "^{" + operands[3] + "}";
+  return result + " " + operands[0];
+}
 
 const operators = {
   "+": function(operands) {
@@ -27,6 +53,12 @@ const operators = {
   "-": function(operands) {
     return "- " + operands[0];
   },
+  "pm": function(operands) {
+    return "\\pm " + operands[0];
+  },
+  "mp": function(operands) {
+    return "\\mp " + operands[0];
+  },
   "*": function(operands) {
     return operands.join(" ");
   },
@@ -42,26 +74,8 @@ const operators = {
   "prime": function(operands) {
     return operands[0] + "'";
   },
-  "tuple": function(operands) {
-    return '\\left( ' + operands.join(', ') + ' \\right)';
-  },
-  "array": function(operands) {
-    return '\\left[ ' + operands.join(', ') + ' \\right]';
-  },
-  "list": function(operands) {
-    return operands.join(', ');
-  },
-  "set": function(operands) {
-    return '\\left\\{ ' + operands.join(', ') + ' \\right\\}';
-  },
-  "vector": function(operands) {
-    return '\\left( ' + operands.join(', ') + ' \\right)';
-  },
-  "interval": function(operands) {
-    return '\\left( ' + operands.join(', ') + ' \\right)';
-  },
-  "matrix": function(operands) {
-    return '\\left( ' + operands.join(', ') + ' \\right)';
+  "piecewise": function(operands) {
+    return '\\begin{cases} ' + operands.join(' \\\\ ') + ' \\end{cases}';
   },
   "and": function(operands) {
     return operands.join(' \\land ');
@@ -132,14 +146,70 @@ const operators = {
   "partial_derivative_leibniz": function (operands) {
     return "\\frac{d" + operands[0] + "}{d" + operands[1] + "}";
   },
+  "integral": function (operands) {
+    return integral("\\int", operands);
+  },
+  "double_integral": function (operands) {
+    return integral("\\iint", operands);
+  },
+  "triple_integral": function (operands) {
+    return integral("\\iiint", operands);
+  },
+  "contour_integral": function (operands) {
+    return integral("\\oint", operands);
+  },
+  "sum": function (operands) {
+    return big_operator("\\sum", operands);
+  },
+  "prod": function (operands) {
+    return big_operator("\\prod", operands);
+  },
+  "limit": function (operands) {
+    // operands are the expression, the variable, the target,
+    // and the optional direction of a one-sided limit
+    var target = operands[2];
+    if (operands.length > 3)
+      target += "^{" + operands[3] + "}";
+    return "\\lim_{" + operands[1] + " \\to " + target + "} " + operands[0];
+  },
   "|": function (operands) {
     return operands[0] + " \\mid " + operands[1];
   },
   ":": function (operands) {
     return operands[0] + " : " + operands[1];
   },
+  "unit": function (operands) {
+    return operands[0] + "\\, " + operands[1];
+  },
 };
 
+// delimited operators, whose items are joined by the list separator
+function separated_operators(separator) {
+  return {
+    "tuple": function(operands) {
+      return '\\left( ' + operands.join(separator) + ' \\right)';
+    },
+    "array": function(operands) {
+      return '\\left[ ' + operands.join(separator) + ' \\right]';
+    },
+    "list": function(operands) {
+      return operands.join(separator);
+    },
+    "set": function(operands) {
+      return '\\left\\{ ' + operands.join(separator) + ' \\right\\}';
+    },
+    "vector": function(operands) {
+      return '\\left( ' + operands.join(separator) + ' \\right)';
+    },
+    "interval": function(operands) {
+      return '\\left( ' + operands.join(separator) + ' \\right)';
+    },
+    "matrix": function(operands) {
+      return '\\left( ' + operands.join(separator) + ' \\right)';
+    },
+  };
+}
+
 // defaults for parsers if not overridden by context
 
 
@@ -149,14 +219,27 @@ const allowedLatexSymbolsDefault = ['alpha', 'beta', 'gamma', 'Gamma', 'delta',
 
 const matrixEnvironmentDefault = 'bmatrix';
 
+// locale of numbers, where a decimal comma is written 3{,}14
+const localeDefault = 'en';
+
+// how 'imaginary_unit' is written, e.g. 'j' for engineering notation
+const imaginaryUnitDefault = 'i';
+
 class astToLatex {
 
   constructor({
     allowedLatexSymbols=allowedLatexSymbolsDefault,
     matrixEnvironment=matrixEnvironmentDefault,
+    locale=localeDefault,
+    imaginaryUnit=imaginaryUnitDefault,
   } = {}){
     this.allowedLatexSymbols = allowedLatexSymbols;
+    this.imaginaryUnit = imaginaryUnit;
     this.matrixEnvironment = matrixEnvironment;
+    this.decimalSeparator = decimalSeparator(locale);
+    this.separator = listSeparator(locale);
+    this.operators = Object.assign({}, operators,
+                                   separated_operators(this.separator + ' '));
   }
   
   convert(tree) {
@@ -171,11 +254,11 @@ class astToLatex {
     var operator = tree[0];
     var operands = tree.slice(1);
 
-    if ((!(operator in operators)) && operator !== "apply")
+    if ((!(operator in this.operators)) && operator !== "apply")
       throw new Error("Badly formed ast: operator " + operator + " not recognized.");
 
     if (operator === 'and' || operator === 'or') {
-      return operators[operator](operands.map(function(v, i) {
+      return this.operators[operator](operands.map(function(v, i) {
         var result = this.single_statement(v);
         // for clarity, add parenthesis unless result is
         // single quantity (with no spaces) or already has parens
@@ -198,7 +281,7 @@ class astToLatex {
     var operands = tree.slice(1);
 
     if (operator == 'not') {
-      return operators[operator](operands.map(function(v, i) {
+      return this.operators[operator](operands.map(function(v, i) {
         var result = this.single_statement(v);
         // for clarity, add parenthesis unless result is
         // single quantity (with no spaces) or already has parens
@@ -217,7 +300,7 @@ class astToLatex {
       (operator == 'ni') || (operator == 'notni') ||
       (operator == 'subset') || (operator == 'notsubset') ||
       (operator == 'superset') || (operator == 'notsuperset')) {
-      return operators[operator](operands.map(function(v, i) {
+      return this.operators[operator](operands.map(function(v, i) {
         return this.expression(v);
       }.bind(this)));
     }
@@ -263,7 +346,7 @@ class astToLatex {
     var operands = tree.slice(1);
 
     if (operator == '+') {
-      return operators[operator](operands.map(function(v, i) {
+      return this.operators[operator](operands.map(function(v, i) {
         if (i > 0)
           return this.termWithPlusIfNotNegated(v);
         else
@@ -272,7 +355,7 @@ class astToLatex {
     }
 
     if ((operator == 'union') || (operator == 'intersect')) {
-      return operators[operator](operands.map(function(v, i) {
+      return this.operators[operator](operands.map(function(v, i) {
         return this.term(v);
       }.bind(this)));
     }
@@ -288,13 +371,13 @@ class astToLatex {
     var operator = tree[0];
     var operands = tree.slice(1);
 
-    if (operator == '-') {
-      return operators[operator](operands.map(function(v, i) {
+    if (operator == '-' || operator == 'pm' || operator == 'mp') {
+      return this.operators[operator](operands.map(function(v, i) {
         return this.term(v);
       }.bind(this)));
     }
     if (operator == '*') {
-      return operators[operator](operands.map(function(v, i) {
+      return this.operators[operator](operands.map(function(v, i) {
         var result;
         if (i > 0) {
           result = this.factorWithParenthesesIfNegated(v);
@@ -309,14 +392,66 @@ class astToLatex {
     }
 
     if (operator == '/') {
-      return operators[operator](operands.map(function(v, i) {
+      return this.operators[operator](operands.map(function(v, i) {
         return this.expression(v);
       }.bind(this)));
     }
 
+    if (operator == 'unit') {
+      return this.operators[operator]([this.factor(operands[0]), this.units(operands[1])]);
+    }
+
     return this.factor(tree);
   }
 
+  units(tree) {
+    // units are written upright, as in 9.8\, \mathrm{m}/\mathrm{s}^{2}
+    if (typeof tree === 'string') {
+      return this.unitSymbol(tree);
+    }
+
+    if (typeof tree === 'number') {
+      return tree;
+    }
+
+    var operator = tree[0];
+    var operands = tree.slice(1);
+
+    if (operator == '*') {
+      return operands.map(function(v, i) {
+        return this.unitFactor(v);
+      }.bind(this)).join('\\, ');
+    }
+
+    if (operator == '/') {
+      if (operands[0] === 1)
+        return this.units(reciprocal(operands[1]));
+      return this.units(operands[0]) + '/' + this.unitFactor(operands[1]);
+    }
+
+    if (operator == '^') {
+      return this.unitFactor(operands[0]) + '^{' + this.statement(operands[1]) + '}';
+    }
+
+    throw new Error("Badly formed ast: operator " + operator + " not recognized in units.");
+  }
+
+  unitFactor(tree) {
+    var result = this.units(tree);
+    if (tree[0] == '*' || tree[0] == '/')
+      return '\\left(' + result + '\\right)';
+    return result;
+  }
+
+  unitSymbol(symbol) {
+    // ohm and the prefix micro have symbols of their own
+    if (symbol == 'ohm')
+      return '\\Omega';
+    if (symbol.length > 1 && symbol[0] == 'u' && isUnit(symbol.slice(1)))
+      return '\\mu ' + this.unitSymbol(symbol.slice(1));
+    return '\\mathrm{' + symbol + '}';
+  }
+
   simple_factor_or_function_or_parens(tree) {
     // return true if
     // factor(tree) is a single character
@@ -341,6 +476,10 @@ class astToLatex {
   stringConvert(string) {
     if (string == "infinity")
       return "\\infty";
+    if (string == "imaginary_unit")
+      return this.imaginaryUnit;
+    if (string == "cis")
+      return "\\operatorname{cis}";
     if (string.length > 1) {
       if(this.allowedLatexSymbols.includes(string))
 	return "\\" + string;
@@ -350,13 +489,21 @@ class astToLatex {
     return string;
   }
 
+  number(value) {
+    // numbers are written with the decimal separator of the locale,
+    // where a decimal comma is braced so that it is not spaced
+    if (this.decimalSeparator === '.')
+      return value;
+    return value.toString().replace('.', '{,}');
+  }
+
   factor(tree) {
     if (typeof tree === 'string') {
       return this.stringConvert(tree);
     }
 
     if (typeof tree === 'number') {
-      return tree;
+      return this.number(tree);
     }
 
     var operator = tree[0];
@@ -408,8 +555,8 @@ class astToLatex {
       }
       return result;
     }
-    else if (operator === "-") {
-      return operators[operator](operands.map(function(v, i) {
+    else if (operator === "-" || operator === "pm" || operator === "mp") {
+      return this.operators[operator](operands.map(function(v, i) {
         return this.factor(v);
       }.bind(this)));
     }
@@ -417,7 +564,7 @@ class astToLatex {
       operator === 'list' ||
 	     operator === 'set' || operator === 'vector' ||
 	     operator === '|' || operator === ':') {
-      return operators[operator](operands.map(function(v, i) {
+      return this.operators[operator](operands.map(function(v, i) {
         return this.statement(v);
       }.bind(this)));
 
@@ -429,7 +576,7 @@ class astToLatex {
       if (args[0] !== 'tuple' || closed[0] !== 'tuple')
         throw new Error("Badly formed ast");
 
-      var result = this.statement(args[1]) + ", " +
+      var result = this.statement(args[1]) + this.separator + " " +
         this.statement(args[2]);
 
       if (closed[1])
@@ -465,6 +612,14 @@ class astToLatex {
       return result;
       
     }
+    else if (operator == 'piecewise') {
+      // each case is a tuple of a value and a condition,
+      // where a condition of true means otherwise
+      return this.operators[operator](operands.map(function(v) {
+	let condition = v[2] === true ? '\\text{otherwise}' : this.statement(v[2]);
+	return this.statement(v[1]) + ' & ' + condition;
+      }.bind(this)));
+    }
     else if(operator == 'derivative_leibniz' || operator == 'partial_derivative_leibniz') {
       let deriv_symbol = "d";
       if(operator == 'partial_derivative_leibniz')
@@ -520,6 +675,43 @@ class astToLatex {
       return result;
       
     }
+    else if (operator == 'integral' || operator == 'double_integral' ||
+	     operator == 'triple_integral' || operator == 'contour_integral') {
+      let variables = operands[1];
+      if (variables[0] == 'tuple')
+	variables = variables.slice(1);
+      else
+	variables = [variables];
+
+      let differentials = variables.map(function(v) {
+	return "\\, d" + this.stringConvert(v);
+      }.bind(this)).join(' ');
+
+      let args = [this.expression(operands[0]), differentials];
+      for (let limit of operands.slice(2))
+	args.push(this.statement(limit));
+
+      return this.operators[operator](args);
+    }
+    else if (operator == 'sum' || operator == 'prod') {
+      // term adds parentheses around sums and anything of lower precedence
+      let args = [this.term(operands[0]), this.stringConvert(operands[1])];
+      for (let bound of operands.slice(2))
+	args.push(this.statement(bound));
+
+      return this.operators[operator](args);
+    }
+    else if (operator == 'limit') {
+      let args = [this.term(operands[0]), this.stringConvert(operands[1])];
+      if (operands.length > 3) {
+	// target must be a factor so that direction applies to all of it
+	args.push(this.factor(operands[2]), operands[3]);
+      }
+      else
+	args.push(this.statement(operands[2]));
+
+      return this.operators[operator](args);
+    }
     else if (operator == 'apply') {
 
       if (operands[0] === 'abs') {
@@ -540,6 +732,16 @@ class astToLatex {
         return '\\sqrt{' + this.statement(operands[1]) + '}';
       }
 
+      if (operands[0] == 'nthroot' && operands[1][0] == 'tuple' && operands[1].length == 3) {
+        return '\\sqrt[' + this.statement(operands[1][2]) + ']{'
+          + this.statement(operands[1][1]) + '}';
+      }
+
+      if (operands[0] == 'log' && operands[1][0] == 'tuple' && operands[1].length == 3) {
+        // \log_b x, the logarithm to the base b
+        operands = [['_', 'log', operands[1][2]], operands[1][1]];
+      }
+
       var f = this.factor(operands[0]);
       var f_args = this.statement(operands[1]);
 
@@ -556,7 +758,7 @@ class astToLatex {
   factorWithParenthesesIfNegated(tree) {
     var result = this.factor(tree);
 
-    if (result.toString().match(/^-/))
+    if (result.toString().match(/^(-|\\pm|\\mp)/))
       return '\\left(' + result.toString() + '\\right)';
 
     // else
@@ -566,7 +768,7 @@ class astToLatex {
   termWithPlusIfNotNegated(tree) {
     var result = this.term(tree);
 
-    if (!result.toString().match(/^-/))
+    if (!result.toString().match(/^(-|\\pm|\\mp)/))
       return '+ ' + result.toString();
 
     // else
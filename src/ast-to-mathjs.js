@@ -21,6 +21,7 @@
 
 
 import math from 'mathjs';
+import { isQuantity } from './units';
 
 var node = math.expression.node;
 //import normalize from '../expression/normalization/standard_form';
@@ -32,28 +33,75 @@ const operators = {
     "-": function(operands) { return new node.OperatorNode('-', 'unaryMinus', [operands[0]]);},
     "^": function(operands) { return new node.OperatorNode('^', 'pow', operands);},
     //"prime": function(operands) { return operands[0] + "'"; },
-    //"tuple": function(operands) { return '\\left( ' + operands.join( ', ' ) + ' \\right)';},
-    //"array": function(operands) { return '\\left[ ' + operands.join( ', ' ) + ' \\right]';},
-    //"set": function(operands) { return '\\left\\{ ' + operands.join( ', ' ) + ' \\right\\}';},
+    "tuple": function(operands) { return new node.ArrayNode(operands);},
+    "array": function(operands) { return new node.ArrayNode(operands);},
+    "list": function(operands) { return new node.ArrayNode(operands);},
+    // math.js represents sets by arrays
+    "set": function(operands) { return new node.ArrayNode(operands);},
     "vector": function(operands) { return new node.ArrayNode(operands);},
     //"interval": function(operands) { return '\\left( ' + operands.join( ', ' ) + ' \\right)';},
     "and": function(operands) { return new node.OperatorNode('and', 'and', operands);},
     "or": function(operands) { return new node.OperatorNode('or', 'or', operands);},
     "not": function(operands) { return new node.OperatorNode('not', 'not', [operands[0]]);},
-    //"=": function(operands) { return new node.OperatorNode('==', 'equal', operands);},
     "<": function(operands) { return new node.OperatorNode('<', 'smaller', operands);},
     ">": function(operands) { return new node.OperatorNode('>', 'larger', operands);},
     "le": function(operands) { return new node.OperatorNode('<=', 'smallerEq', operands);},
     "ge": function(operands) { return new node.OperatorNode('>=', 'largerEq', operands);},
-    "ne": function(operands) { return new node.OperatorNode('!=', 'unequal', operands);},
-    //"union": function (operands) { return operands.join(' \\cup '); },
-    //"intersect": function (operands) { return operands.join(' \\cap '); },
+    "union": function(operands) { return set_function('setUnion', operands);},
+    "intersect": function(operands) { return set_function('setIntersect', operands);},
 };
 
+// functions whose names in math.js differ from those of the AST
+const functions = {
+  "nthroot": "nthRoot",
+};
+
+// sums and products are written out term by term when their bounds
+// are integers giving at most this many terms
+const maxExpandedTerms = 1000;
+
+// names of sums and products whose terms are not written out, which
+// math.js leaves undefined, unlike its sum and prod of their arguments
+const unexpanded = {
+  "sum": "summation",
+  "prod": "product",
+};
+
+function substitute(tree, variable, value) {
+  // tree with the variable replaced by value, except where a
+  // nested sum or product binds the same index
+  if(tree === variable)
+    return value;
+  if(!Array.isArray(tree))
+    return tree;
+  if((tree[0] === 'sum' || tree[0] === 'prod') && tree[2] === variable)
+    return tree;
+  return tree.map(function(v) { return substitute(v, variable, value); });
+}
+
+// operators whose values math.js represents by arrays or matrices,
+// which its == compares entry by entry
+const collections = ['tuple', 'vector', 'array', 'list', 'set', 'matrix'];
+
+function is_collection(tree) {
+  return Array.isArray(tree) && collections.includes(tree[0]);
+}
+
+function set_function(name, operands) {
+  // the set functions of math.js take two arguments
+  var result = operands[0];
+  for(let i=1; i < operands.length; i++)
+    result = new node.FunctionNode(new node.SymbolNode(name), [result, operands[i]]);
+  return result;
+}
+
 class astToMathjs {
   constructor({ mathjs = null } = {}) {
-    if(mathjs)
+    this.mathjs = math;
+    if(mathjs) {
+      this.mathjs = mathjs;
       node = mathjs.expression.node;
+    }
   }
   
   convert(tree) {
@@ -70,6 +118,8 @@ class astToMathjs {
     if (typeof tree === 'string') {
       if(tree === 'infinity')
         return new node.SymbolNode('Infinity');
+      if(tree === 'imaginary_unit')
+        return new node.ConstantNode(this.mathjs.i);
     return new node.SymbolNode(tree);
     }
 
@@ -83,13 +133,31 @@ class astToMathjs {
     const operands = tree.slice(1);
 
     if(operator === "apply") {
+      if(operands[0][0] === 'prime') {
+        // f'(x) is the derivative of f(x) with respect to x
+        let f = operands[0];
+        let order = 0;
+        while(f[0] === 'prime') {
+          f = f[1];
+          order += 1;
+        }
+        return this.prime(['apply', f, operands[1]], order);
+      }
+
       if(typeof operands[0] !== 'string')
       return new node.SymbolNode('NaN');
 
       if(operands[0] === "factorial")
       return new node.OperatorNode('!', 'factorial',[this.convert(operands[1])]);
 
-      const f = new node.SymbolNode(operands[0]);
+      if(operands[0] === "cis") {
+        // cis(x) is exp(i*x)
+        let i = new node.ConstantNode(this.mathjs.i);
+        return new node.FunctionNode(new node.SymbolNode('exp'),
+          [operators['*']([i, this.convert(operands[1])])]);
+      }
+
+      const f = new node.SymbolNode(functions[operands[0]] || operands[0]);
       const args = operands[1];
       let f_args;
 
@@ -101,6 +169,91 @@ class astToMathjs {
     return new node.FunctionNode(f, f_args);
     }
 
+    if(operator === 'prime') {
+      // f(x)' is the derivative of f(x) with respect to x
+      let expr = tree;
+      let order = 0;
+      while(expr[0] === 'prime') {
+        expr = expr[1];
+        order += 1;
+      }
+      return this.prime(expr, order);
+    }
+
+    if(operator === 'derivative_leibniz' || operator === 'partial_derivative_leibniz') {
+      // d^3x/ds^2dt is derivative(derivative(derivative(x, t), s), s),
+      // where the numerator gives the order and each variable of the
+      // denominator is a symbol or a tuple of a symbol and its order
+      let expr = operands[0];
+      if(expr[0] === 'tuple')
+        expr = expr[1];
+
+      let variables = operands[1];
+      if(variables[0] === 'tuple')
+        variables = variables.slice(1);
+      else
+        variables = [variables];
+
+      let result = this.convert(expr);
+      for(let i=variables.length-1; i >= 0; i--) {
+        let variable = variables[i];
+        let order = 1;
+        if(variable[0] === 'tuple') {
+          order = variable[2];
+          variable = variable[1];
+        }
+        result = this.derivative(result, variable, order);
+      }
+      return result;
+    }
+
+    if(operator === 'unit') {
+      // a number with units is a math.js unit, and other
+      // quantities are multiplied by the units
+      const units = this.units(operands[1]);
+      if(isQuantity(operands[0])) {
+        const value = operands[0][0] === '-' ? -operands[0][1] : operands[0];
+        return new node.ConstantNode(this.mathjs.multiply(value, units));
+      }
+      return operators['*']([this.convert(operands[0]), new node.ConstantNode(units)]);
+    }
+
+    if(operator === 'sum' || operator === 'prod') {
+      const [expr, index, lower, upper] = operands;
+      if(Number.isInteger(lower) && Number.isInteger(upper)
+         && upper - lower < maxExpandedTerms) {
+        // a sum or product of the terms, which is 0 or 1 if there are none
+        let terms = [];
+        for(let k=lower; k <= upper; k++)
+          terms.push(this.convert(substitute(expr, index, k)));
+        if(terms.length === 0)
+          return new node.ConstantNode(operator === 'sum' ? 0 : 1);
+        if(terms.length === 1)
+          return terms[0];
+        return operators[operator === 'sum' ? '+' : '*'](terms);
+      }
+
+      // math.js has no symbolic sums or products, so keep the index
+      // and bounds as arguments of a function math.js does not define
+      const f_args = operands.map(function(v,i) { return this.convert(v); }.bind(this));
+      return new node.FunctionNode(new node.SymbolNode(unexpanded[operator]), f_args);
+    }
+
+    if(operator === 'piecewise') {
+      // nest conditionals from the last case outward,
+      // where the function is undefined if no condition holds
+      let result = new node.SymbolNode('NaN');
+      for(let i=operands.length-1; i >= 0; i--) {
+        const value = this.convert(operands[i][1]);
+        const condition = operands[i][2];
+        if(condition === true)
+          result = value;
+        else
+          result = new node.ConditionalNode(this.convert(condition), value, result);
+      }
+    return result;
+    }
+
     if(operator === 'lts' || operator === 'gts') {
       const args = operands[0]
       const strict = operands[1];
@@ -133,11 +286,9 @@ class astToMathjs {
 
     if(operator === '=') {
 
-    var arg_nodes = operands.map(function(v,i) { return this.convert(v); }.bind(this) );
-
     var comparisons = []
-      for(var i=1; i< arg_nodes.length; i++) {
-        comparisons.push(new node.OperatorNode('==', 'equal', arg_nodes.slice(i-1, i+1)));
+      for(var i=1; i< operands.length; i++) {
+        comparisons.push(this.equality(operands[i-1], operands[i]));
       }
 
       if(comparisons.length==1)
@@ -149,42 +300,31 @@ class astToMathjs {
       return result;
     }
 
+    if(operator === 'ne') {
+      if(is_collection(operands[0]) || is_collection(operands[1]))
+        return new node.OperatorNode('not', 'not', [this.equality(operands[0], operands[1])]);
+      return new node.OperatorNode('!=', 'unequal', [this.convert(operands[0]), this.convert(operands[1])]);
+    }
+
+    if(operator === 'interval')
+      throw new Error("Intervals can only be converted in membership and subset tests");
+
+    // x ± y has two values, which a math.js node cannot give
+    if(operator === 'pm' || operator === 'mp')
+      throw new Error("Cannot convert " + operator + " to math.js");
+
     if(operator === 'in' || operator === 'notin' ||
        operator === 'ni' || operator === 'notni') {
 
       if(operator === 'in' || operator === 'notin') {
       var x = operands[0];
-      var interval = operands[1];
+      var set = operands[1];
       }else{
       var x = operands[1];
-      var interval = operands[0];
+      var set = operands[0];
       }
-      if((typeof x !== 'number') && (typeof x != 'string'))
-        return new node.SymbolNode('NaN');
-      var x = this.convert(x);
-
-      if(interval[0] !== 'interval')
-        throw Error("no support for interval");
-
-      var args = interval[1];
-      var closed = interval[2];
-      if(args[0] !== 'tuple' || closed[0] !== 'tuple')
-        throw new Error("Badly formed ast");
 
-      var a = this.convert(args[1]);
-      var b = this.convert(args[2]);
-
-      var comparisons = [];
-      if(closed[1])
-        comparisons.push(new node.OperatorNode('>=', 'largerEq', [x,a]));
-      else
-        comparisons.push(new node.OperatorNode('>', 'larger', [x,a]));
-      if(closed[2])
-        comparisons.push(new node.OperatorNode('<=', 'smallerEq', [x,b]));
-      else
-        comparisons.push(new node.OperatorNode('<', 'smaller', [x,b]));
-
-      var result =  new node.OperatorNode('and', 'and', comparisons);
+      var result = this.membership(this.convert(x), set);
 
       if(operator === 'notin' || operator === 'notni')
         result = new node.OperatorNode('not', 'not', [result]);
@@ -202,8 +342,14 @@ class astToMathjs {
       var small = operands[1];
       var big = operands[0];
     }
-    if(small[0] !== 'interval' || big[0] !== 'interval')
-      throw Error("no support for interval");
+    if(small[0] !== 'interval' || big[0] !== 'interval') {
+      // sets other than intervals are compared as arrays
+      var result = new node.FunctionNode(new node.SymbolNode('setIsSubset'),
+                                         [this.convert(small), this.convert(big)]);
+      if(operator === 'notsubset' || operator === 'notsuperset')
+        result = new node.OperatorNode('not', 'not', [result]);
+      return result;
+    }
 
     var small_args = small[1];
     var small_closed = small[2];
@@ -237,6 +383,16 @@ class astToMathjs {
     return result;
     }
 
+    if(operator === 'matrix') {
+      // the entries are given by rows after the size
+      const rows = operands[1];
+      if(rows[0] !== 'tuple')
+        throw new Error("Badly formed ast");
+      return new node.ArrayNode(rows.slice(1).map(function(row) {
+        return new node.ArrayNode(row.slice(1).map(function(v,i) { return this.convert(v); }.bind(this)));
+      }.bind(this)));
+    }
+
     if (operator in operators) {
       return operators[operator](
         operands.map( function(v,i) { return this.convert(v); }.bind(this) ) );
@@ -246,6 +402,127 @@ class astToMathjs {
 
   }
 
+  units(tree) {
+    // the math.js unit of the units of a quantity,
+    // whose exponents must be numbers
+    if(typeof tree === 'string')
+      return this.mathjs.unit(tree);
+    if(typeof tree === 'number')
+      return tree;
+
+    const operator = tree[0];
+    const operands = tree.slice(1);
+
+    if(operator === '*')
+      return operands.map(function(v,i) { return this.units(v); }.bind(this))
+        .reduce(function(a, b) { return this.mathjs.multiply(a, b); }.bind(this));
+    if(operator === '/')
+      return this.mathjs.divide(this.units(operands[0]), this.units(operands[1]));
+    if(operator === '^') {
+      let exponent = operands[1];
+      if(exponent[0] === '-' && typeof exponent[1] === 'number')
+        exponent = -exponent[1];
+      if(typeof exponent !== 'number')
+        throw new Error("Badly formed ast");
+      return this.mathjs.pow(this.units(operands[0]), exponent);
+    }
+
+    throw new Error("Badly formed ast");
+  }
+
+  derivative(expr, variable, order) {
+    // derivative of the node expr, taken order times, as calls of
+    // derivative(expr, x), which math.js cannot evaluate since it
+    // evaluates their arguments, so that resolveDerivatives must
+    // replace them before the node is compiled
+    if(typeof variable !== 'string' || !Number.isInteger(order) || order < 1)
+      throw new Error("Badly formed ast");
+    for(let i=0; i < order; i++)
+      expr = new node.FunctionNode(new node.SymbolNode('derivative'),
+                                   [expr, new node.SymbolNode(variable)]);
+    return expr;
+  }
+
+  resolveDerivatives(mathnode) {
+    // the node with each call derivative(expr, x), from the innermost,
+    // replaced by the derivative math.js computes, which throws
+    // if expr has functions math.js cannot differentiate
+    var mathjs = this.mathjs;
+    var resolve = function(n) {
+      n = n.map(resolve);
+      if(n.isFunctionNode && n.name === 'derivative' && n.args.length === 2)
+        return mathjs.derivative(n.args[0], n.args[1]);
+      return n;
+    };
+    return resolve(mathnode);
+  }
+
+  prime(expr, order) {
+    // derivative of a function applied to a single variable,
+    // which is undefined if there is no such variable
+    if(expr[0] !== 'apply' || typeof expr[1] !== 'string' || typeof expr[2] !== 'string')
+      return new node.SymbolNode('NaN');
+    return this.derivative(this.convert(expr), expr[2], order);
+  }
+
+  equality(a, b) {
+    // condition that a equals b, which for collections is that they
+    // are equal as a whole rather than entry by entry, and for sets
+    // that each is a subset of the other, ignoring repeated elements
+    // that math.js would count as in a multiset
+    var nodes = [this.convert(a), this.convert(b)];
+    if(a[0] === 'set' && b[0] === 'set') {
+      nodes = nodes.map(function(v) {
+        return new node.FunctionNode(new node.SymbolNode('setDistinct'), [v]);
+      });
+      return new node.OperatorNode('and', 'and', [
+        new node.FunctionNode(new node.SymbolNode('setIsSubset'), nodes),
+        new node.FunctionNode(new node.SymbolNode('setIsSubset'), nodes.slice().reverse())]);
+    }
+    if(is_collection(a) || is_collection(b))
+      return new node.FunctionNode(new node.SymbolNode('deepEqual'), nodes);
+    return new node.OperatorNode('==', 'equal', nodes);
+  }
+
+  membership(x, set) {
+    // condition that x is an element of set, which is a pair of
+    // comparisons for an interval and a call of setIsSubset otherwise
+
+    if(set[0] === 'union' || set[0] === 'intersect') {
+      // or and and of math.js take two arguments
+      const op = set[0] === 'union' ? 'or' : 'and';
+      const conditions = set.slice(1).map(function(v,i) { return this.membership(x, v); }.bind(this));
+      var result = conditions[0];
+      for(let i=1; i < conditions.length; i++)
+        result = new node.OperatorNode(op, op, [result, conditions[i]]);
+      return result;
+    }
+
+    if(set[0] !== 'interval')
+      return new node.FunctionNode(new node.SymbolNode('setIsSubset'),
+                                   [new node.ArrayNode([x]), this.convert(set)]);
+
+    var args = set[1];
+    var closed = set[2];
+    if(args[0] !== 'tuple' || closed[0] !== 'tuple')
+      throw new Error("Badly formed ast");
+
+    var a = this.convert(args[1]);
+    var b = this.convert(args[2]);
+
+    var comparisons = [];
+    if(closed[1])
+      comparisons.push(new node.OperatorNode('>=', 'largerEq', [x,a]));
+    else
+      comparisons.push(new node.OperatorNode('>', 'larger', [x,a]));
+    if(closed[2])
+      comparisons.push(new node.OperatorNode('<=', 'smallerEq', [x,b]));
+    else
+      comparisons.push(new node.OperatorNode('<', 'smaller', [x,b]));
+
+    return new node.OperatorNode('and', 'and', comparisons);
+  }
+
 
 }
 
@@ -0,0 +1,734 @@
+/*
+ * convert syntax trees to presentation MathML
+ *
+ * Copyright 2014-2017 by
+ *  Jim Fowler <kisonecat@gmail.com>
+ *  Duane Nykamp <nykamp@umn.edu>
+ *
+ * This file is part of a math-expressions library
+ *
+ * math-expressions is free software: you can redistribute
+ * it and/or modify it under the terms of the GNU General Public
+ * License as published by the Free Software Foundation, either
+ * version 3 of the License, or at your option any later version.
+ *
+ * math-expressions is distributed in the hope that it
+ * will be useful, but WITHOUT ANY WARRANTY; without even the implied
+ * warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License for more details.
+ *
+ */
+
+// The structure follows astToLatex, with the same precedence
+// and parenthesization rules.  Each method returns a sequence of
+// MathML elements, which is grouped with mrow where a single
+// element is required.
+
+const invisible_times = '<mo>&#x2062;</mo>';
+const function_application = '<mo>&#x2061;</mo>';
+const thin_space = '<mspace width="0.167em"/>';
+
+function is_single_element(mml) {
+  // whether mml consists of exactly one element at the top level
+  var tags = /<(\/?)[a-z]+[^>]*?(\/?)>/g;
+  var depth = 0;
+  var n_elements = 0;
+  var match;
+  while ((match = tags.exec(mml)) !== null) {
+    if (match[1]) {
+      depth -= 1;
+    }
+    else {
+      if (depth == 0)
+        n_elements += 1;
+      if (!match[2])
+        depth += 1;
+    }
+  }
+  return n_elements == 1;
+}
+
+function mrow(mml) {
+  if (is_single_element(mml))
+    return mml;
+  return '<mrow>' + mml + '</mrow>';
+}
+
+function fence(left, mml, right) {
+  return '<mrow><mo>' + left + '</mo>' + mml + '<mo>' + right + '</mo></mrow>';
+}
+
+function is_parenthesized(mml) {
+  return /^<mrow><mo>\(<\/mo>.*<mo>\)<\/mo><\/mrow>$/.test(mml);
+}
+
+function is_negated(mml) {
+  // whether mml starts with a minus or plus-minus sign
+  return /^<mo>[−±∓]<\/mo>/.test(mml);
+}
+
+function integral(symbol, operands) {
+  // operands are the integrand, the differentials,
+  // and the optional lower and upper limits
+  var result = '<mo>' + symbol + '</mo>';
+  if (operands.length > 3)
+    result = '<msubsup>' + result + mrow(operands[2]) + mrow(operands[3]) + '</msubsup>';
+  else if (operands.length > 2)
+    result = '<msub>' + result + mrow(operands[2]) + '</msub>';
+  return result + operands[0] + operands[1];
+}
+
+function big_operator(symbol, operands) {
+  // operands are the expression, the index,
+  // and the optional lower and upper bounds
+  var under = operands[1];
+  if (operands.length > 2)
+    under += '<mo>=</mo>' + operands[2];
+  var result = '<mo>' + symbol + '</mo>';
+  if (operands.length > 3)
+    result = '<munderover>' + result + mrow(under) + mrow(operands[3]) + '</munderover>';
+  else
+    result = '<munder>' + result + mrow(under) + '</munder>';
+  return result + operands[0];
+}
+
+const operators = {
+  "+": function(operands) {
+    return operands.join('');
+  },
+  "-": function(operands) {
+    return "<mo>−</mo>" + operands[0];
+  },
+  "pm": function(operands) {
+    return "<mo>±</mo>" + operands[0];
+  },
+  "mp": function(operands) {
+    return "<mo>∓</mo>" + operands[0];
+  },
+  "*": function(operands) {
+    return operands.join('');
+  },
+  "/": function(operands) {
+    return "<mfrac>" + mrow(operands[0]) + mrow(operands[1]) + "</mfrac>";
+  },
+  "_": function(operands) {
+    return "<msub>" + mrow(operands[0]) + mrow(operands[1]) + "</msub>";
+  },
+  "^": function(operands) {
+    return "<msup>" + mrow(operands[0]) + mrow(operands[1]) + "</msup>";
+  },
+  "prime": function(operands) {
+    return "<mover>" + mrow(operands[0]) + "<mo>" + operands[1] + "</mo></mover>";
+  },
+  "tuple": function(operands) {
+    return fence('(', operands.join('<mo>,</mo>'), ')');
+  },
+  "array": function(operands) {
+    return fence('[', operands.join('<mo>,</mo>'), ']');
+  },
+  "list": function(operands) {
+    return operands.join('<mo>,</mo>');
+  },
+  "set": function(operands) {
+    return fence('{', operands.join('<mo>,</mo>'), '}');
+  },
+  "vector": function(operands) {
+    return fence('(', operands.join('<mo>,</mo>'), ')');
+  },
+  "interval": function(operands) {
+    return fence('(', operands.join('<mo>,</mo>'), ')');
+  },
+  "matrix": function(operands) {
+    return fence('[', '<mtable>' + operands.join('') + '</mtable>', ']');
+  },
+  "piecewise": function(operands) {
+    return '<mrow><mo>{</mo><mtable>' + operands.join('') + '</mtable></mrow>';
+  },
+  "and": function(operands) {
+    return operands.join('<mo>∧</mo>');
+  },
+  "or": function(operands) {
+    return operands.join('<mo>∨</mo>');
+  },
+  "not": function(operands) {
+    return '<mo>¬</mo>' + operands[0];
+  },
+  "=": function(operands) {
+    return operands.join('<mo>=</mo>');
+  },
+  "<": function(operands) {
+    return operands.join('<mo>&lt;</mo>');
+  },
+  ">": function(operands) {
+    return operands.join('<mo>&gt;</mo>');
+  },
+  "lts": function(operands) {
+    return operands.join('<mo>&lt;</mo>');
+  },
+  "gts": function(operands) {
+    return operands.join('<mo>&gt;</mo>');
+  },
+  "le": function(operands) {
+    return operands.join('<mo>≤</mo>');
+  },
+  "ge": function(operands) {
+    return operands.join('<mo>≥</mo>');
+  },
+  "ne": function(operands) {
+    return operands.join('<mo>≠</mo>');
+  },
+  "in": function(operands) {
+    return operands[0] + "<mo>∈</mo>" + operands[1];
+  },
+  "notin": function(operands) {
+    return operands[0] + "<mo>∉</mo>" + operands[1];
+  },
+  "ni": function(operands) {
+    return operands[0] + "<mo>∋</mo>" + operands[1];
+  },
+  "notni": function(operands) {
+    return operands[0] + "<mo>∌</mo>" + operands[1];
+  },
+  "subset": function(operands) {
+    return operands[0] + "<mo>⊂</mo>" + operands[1];
+  },
+  "notsubset": function(operands) {
+    return operands[0] + "<mo>⊄</mo>" + operands[1];
+  },
+  "superset": function(operands) {
+    return operands[0] + "<mo>⊃</mo>" + operands[1];
+  },
+  "notsuperset": function(operands) {
+    return operands[0] + "<mo>⊅</mo>" + operands[1];
+  },
+  "union": function(operands) {
+    return operands.join('<mo>∪</mo>');
+  },
+  "intersect": function(operands) {
+    return operands.join('<mo>∩</mo>');
+  },
+  "derivative_leibniz": function (operands) {
+    return "<mfrac>" + mrow(operands[0]) + mrow(operands[1]) + "</mfrac>";
+  },
+  "partial_derivative_leibniz": function (operands) {
+    return "<mfrac>" + mrow(operands[0]) + mrow(operands[1]) + "</mfrac>";
+  },
+  "integral": function (operands) {
+    return integral("∫", operands);
+  },
+  "double_integral": function (operands) {
+    return integral("∬", operands);
+  },
+  "triple_integral": function (operands) {
+    return integral("∭", operands);
+  },
+  "contour_integral": function (operands) {
+    return integral("∮", operands);
+  },
+  "sum": function (operands) {
+    return big_operator("∑", operands);
+  },
+  "prod": function (operands) {
+    return big_operator("∏", operands);
+  },
+  "limit": function (operands) {
+    // operands are the expression, the variable, the target,
+    // and the optional direction of a one-sided limit
+    var target = operands[2];
+    if (operands.length > 3)
+      target = "<msup>" + mrow(target) + "<mo>" + (operands[3] === '-' ? '−' : '+')
+        + "</mo></msup>";
+    return "<munder><mo>lim</mo><mrow>" + operands[1] + "<mo>→</mo>" + target
+      + "</mrow></munder>" + operands[0];
+  },
+  "|": function (operands) {
+    return operands[0] + "<mo>|</mo>" + operands[1];
+  },
+  ":": function (operands) {
+    return operands[0] + "<mo>:</mo>" + operands[1];
+  },
+};
+
+// symbols written as a single character
+const symbols = {
+  'alpha': 'α', 'beta': 'β', 'gamma': 'γ', 'Gamma': 'Γ',
+  'delta': 'δ', 'Delta': 'Δ', 'epsilon': 'ε', 'zeta': 'ζ',
+  'eta': 'η', 'theta': 'θ', 'Theta': 'Θ', 'iota': 'ι',
+  'kappa': 'κ', 'lambda': 'λ', 'Lambda': 'Λ', 'mu': 'μ',
+  'nu': 'ν', 'xi': 'ξ', 'Xi': 'Ξ', 'pi': 'π', 'Pi': 'Π',
+  'rho': 'ρ', 'sigma': 'σ', 'Sigma': 'Σ', 'tau': 'τ',
+  'Tau': 'Τ', 'upsilon': 'υ', 'Upsilon': 'Υ', 'phi': 'ϕ',
+  'Phi': 'Φ', 'chi': 'χ', 'psi': 'ψ', 'Psi': 'Ψ',
+  'omega': 'ω', 'Omega': 'Ω', 'partial': '∂', 'nabla': '∇', 'infinity': '∞',
+  'imaginary_unit': 'ⅈ',
+};
+
+
+class astToMathml {
+
+  convert(tree) {
+    return '<math xmlns="http://www.w3.org/1998/Math/MathML">' + this.statement(tree)
+      + '</math>';
+  }
+
+  statement(tree) {
+    if ((typeof tree === 'string') || (typeof tree === 'number')) {
+      return this.single_statement(tree);
+    }
+
+    var operator = tree[0];
+    var operands = tree.slice(1);
+
+    if ((!(operator in operators)) && operator !== "apply")
+      throw new Error("Badly formed ast: operator " + operator + " not recognized.");
+
+    if (operator === 'and' || operator === 'or') {
+      return operators[operator](operands.map(function(v, i) {
+        var result = this.single_statement(v);
+        // for clarity, add parenthesis unless result is
+        // single quantity or already has parens
+        if (!is_single_element(result) && !is_parenthesized(result))
+          return fence('(', result, ')');
+        else
+          return result;
+      }.bind(this)));
+    }
+    return this.single_statement(tree);
+  }
+
+  single_statement(tree) {
+    if ((typeof tree === 'string') || (typeof tree === 'number')) {
+      return this.expression(tree);
+    }
+
+    var operator = tree[0];
+    var operands = tree.slice(1);
+
+    if (operator == 'not') {
+      return operators[operator](operands.map(function(v, i) {
+        var result = this.single_statement(v);
+        // for clarity, add parenthesis unless result is
+        // single quantity or already has parens
+        if (!is_single_element(result) && !is_parenthesized(result))
+          return fence('(', result, ')');
+        else
+          return result;
+      }.bind(this)));
+    }
+
+    if ((operator == '=') || (operator == 'ne') ||
+      (operator == '<') || (operator == '>') ||
+      (operator == 'le') || (operator == 'ge') ||
+      (operator == 'in') || (operator == 'notin') ||
+      (operator == 'ni') || (operator == 'notni') ||
+      (operator == 'subset') || (operator == 'notsubset') ||
+      (operator == 'superset') || (operator == 'notsuperset')) {
+      return operators[operator](operands.map(function(v, i) {
+        return this.expression(v);
+      }.bind(this)));
+    }
+
+    if (operator == 'lts' || operator == 'gts') {
+      var args = operands[0]
+      var strict = operands[1];
+
+      if (args[0] != 'tuple' || strict[0] != 'tuple')
+        // something wrong if args or strict are not tuples
+        throw new Error("Badly formed ast");
+
+      var result = this.expression(args[1]);
+      for (var i = 1; i < args.length - 1; i++) {
+        if (strict[i]) {
+          if (operator == 'lts')
+            result += "<mo>&lt;</mo>";
+          else
+            result += "<mo>&gt;</mo>";
+        }
+        else {
+          if (operator == 'lts') {
+            result += "<mo>≤</mo>";
+          }
+          else {
+            result += "<mo>≥</mo>";
+          }
+        }
+        result += this.expression(args[i + 1]);
+      }
+      return result;
+    }
+
+    return this.expression(tree);
+  }
+
+  expression(tree) {
+    if ((typeof tree === 'string') || (typeof tree === 'number')) {
+      return this.term(tree);
+    }
+
+    var operator = tree[0];
+    var operands = tree.slice(1);
+
+    if (operator == '+') {
+      return operators[operator](operands.map(function(v, i) {
+        if (i > 0)
+          return this.termWithPlusIfNotNegated(v);
+        else
+          return this.term(v);
+      }.bind(this)));
+    }
+
+    if ((operator == 'union') || (operator == 'intersect')) {
+      return operators[operator](operands.map(function(v, i) {
+        return this.term(v);
+      }.bind(this)));
+    }
+
+    return this.term(tree);
+  }
+
+  term(tree) {
+    if ((typeof tree === 'string') || (typeof tree === 'number')) {
+      return this.factor(tree);
+    }
+
+    var operator = tree[0];
+    var operands = tree.slice(1);
+
+    if (operator == '-' || operator == 'pm' || operator == 'mp') {
+      return operators[operator](operands.map(function(v, i) {
+        return this.term(v);
+      }.bind(this)));
+    }
+    if (operator == '*') {
+      return operators[operator](operands.map(function(v, i) {
+        var result;
+        if (i > 0) {
+          result = this.factorWithParenthesesIfNegated(v);
+          if (result.match(/^<mn>/))
+            return '<mo>⋅</mo>' + result;
+          else
+            return invisible_times + result;
+        }
+        else
+          return this.factor(v);
+      }.bind(this)));
+    }
+
+    if (operator == '/') {
+      return operators[operator](operands.map(function(v, i) {
+        return this.expression(v);
+      }.bind(this)));
+    }
+
+    return this.factor(tree);
+  }
+
+  simple_factor_or_function_or_parens(tree) {
+    // return true if
+    // factor(tree) is a single character
+    // or tree is a number
+    // or tree is a string
+    // or tree is a function call
+    // or factor(tree) is in parens
+
+    var result = this.factor(tree);
+
+    if (/^<(mi|mn)>.<\/\1>$/.test(result) ||
+      (typeof tree == 'number') ||
+      (typeof tree == 'string') ||
+      (tree[0] == 'apply') ||
+      is_parenthesized(result)
+    )
+      return true;
+    else
+      return false
+  }
+
+  stringConvert(string) {
+    if (string in symbols)
+      return '<mi>' + symbols[string] + '</mi>';
+    return '<mi>' + string + '</mi>';
+  }
+
+  numberConvert(number) {
+    if (number === Infinity)
+      return '<mi>∞</mi>';
+    if (number === -Infinity)
+      return '<mo>−</mo><mi>∞</mi>';
+    if (number < 0)
+      return '<mo>−</mo><mn>' + (-number) + '</mn>';
+    return '<mn>' + number + '</mn>';
+  }
+
+  factor(tree) {
+    if (typeof tree === 'string') {
+      return this.stringConvert(tree);
+    }
+
+    if (typeof tree === 'number') {
+      return this.numberConvert(tree);
+    }
+
+    var operator = tree[0];
+    var operands = tree.slice(1);
+
+
+    if (operator === "^") {
+      // write x_1^2 with msubsup
+      if (operands[0][0] == '_' && (typeof operands[0][1] == 'string')) {
+        return '<msubsup>' + this.factor(operands[0][1]) +
+          mrow(this.statement(operands[0][2])) +
+          mrow(this.statement(operands[1])) + '</msubsup>';
+      }
+
+      var operand0 = this.factor(operands[0]);
+
+      // so that f_(st)'^2(x) doesn't get extra parentheses
+      // (and no longer recognized as function call)
+      // check for simple factor after removing primes
+      var remove_primes = operands[0];
+      while (remove_primes[0] == 'prime') {
+        remove_primes = remove_primes[1];
+      }
+
+      if (!(this.simple_factor_or_function_or_parens(remove_primes) ||
+          (remove_primes[0] == '_' && (typeof remove_primes[1] == 'string'))
+        ))
+        operand0 = fence('(', operand0, ')');
+
+      return operators[operator]([operand0, this.statement(operands[1])]);
+    }
+    else if (operator === "_") {
+      var operand0 = this.factor(operands[0]);
+      if (!(this.simple_factor_or_function_or_parens(operands[0])))
+        operand0 = fence('(', operand0, ')');
+
+      return operators[operator]([operand0, this.statement(operands[1])]);
+    }
+    else if (operator === "prime") {
+      var op = operands[0];
+
+      var n_primes = 1;
+      while (op[0] === "prime") {
+        n_primes += 1;
+        op = op[1];
+      }
+
+      var result = this.factor(op);
+
+      if (!(this.simple_factor_or_function_or_parens(op) ||
+          (op[0] == '_' && (typeof op[1] == 'string'))
+        ))
+        result = fence('(', result, ')');
+
+      // prime, double prime and triple prime are single characters
+      var primes = ['′', '″', '‴'][n_primes - 1]
+          || '′'.repeat(n_primes);
+
+      return operators[operator]([result, primes]);
+    }
+    else if (operator === "-" || operator === "pm" || operator === "mp") {
+      return operators[operator](operands.map(function(v, i) {
+        return this.factor(v);
+      }.bind(this)));
+    }
+    else if (operator === 'tuple' || operator === 'array' ||
+      operator === 'list' ||
+	     operator === 'set' || operator === 'vector' ||
+	     operator === '|' || operator === ':') {
+      return operators[operator](operands.map(function(v, i) {
+        return this.statement(v);
+      }.bind(this)));
+
+    }
+    else if (operator === 'interval') {
+
+      var args = operands[0];
+      var closed = operands[1];
+      if (args[0] !== 'tuple' || closed[0] !== 'tuple')
+        throw new Error("Badly formed ast");
+
+      return fence(closed[1] ? '[' : '(',
+		   this.statement(args[1]) + '<mo>,</mo>' + this.statement(args[2]),
+		   closed[2] ? ']' : ')');
+
+    }
+    else if (operator == 'matrix') {
+      var size = operands[0];
+      var args = operands[1];
+
+      let rows = [];
+      for(var row = 0; row < size[1]; row += 1) {
+	let result = '<mtr>';
+	for(var col = 0; col < size[2]; col += 1) {
+	  result = result + '<mtd>' + this.statement(args[row+1][col+1]) + '</mtd>';
+	}
+	rows.push(result + '</mtr>');
+      }
+
+      return operators[operator](rows);
+
+    }
+    else if (operator == 'piecewise') {
+      // each case is a tuple of a value and a condition,
+      // where a condition of true means otherwise
+      return operators[operator](operands.map(function(v) {
+	let condition = v[2] === true ? '<mtext>otherwise</mtext>' : this.statement(v[2]);
+	return '<mtr><mtd>' + this.statement(v[1]) + '</mtd><mtd>' + condition
+	  + '</mtd></mtr>';
+      }.bind(this)));
+    }
+    else if(operator == 'derivative_leibniz' || operator == 'partial_derivative_leibniz') {
+      let deriv_symbol = "<mi>d</mi>";
+      if(operator == 'partial_derivative_leibniz')
+	deriv_symbol = "<mo>∂</mo>";
+
+      let num = operands[0];
+      let denom = operands[1];
+
+      let n_deriv = 1;
+      let var1 = "";
+      if(Array.isArray(num)) {
+	var1 = num[1];
+	n_deriv = num[2];
+      }
+      else
+	var1 = num;
+
+      let numerator = deriv_symbol;
+      if(n_deriv > 1)
+	numerator = "<msup>" + numerator + "<mn>" + n_deriv + "</mn></msup>";
+      numerator = numerator + this.stringConvert(var1);
+
+      let n_denom = 1;
+      if(Array.isArray(denom)) {
+	n_denom = denom.length-1;
+      }
+
+      let denominator = "";
+      for(let i=1; i <= n_denom; i++) {
+	let denom_part = denom[i];
+
+	let exponent = 1;
+	let var2 = "";
+	if(Array.isArray(denom_part)) {
+	  var2 = denom_part[1];
+	  exponent = denom_part[2];
+	}
+	else
+	  var2 = denom_part;
+
+	let part = this.stringConvert(var2);
+	if(exponent > 1)
+	  part = "<msup>" + part + "<mn>" + exponent + "</mn></msup>";
+
+	denominator = denominator + deriv_symbol + part;
+      }
+
+      return operators[operator]([numerator, denominator]);
+
+    }
+    else if (operator == 'integral' || operator == 'double_integral' ||
+	     operator == 'triple_integral' || operator == 'contour_integral') {
+      let variables = operands[1];
+      if (variables[0] == 'tuple')
+	variables = variables.slice(1);
+      else
+	variables = [variables];
+
+      let differentials = variables.map(function(v) {
+	return thin_space + "<mi>d</mi>" + this.stringConvert(v);
+      }.bind(this)).join('');
+
+      let args = [this.expression(operands[0]), differentials];
+      for (let limit of operands.slice(2))
+	args.push(this.statement(limit));
+
+      return operators[operator](args);
+    }
+    else if (operator == 'sum' || operator == 'prod') {
+      // term adds parentheses around sums and anything of lower precedence
+      let args = [this.term(operands[0]), this.stringConvert(operands[1])];
+      for (let bound of operands.slice(2))
+	args.push(this.statement(bound));
+
+      return operators[operator](args);
+    }
+    else if (operator == 'limit') {
+      let args = [this.term(operands[0]), this.stringConvert(operands[1])];
+      if (operands.length > 3) {
+	// target must be a factor so that direction applies to all of it
+	args.push(this.factor(operands[2]), operands[3]);
+      }
+      else
+	args.push(this.statement(operands[2]));
+
+      return operators[operator](args);
+    }
+    else if (operator == 'apply') {
+
+      if (operands[0] === 'abs') {
+        return fence('|', this.statement(operands[1]), '|');
+      }
+
+      if (operands[0] === "factorial") {
+        var result = this.factor(operands[1]);
+        if (this.simple_factor_or_function_or_parens(operands[1]) ||
+          (operands[1][0] == '_' && (typeof operands[1][1] == 'string'))
+        )
+          return result + "<mo>!</mo>";
+        else
+          return fence('(', result, ')') + '<mo>!</mo>';
+      }
+
+      if (operands[0] == 'sqrt') {
+        return '<msqrt>' + this.statement(operands[1]) + '</msqrt>';
+      }
+
+      if (operands[0] == 'nthroot' && operands[1][0] == 'tuple' && operands[1].length == 3) {
+        return '<mroot><mrow>' + this.statement(operands[1][1]) + '</mrow><mrow>'
+          + this.statement(operands[1][2]) + '</mrow></mroot>';
+      }
+
+      if (operands[0] == 'log' && operands[1][0] == 'tuple' && operands[1].length == 3) {
+        // the base is a subscript of log
+        operands = [['_', 'log', operands[1][2]], operands[1][1]];
+      }
+
+      var f = this.factor(operands[0]);
+      var f_args = this.statement(operands[1]);
+
+      if (operands[1][0] != 'tuple')
+        f_args = fence('(', f_args, ')');
+
+      return f + function_application + f_args;
+    }
+    else {
+      return fence('(', this.statement(tree), ')');
+    }
+  }
+
+  factorWithParenthesesIfNegated(tree) {
+    var result = this.factor(tree);
+
+    if (is_negated(result))
+      return fence('(', result, ')');
+
+    // else
+    return result;
+  }
+
+  termWithPlusIfNotNegated(tree) {
+    var result = this.term(tree);
+
+    if (!is_negated(result))
+      return '<mo>+</mo>' + result;
+
+    // else
+    return result;
+  }
+
+}
+
+
+export default astToMathml;
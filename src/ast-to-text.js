@@ -19,22 +19,20 @@
  *
  */
 
+import { reciprocal } from './units';
+import { decimalSeparator, listSeparator } from './locale';
+
 
 const unicode_operators = {
     "+": function(operands) { return operands.join( ' ' ); },
     "-": function(operands) { return "- " + operands[0]; },
+    "pm": function(operands) { return "± " + operands[0]; },
+    "mp": function(operands) { return "∓ " + operands[0]; },
     "*": function(operands) { return operands.join( " " ); },
     "/": function(operands) { return operands[0] + "/" + operands[1]; },
     "_": function(operands) { return operands[0]  + "_" + operands[1]; },
     "^": function(operands) { return operands[0]  + "^" + operands[1]; },
     "prime": function(operands) { return operands[0] + "'"; },
-    "tuple": function(operands) { return '( ' + operands.join( ', ' ) + ' )';},
-    "array": function(operands) { return '[ ' + operands.join( ', ' ) + ' ]';},
-    "list": function(operands) { return operands.join( ', ' );},
-    "set": function(operands) { return '{ ' + operands.join( ', ' ) + ' }';},
-    "vector": function(operands) { return '( ' + operands.join( ', ' ) + ' )';},
-    "interval": function(operands) { return '( ' + operands.join( ', ' ) + ' )';},
-    "matrix": function(operands) { return '( ' + operands.join( ', ' ) + ' )';},
     "and": function(operands) { return operands.join( ' and ' );},
     "or": function(operands) { return operands.join( ' or ' );},
     "not": function(operands) { return 'not ' + operands[0]; },
@@ -61,24 +59,20 @@ const unicode_operators = {
     "partial_derivative_leibniz": function (operands) { return "∂" + operands[0] + "/∂" + operands[1]; },
     "|": function (operands) { return operands[0] + " | " + operands[1]; },
     ":": function (operands) { return operands[0] + " : " + operands[1]; },
+    "unit": function (operands) { return operands[0] + " " + operands[1]; },
   
 };
 
 const nonunicode_operators = {
     "+": function(operands) { return operands.join( ' ' ); },
     "-": function(operands) { return "- " + operands[0]; },
+    "pm": function(operands) { return "+/- " + operands[0]; },
+    "mp": function(operands) { return "-/+ " + operands[0]; },
     "*": function(operands) { return operands.join( " " ); },
     "/": function(operands) { return operands[0] + "/" + operands[1]; },
     "_": function(operands) { return operands[0]  + "_" + operands[1]; },
     "^": function(operands) { return operands[0]  + "^" + operands[1]; },
     "prime": function(operands) { return operands[0] + "'"; },
-    "tuple": function(operands) { return '( ' + operands.join( ', ' ) + ' )';},
-    "array": function(operands) { return '[ ' + operands.join( ', ' ) + ' ]';},
-    "list": function(operands) { return operands.join( ', ' );},
-    "set": function(operands) { return '{ ' + operands.join( ', ' ) + ' }';},
-    "vector": function(operands) { return '( ' + operands.join( ', ' ) + ' )';},
-    "interval": function(operands) { return '( ' + operands.join( ', ' ) + ' )';},
-    "matrix": function(operands) { return '( ' + operands.join( ', ' ) + ' )';},
     "and": function(operands) { return operands.join( ' and ' );},
     "or": function(operands) { return operands.join( ' or ' );},
     "not": function(operands) { return 'not ' + operands[0]; },
@@ -105,19 +99,60 @@ const nonunicode_operators = {
     "partial_derivative_leibniz": function (operands) { return "∂" + operands[0] + "/∂" + operands[1]; },
     "|": function (operands) { return operands[0] + " | " + operands[1]; },
     ":": function (operands) { return operands[0] + " : " + operands[1]; },
+    "unit": function (operands) { return operands[0] + " " + operands[1]; },
 };
 
 
+// operators whose operands are separated by separator,
+// which is ', ' unless the locale writes a decimal comma
+function separated_operators(separator) {
+  return {
+    "tuple": function(operands) { return '( ' + operands.join( separator ) + ' )';},
+    "array": function(operands) { return '[ ' + operands.join( separator ) + ' ]';},
+    "list": function(operands) { return operands.join( separator );},
+    "set": function(operands) { return '{ ' + operands.join( separator ) + ' }';},
+    "vector": function(operands) { return '( ' + operands.join( separator ) + ' )';},
+    "interval": function(operands) { return '( ' + operands.join( separator ) + ' )';},
+    "matrix": function(operands) { return '( ' + operands.join( separator ) + ' )';},
+    "piecewise": function(operands) { return 'piecewise(' + operands.join( separator ) + ')';},
+    "integral": function (operands) { return 'int(' + operands.join( separator ) + ')'; },
+    "double_integral": function (operands) { return 'iint(' + operands.join( separator ) + ')'; },
+    "triple_integral": function (operands) { return 'iiint(' + operands.join( separator ) + ')'; },
+    "contour_integral": function (operands) { return 'oint(' + operands.join( separator ) + ')'; },
+    "sum": function (operands) { return 'sum(' + operands.join( separator ) + ')'; },
+    "prod": function (operands) { return 'prod(' + operands.join( separator ) + ')'; },
+    "limit": function (operands) { return 'lim(' + operands[1] + '->' + operands.slice(2).join('') + separator + operands[0] + ')'; },
+  };
+}
+
+
+// text of a term or factor that starts with a minus or plus-minus sign
+const signed = /^(-|±|∓|\+\/-)/;
+
+
 const output_unicodeDefault = true;
 
+// locale of numbers, such as 'de' to write 3,14 and ( 1; 2 )
+const localeDefault = 'en';
+
+// letter written for the constant 'imaginary_unit', such as 'j'
+const imaginaryUnitDefault = 'i';
+
 
 class astToText {
   constructor({
-    output_unicode = output_unicodeDefault
+    output_unicode = output_unicodeDefault,
+    locale = localeDefault,
+    imaginaryUnit = imaginaryUnitDefault,
   } = {}) {
     this.output_unicode = output_unicode;
+    this.imaginaryUnit = imaginaryUnit;
+    this.decimalSeparator = decimalSeparator(locale);
+    this.separator = listSeparator(locale);
     this.operators = unicode_operators;
     if(!output_unicode){ this.operators = nonunicode_operators;}
+    this.operators = Object.assign({}, this.operators,
+				   separated_operators(this.separator + ' '));
   }
 
   convert(tree) {
@@ -255,7 +290,7 @@ class astToText {
     var operator = tree[0];
     var operands = tree.slice(1);
 
-    if (operator == '-') {
+    if (operator == '-' || operator == 'pm' || operator == 'mp') {
 	return this.operators[operator]( operands.map( function(v,i) {
 	    return this.term(v);
 	}.bind(this)));
@@ -279,9 +314,57 @@ class astToText {
 	return this.operators[operator]( operands.map( function(v,i) { return this.factor(v); }.bind(this) ) );
     }
 
+    if (operator == 'unit') {
+	return this.operators[operator]([this.factor(operands[0]), this.units(operands[1])]);
+    }
+
     return this.factor(tree);
 }
 
+ units(tree) {
+    // units are written with the symbols of math.js,
+    // and with * for products so that m/s^2 and kg*m/s parse again
+    if ((typeof tree === 'string') || (typeof tree === 'number')) {
+	return tree;
+    }
+
+    var operator = tree[0];
+    var operands = tree.slice(1);
+
+    if (operator == '*') {
+	return operands.map( function(v,i) { return this.unit_factor(v); }.bind(this) ).join('*');
+    }
+
+    if (operator == '/') {
+	if (operands[0] === 1)
+	    return this.units(reciprocal(operands[1]));
+	return this.units(operands[0]) + '/' + this.unit_factor(operands[1]);
+    }
+
+    if (operator == '^') {
+	var exponent = this.factor(operands[1]);
+	if (typeof operands[1] != 'number')
+	    exponent = '(' + this.statement(operands[1]) + ')';
+	return this.unit_factor(operands[0]) + '^' + exponent;
+    }
+
+    throw new Error("Badly formed ast: operator " + operator + " not recognized in units.");
+}
+
+ unit_factor(tree) {
+    var result = this.units(tree);
+    if (tree[0] == '*' || tree[0] == '/')
+	return '(' + result + ')';
+    return result;
+}
+
+ number(value) {
+    // numbers are written with the decimal separator of the locale
+    if (this.decimalSeparator === '.')
+	return value;
+    return value.toString().replace('.', this.decimalSeparator);
+}
+
  symbolConvert(symbol) {
     var symbolConversions= {
 	'infinity': '∞',
@@ -319,6 +402,8 @@ class astToText {
 	'Omega': 'Ω',
 	'omega': 'ω',
     }
+    if (symbol === 'imaginary_unit')
+	return this.imaginaryUnit;
     if (this.output_unicode && (symbol in symbolConversions))
 	return symbolConversions[symbol];
     else
@@ -352,7 +437,7 @@ class astToText {
     }
 
     if (typeof tree === 'number') {
-	return tree;
+	return this.number(tree);
     }
 
     var operator = tree[0];
@@ -409,7 +494,7 @@ class astToText {
 	}
 	return result;
     }
-    else if(operator === "-") {
+    else if(operator === "-" || operator === "pm" || operator === "mp") {
 	return this.operators[operator]( operands.map( function(v,i) {
 	    return this.factor(v);
 	}.bind(this)));
@@ -430,7 +515,7 @@ class astToText {
 	if(args[0] !== 'tuple' || closed[0] !== 'tuple')
 	    throw new Error("Badly formed ast");
 
-	var result = this.statement(args[1]) + ", "
+	var result = this.statement(args[1]) + this.separator + " "
 	    + this.statement(args[2]);
 
 	if(closed[1])
@@ -457,12 +542,12 @@ class astToText {
 	for(var col = 0; col < size[2]; col += 1) {
 	  result = result + this.statement(args[row+1][col+1]);
 	  if(col < size[2]-1)
-	    result = result + ',';
+	    result = result + this.separator;
 	  result = result + ' ';
 	}
 	result = result + ']';
        	if(row < size[1]-1)
-	  result = result + ",";
+	  result = result + this.separator;
        result = result + ' ';
       }
      result = result + ']';
@@ -470,6 +555,14 @@ class astToText {
      return result;
 
    }
+   else if(operator == 'piecewise') {
+     // each case is a tuple of a value and a condition,
+     // where a condition of true means otherwise
+     return this.operators[operator](operands.map(function(v) {
+       let condition = v[2] === true ? 'otherwise' : this.statement(v[2]);
+       return '(' + this.statement(v[1]) + this.separator + ' ' + condition + ')';
+     }.bind(this)));
+   }
    else if(operator == 'derivative_leibniz' || operator == 'partial_derivative_leibniz') {
      let deriv_symbol = "d";
      if(operator == 'partial_derivative_leibniz')
@@ -518,6 +611,24 @@ class astToText {
      return result;
        
    }
+   else if(operator == 'integral' || operator == 'double_integral'
+	   || operator == 'triple_integral' || operator == 'contour_integral'
+	   || operator == 'sum' || operator == 'prod') {
+     // the expression, variables and limits are the arguments of a function
+     return this.operators[operator]( operands.map( function(v,i) {
+       if(i == 1)
+	 return this.factor(v);
+       return this.statement(v);
+     }.bind(this)));
+   }
+   else if(operator == 'limit') {
+     // the direction of a one-sided limit follows the target
+     let args = [this.statement(operands[0]), this.factor(operands[1]),
+		 this.statement(operands[2])];
+     if(operands.length > 3)
+       args.push(operands[3]);
+     return this.operators[operator](args);
+   }
    else if(operator == 'apply'){
 
 	if(operands[0] === 'abs') {
@@ -535,6 +646,11 @@ class astToText {
 
 	}
 
+	if(operands[0] === 'log' && operands[1][0] === 'tuple' && operands[1].length === 3) {
+	    // write the base of a logarithm as a subscript, log_b(x)
+	    operands = [['_', 'log', operands[1][2]], operands[1][1]];
+	}
+
 	var f = this.factor(operands[0]);
 	var f_args = this.statement(operands[1]);
 
@@ -551,7 +667,7 @@ class astToText {
  factorWithParenthesesIfNegated(tree){
     var result = this.factor(tree);
 
-    if (result.toString().match( /^-/ ))
+    if (result.toString().match( signed ))
 	return '(' + result.toString() + ')';
 
     // else
@@ -561,7 +677,7 @@ class astToText {
  termWithPlusIfNotNegated(tree){
     var result = this.term(tree);
 
-    if (!result.toString().match( /^-/ ))
+    if (!result.toString().match( signed ))
 	return '+ ' + result.toString();
 
     // else
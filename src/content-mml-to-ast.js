@@ -0,0 +1,386 @@
+/*
+ * convert Content MathML to syntax trees
+ *
+ * Copyright 2014-2017 by
+ *  Jim Fowler <kisonecat@gmail.com>
+ *  Duane Nykamp <nykamp@umn.edu>
+ *
+ * This file is part of a math-expressions library
+ *
+ * math-expressions is free software: you can redistribute
+ * it and/or modify it under the terms of the GNU General Public
+ * License as published by the Free Software Foundation, either
+ * version 3 of the License, or at your option any later version.
+ *
+ * math-expressions is distributed in the hope that it
+ * will be useful, but WITHOUT ANY WARRANTY; without even the implied
+ * warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License for more details.
+ *
+ */
+
+// The trees are those the parsers produce, so that, for example,
+// a binary minus becomes the sum of a negation
+// and a chain of relations becomes lts or gts.
+
+import parseString from 'xml-parser';
+
+
+// elements applied to their operands, with the operator of each
+const operators = {
+  'plus': '+',
+  'times': '*',
+  'divide': '/',
+  'power': '^',
+  'eq': '=',
+  'neq': 'ne',
+  'and': 'and',
+  'or': 'or',
+  'not': 'not',
+  'in': 'in',
+  'notin': 'notin',
+  'subset': 'subset',
+  'notsubset': 'notsubset',
+  'union': 'union',
+  'intersect': 'intersect',
+};
+
+// relations, with the operator for two operands
+// and, for chains, whether the relation is strict
+const relations = {
+  'lt': { operator: '<', chain: 'lts', strict: true },
+  'leq': { operator: 'le', chain: 'lts', strict: false },
+  'gt': { operator: '>', chain: 'gts', strict: true },
+  'geq': { operator: 'ge', chain: 'gts', strict: false },
+};
+
+// function elements, with the names used in trees
+const functions = {
+  'sin': 'sin', 'cos': 'cos', 'tan': 'tan',
+  'sec': 'sec', 'csc': 'csc', 'cot': 'cot',
+  'sinh': 'sinh', 'cosh': 'cosh', 'tanh': 'tanh',
+  'sech': 'sech', 'csch': 'csch', 'coth': 'coth',
+  'arcsin': 'arcsin', 'arccos': 'arccos', 'arctan': 'arctan',
+  'arcsec': 'arcsec', 'arccsc': 'arccsc', 'arccot': 'arccot',
+  'arcsinh': 'asinh', 'arccosh': 'acosh', 'arctanh': 'atanh',
+  'arcsech': 'asech', 'arccsch': 'acsch', 'arccoth': 'acoth',
+  // without a logbase, <log/> is the logarithm to the base 10
+  'exp': 'exp', 'ln': 'ln', 'log': 'log10',
+  'abs': 'abs', 'arg': 'arg', 'factorial': 'factorial',
+};
+
+// empty elements for constants
+const constants = {
+  'pi': 'pi',
+  'exponentiale': 'e',
+  'infinity': 'infinity',
+  'imaginaryi': 'imaginary_unit',
+  'true': true,
+  'false': false,
+};
+
+// csymbols of the plus-minus and minus-plus signs, as astToContentMml
+// writes them
+const signs = {
+  'plusminus': 'pm',
+  'minusplus': 'mp',
+};
+
+// children of apply that qualify the operator rather than being operands
+const qualifiers = ['bvar', 'lowlimit', 'uplimit', 'degree', 'condition', 'logbase'];
+
+
+function element_name(node) {
+  // ignore namespace prefixes such as m:apply
+  return node.name.replace(/^.*:/, '');
+}
+
+
+class contentMmlToAst {
+
+  convert(xml) {
+    // xml-parser keeps only the text before the first child of an element,
+    // so the <sep/> of numbers such as 1<sep/>2 is replaced by a character
+    xml = xml.replace(/<(\w+:)?sep\s*\/>/g, '|');
+    return this.content(parseString(xml).root);
+  }
+
+  content(node) {
+    // node is missing from an empty document or qualifier, such as <lowlimit/>
+    if (node === undefined)
+      throw new Error("Missing content");
+
+    var name = element_name(node);
+    var children = node.children;
+
+    if (name === 'math' || name === 'semantics') {
+      // the annotations of semantics follow the content
+      if (children.length === 0)
+	throw new Error("Missing content in " + name);
+      return this.content(children[0]);
+    }
+
+    if (name === 'cn')
+      return this.number(node);
+
+    if (name === 'ci') {
+      if (children.length > 0)
+	return this.presentation(children[0]);
+      return node.content.trim();
+    }
+
+    if (constants.hasOwnProperty(name))
+      return constants[name];
+
+    if (name === 'vector' || name === 'list' || name === 'set') {
+      var operator = name === 'vector' ? 'tuple' : name;
+      return [operator].concat(children.map(function (v) {
+	return this.content(v);
+      }.bind(this)));
+    }
+
+    if (name === 'interval') {
+      // intervals are closed unless given otherwise
+      var closure = (node.attributes.closure || 'closed').split('-');
+      if (closure.length === 1)
+	closure.push(closure[0]);
+      return ['interval',
+	      ['tuple', this.content(children[0]), this.content(children[1])],
+	      ['tuple', closure[0] === 'closed', closure[1] === 'closed']];
+    }
+
+    if (name === 'matrix') {
+      var rows = children.map(function (row) {
+	return ['tuple'].concat(row.children.map(function (v) {
+	  return this.content(v);
+	}.bind(this)));
+      }.bind(this));
+      var n_cols = rows.length > 0 ? rows[0].length - 1 : 0;
+      return ['matrix', ['tuple', rows.length, n_cols], ['tuple'].concat(rows)];
+    }
+
+    if (name === 'piecewise') {
+      return ['piecewise'].concat(children.map(function (v) {
+	if (element_name(v) === 'otherwise')
+	  return ['tuple', this.content(v.children[0]), true];
+	return ['tuple', this.content(v.children[0]), this.content(v.children[1])];
+      }.bind(this)));
+    }
+
+    if (name === 'apply')
+      return this.apply(children);
+
+    throw new Error("Unsupported element: " + name);
+  }
+
+  number(node) {
+    // a <cn>, whose type gives the parts separated by <sep/>
+    var type = node.attributes.type || 'real';
+    var parts = node.content.split('|').map(function (part) {
+      var number = Number(part.trim());
+      if (part.trim() === '' || Number.isNaN(number))
+	throw new Error("Invalid number: " + node.content.replace(/\|/g, ' '));
+      return number;
+    });
+
+    var count = { 'integer': 1, 'real': 1, 'double': 1, 'e-notation': 2,
+		  'rational': 2, 'complex-cartesian': 2 }[type];
+    if (count === undefined)
+      throw new Error("Unsupported number type: " + type);
+    if (parts.length !== count)
+      throw new Error("Invalid number of parts in " + type + " number: "
+		      + node.content.replace(/\|/g, ' '));
+
+    if (type === 'e-notation')
+      return Number(parts[0] + 'e' + parts[1]);
+    if (type === 'rational')
+      return ['/', parts[0], parts[1]];
+    if (type === 'complex-cartesian') {
+      var [re, im] = parts;
+      var imaginary = im === 1 ? 'imaginary_unit' : ['*', im, 'imaginary_unit'];
+      if (im === 0)
+	return re;
+      if (re === 0)
+	return imaginary;
+      return ['+', re, imaginary];
+    }
+    return parts[0];
+  }
+
+  presentation(node) {
+    // presentation markup naming an identifier, such as a subscripted variable
+    var name = element_name(node);
+
+    if (name === 'mi')
+      return node.content.trim();
+    if (name === 'mn') {
+      var number = Number(node.content.trim());
+      if (node.content.trim() === '' || Number.isNaN(number))
+	throw new Error("Invalid number: " + node.content);
+      return number;
+    }
+    if (name === 'msub')
+      return ['_', this.presentation(node.children[0]),
+	      this.presentation(node.children[1])];
+
+    throw new Error("Unsupported element in identifier: " + name);
+  }
+
+  apply(children) {
+    var head = children[0];
+    var name = element_name(head);
+
+    var qualifier = {};
+    var bvars = [];
+    var operands = [];
+    for (let child of children.slice(1)) {
+      let child_name = element_name(child);
+      if (child_name === 'bvar')
+	bvars.push(child);
+      else if (qualifiers.includes(child_name))
+	qualifier[child_name] = child;
+      else
+	operands.push(this.content(child));
+    }
+
+    if (operators.hasOwnProperty(name)) {
+      if (operands.length === 1 && name !== 'not')
+	return operands[0];
+      return [operators[name]].concat(operands);
+    }
+
+    if (name === 'minus') {
+      if (operands.length === 1)
+	return ['-', operands[0]];
+      if (operands.length !== 2)
+	throw new Error("Invalid number of operands of minus: " + operands.length);
+      return ['+', operands[0], ['-', operands[1]]];
+    }
+
+    if (name === 'csymbol') {
+      // x ± y is read as x + (±y), like a binary minus
+      var symbol = head.content.trim();
+      if (!signs.hasOwnProperty(symbol))
+	throw new Error("Unsupported csymbol: " + symbol);
+      if (operands.length === 1)
+	return [signs[symbol], operands[0]];
+      if (operands.length !== 2)
+	throw new Error("Invalid number of operands of " + symbol + ": " + operands.length);
+      return ['+', operands[0], [signs[symbol], operands[1]]];
+    }
+
+    if (relations.hasOwnProperty(name)) {
+      var relation = relations[name];
+      if (operands.length === 2)
+	return [relation.operator].concat(operands);
+      return [relation.chain, ['tuple'].concat(operands),
+	      ['tuple'].concat(operands.slice(1).map(function () {
+		return relation.strict; }))];
+    }
+
+    if (name === 'root') {
+      if (qualifier.degree)
+	return ['apply', 'nthroot',
+		['tuple', operands[0], this.content(qualifier.degree.children[0])]];
+      return ['apply', 'sqrt', operands[0]];
+    }
+
+    if (name === 'diff' || name === 'partialdiff') {
+      if (bvars.length === 0) {
+	// derivative of a function
+	return ['prime', operands[0]];
+      }
+
+      var order = 0;
+      var variables = bvars.map(function (v) {
+	let [variable, degree] = this.bound_variable(v);
+	order += degree;
+	if (degree === 1)
+	  return variable;
+	return ['tuple', variable, degree];
+      }.bind(this));
+
+      var f = operands[0];
+      if (typeof f !== 'string')
+	throw new Error("Derivatives are supported only of variables");
+
+      return [name === 'diff' ? 'derivative_leibniz' : 'partial_derivative_leibniz',
+	      order === 1 ? f : ['tuple', f, order], ['tuple'].concat(variables)];
+    }
+
+    if (name === 'int' || name === 'sum' || name === 'product' || name === 'limit') {
+      if (bvars.length === 0)
+	throw new Error("Missing bvar of " + name);
+      if (operands.length !== 1)
+	throw new Error("Invalid number of operands of " + name + ": " + operands.length);
+    }
+
+    if (name === 'int' || name === 'sum' || name === 'product') {
+      var result = [{ 'int': 'integral', 'sum': 'sum', 'product': 'prod' }[name],
+		    operands[0], this.bound_variable(bvars[0])[0]];
+      if (qualifier.lowlimit)
+	result.push(this.content(qualifier.lowlimit.children[0]));
+      if (qualifier.uplimit)
+	result.push(this.content(qualifier.uplimit.children[0]));
+      return result;
+    }
+
+    if (name === 'limit') {
+      var variable = this.bound_variable(bvars[0])[0];
+      if (qualifier.lowlimit)
+	return ['limit', operands[0], variable, this.content(qualifier.lowlimit.children[0])];
+
+      // condition is x tends to the target, possibly from one side
+      var condition = qualifier.condition && qualifier.condition.children[0];
+      if (condition === undefined)
+	throw new Error("Missing lowlimit or condition of limit");
+      var tendsto = condition.children;
+      if (element_name(condition) !== 'apply' || tendsto.length !== 3
+	  || element_name(tendsto[0]) !== 'tendsto')
+	throw new Error("Condition of limit must be tendsto");
+      var result = ['limit', operands[0], variable, this.content(tendsto[2])];
+      var direction = tendsto[0].attributes.type;
+      if (direction === 'above')
+	result.push('+');
+      else if (direction === 'below')
+	result.push('-');
+      return result;
+    }
+
+    if (name === 'log' && qualifier.logbase) {
+      var base = this.content(qualifier.logbase.children[0]);
+      if (base === 10)
+	return ['apply', 'log10', operands[0]];
+      return ['apply', 'log', ['tuple', operands[0], base]];
+    }
+
+    var f;
+    if (functions.hasOwnProperty(name))
+      f = functions[name];
+    else if (name === 'ci' || name === 'apply')
+      f = this.content(head);
+    else
+      throw new Error("Unsupported element: " + name);
+
+    if (operands.length === 1)
+      return ['apply', f, operands[0]];
+    return ['apply', f, ['tuple'].concat(operands)];
+  }
+
+  bound_variable(node) {
+    // the variable and degree of a bvar element
+    var variable;
+    var degree = 1;
+    for (let child of node.children) {
+      if (element_name(child) === 'degree')
+	degree = this.content(child.children[0]);
+      else
+	variable = this.content(child);
+    }
+    return [variable, degree];
+  }
+
+}
+
+
+export default contentMmlToAst;
@@ -0,0 +1,251 @@
+/*
+ * decide if two syntax trees are mathematically equivalent
+ * by evaluating them at randomly sampled points
+ *
+ * Copyright 2014-2017 by
+ *  Jim Fowler <kisonecat@gmail.com>
+ *  Duane Nykamp <nykamp@umn.edu>
+ *
+ * This file is part of a math-expressions library
+ *
+ * math-expressions is free software: you can redistribute
+ * it and/or modify it under the terms of the GNU General Public
+ * License as published by the Free Software Foundation, either
+ * version 3 of the License, or at your option any later version.
+ *
+ * math-expressions is distributed in the hope that it
+ * will be useful, but WITHOUT ANY WARRANTY; without even the implied
+ * warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License for more details.
+ *
+ */
+
+import evaluateAst from './evaluate-ast';
+
+
+// defaults for options if not overridden
+
+// interval from which the values of the variables are sampled,
+// or an object giving an interval for each variable
+const domainDefault = [-10, 10];
+
+// number of sample points at which both trees must be defined
+const n_pointsDefault = 20;
+
+// relative tolerance, which becomes an absolute tolerance near zero
+const toleranceDefault = 1E-8;
+
+// if false, a point where only one tree is defined shows they are not equivalent
+// if true, such points are skipped
+const ignore_domain_mismatchDefault = false;
+
+// maximum number of points sampled for each point required
+const attempts_per_point = 10;
+
+
+function free_variables(tree) {
+  // variables of tree that need to be given values,
+  // i.e., excluding constants, function names and bound variables
+
+  if (typeof tree === 'string') {
+    if (tree === 'imaginary_unit')
+      return [];
+    try {
+      evaluateAst(tree);
+      return [];
+    }
+    catch (e) {
+      return [tree];
+    }
+  }
+
+  if (!Array.isArray(tree))
+    return [];
+
+  var operator = tree[0];
+  var operands = tree.slice(1);
+
+  if (operator === 'apply')
+    return free_variables(operands[1]);
+
+  if (operator === '_' && typeof operands[0] === 'string' &&
+      (typeof operands[1] === 'string' || typeof operands[1] === 'number'))
+    return [operands[0] + "_" + operands[1]];
+
+  var result = [];
+  for (let operand of operands)
+    result = result.concat(free_variables(operand));
+
+  var bound = [];
+  if (operator === 'sum' || operator === 'prod' || operator === 'integral'
+      || operator === 'limit')
+    bound = free_variables(operands[1]);
+
+  return result.filter(function (v, i) {
+    return result.indexOf(v) === i && !bound.includes(v);
+  });
+}
+
+function contains_imaginary_unit(tree) {
+  if (Array.isArray(tree))
+    return tree.some(contains_imaginary_unit);
+  return tree === 'imaginary_unit';
+}
+
+function evaluate(tree, bindings) {
+  // value of tree or undefined if it is not defined at the bindings
+  var value;
+  try {
+    value = evaluateAst(tree, bindings);
+  }
+  catch (e) {
+    return undefined;
+  }
+  if (contains_nan(value))
+    return undefined;
+  return value;
+}
+
+function contains_nan(value) {
+  if (Array.isArray(value))
+    return value.some(contains_nan);
+  if (value !== null && typeof value === 'object')
+    return contains_nan(value.endpoints);
+  return Number.isNaN(value);
+}
+
+function close(a, b, tolerance) {
+  if (typeof a === 'number' && typeof b === 'number') {
+    if (!Number.isFinite(a) || !Number.isFinite(b))
+      return a === b;
+    return Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(a), Math.abs(b));
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (a.length !== b.length)
+      return false;
+    return a.every(function (v, i) { return close(v, b[i], tolerance); });
+  }
+  if (a !== null && typeof a === 'object' && b !== null && typeof b === 'object')
+    return close(a.endpoints, b.endpoints, tolerance)
+      && a.closed[0] === b.closed[0] && a.closed[1] === b.closed[1];
+  return a === b;
+}
+
+function close_unordered(a, b, tolerance) {
+  // every element of a is close to an element of b and vice versa
+  var contained = function (x, y) {
+    return x.every(function (u) {
+      return y.some(function (v) { return close(u, v, tolerance); });
+    });
+  };
+  return Array.isArray(a) && Array.isArray(b) && contained(a, b) && contained(b, a);
+}
+
+function proportional(a, b, tolerance) {
+  // whether a = c b for some nonzero scalar c
+
+  var largest = 0;
+  for (let i = 1; i < b.length; i++) {
+    if (Math.abs(b[i]) > Math.abs(b[largest]))
+      largest = i;
+  }
+
+  // if b is zero, then a must be zero
+  if (close(b[largest], 0, tolerance))
+    return a.every(function (v) { return close(v, 0, tolerance); });
+
+  var c = a[largest] / b[largest];
+  if (close(c, 0, tolerance) || !Number.isFinite(c))
+    return false;
+
+  return a.every(function (v, i) { return close(v, c * b[i], tolerance); });
+}
+
+
+function equivalent(treeA, treeB, {
+  domain = domainDefault,
+  n_points = n_pointsDefault,
+  tolerance = toleranceDefault,
+  ignore_domain_mismatch = ignore_domain_mismatchDefault,
+  random = Math.random,
+} = {}) {
+
+  // the sampled values are real, so complex expressions cannot be compared
+  if (contains_imaginary_unit(treeA) || contains_imaginary_unit(treeB))
+    throw Error("Cannot compare complex numbers");
+
+  var variables = free_variables(treeA).concat(free_variables(treeB));
+  variables = variables.filter(function (v, i) { return variables.indexOf(v) === i; });
+
+  // equations are compared by the difference of their sides,
+  // which may differ by a scalar multiple
+  var is_equation = function (tree) {
+    return Array.isArray(tree) && tree[0] === '=' && tree.length === 3;
+  };
+  if (is_equation(treeA) !== is_equation(treeB))
+    return false;
+  var equations = is_equation(treeA);
+  if (equations) {
+    treeA = ['+', treeA[1], ['-', treeA[2]]];
+    treeB = ['+', treeB[1], ['-', treeB[2]]];
+  }
+
+  // sets are compared as unordered collections
+  var sets = Array.isArray(treeA) && treeA[0] === 'set'
+      && Array.isArray(treeB) && treeB[0] === 'set';
+
+  var valuesA = [];
+  var valuesB = [];
+
+  for (let attempt = 0; attempt < n_points * attempts_per_point
+       && valuesA.length < n_points; attempt++) {
+
+    var bindings = {};
+    for (let v of variables) {
+      var [a, b] = Array.isArray(domain) ? domain : (domain[v] || domainDefault);
+      bindings[v] = a + (b - a) * random();
+    }
+
+    var valueA = evaluate(treeA, bindings);
+    var valueB = evaluate(treeB, bindings);
+
+    if (valueA === undefined && valueB === undefined)
+      continue;
+
+    if (valueA === undefined || valueB === undefined) {
+      if (ignore_domain_mismatch)
+	continue;
+      return false;
+    }
+
+    if (equations) {
+      if (typeof valueA !== 'number' || typeof valueB !== 'number')
+	return false;
+    }
+    else if (sets) {
+      if (!close_unordered(valueA, valueB, tolerance))
+	return false;
+    }
+    else if (!close(valueA, valueB, tolerance)) {
+      return false;
+    }
+
+    valuesA.push(valueA);
+    valuesB.push(valueB);
+
+    // without variables, a single point suffices
+    if (variables.length === 0)
+      break;
+  }
+
+  // cannot conclude equivalence if neither tree is defined anywhere
+  if (valuesA.length === 0)
+    return false;
+
+  if (equations)
+    return proportional(valuesA, valuesB, tolerance);
+
+  return true;
+}
+
+export default equivalent;
@@ -1,10 +1,42 @@
-function ParseError(message, location) {
+// ParseError(message, location, details)
+//
+// location is the offset into the input where parsing stopped.
+// details, if given, is an object describing the error for programs
+// that handle it, such as user interfaces that localize messages:
+//   code: stable identifier of the kind of error, one of
+//     'invalid_symbol': a character that starts no token
+//     'unexpected_end': the input ended where more was required
+//     'invalid_location': a token that cannot be used where it appears
+//     'expected_token': a required token is missing, see expected
+//     'invalid_arguments': the arguments of a construct such as sum(...)
+//        do not have the required form
+//     'invalid_exponent': a power of units that is not a number
+//     'unrecognized_command': an unknown latex command
+//     'unrecognized_environment': an unknown latex environment
+//   token_type, token_text: the offending token
+//   expected: array of the token types that would have been accepted
+//   line, column: position of the offending token, starting at 1
+
+function ParseError(message, location, details) {
+    details = details || {};
     this.name = 'ParseError';
     this.message = message || 'Error parsing input';
     this.stack = (new Error()).stack;
     this.location = location;
+    this.code = details.code || 'parse_error';
+    this.token_type = details.token_type;
+    this.token_text = details.token_text;
+    this.expected = details.expected || [];
+    this.line = details.line;
+    this.column = details.column;
 }
 ParseError.prototype = Object.create(Error.prototype);
 ParseError.prototype.constructor = ParseError;
 
-export { ParseError };
+function line_and_column(input, location) {
+    // line and column, starting at 1, of the offset location in input
+    var lines = input.slice(0, location).split('\n');
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+export { ParseError, line_and_column };
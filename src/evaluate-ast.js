@@ -0,0 +1,446 @@
+/*
+ * evaluate syntax trees numerically
+ *
+ * Copyright 2014-2017 by
+ *  Jim Fowler <kisonecat@gmail.com>
+ *  Duane Nykamp <nykamp@umn.edu>
+ *
+ * This file is part of a math-expressions library
+ *
+ * math-expressions is free software: you can redistribute
+ * it and/or modify it under the terms of the GNU General Public
+ * License as published by the Free Software Foundation, either
+ * version 3 of the License, or at your option any later version.
+ *
+ * math-expressions is distributed in the hope that it
+ * will be useful, but WITHOUT ANY WARRANTY; without even the implied
+ * warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License for more details.
+ *
+ */
+
+// Values of the evaluated trees are
+//  - numbers for expressions,
+//  - booleans for relations and logical operators,
+//  - arrays for tuples, vectors, lists and sets (and arrays of rows for matrices),
+//  - objects { endpoints: [a, b], closed: [left, right] } for intervals.
+// Complex numbers are not supported, so the constant imaginary_unit
+// cannot be evaluated.
+
+
+// symbols with a value unless they are given a value in the bindings
+const constants = {
+  'pi': Math.PI,
+  'e': Math.E,
+  'infinity': Infinity,
+};
+
+// operators with no numerical value, such as derivatives of
+// expressions without a function to differentiate, or integrals
+// over regions, and how their errors describe them
+const unevaluable = {
+  'double_integral': 'double integral',
+  'triple_integral': 'triple integral',
+  'contour_integral': 'contour integral',
+  'limit': 'limit',
+  'prime': 'derivative',
+  'derivative_leibniz': 'derivative',
+  'partial_derivative_leibniz': 'partial derivative',
+  '|': 'condition',
+  ':': 'condition',
+};
+
+// maximum number of terms of a sum or product
+const max_terms = 100000;
+
+// number of subintervals for Simpson's rule
+const n_simpson = 1000;
+
+
+function erf(x) {
+  // Abramowitz and Stegun formula 7.1.26, accurate to about 1.5E-7
+  var sign = x < 0 ? -1 : 1;
+  x = Math.abs(x);
+  var t = 1 / (1 + 0.3275911 * x);
+  var y = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t
+		- 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+  return sign * y;
+}
+
+function gamma(x) {
+  // Lanczos approximation
+  var g = 7;
+  var c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+	   771.32342877765313, -176.61502916214059, 12.507343278686905,
+	   -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+
+  if (x < 0.5)
+    return Math.PI / (Math.sin(Math.PI * x) * gamma(1 - x));
+
+  x -= 1;
+  var a = c[0];
+  var t = x + g + 0.5;
+  for (var i = 1; i < g + 2; i++)
+    a += c[i] / (x + i);
+
+  return Math.sqrt(2 * Math.PI) * Math.pow(t, x + 0.5) * Math.exp(-t) * a;
+}
+
+function factorial(n) {
+  if (Number.isInteger(n)) {
+    if (n < 0)
+      return NaN;
+    var result = 1;
+    for (var i = 2; i <= n; i++)
+      result *= i;
+    return result;
+  }
+  return gamma(n + 1);
+}
+
+function nthroot(x, n) {
+  // odd roots of negative numbers are real
+  if (x < 0 && Number.isInteger(n) && n % 2 !== 0)
+    return -Math.pow(-x, 1 / n);
+  return Math.pow(x, 1 / n);
+}
+
+function log(x, base) {
+  // natural logarithm, or logarithm to the given base
+  if (base === undefined)
+    return Math.log(x);
+  return Math.log(x) / Math.log(base);
+}
+
+// the appliedFunctionSymbols of the parsers
+const functions = {
+  "abs": Math.abs,
+  "exp": Math.exp,
+  "log": log,
+  "ln": Math.log,
+  "log10": Math.log10,
+  "sign": Math.sign,
+  "sqrt": Math.sqrt,
+  "nthroot": nthroot,
+  "erf": erf,
+  "factorial": factorial,
+  "acos": Math.acos,
+  "acosh": Math.acosh,
+  "acot": function (x) { return Math.atan(1 / x); },
+  "acoth": function (x) { return Math.atanh(1 / x); },
+  "acsc": function (x) { return Math.asin(1 / x); },
+  "acsch": function (x) { return Math.asinh(1 / x); },
+  "asec": function (x) { return Math.acos(1 / x); },
+  "asech": function (x) { return Math.acosh(1 / x); },
+  "asin": Math.asin,
+  "asinh": Math.asinh,
+  "atan": Math.atan,
+  "atanh": Math.atanh,
+  "cos": Math.cos,
+  "cosh": Math.cosh,
+  "cot": function (x) { return 1 / Math.tan(x); },
+  "coth": function (x) { return 1 / Math.tanh(x); },
+  "csc": function (x) { return 1 / Math.sin(x); },
+  "csch": function (x) { return 1 / Math.sinh(x); },
+  "sec": function (x) { return 1 / Math.cos(x); },
+  "sech": function (x) { return 1 / Math.cosh(x); },
+  "sin": Math.sin,
+  "sinh": Math.sinh,
+  "tan": Math.tan,
+  "tanh": Math.tanh,
+  "arcsin": Math.asin,
+  "arccos": Math.acos,
+  "arctan": Math.atan,
+  "arccsc": function (x) { return Math.asin(1 / x); },
+  "arcsec": function (x) { return Math.acos(1 / x); },
+  "arccot": function (x) { return Math.atan(1 / x); },
+  "cosec": function (x) { return 1 / Math.sin(x); },
+  "arg": function (x) { return x < 0 ? Math.PI : 0; },
+};
+
+
+function equal(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (a.length !== b.length)
+      return false;
+    return a.every(function (v, i) { return equal(v, b[i]); });
+  }
+  if (is_interval(a) && is_interval(b))
+    return equal(a.endpoints, b.endpoints) && equal(a.closed, b.closed);
+  return a === b;
+}
+
+function is_interval(a) {
+  return a !== null && typeof a === 'object' && !Array.isArray(a)
+    && Array.isArray(a.endpoints);
+}
+
+function add(a, b) {
+  if (Array.isArray(a) && Array.isArray(b)) {
+    if (a.length !== b.length)
+      throw Error("Cannot add tuples of different sizes");
+    return a.map(function (v, i) { return add(v, b[i]); });
+  }
+  if (typeof a !== 'number' || typeof b !== 'number')
+    throw Error("Cannot add non-numerical values");
+  return a + b;
+}
+
+function multiply(a, b) {
+  if (Array.isArray(a) && typeof b === 'number')
+    return a.map(function (v) { return multiply(v, b); });
+  if (typeof a === 'number' && Array.isArray(b))
+    return b.map(function (v) { return multiply(a, v); });
+  if (typeof a !== 'number' || typeof b !== 'number')
+    throw Error("Cannot multiply non-numerical values");
+  return a * b;
+}
+
+function contains(container, x) {
+  if (is_interval(container)) {
+    var [a, b] = container.endpoints;
+    var [closed_a, closed_b] = container.closed;
+    return (closed_a ? x >= a : x > a) && (closed_b ? x <= b : x < b);
+  }
+  if (Array.isArray(container))
+    return container.some(function (v) { return equal(v, x); });
+  throw Error("Cannot test membership in a non-set");
+}
+
+function is_subset(small, big) {
+  if (is_interval(small) && is_interval(big)) {
+    var [small_a, small_b] = small.endpoints;
+    var [big_a, big_b] = big.endpoints;
+    var left = (small.closed[0] && !big.closed[0]) ? small_a > big_a : small_a >= big_a;
+    var right = (small.closed[1] && !big.closed[1]) ? small_b < big_b : small_b <= big_b;
+    return left && right;
+  }
+  if (Array.isArray(small))
+    return small.every(function (v) { return contains(big, v); });
+  throw Error("Cannot test subset of a non-set");
+}
+
+function unique(a) {
+  var result = [];
+  for (let v of a) {
+    if (!contains(result, v))
+      result.push(v);
+  }
+  return result;
+}
+
+function compare(operands, comparison) {
+  for (var i = 1; i < operands.length; i++) {
+    if (!comparison(operands[i - 1], operands[i]))
+      return false;
+  }
+  return true;
+}
+
+
+// operators whose operands are evaluated before the operator is applied
+const operators = {
+  "+": function (operands) { return operands.reduce(add); },
+  "-": function (operands) { return multiply(-1, operands[0]); },
+  "*": function (operands) { return operands.reduce(multiply); },
+  "/": function (operands) {
+    if (typeof operands[1] !== 'number')
+      throw Error("Cannot divide by a non-numerical value");
+    if (Array.isArray(operands[0]))
+      return multiply(operands[0], 1 / operands[1]);
+    return multiply(operands[0], 1) / operands[1];
+  },
+  "^": function (operands) {
+    if (typeof operands[0] !== 'number' || typeof operands[1] !== 'number')
+      throw Error("Cannot exponentiate non-numerical values");
+    return Math.pow(operands[0], operands[1]);
+  },
+  "tuple": function (operands) { return operands; },
+  "vector": function (operands) { return operands; },
+  "array": function (operands) { return operands; },
+  "list": function (operands) { return operands; },
+  "set": function (operands) { return unique(operands); },
+  "and": function (operands) { return operands.every(function (v) { return v === true; }); },
+  "or": function (operands) { return operands.some(function (v) { return v === true; }); },
+  "not": function (operands) { return !operands[0]; },
+  "=": function (operands) { return compare(operands, equal); },
+  "ne": function (operands) { return !equal(operands[0], operands[1]); },
+  "<": function (operands) { return operands[0] < operands[1]; },
+  ">": function (operands) { return operands[0] > operands[1]; },
+  "le": function (operands) { return operands[0] <= operands[1]; },
+  "ge": function (operands) { return operands[0] >= operands[1]; },
+  "in": function (operands) { return contains(operands[1], operands[0]); },
+  "notin": function (operands) { return !contains(operands[1], operands[0]); },
+  "ni": function (operands) { return contains(operands[0], operands[1]); },
+  "notni": function (operands) { return !contains(operands[0], operands[1]); },
+  "subset": function (operands) { return is_subset(operands[0], operands[1]); },
+  "notsubset": function (operands) { return !is_subset(operands[0], operands[1]); },
+  "superset": function (operands) { return is_subset(operands[1], operands[0]); },
+  "notsuperset": function (operands) { return !is_subset(operands[1], operands[0]); },
+  "union": function (operands) {
+    if (!operands.every(Array.isArray))
+      throw Error("no support for union of intervals");
+    return unique([].concat.apply([], operands));
+  },
+  "intersect": function (operands) {
+    if (!operands.every(Array.isArray))
+      throw Error("no support for intersection of intervals");
+    return operands.reduce(function (a, b) {
+      return a.filter(function (v) { return contains(b, v); });
+    });
+  },
+  "lts": function (operands) {
+    var [args, strict] = operands;
+    return compare(args.map(function (v, i) { return [v, strict[i]]; }), function (a, b) {
+      return a[1] ? a[0] < b[0] : a[0] <= b[0];
+    });
+  },
+  "gts": function (operands) {
+    var [args, strict] = operands;
+    return compare(args.map(function (v, i) { return [v, strict[i]]; }), function (a, b) {
+      return a[1] ? a[0] > b[0] : a[0] >= b[0];
+    });
+  },
+  "interval": function (operands) {
+    return { endpoints: operands[0], closed: operands[1] };
+  },
+  "matrix": function (operands) { return operands[1]; },
+};
+
+
+// operators that need their operands unevaluated
+const special_forms = {
+  "apply": function (operands, bindings) {
+    var name = operands[0];
+    var args = operands[1];
+
+    // functions such as f' or f^2 are not supported
+    if (typeof name !== 'string')
+      throw Error("no support for " + name[0] + " of a function");
+
+    var f;
+    if (bindings.hasOwnProperty(name) && typeof bindings[name] === 'function')
+      f = bindings[name];
+    else if (functions.hasOwnProperty(name))
+      f = functions[name];
+    else
+      throw Error("Unknown function " + name);
+
+    if (Array.isArray(args) && args[0] === 'tuple')
+      args = args.slice(1);
+    else
+      args = [args];
+
+    return f.apply(null, args.map(function (v) { return evaluateAst(v, bindings); }));
+  },
+  "_": function (operands, bindings) {
+    // a subscripted variable such as x_1 may be given a value directly,
+    // otherwise the subscript is a (one-based) index into a tuple
+    var [base, subscript] = operands;
+    if (typeof base === 'string' &&
+	(typeof subscript === 'string' || typeof subscript === 'number')) {
+      var name = base + "_" + subscript;
+      if (bindings.hasOwnProperty(name))
+	return bindings[name];
+    }
+
+    var value = evaluateAst(base, bindings);
+    var index = evaluateAst(subscript, bindings);
+    if (!Array.isArray(value) || !Number.isInteger(index)
+	|| index < 1 || index > value.length)
+      throw Error("Invalid subscript of " + base);
+    return value[index - 1];
+  },
+  "piecewise": function (operands, bindings) {
+    // the value of the first case whose condition holds,
+    // or NaN if there is no such case
+    for (let [, value, condition] of operands) {
+      if (condition === true || evaluateAst(condition, bindings) === true)
+	return evaluateAst(value, bindings);
+    }
+    return NaN;
+  },
+  "sum": function (operands, bindings) {
+    return big_operator(operands, bindings, 0, add);
+  },
+  "prod": function (operands, bindings) {
+    return big_operator(operands, bindings, 1, multiply);
+  },
+  "integral": function (operands, bindings) {
+    // Simpson's rule for definite integrals
+    var [integrand, variable, lower, upper] = operands;
+    if (typeof variable !== 'string' || lower === undefined || upper === undefined)
+      throw Error("Cannot evaluate indefinite integral");
+
+    var a = evaluateAst(lower, bindings);
+    var b = evaluateAst(upper, bindings);
+    if (!Number.isFinite(a) || !Number.isFinite(b))
+      throw Error("Cannot evaluate improper integral");
+
+    var h = (b - a) / n_simpson;
+    var f = function (x) {
+      return evaluateAst(integrand, Object.assign({}, bindings, { [variable]: x }));
+    };
+
+    var result = f(a) + f(b);
+    for (var i = 1; i < n_simpson; i++)
+      result += (i % 2 ? 4 : 2) * f(a + i * h);
+    return result * h / 3;
+  },
+};
+
+function big_operator(operands, bindings, identity, combine) {
+  var [expression, index, lower, upper] = operands;
+  if (lower === undefined || upper === undefined)
+    throw Error("Cannot evaluate sum or product without bounds");
+
+  var a = evaluateAst(lower, bindings);
+  var b = evaluateAst(upper, bindings);
+  if (!Number.isInteger(a) || !Number.isInteger(b))
+    throw Error("Bounds of sum or product must be integers");
+  if (b - a >= max_terms)
+    throw Error("Too many terms in sum or product");
+
+  var result = identity;
+  for (var k = a; k <= b; k++)
+    result = combine(result, evaluateAst(expression, Object.assign({}, bindings, { [index]: k })));
+  return result;
+}
+
+
+function evaluateAst(tree, bindings = {}) {
+
+  if (typeof tree === 'number' || typeof tree === 'boolean')
+    return tree;
+
+  if (typeof tree === 'string') {
+    if (bindings.hasOwnProperty(tree))
+      return bindings[tree];
+    if (constants.hasOwnProperty(tree))
+      return constants[tree];
+    if (tree === 'imaginary_unit')
+      throw Error("Cannot evaluate complex numbers");
+    throw Error("No value for variable " + tree);
+  }
+
+  if (!Array.isArray(tree))
+    throw Error("Invalid ast");
+
+  var operator = tree[0];
+  var operands = tree.slice(1);
+
+  if (operator in special_forms)
+    return special_forms[operator](operands, bindings);
+
+  if (operator in unevaluable)
+    throw Error("Cannot evaluate " + unevaluable[operator]);
+
+  if (operator in operators)
+    return operators[operator](operands.map(function (v) {
+      return evaluateAst(v, bindings);
+    }));
+
+  throw Error("no support for " + operator);
+}
+
+export default evaluateAst;
@@ -31,3 +31,4 @@ function flatten(tree) {
 };
 
 export default flatten;
+export { is_associative };
@@ -0,0 +1,604 @@
+/*
+ * convert Guppy XML representations to syntax trees
+ *
+ * Copyright 2017 by Jim Fowler <kisonecat@gmail.com>
+ *
+ * This file is part of a math-expressions library
+ *
+ * math-expressions is free software: you can redistribute
+ * it and/or modify it under the terms of the GNU General Public
+ * License as published by the Free Software Foundation, either
+ * version 3 of the License, or at your option any later version.
+ *
+ * math-expressions is distributed in the hope that it
+ * will be useful, but WITHOUT ANY WARRANTY; without even the implied
+ * warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License for more details.
+ *
+ */
+
+// A Guppy document is an <m> element whose children are <e> elements,
+// holding the characters typed by the user, and <f> elements, holding
+// symbols such as fractions, powers and functions.  Each <f> has
+// <b> elements giving its renderings, which are ignored here, and
+// <c> elements holding the components of the symbol, which are again
+// sequences of <e> and <f> elements.
+//
+// The characters of the <e> elements are split into numbers, single
+// letter variables and operators, each <f> becomes an operand
+// (or an operator, for the symbols of the group operations), and
+// the sequence is parsed with the grammar
+//
+// statement_list = statement (',' statement)*
+// statement = disjunction (('|' | ':') disjunction)?
+// disjunction = conjunction ('or' conjunction)*
+// conjunction = relation ('and' relation)*
+// relation = 'not' relation | expression (relation_operator expression)*
+// expression = term (('+' | '-' | '±' | '∓' | 'union' | 'intersect') term)*
+// term = factor (('*' | '/')? factor)*
+// factor = ('-' | '+' | '±' | '∓') factor | primary ('!' | "'" | bracket)*
+// primary = number | variable | symbol | '(' statement_list ')'
+//
+// where a relation_operator is '=', '<', '>' or the operator of a symbol
+// such as le or subset, and chains of '<' and 'le', or of '>' and 'ge',
+// become lts and gts, as they do in textToAst.  A bracket, which is
+// a bracket symbol or a parenthesized statement_list, may follow only
+// a function symbol such as f, which is then applied to it.
+
+import parseString from 'xml-parser';
+import { ParseError } from './error';
+import { decode } from './mml-entities';
+import flatten from './flatten';
+
+
+// variables that are applied to a following bracket, as in f(x),
+// rather than multiplying it, as textToAst reads them
+const functionSymbolsDefault = ['f', 'g'];
+
+// types of symbols that are written as functions applied to their component
+const functionTypes = ['sin', 'cos', 'tan', 'csc', 'sec', 'cot', 'arcsin', 'arccos', 'arctan', 'arccsc', 'arcsec', 'arccot', 'log', 'ln', 'exp'];
+
+// operators that may be typed as characters
+const operators = ['+', '-', '*', '/', '=', '<', '>', '!', "'", ':', '(', ')', ','];
+
+// plus-minus and minus-plus signs, with their operators in the tree
+const signs = { '±': 'pm', '∓': 'mp' };
+
+// operators of relations, which are characters or the types of symbols
+const relationOperators = ['=', '<', '>', 'le', 'ge', 'ne', 'in', 'notin', 'ni', 'notni',
+			   'subset', 'notsubset', 'superset', 'notsuperset'];
+
+// the chains of inequalities of which each operator may be a part
+const chains = { '<': 'lts', 'le': 'lts', '>': 'gts', 'ge': 'gts' };
+
+// the interval of each type of symbol, with whether its endpoints are closed
+const intervals = {
+  'open_open_interval': [false, false],
+  'open_closed_interval': [false, true],
+  'closed_open_interval': [true, false],
+  'closed_closed_interval': [true, true],
+};
+
+// the integrals of the types of symbols
+const integrals = ['integral', 'double_integral', 'triple_integral', 'contour_integral'];
+
+
+class guppyToAst {
+  constructor({
+    functionSymbols = functionSymbolsDefault,
+  } = {}) {
+    this.functionSymbols = functionSymbols;
+  }
+
+  convert(xml) {
+    // the renderings mix text with <r> references, which xml-parser
+    // cannot read, so they are removed before parsing, and the characters
+    // following a symbol within an <e>, which xml-parser would drop,
+    // are put in an <e> of their own
+    xml = xml.replace(/<b\b[^>]*>[\s\S]*?<\/b>/g, '')
+      .replace(/(<\/[ef]>)([^<]+)/g, '$1<e>$2</e>');
+    var root = parseString(xml).root;
+    if (!root)
+      throw new ParseError("Invalid Guppy XML", undefined, { code: 'unexpected_end' });
+
+    var result = this.row(this.children_items(root.children));
+    if (result === undefined)
+      throw new ParseError("Unexpected end of input", undefined, { code: 'unexpected_end' });
+
+    return flatten(result);
+  }
+
+  children_items(children) {
+    return children.reduce(function (items, child) {
+      return items.concat(this.items(child));
+    }.bind(this), []);
+  }
+
+  items(node) {
+    // items contributed by node to the sequence containing it
+
+    if (node.name === 'e')
+      // the characters of a negation are followed by an <e> for the operand
+      return this.text_items(decode(node.content || ''))
+	.concat(this.children_items(node.children));
+
+    if (node.name === 'f')
+      return [this.symbol(node)];
+
+    return [];
+  }
+
+  text_items(text) {
+    var items = [];
+
+    while (text.length > 0) {
+      var match;
+      if ((match = text.match(/^\s+/))) {
+	// whitespace separates tokens
+      }
+      else if ((match = text.match(/^([0-9]+(\.[0-9]*)?|\.[0-9]+)/)))
+	items.push({ operand: Number(match[0]) });
+      else if ((match = text.match(/^[a-zA-Z]/)))
+	items.push({ operand: match[0] });
+      else if (operators.includes(text[0])) {
+	match = [text[0]];
+	items.push({ operator: text[0] });
+      }
+      else if (signs.hasOwnProperty(text[0])) {
+	match = [text[0]];
+	items.push({ operator: signs[text[0]] });
+      }
+      else
+	throw new ParseError("Invalid symbol '" + text[0] + "'", undefined,
+			     { code: 'invalid_symbol', token_text: text[0] });
+      text = text.slice(match[0].length);
+    }
+
+    return items;
+  }
+
+  symbol(node) {
+    // item of an <f> element
+
+    var type = node.attributes.type;
+    var group = node.attributes.group;
+
+    if (group === 'operations')
+      return { operator: type };
+
+    if (group === 'greek')
+      return { operand: type };
+
+    if (type === 'infinity' || type === 'imaginary_unit')
+      return { operand: type };
+
+    if (type === 'otherwise')
+      return { operand: true };
+
+    if (type === 'fraction')
+      return { operand: ['/', this.component(node, 'numerator', 0),
+			 this.component(node, 'denominator', 1)] };
+
+    if (type === 'exponential')
+      return { operand: ['^', this.component(node, 'base', 0),
+			 this.component(node, 'exponent', 1)] };
+
+    if (type === 'subscript')
+      return { operand: ['_', this.component(node, 'base', 0),
+			 this.component(node, 'subscript', 1)] };
+
+    if (type === 'square_root')
+      return { operand: ['apply', 'sqrt', this.component(node)] };
+
+    if (type === 'root')
+      return { operand: ['apply', 'nthroot', ['tuple', this.component(node, 'radicand', 1),
+					       this.component(node, 'index', 0)]] };
+
+    if (type === 'logbase')
+      return { operand: ['apply', 'log', ['tuple', this.component(node, 'argument', 1),
+					     this.component(node, 'base', 0)]] };
+
+    if (type === 'absolute_value')
+      return { operand: ['apply', 'abs', this.component(node)] };
+
+    if (type === 'bracket') {
+      var result = this.component(node);
+      if (Array.isArray(result) && result[0] === 'list')
+	result = ['tuple'].concat(result.slice(1));
+      // marked so that a function symbol before it is applied to it
+      return { operand: result, bracket: true };
+    }
+
+    if (type === 'square_bracket' || type === 'set') {
+      var result = this.component(node, undefined, 0, type === 'set');
+      var entries = Array.isArray(result) && result[0] === 'list' ? result.slice(1)
+	  : result === undefined ? [] : [result];
+      return { operand: [type === 'set' ? 'set' : 'array'].concat(entries) };
+    }
+
+    if (type in intervals) {
+      var result = this.component(node);
+      if (!Array.isArray(result) || result[0] !== 'list' || result.length !== 3)
+	throw new ParseError("Interval must have two endpoints", undefined,
+			     { code: 'invalid_interval' });
+      return { operand: ['interval', ['tuple', result[1], result[2]],
+			 ['tuple'].concat(intervals[type])] };
+    }
+
+    if (type === 'matrix') {
+      var rows = this.rows(node);
+      var size = ['tuple', rows.length, rows.length === 0 ? 0 : rows[0].length];
+      return { operand: ['matrix', size, ['tuple'].concat(rows.map(function (row) {
+	return ['tuple'].concat(row);
+      }))] };
+    }
+
+    if (type === 'piecewise') {
+      // each row is a value and its condition
+      return { operand: ['piecewise'].concat(this.rows(node).map(function (row) {
+	if (row.length !== 2)
+	  throw new ParseError("Each case of piecewise must have a value and a condition",
+			       undefined, { code: 'unexpected_end' });
+	return ['tuple'].concat(row);
+      })) };
+    }
+
+    if (type === 'limit') {
+      var result = ['limit', this.component(node, 'expression', 3),
+		    this.component(node, 'variable', 0),
+		    this.component(node, 'target', 1)];
+      // the direction of a one-sided limit is written as + or -
+      var direction = this.component_text(node, 'direction', 2);
+      if (direction === '+' || direction === '-')
+	result.push(direction);
+      else if (direction !== '')
+	throw new ParseError("Invalid direction of limit: " + direction, undefined,
+			     { code: 'invalid_symbol', token_text: direction });
+      return { operand: result };
+    }
+
+    if (integrals.includes(type)) {
+      // the variables are a list for multiple integrals, and the bounds are optional
+      var variables = this.component(node, 'variable', 3);
+      if (Array.isArray(variables) && variables[0] === 'list')
+	variables = ['tuple'].concat(variables.slice(1));
+      var result = [type, this.component(node, 'integrand', 2), variables];
+      var lower = this.component(node, 'lower', 0, true);
+      var upper = this.component(node, 'upper', 1, true);
+      if (lower === undefined && upper !== undefined)
+	throw new ParseError("Upper limit of " + type + " without lower limit", undefined,
+			     { code: 'unexpected_end' });
+      if (lower !== undefined)
+	result.push(lower);
+      if (upper !== undefined)
+	result.push(upper);
+      return { operand: result };
+    }
+
+    if (functionTypes.includes(type))
+      return { operand: ['apply', type, this.component(node)] };
+
+    if (type === 'sum' || type === 'prod') {
+      // the bounds are optional
+      var result = [type, this.component(node, 'expression', 3),
+		    this.component(node, 'index', 0)];
+      var lower = this.component(node, 'lower', 1, true);
+      var upper = this.component(node, 'upper', 2, true);
+      if (lower === undefined && upper !== undefined)
+	throw new ParseError("Upper limit of " + type + " without lower limit", undefined,
+			     { code: 'unexpected_end' });
+      if (lower !== undefined)
+	result.push(lower);
+      if (upper !== undefined)
+	result.push(upper);
+      return { operand: result };
+    }
+
+    throw new ParseError("Unsupported Guppy symbol: " + type, undefined,
+			 { code: 'invalid_symbol', token_text: type });
+  }
+
+  find_component(node, name, index) {
+    // the <c> element of node with the given name,
+    // or at the given index if the components are not named
+    var components = node.children.filter(function (child) {
+      return child.name === 'c';
+    });
+
+    return components.find(function (child) {
+      return child.attributes.name === name;
+    }) || components[index];
+  }
+
+  component(node, name, index = 0, optional = false) {
+    // tree of the <c> element of node with the given name or index
+
+    var component = this.find_component(node, name, index);
+
+    if (component === undefined)
+      throw new ParseError("Missing " + (name || "component") + " of " + node.attributes.type,
+			   undefined, { code: 'unexpected_end' });
+
+    var result = this.row(this.children_items(component.children));
+    if (result === undefined && !optional)
+      throw new ParseError("Empty " + (name || "component") + " of " + node.attributes.type,
+			   undefined, { code: 'unexpected_end' });
+    return result;
+  }
+
+  component_text(node, name, index) {
+    // the characters of the <c> element of node with the given name
+    // or index, which are not parsed
+    var component = this.find_component(node, name, index);
+    if (component === undefined)
+      return '';
+
+    var text = function (children) {
+      return children.map(function (child) {
+	return decode(child.content || '') + text(child.children);
+      }).join('');
+    };
+    return text(component.children).trim();
+  }
+
+  rows(node) {
+    // trees of the entries of each row of a symbol of the group array,
+    // whose <l> element has an <l> element of <c> elements for each row
+    var table = node.children.find(function (child) {
+      return child.name === 'l';
+    });
+    if (table === undefined)
+      return [];
+
+    return table.children.filter(function (row) {
+      return row.name === 'l';
+    }).map(function (row) {
+      return row.children.filter(function (child) {
+	return child.name === 'c';
+      }).map(function (entry) {
+	var result = this.row(this.children_items(entry.children));
+	if (result === undefined)
+	  throw new ParseError("Empty entry of " + node.attributes.type, undefined,
+			       { code: 'unexpected_end' });
+	return result;
+      }.bind(this));
+    }.bind(this));
+  }
+
+
+  row(items) {
+    // parse items as a complete sequence, which is undefined if empty
+
+    if (items.length === 0)
+      return undefined;
+
+    var saved = [this.sequence, this.position];
+    this.sequence = items;
+    this.position = 0;
+
+    var result = this.statement_list();
+
+    if (this.position < this.sequence.length)
+      throw this.unexpected();
+
+    [this.sequence, this.position] = saved;
+    return result;
+  }
+
+  item() {
+    return this.sequence[this.position];
+  }
+
+  next_operator() {
+    var item = this.item();
+    return item === undefined ? undefined : item.operator;
+  }
+
+  unexpected() {
+    var item = this.item();
+    if (item === undefined)
+      return new ParseError("Unexpected end of input", undefined, { code: 'unexpected_end' });
+    return new ParseError("Invalid location of '" + item.operator + "'", undefined,
+			  { code: 'invalid_location', token_text: item.operator });
+  }
+
+  starts_argument() {
+    // whether the next item is a bracket that a function symbol is applied to
+    var item = this.item();
+    return item !== undefined && (item.bracket === true || item.operator === '(');
+  }
+
+  is_function(tree) {
+    // whether tree is a function symbol or a derivative of one, as in f'
+    while (Array.isArray(tree) && tree[0] === 'prime')
+      tree = tree[1];
+    return typeof tree === 'string' && this.functionSymbols.includes(tree);
+  }
+
+  starts_factor() {
+    // whether the next item can begin a factor that multiplies the term
+    var item = this.item();
+    if (item === undefined)
+      return false;
+    return 'operand' in item || item.operator === '(';
+  }
+
+
+  statement_list() {
+    var list = [this.statement()];
+    while (this.next_operator() === ',') {
+      this.position += 1;
+      list.push(this.statement());
+    }
+    if (list.length === 1)
+      return list[0];
+    return ['list'].concat(list);
+  }
+
+  statement() {
+    var result = this.disjunction();
+    var operator = this.next_operator();
+    if (operator === '|' || operator === ':') {
+      this.position += 1;
+      result = [operator, result, this.disjunction()];
+    }
+    return result;
+  }
+
+  disjunction() {
+    var result = this.conjunction();
+    while (this.next_operator() === 'or') {
+      this.position += 1;
+      result = ['or', result, this.conjunction()];
+    }
+    return result;
+  }
+
+  conjunction() {
+    var result = this.relation();
+    while (this.next_operator() === 'and') {
+      this.position += 1;
+      result = ['and', result, this.relation()];
+    }
+    return result;
+  }
+
+  relation() {
+    if (this.next_operator() === 'not') {
+      this.position += 1;
+      return ['not', this.relation()];
+    }
+
+    var result = this.expression();
+
+    while (relationOperators.includes(this.next_operator())) {
+      var operator = this.next_operator();
+      this.position += 1;
+      result = [operator, result, this.expression()];
+
+      var chain = chains[operator];
+      if (chain !== undefined && chains[this.next_operator()] === chain) {
+	// a sequence of < and le, or of > and ge
+	var args = ['tuple', result[1], result[2]];
+	var strict = ['tuple', operator === '<' || operator === '>'];
+	while (chains[this.next_operator()] === chain) {
+	  strict.push(this.next_operator() === '<' || this.next_operator() === '>');
+	  this.position += 1;
+	  args.push(this.expression());
+	}
+	result = [chain, args, strict];
+      }
+      else if (operator === '=') {
+	// a sequence of =
+	while (this.next_operator() === '=') {
+	  this.position += 1;
+	  result.push(this.expression());
+	}
+      }
+    }
+    return result;
+  }
+
+  expression() {
+    var result = this.term();
+
+    while (true) {
+      var operator = this.next_operator();
+      if (operator === '+') {
+	this.position += 1;
+	result = ['+', result, this.term()];
+      }
+      else if (operator === '-') {
+	this.position += 1;
+	result = ['+', result, ['-', this.term()]];
+      }
+      else if (operator === 'pm' || operator === 'mp') {
+	this.position += 1;
+	result = ['+', result, [operator, this.term()]];
+      }
+      else if (operator === 'union' || operator === 'intersect') {
+	this.position += 1;
+	result = [operator, result, this.term()];
+      }
+      else
+	return result;
+    }
+  }
+
+  term() {
+    var result = this.factor();
+
+    while (true) {
+      var operator = this.next_operator();
+      if (operator === '*') {
+	this.position += 1;
+	result = ['*', result, this.factor()];
+      }
+      else if (operator === '/') {
+	this.position += 1;
+	result = ['/', result, this.factor()];
+      }
+      else if (this.starts_factor())
+	result = ['*', result, this.factor()];
+      else
+	return result;
+    }
+  }
+
+  factor() {
+    var operator = this.next_operator();
+    if (operator === '-' || operator === 'pm' || operator === 'mp') {
+      this.position += 1;
+      return [operator, this.factor()];
+    }
+    if (operator === '+') {
+      this.position += 1;
+      return this.factor();
+    }
+
+    var result = this.primary();
+
+    while (true) {
+      if (this.next_operator() === '!') {
+	this.position += 1;
+	result = ['apply', 'factorial', result];
+      }
+      else if (this.next_operator() === "'") {
+	this.position += 1;
+	result = ['prime', result];
+      }
+      else if (this.is_function(result) && this.starts_argument())
+	result = ['apply', result, this.primary()];
+      else
+	return result;
+    }
+  }
+
+  primary() {
+    var item = this.item();
+
+    if (item === undefined)
+      throw this.unexpected();
+
+    if ('operand' in item) {
+      this.position += 1;
+      return item.operand;
+    }
+
+    if (item.operator === '(') {
+      this.position += 1;
+      var result = this.statement_list();
+      if (this.next_operator() !== ')')
+	throw new ParseError("Expected ')'", undefined, { code: 'expected_token' });
+      this.position += 1;
+      if (Array.isArray(result) && result[0] === 'list')
+	result = ['tuple'].concat(result.slice(1));
+      return result;
+    }
+
+    throw this.unexpected();
+  }
+
+}
+
+export default guppyToAst;
@@ -1,6 +1,9 @@
-import { ParseError } from './error';
+import { ParseError, line_and_column } from './error';
 import lexer from './lexer';
 import flatten from './flatten';
+import sourceLocations from './source-locations';
+import { unitSymbolsDefault, isUnit, isQuantity } from './units';
+import { decimalSeparator } from './locale';
 
 // UPDATETHIS: Delete or change to new license & package name
 
@@ -70,6 +73,8 @@ import flatten from './flatten';
    expression =
    expression '+' term |
    expression '-' term |
+   expression \pm term |
+   expression \mp term |
    expression 'UNION' term |
    expression 'INTERSECT' term |
    '+' term |
@@ -99,6 +104,10 @@ import flatten from './flatten';
    modified_function |
    modified_applied_function factor |
    sqrt '[' statement ']' '{' statement '}' |
+   integral limits expression differentials |
+   big_operator index_limits term |
+   \lim '_' '{' variable 'TO' expression direction '}' term |
+   \begin{cases} cases \end{cases} |
    baseFactor '_' baseFactor |
    *** modified_applied_function factor
        allowed only if allowSimplifiedFunctionApplication==true
@@ -136,8 +145,77 @@ import flatten from './flatten';
 
    factor =
    '-' factor |
+   \pm factor |
+   \mp factor |
    nonMinusFactor
 
+   integral = \int | \iint | \iiint | \oint
+
+   quantity_with_units =
+   quantity units |
+   \SI '{' statement '}' '{' si_units '}'
+   *** where quantity is a factor that is a number or a negated number
+       allowed only if parseUnits==true
+   *** parenthesized units, as in 2\,(\mathrm{m}/\mathrm{s}),
+       must be followed by ')'
+
+   units =
+   units '*' unit_factor |
+   units '/' unit_factor |
+   units unit |
+   unit
+
+   unit_factor =
+   unit |
+   '(' units ')'
+
+   unit =
+   unit_symbol |
+   unit_symbol '^' factor
+   *** where factor is a number or a negated number
+   *** where a unit symbol is written \mathrm{symbol} or \text{symbol},
+       or with letters inside \SI, with \mu as the prefix micro
+       and \Omega for ohm
+
+   si_units = units | si_macros
+   *** where si_macros are the prefixes, units and powers of siunitx,
+       such as \kilo\meter\per\second\squared
+
+   limits =
+   '_' baseFactor '^' baseFactor |
+   '^' baseFactor '_' baseFactor |
+   '_' baseFactor |
+   *** empty
+
+   big_operator = \sum | \prod
+
+   index_limits =
+   '_' baseFactor '^' baseFactor |
+   '^' baseFactor '_' baseFactor |
+   '_' baseFactor
+   *** where the subscript is either the index variable
+       or an equation index '=' lower_bound
+
+   cases =
+   statement '&' condition |
+   cases '\\' statement '&' condition
+   *** where a trailing '\\' is allowed
+
+   condition =
+   statement |
+   \text{if} statement |
+   \text{otherwise}
+
+   direction =
+   '^' '+' | '^' '-' | '^' '{' '+' '}' | '^' '{' '-' '}' |
+   *** empty
+
+   differentials =
+   'd' variable |
+   differentials 'd' variable
+   *** where the number of differentials is at most the number of
+       integral signs (one for \int and \oint, two for \iint, three for \iiint)
+
 */
 
 
@@ -205,6 +283,8 @@ const latex_rules = [
   ['\\\\Bigr\\s*\\\\}', 'RBRACE'],
   ['\\\\biggr\\s*\\\\}', 'RBRACE'],
   ['\\\\Biggr\\s*\\\\}', 'RBRACE'],
+  ['\\\\pm(?![a-zA-Z])', 'PM'],
+  ['\\\\mp(?![a-zA-Z])', 'MP'],
   ['\\\\cdot(?![a-zA-Z])', '*'],
   ['\\\\times(?![a-zA-Z])', '*'],
   ['\\\\frac(?![a-zA-Z])', 'FRAC'],
@@ -224,6 +304,18 @@ const latex_rules = [
   ['\\\\atan(?![a-zA-Z])', 'LATEXCOMMAND', '\\arctan'],
   ['\\\\sqrt(?![a-zA-Z])', 'SQRT'],
 
+  ['\\\\int(?![a-zA-Z])', 'INTEGRAL', 'integral'],
+  ['\\\\iint(?![a-zA-Z])', 'INTEGRAL', 'double_integral'],
+  ['\\\\iiint(?![a-zA-Z])', 'INTEGRAL', 'triple_integral'],
+  ['\\\\oint(?![a-zA-Z])', 'INTEGRAL', 'contour_integral'],
+
+  ['\\\\sum(?![a-zA-Z])', 'BIGOPERATOR', 'sum'],
+  ['\\\\prod(?![a-zA-Z])', 'BIGOPERATOR', 'prod'],
+
+  ['\\\\lim(?![a-zA-Z])', 'LIMIT'],
+  ['\\\\to(?![a-zA-Z])', 'TO'],
+  ['\\\\rightarrow(?![a-zA-Z])', 'TO'],
+
   ['\\\\land(?![a-zA-Z])', 'AND'],
   ['\\\\wedge(?![a-zA-Z])', 'AND'],
 
@@ -278,11 +370,60 @@ const latex_rules = [
   ['\\\\end\\s*{\\s*[a-zA-Z0-9]+\\s*}', 'ENDENVIRONMENT'],
   
   ['\\\\var\\s*{\\s*[a-zA-Z0-9]+\\s*}', 'VARMULTICHAR'],
+
+  ['\\\\(text|textrm|mbox)\\s*{\\s*otherwise\\s*}', 'OTHERWISE'],
+  ['\\\\(text|textrm|mbox)\\s*{\\s*if\\s*}', 'IF'],
   
   ['\\\\[a-zA-Z]+(?![a-zA-Z])', 'LATEXCOMMAND'],
   ['[a-zA-Z]', 'VAR']
 ];
 
+// tokens for units, which are read only if parseUnits==true
+const unit_rules = [
+  ['\\\\SI(?![a-zA-Z])', 'SI'],
+  ['\\\\(mathrm|text|textrm|mbox)\\s*{\\s*[a-zA-Z]+\\s*}', 'UNIT'],
+];
+
+// tokens for polar forms, which are read only if imaginaryUnit is set
+const imaginary_rules = [
+  ['\\\\operatorname\\s*{\\s*cis\\s*}', 'LATEXCOMMAND', '\\cis'],
+];
+
+// tokens for numbers and list separators in a locale that writes
+// a decimal comma, as 3{,}14 or 3,14, which replace the NUMBER rules
+const decimal_comma_rules = [
+  ['[0-9]+((\\{,\\}|,)[0-9]+)?(E[+\\-]?[0-9]+)?', 'NUMBER'],
+  [';', ','],
+];
+
+// the prefixes, units and powers of the siunitx package
+const si_prefixes = {
+  'yotta': 'Y', 'zetta': 'Z', 'exa': 'E', 'peta': 'P', 'tera': 'T',
+  'giga': 'G', 'mega': 'M', 'kilo': 'k', 'hecto': 'h', 'deca': 'da',
+  'deka': 'da', 'deci': 'd', 'centi': 'c', 'milli': 'm', 'micro': 'u',
+  'nano': 'n', 'pico': 'p', 'femto': 'f', 'atto': 'a',
+};
+const si_units = {
+  'meter': 'm', 'metre': 'm', 'gram': 'g', 'kilogram': 'kg', 'second': 's',
+  'ampere': 'A', 'kelvin': 'K', 'mole': 'mol', 'candela': 'cd',
+  'newton': 'N', 'joule': 'J', 'watt': 'W', 'pascal': 'Pa', 'hertz': 'Hz',
+  'coulomb': 'C', 'volt': 'V', 'ohm': 'ohm', 'farad': 'F', 'tesla': 'T',
+  'henry': 'H', 'weber': 'Wb', 'siemens': 'S', 'radian': 'rad',
+  'liter': 'L', 'litre': 'L', 'electronvolt': 'eV', 'bar': 'bar',
+  'minute': 'min', 'hour': 'h', 'day': 'day', 'degree': 'deg',
+  'degreeCelsius': 'degC',
+};
+const si_powers = { 'square': 2, 'cubic': 3 };
+const si_raised = { 'squared': 2, 'cubed': 3 };
+
+// number of differentials each integral sign can take
+const integral_multiplicities = {
+  'integral': 1,
+  'double_integral': 2,
+  'triple_integral': 3,
+  'contour_integral': 1,
+};
+
 
 // defaults for parsers if not overridden by context
 
@@ -307,6 +448,43 @@ const functionSymbolsDefault = ['f', 'g'];
 // Parse Leibniz notation
 const parseLeibnizNotationDefault = true;
 
+// if true, a number followed by units, such as 9.8\,\mathrm{m}/\mathrm{s}^2
+// or \SI{9.8}{\meter\per\second\squared}, is a quantity with units
+const parseUnitsDefault = false;
+
+// if set to a letter such as 'i' or 'j', that letter is the imaginary unit,
+// parsed as the constant 'imaginary_unit', and \operatorname{cis}
+// is an applied function
+const imaginaryUnitDefault = null;
+
+// locale whose decimal separator is read in numbers, so that with 'de'
+// 3{,}14 or 3,14 is a number and items of lists are separated by ';'
+const localeDefault = 'en';
+
+// if true, convert returns { tree, locations }, where locations maps
+// the path of each subtree to its start and end offsets in the input
+const trackLocationsDefault = false;
+
+// if true, convert does not throw on syntax errors but returns
+// { tree, diagnostics }, where tree has the placeholder ['error']
+// where input was missing or could not be parsed
+// and diagnostics is the list of the ParseErrors encountered
+const tolerantDefault = false;
+
+// grammar methods whose results are recorded when tracking locations
+const located_methods = [
+  'statement_list', 'statement', 'statement_a', 'statement_b', 'relation',
+  'expression', 'term', 'factor', 'nonMinusFactor', 'baseFactor',
+  'integral', 'big_operator', 'limit', 'cases', 'differential', 'leibniz_notation'
+];
+
+// tokens that can begin a baseFactor, reported as expected in errors
+const base_factor_tokens = [
+  'FRAC', 'BEGINENVIRONMENT', 'NUMBER', 'INFINITY', 'INTEGRAL', 'BIGOPERATOR',
+  'LIMIT', 'SQRT', 'VAR', 'LATEXCOMMAND', 'VARMULTICHAR', '(', '[', '{',
+  'LBRACE', '|', '|L'
+];
+
 
 class latexToAst {
   constructor({
@@ -315,49 +493,146 @@ class latexToAst {
     appliedFunctionSymbols=appliedFunctionSymbolsDefault,
     functionSymbols=functionSymbolsDefault,
     parseLeibnizNotation = parseLeibnizNotationDefault,
+    parseUnits = parseUnitsDefault,
+    unitSymbols = unitSymbolsDefault,
+    imaginaryUnit = imaginaryUnitDefault,
+    locale = localeDefault,
+    trackLocations = trackLocationsDefault,
+    tolerant = tolerantDefault,
   } = {}){
     this.allowSimplifiedFunctionApplication = allowSimplifiedFunctionApplication;
     this.allowedLatexSymbols = allowedLatexSymbols;
     this.appliedFunctionSymbols = appliedFunctionSymbols;
     this.functionSymbols = functionSymbols;
     this.parseLeibnizNotation = parseLeibnizNotation;
+    this.parseUnits = parseUnits;
+    this.unitSymbols = unitSymbols;
+    this.imaginaryUnit = imaginaryUnit;
+    if(imaginaryUnit && !appliedFunctionSymbols.includes('cis'))
+      this.appliedFunctionSymbols = appliedFunctionSymbols.concat(['cis']);
+    this.tolerant = tolerant;
+
+    let rules = latex_rules;
+    if(decimalSeparator(locale) === ',')
+      rules = decimal_comma_rules.concat(rules.filter(rule => rule[1] != 'NUMBER'));
+    if(parseUnits) {
+      // the unit commands take precedence over other latex commands
+      let n = rules.findIndex(rule => rule[1] == 'LATEXCOMMAND' && rule.length == 2);
+      rules = rules.slice(0, n).concat(unit_rules, rules.slice(n));
+    }
+    if(imaginaryUnit) {
+      let n = rules.findIndex(rule => rule[1] == 'LATEXCOMMAND' && rule.length == 2);
+      rules = rules.slice(0, n).concat(imaginary_rules, rules.slice(n));
+    }
+    this.lexer = new lexer(rules, whitespace_rule);
 
-    this.lexer = new lexer(latex_rules, whitespace_rule);
+    this.locations = null;
+    if(trackLocations)
+      this.locations = new sourceLocations(this, located_methods);
 
   }
 
   advance(params) {
+    this.consumed_end = this.token ? this.token.end : 0;
     this.token = this.lexer.advance(params);
+    this.token.end = this.lexer.location;
+    this.token.start = this.token.end - this.token.original_text.length;
     if (this.token.token_type == 'INVALID') {
-      throw new ParseError("Invalid symbol '" + this.token.original_text + "'",
-			   this.lexer.location);
+      // the lexer does not consume an invalid character
+      this.token.start = this.lexer.location;
+      this.token.end = this.token.start + 1;
+      this.recover(new ParseError("Invalid symbol '" + this.token.original_text + "'",
+				  this.lexer.location, this.error_details('invalid_symbol')));
+
+      // skip the character, leaving the INVALID token
+      // to be parsed as an error placeholder
+      let state = this.lexer.return_state();
+      this.lexer.set_state({ input: state.input.slice(1), location: state.location + 1 });
     }
   }
 
+  recover(error) {
+    // if parsing tolerantly, record error as a diagnostic,
+    // after which the caller continues with a placeholder,
+    // otherwise throw error
+    if(!this.diagnostics)
+      throw error;
+
+    // the same error may be found again as parsing unwinds
+    let last = this.diagnostics[this.diagnostics.length - 1];
+    if(last && last.location == error.location && last.message == error.message)
+      return;
+
+    this.diagnostics.push(error);
+  }
+
+  error_details(code, expected=[]) {
+    // details of an error at the current token, see ParseError
+    let position = line_and_column(this.input, this.token.start);
+    return { code: code,
+	     token_type: this.token.token_type,
+	     token_text: this.token.original_text,
+	     expected: expected,
+	     line: position.line,
+	     column: position.column };
+  }
+
   return_state() {
     return ({ lexer_state: this.lexer.return_state(),
-	      token: Object.assign({}, this.token) });
+	      token: Object.assign({}, this.token),
+	      consumed_end: this.consumed_end,
+	      diagnostics: this.diagnostics && this.diagnostics.slice() });
   }
 
   set_state(state) {
     this.lexer.set_state(state.lexer_state);
     this.token = Object.assign({}, state.token);
+    this.consumed_end = state.consumed_end;
+    this.diagnostics = state.diagnostics && state.diagnostics.slice();
+  }
+
+  bind_imaginary_unit(state, read) {
+    // the letter of the imaginary unit turned out to be the index or variable
+    // of the operator beginning at state, so read the operator again
+    // with that letter as a variable wherever it occurs
+    this.set_state(state);
+    let bound = this.imaginary_unit_bound;
+    this.imaginary_unit_bound = true;
+    let result = read();
+    this.imaginary_unit_bound = bound;
+    return result;
   }
 
 
   convert(input){
 
     this.lexer.set_input(input);
+    this.input = input;
+    this.token = null;
+    this.diagnostics = this.tolerant ? [] : null;
+    this.imaginary_unit_bound = false;
+    if(this.locations)
+      this.locations.reset();
     this.advance();
 
     var result=this.statement_list();
 
     if (this.token.token_type != 'EOF') {
-      throw new ParseError("Invalid location of '" + this.token.original_text + "'",
-			   this.lexer.location);
+      // if parsing tolerantly, the rest of the input is ignored
+      this.recover(new ParseError("Invalid location of '" + this.token.original_text + "'",
+				  this.lexer.location,
+				  this.error_details('invalid_location', ['EOF'])));
     }
 
-    return flatten(result);
+    if(!this.locations && !this.diagnostics)
+      return flatten(result);
+
+    var output = { tree: flatten(result) };
+    if(this.locations)
+      output.locations = this.locations.table(result);
+    if(this.diagnostics)
+      output.diagnostics = this.diagnostics;
+    return output;
 
   }
 
@@ -381,23 +656,31 @@ class latexToAst {
   statement({inside_absolute_value = 0} = {}) {
 
     var original_state;
+    var n_diagnostics = this.diagnostics ? this.diagnostics.length : 0;
+    var first_attempt = null;
 
     try {
 
       original_state = this.return_state();
 
-      let lhs=this.statement_a({inside_absolute_value: inside_absolute_value});
+      let result=this.statement_a({inside_absolute_value: inside_absolute_value});
 
-      if(this.token.token_type !== ':' && this.token.token_type !== 'MID')
-	return lhs;
+      if(this.token.token_type === ':' || this.token.token_type === 'MID') {
+	let operator = this.token.token_type == ':' ? ':' : '|'
 
-      let operator = this.token.token_type == ':' ? ':' : '|'
-      
-      this.advance();
+	this.advance();
+
+	result = [operator, result, this.statement_a()];
+      }
 
-      let rhs=this.statement_a();
+      // if parsing tolerantly, errors were recorded rather than thrown,
+      // so try the alternative below, but keep this attempt in case it fails
+      if(this.diagnostics && this.diagnostics.length > n_diagnostics) {
+	first_attempt = { result: result, state: this.return_state() };
+	throw this.diagnostics[n_diagnostics];
+      }
 
-      return [operator, lhs, rhs];
+      return result;
       
     }
     catch (e) {
@@ -420,10 +703,18 @@ class latexToAst {
 	
 	let rhs = this.statement_a({ parse_absolute_value: false });
 
+	if(this.diagnostics && this.diagnostics.length > n_diagnostics) {
+	  throw(e);
+	}
+
 	return ['|', lhs, rhs];
 	
       }
       catch(e2) {
+	if(first_attempt) {
+	  this.set_state(first_attempt.state);
+	  return first_attempt.result;
+	}
 	throw(e);  // throw original error
       }
     }
@@ -579,23 +870,24 @@ class latexToAst {
 
     var lhs = this.term(params);
     while ((this.token.token_type == '+') || (this.token.token_type == '-')
+	   || (this.token.token_type == 'PM') || (this.token.token_type == 'MP')
 	   || (this.token.token_type == 'UNION')
 	   || (this.token.token_type == 'INTERSECT')) {
 
       var operation = this.token.token_type.toLowerCase();
-      var negative = false;
+      var sign = null;
 
-      if (this.token.token_type == '-') {
+      // a - b is a + (-b), and a \pm b is a + (\pm b)
+      if (this.token.token_type == '-' || this.token.token_type == 'PM'
+	  || this.token.token_type == 'MP') {
 	operation = '+';
-	negative = true;
-	this.advance();
-      }
-      else  {
-	this.advance();
+	sign = this.token.token_type == '-' ? '-' : this.token.token_type.toLowerCase();
       }
+      this.advance();
+
       var rhs = this.term(params);
-      if(negative) {
-	rhs = ['-', rhs];
+      if(sign) {
+	rhs = [sign, rhs];
       }
 
       lhs = [operation, lhs, rhs];
@@ -608,6 +900,10 @@ class latexToAst {
   term(params) {
     var lhs = this.factor(params);
 
+    if (this.parseUnits && isQuantity(lhs)
+	&& (this.starts_unit() || this.parenthesized_units()))
+      lhs = ['unit', lhs, this.units()];
+
     var keepGoing = false;
 
     do {
@@ -637,22 +933,267 @@ class latexToAst {
   }
 
 
+  unit_symbol({ letters = false } = {}) {
+    // the unit symbol beginning at the next token, which is consumed,
+    // or false, in which case no tokens are consumed
+
+    let original_state = this.return_state();
+    let result = false;
+
+    if(this.token.token_type == 'UNIT') {
+      result = /{\s*([a-zA-Z]+)\s*}/.exec(this.token.token_text)[1];
+      this.advance();
+    }
+    else if(this.token.token_type == 'LATEXCOMMAND' && this.token.token_text == '\\Omega') {
+      result = 'ohm';
+      this.advance();
+    }
+    else if(this.token.token_type == 'LATEXCOMMAND' && this.token.token_text == '\\mu') {
+      this.advance();
+      let symbol = this.unit_symbol({ letters: letters });
+      if(symbol !== false)
+	result = 'u' + symbol;
+    }
+    else if(this.token.token_type == 'VAR' && letters) {
+      // adjacent letters form one symbol
+      result = '';
+      let end = this.token.start;
+      while(this.token.token_type == 'VAR' && this.token.start == end) {
+	result += this.token.token_text;
+	end = this.token.end;
+	this.advance();
+      }
+    }
+
+    if(result === false || !isUnit(result, this.unitSymbols)) {
+      this.set_state(original_state);
+      return false;
+    }
+    return result;
+  }
+
+  starts_unit({ letters = false, allow_parentheses = false } = {}) {
+    // whether the next token begins a unit or, if allow_parentheses,
+    // parenthesized units
+
+    let original_state = this.return_state();
+    let result;
+    if(this.token.token_type == '(' && allow_parentheses) {
+      this.advance();
+      result = this.unit_symbol({ letters: letters }) !== false;
+    }
+    else
+      result = this.unit_symbol({ letters: letters }) !== false;
+    this.set_state(original_state);
+    return result;
+  }
+
+  parenthesized_units() {
+    // whether units in parentheses come next, in which case the
+    // parentheses must close right after the units
+
+    if(!this.starts_unit({ allow_parentheses: true }))
+      return false;
+
+    let original_state = this.return_state();
+    let n_diagnostics = this.diagnostics ? this.diagnostics.length : 0;
+    let result;
+    try {
+      this.advance();
+      this.units();
+      result = this.token.token_type == ')'
+	&& !(this.diagnostics && this.diagnostics.length > n_diagnostics);
+    }
+    catch(e) {
+      if(!(e instanceof ParseError))
+	throw e;
+      result = false;
+    }
+    this.set_state(original_state);
+    return result;
+  }
+
+  units({ letters = false } = {}) {
+    var lhs = this.unit_factor({ letters: letters });
+
+    while(true) {
+      let operation;
+      if(this.token.token_type == '*' || this.token.token_type == '/') {
+	// the operator is part of the units only if units follow it
+	let original_state = this.return_state();
+	operation = this.token.token_type;
+	this.advance();
+	if(!this.starts_unit({ letters: letters, allow_parentheses: true })) {
+	  this.set_state(original_state);
+	  return lhs;
+	}
+      }
+      else if(this.starts_unit({ letters: letters })) {
+	operation = '*';
+      }
+      else {
+	return lhs;
+      }
+
+      lhs = [operation, lhs, this.unit_factor({ letters: letters })];
+    }
+  }
+
+  unit_factor({ letters = false } = {}) {
+    var result;
+
+    if(this.token.token_type == '(') {
+      this.advance();
+      result = this.units({ letters: letters });
+      if(this.token.token_type == ')') {
+	this.advance();
+      }
+      else {
+	this.recover(new ParseError("Expected )", this.lexer.location,
+				    this.error_details('expected_token', [')'])));
+      }
+    }
+    else {
+      result = this.unit_symbol({ letters: letters });
+    }
+
+    if(this.token.token_type == '^') {
+      this.advance();
+      let exponent = this.factor();
+      // only numerical powers of units can be converted to math.js
+      if(!isQuantity(exponent)) {
+	this.recover(new ParseError("Exponent of units must be a number",
+				    this.lexer.location,
+				    this.error_details('invalid_exponent')));
+	exponent = ['error'];
+      }
+      result = ['^', result, exponent];
+    }
+
+    return result;
+  }
+
+  si() {
+    // \SI{quantity}{units} of the siunitx package
+
+    this.advance();
+
+    let args = [];
+    for(let i=0; i < 2; i++) {
+      if(this.token.token_type != '{') {
+	this.recover(new ParseError("Expected {", this.lexer.location,
+				    this.error_details('expected_token', ['{'])));
+	return ['error'];
+      }
+      this.advance();
+
+      if(i == 0)
+	args.push(this.statement());
+      else if(this.token.token_type == 'LATEXCOMMAND')
+	args.push(this.si_macros());
+      else
+	args.push(this.units({ letters: true }));
+
+      if(this.token.token_type == '}') {
+	this.advance();
+      }
+      else {
+	this.recover(new ParseError("Expected }", this.lexer.location,
+				    this.error_details('expected_token', ['}'])));
+      }
+    }
+
+    return ['unit'].concat(args);
+  }
+
+  si_macros() {
+    // units written with the macros of siunitx, such as
+    // \kilo\meter\per\second\squared, where \per divides by
+    // the next unit and a power applies to the next or previous unit
+
+    let numerator = [];
+    let denominator = [];
+    let last = null;
+    let prefix = '';
+    let power = 1;
+    let per = false;
+
+    while(this.token.token_type == 'LATEXCOMMAND') {
+      let name = this.token.token_text.slice(1);
+
+      if(name in si_prefixes)
+	prefix = si_prefixes[name];
+      else if(name in si_powers)
+	power = si_powers[name];
+      else if(name == 'per')
+	per = true;
+      else if(name in si_units) {
+	last = [prefix + si_units[name], power];
+	(per ? denominator : numerator).push(last);
+	prefix = '';
+	power = 1;
+	per = false;
+      }
+      else if(last && (name in si_raised || name == 'tothe')) {
+	if(name == 'tothe') {
+	  this.advance();
+	  last[1] = this.baseFactor();
+	  continue;
+	}
+	last[1] = si_raised[name];
+      }
+      else {
+	this.recover(new ParseError("Unrecognized latex command " + this.token.original_text,
+				    this.lexer.location,
+				    this.error_details('unrecognized_command')));
+	return ['error'];
+      }
+
+      this.advance();
+    }
+
+    let product = function(factors) {
+      factors = factors.map(v => v[1] === 1 ? v[0] : ['^', v[0], v[1]]);
+      return factors.length == 1 ? factors[0] : ['*'].concat(factors);
+    }
+
+    if(numerator.length == 0 && denominator.length == 0) {
+      this.recover(new ParseError("Expected units", this.lexer.location,
+				  this.error_details('expected_token', ['LATEXCOMMAND'])));
+      return ['error'];
+    }
+
+    if(denominator.length == 0)
+      return product(numerator);
+    return ['/', numerator.length == 0 ? 1 : product(numerator), product(denominator)];
+  }
+
+
   factor(params) {
     if (this.token.token_type == '-') {
       this.advance();
       return ['-', this.factor(params)];
     }
+    if (this.token.token_type == 'PM' || this.token.token_type == 'MP') {
+      let sign = this.token.token_type.toLowerCase();
+      this.advance();
+      return [sign, this.factor(params)];
+    }
 
     var result = this.nonMinusFactor(params);
 
     if(result === false) {
+      let expected = ['-'].concat(base_factor_tokens);
       if (this.token.token_type == "EOF") {
-	throw new ParseError("Unexpected end of input", this.lexer.location);
+	this.recover(new ParseError("Unexpected end of input", this.lexer.location,
+				    this.error_details('unexpected_end', expected)));
       }
       else {
-	throw new ParseError("Invalid location of '" + this.token.original_text + "'",
-			     this.lexer.location);
+	this.recover(new ParseError("Invalid location of '" + this.token.original_text + "'",
+				    this.lexer.location,
+				    this.error_details('invalid_location', expected)));
       }
+      return ['error'];
     }
     else {
       return result;
@@ -666,9 +1207,12 @@ class latexToAst {
 
     // allow arbitrary sequence of factorials
     if (this.token.token_type == '!' || this.token.token_type == "'") {
-      if(result === false)
-	throw new ParseError("Invalid location of " + this.token.token_type,
-			     this.lexer.location);
+      if(result === false) {
+	this.recover(new ParseError("Invalid location of " + this.token.token_type,
+				    this.lexer.location,
+				    this.error_details('invalid_location', base_factor_tokens)));
+	result = ['error'];
+      }
       while(this.token.token_type == '!' || this.token.token_type == "'") {
 	if(this.token.token_type == '!')
 	  result = ['apply', 'factorial', result]
@@ -679,8 +1223,19 @@ class latexToAst {
     }
 
     if (this.token.token_type == '^') {
+      // in the target of a limit, a trailing ^+ or ^- is the direction
+      if(params && params.stop_at_direction) {
+	let original_state = this.return_state();
+	let direction = this.direction();
+	this.set_state(original_state);
+	if(direction !== false)
+	  return result;
+      }
+
       if(result === false) {
-	throw new ParseError("Invalid location of ^", this.lexer.location);
+	this.recover(new ParseError("Invalid location of ^", this.lexer.location,
+				    this.error_details('invalid_location', base_factor_tokens)));
+	result = ['error'];
       }
       this.advance();
 
@@ -698,16 +1253,33 @@ class latexToAst {
 
   baseFactor({inside_absolute_value = 0,
 	      parse_absolute_value = true,
-	      allow_absolute_value_closing = false
+	      allow_absolute_value_closing = false,
+	      stop_at_differential = false,
+	      allow_subscript = true
 	     } = {}) {
     
     var result = false;
 
+    // inside an integrand, a differential such as dx ends the integrand
+    if(stop_at_differential) {
+      let original_state = this.return_state();
+      let found_differential = this.differential();
+      this.set_state(original_state);
+      if(found_differential !== false)
+	return false;
+    }
+
+    if (this.token.token_type == 'SI') {
+      return this.si();
+    }
+
     if (this.token.token_type == 'FRAC') {
       this.advance();
 
       if (this.token.token_type != '{') {
-	throw new ParseError("Expected {", this.lexer.location);
+	this.recover(new ParseError("Expected {", this.lexer.location,
+				    this.error_details('expected_token', ['{'])));
+	return ['/', ['error'], ['error']];
       }
       this.advance();
 
@@ -731,22 +1303,30 @@ class latexToAst {
 	
       var numerator = this.statement({ parse_absolute_value: parse_absolute_value });
 
-      if (this.token.token_type != '}') {
-	throw new ParseError("Expected }", this.lexer.location);
+      if (this.token.token_type == '}') {
+	this.advance();
+      }
+      else {
+	this.recover(new ParseError("Expected }", this.lexer.location,
+				    this.error_details('expected_token', ['}'])));
       }
-      this.advance();
 
       if (this.token.token_type != '{') {
-	throw new ParseError("Expected {", this.lexer.location);
+	this.recover(new ParseError("Expected {", this.lexer.location,
+				    this.error_details('expected_token', ['{'])));
+	return ['/', numerator, ['error']];
       }
       this.advance();
 
       var denominator = this.statement({ parse_absolute_value: parse_absolute_value });
 
-      if (this.token.token_type != '}') {
-	throw new ParseError("Expected }", this.lexer.location);
+      if (this.token.token_type == '}') {
+	this.advance();
+      }
+      else {
+	this.recover(new ParseError("Expected }", this.lexer.location,
+				    this.error_details('expected_token', ['}'])));
       }
-      this.advance();
 
       return ['/', numerator, denominator];
     }
@@ -767,7 +1347,7 @@ class latexToAst {
 	this.advance();
 
 	
-	while(this.token.token_type !== 'ENDENVIRONMENT') {
+	while(this.token.token_type !== 'ENDENVIRONMENT' && this.token.token_type !== 'EOF') {
 	  if(this.token.token_type == '&') {
 	    if(last_token == '&' || last_token == 'LINEBREAK') {
 	      // blank entry, let entry be zero
@@ -795,21 +1375,33 @@ class latexToAst {
 	  }
 	  else {
 	    if(last_token == '&' || last_token == 'LINEBREAK' || 'BEGINENVIRONMENT') {
+	      let start = this.token.start;
 	      row.push(this.statement({ parse_absolute_value: parse_absolute_value }));
 	      n_this_row += 1;
 	      last_token = ' ';
 
+	      // if parsing tolerantly, skip a token at which no entry could be parsed
+	      if(this.token.start === start)
+		this.advance();
 	    }
 	    else {
-	      throw new ParseError("Invalid location of " + this.token.original_text, this.lexer.location);
+	      this.recover(new ParseError("Invalid location of " + this.token.original_text,
+					  this.lexer.location,
+					  this.error_details('invalid_location',
+							     ['&', 'LINEBREAK', 'ENDENVIRONMENT'])));
 	    }
 	  }
 	}
 
-	// token is ENDENVIRONMENT
-	let environment2 = /\\end\s*{\s*([a-zA-Z0-9]+)\s*}/.exec(this.token.token_text)[1];
-	if(environment2 !== environment) {
-	  throw new ParseError("Expected \\end{" + environment + "}", this.lexer.location);
+	if(this.token.token_type == 'EOF') {
+	  this.recover(new ParseError("Unexpected end of input", this.lexer.location,
+				      this.error_details('unexpected_end',
+							 ['&', 'LINEBREAK', 'ENDENVIRONMENT'])));
+	}
+	else if(/\\end\s*{\s*([a-zA-Z0-9]+)\s*}/.exec(this.token.token_text)[1]
+		!== environment) {
+	  this.recover(new ParseError("Expected \\end{" + environment + "}", this.lexer.location,
+				      this.error_details('expected_token', ['ENDENVIRONMENT'])));
 	}
 
 	// add last row
@@ -824,10 +1416,14 @@ class latexToAst {
 	n_rows += 1;
 	
 
-	this.advance();
+	if(this.token.token_type == 'ENDENVIRONMENT')
+	  this.advance();
 	
 	// create matrix
-	result = ["matrix", ["tuple", n_rows, n_cols]];
+	let size = ["tuple", n_rows, n_cols];
+	if(this.locations)
+	  this.locations.mark_constructed(size);
+	result = ["matrix", size];
 	let body = ["tuple"];
 	for(let r of all_rows) {
 	  let new_row = ["tuple"].concat(r);
@@ -841,18 +1437,41 @@ class latexToAst {
 	
 	return result;
       }
+      else if(environment == 'cases') {
+	return this.cases({ parse_absolute_value: parse_absolute_value });
+      }
       else {
-	throw new ParseError("Unrecognized environment " + environment, this.lexer.location);
+	this.recover(new ParseError("Unrecognized environment " + environment, this.lexer.location,
+				    this.error_details('unrecognized_environment')));
+
+	// if parsing tolerantly, skip the environment
+	while(this.token.token_type != 'ENDENVIRONMENT' && this.token.token_type != 'EOF')
+	  this.advance();
+	if(this.token.token_type == 'ENDENVIRONMENT')
+	  this.advance();
+	return ['error'];
       }
       
     }
     
     if (this.token.token_type == 'NUMBER') {
-      result = parseFloat( this.token.token_text );
+      result = parseFloat(this.token.token_text.replace(/\{,\}|,/, '.'));
       this.advance();
     } else if (this.token.token_type == 'INFINITY') {
       result = 'infinity';
       this.advance();
+    } else if (this.token.token_type == 'INVALID') {
+      // only reached if parsing tolerantly
+      result = ['error'];
+      this.advance();
+    } else if (this.token.token_type == 'INTEGRAL') {
+      result = this.integral({ parse_absolute_value: parse_absolute_value });
+    } else if (this.token.token_type == 'BIGOPERATOR') {
+      result = this.big_operator({ parse_absolute_value: parse_absolute_value,
+				   stop_at_differential: stop_at_differential });
+    } else if (this.token.token_type == 'LIMIT') {
+      result = this.limit({ parse_absolute_value: parse_absolute_value,
+			    stop_at_differential: stop_at_differential });
     } else if (this.token.token_type == 'SQRT') {
       this.advance();
 
@@ -860,29 +1479,38 @@ class latexToAst {
       if (this.token.token_type == '[') {
 	this.advance();
 	var parameter = this.statement({ parse_absolute_value: parse_absolute_value });
-	if (this.token.token_type != ']') {
-	  throw new ParseError("Expected ]", this.lexer.location);
+	if (this.token.token_type == ']') {
+	  this.advance();
+	}
+	else {
+	  this.recover(new ParseError("Expected ]", this.lexer.location,
+				      this.error_details('expected_token', [']'])));
 	}
-	this.advance();
 
 	root = parameter;
       }
 
       if (this.token.token_type != '{') {
-	throw new ParseError("Expected {", this.lexer.location);
+	this.recover(new ParseError("Expected {", this.lexer.location,
+				    this.error_details('expected_token', ['{'])));
+	var parameter = ['error'];
       }
-
-      this.advance();
-      var parameter = this.statement({ parse_absolute_value: parse_absolute_value });
-      if (this.token.token_type != '}') {
-	throw new ParseError("Expected }", this.lexer.location);
+      else {
+	this.advance();
+	var parameter = this.statement({ parse_absolute_value: parse_absolute_value });
+	if (this.token.token_type == '}') {
+	  this.advance();
+	}
+	else {
+	  this.recover(new ParseError("Expected }", this.lexer.location,
+				      this.error_details('expected_token', ['}'])));
+	}
       }
-      this.advance();
 
       if (root == 2)
 	result = ['apply', 'sqrt', parameter];
       else
-	result = ['^', parameter, ['/', 1, root]];
+	result = ['apply', 'nthroot', ['tuple', parameter, root]];
     } else if (this.token.token_type == 'VAR' || this.token.token_type == 'LATEXCOMMAND'
 	      || this.token.token_type == 'VARMULTICHAR') {
       result = this.token.token_text;
@@ -893,8 +1521,10 @@ class latexToAst {
 	     || this.functionSymbols.includes(result)
 	     || this.allowedLatexSymbols.includes(result)
 	    )) {
-	  throw new ParseError("Unrecognized latex command " + this.token.original_text,
-			       this.lexer.location);
+	  this.recover(new ParseError("Unrecognized latex command " + this.token.original_text,
+				      this.lexer.location,
+				      this.error_details('unrecognized_command')));
+	  result = ['error'];
 	}
       }
       else if(this.token.token_type == 'VARMULTICHAR') {
@@ -917,13 +1547,16 @@ class latexToAst {
 	  // since baseFactor could return false, must check
 	  if(subresult === false) {
 	    if (this.token.token_type == "EOF") {
-	      throw new ParseError("Unexpected end of input",
-				   this.lexer.location);
+	      this.recover(new ParseError("Unexpected end of input",
+					  this.lexer.location,
+					  this.error_details('unexpected_end', base_factor_tokens)));
 	    }
 	    else {
-	      throw new ParseError("Invalid location of '" + this.token.original_text
-				   + "'", this.lexer.location) ;
+	      this.recover(new ParseError("Invalid location of '" + this.token.original_text
+					  + "'", this.lexer.location,
+					  this.error_details('invalid_location', base_factor_tokens)));
 	    }
+	    subresult = ['error'];
 	  }
 	  result = ['_', result, subresult];
 	}
@@ -950,11 +1583,14 @@ class latexToAst {
 	  this.advance();
 	  var parameters = this.statement_list();
 
-	  if (this.token.token_type != expected_right) {
-	    throw new ParseError('Expected ' + expected_right,
-				 this.lexer.location);
+	  if (this.token.token_type == expected_right) {
+	    this.advance();
+	  }
+	  else {
+	    this.recover(new ParseError('Expected ' + expected_right,
+					this.lexer.location,
+					this.error_details('expected_token', [expected_right, ','])));
 	  }
-	  this.advance();
 
 	  if(parameters[0] == 'list') {
 	    // rename from list to tuple
@@ -968,18 +1604,49 @@ class latexToAst {
 	  // if was an applied function symbol,
 	  // cannot omit argument
 	  if(must_apply) {
-	    if(!this.allowSimplifiedFunctionApplication)
-	      throw new ParseError("Expected ( after function",
-				   this.lexer.location);
+	    if(!this.allowSimplifiedFunctionApplication) {
+	      this.recover(new ParseError("Expected ( after function",
+					  this.lexer.location,
+					  this.error_details('expected_token', ['(', '{'])));
+	      result = ['apply', result, ['error']];
+	    }
+	    else {
+	      // if allow simplied function application
+	      // let the argument be the next factor
+	      result = ['apply', result, this.factor({ parse_absolute_value: parse_absolute_value })];
+	    }
+	  }
+	}
 
-	    // if allow simplied function application
-	    // let the argument be the next factor
-	    result = ['apply', result, this.factor({ parse_absolute_value: parse_absolute_value })];
+	// \log_b x is the logarithm to the base b, written as log(x, b),
+	// and a power \log_b^n x applies to the logarithm
+	if(result[0] === 'apply') {
+	  let [, f, arg] = result;
+	  let power = null;
+	  if(Array.isArray(f) && f[0] === '^') {
+	    power = f[2];
+	    f = f[1];
+	  }
+	  if(Array.isArray(f) && f[0] === '_' && f[1] === 'log') {
+	    if(Array.isArray(arg) && arg[0] === 'tuple') {
+	      this.recover(new ParseError("Expected a single argument of \\log with a base",
+					  this.lexer.location,
+					  this.error_details('invalid_arguments')));
+	      arg = ['error'];
+	    }
+	    result = ['apply', 'log', ['tuple', arg, f[2]]];
+	    if(power !== null)
+	      result = ['^', result, power];
 	  }
 	}
       }
       else {
 	this.advance();
+	// leave i_1 and the like as subscripted variables,
+	// as well as an i bound by a sum, limit or integral
+	if(result === this.imaginaryUnit && this.token.token_type !== '_'
+	   && !this.imaginary_unit_bound)
+	  result = 'imaginary_unit';
       }
     } else if (this.token.token_type == '(' || this.token.token_type == '['
 	       || this.token.token_type == '{'
@@ -1011,15 +1678,23 @@ class latexToAst {
 	n_elements = result.length-1;
       }
 
-      if (this.token.token_type != expected_right) {
+      // if parsing tolerantly, a missing right delimiter is taken to be expected_right
+      var closed_by = this.token.token_type;
+      if (closed_by != expected_right &&
+	  (n_elements != 2 || other_right === null || closed_by != other_right)) {
 	if(n_elements != 2 || other_right === null) {
-	  throw new ParseError('Expected ' + expected_right,
-			       this.lexer.location);
+	  this.recover(new ParseError('Expected ' + expected_right,
+				      this.lexer.location,
+				      this.error_details('expected_token', [expected_right, ','])));
 	}
-	else if (this.token.token_type != other_right) {
-	  throw new ParseError('Expected ) or ]', this.lexer.location);
+	else {
+	  this.recover(new ParseError('Expected ) or ]', this.lexer.location,
+				      this.error_details('expected_token', [')', ']'])));
 	}
+	closed_by = null;
+      }
 
+      if (closed_by !== null && closed_by != expected_right) {
 	// half-open interval
 	result[0] = 'tuple';
 	result = ['interval', result];
@@ -1051,7 +1726,8 @@ class latexToAst {
 	}
       }
 
-      this.advance();
+      if(closed_by !== null)
+	this.advance();
 
     } else if (this.token.token_type[0] == '|' && parse_absolute_value &&
 	       (inside_absolute_value==0 || !allow_absolute_value_closing ||
@@ -1071,28 +1747,35 @@ class latexToAst {
       var result = this.statement({ inside_absolute_value: inside_absolute_value });
       result = ['apply', 'abs', result];
 
-      if (this.token.token_type != '|') {
-	throw new ParseError('Expected |', this.lexer.location);
+      if (this.token.token_type == '|') {
+	this.advance();
+      }
+      else {
+	this.recover(new ParseError('Expected |', this.lexer.location,
+				    this.error_details('expected_token', ['|'])));
       }
-
-      this.advance();
     }
 
-    if (this.token.token_type == '_') {
+    if (this.token.token_type == '_' && allow_subscript) {
       if(result === false) {
-	throw new ParseError("Invalid location of _", this.lexer.location);
+	this.recover(new ParseError("Invalid location of _", this.lexer.location,
+				    this.error_details('invalid_location', base_factor_tokens)));
+	result = ['error'];
       }
       this.advance();
       var subresult =  this.baseFactor({ parse_absolute_value: parse_absolute_value });
 
       if(subresult === false) {
 	if (this.token.token_type == "EOF") {
-	  throw new ParseError("Unexpected end of input", this.lexer.location);
+	  this.recover(new ParseError("Unexpected end of input", this.lexer.location,
+				      this.error_details('unexpected_end', base_factor_tokens)));
 	}
 	else {
-	  throw new ParseError("Invalid location of '" + this.token.original_text + "'",
-			       this.lexer.location);
+	  this.recover(new ParseError("Invalid location of '" + this.token.original_text + "'",
+				      this.lexer.location,
+				      this.error_details('invalid_location', base_factor_tokens)));
 	}
+	subresult = ['error'];
       }
       return ['_', result, subresult];
     }
@@ -1100,7 +1783,382 @@ class latexToAst {
     return result;
   }
 
-  
+
+  integral({ parse_absolute_value = true } = {}) {
+    // token is INTEGRAL, whose text is the name of the operator
+
+    let operator = this.token.token_text;
+    let n_integrals = integral_multiplicities[operator];
+    let integral_state = this.return_state();
+
+    this.advance();
+
+    // limits of integration, which may be given in either order
+    let lower, upper;
+    while((this.token.token_type == '_' && lower === undefined)
+	  || (this.token.token_type == '^' && upper === undefined)) {
+      let token_type = this.token.token_type;
+
+      this.advance();
+
+      // don't let the limit absorb a following subscript,
+      // as the subscript could be the lower limit of \int^b_a
+      let limit = this.baseFactor({ parse_absolute_value: parse_absolute_value,
+				    allow_subscript: false });
+
+      if(limit === false) {
+	if (this.token.token_type == "EOF") {
+	  this.recover(new ParseError("Unexpected end of input", this.lexer.location,
+				      this.error_details('unexpected_end', base_factor_tokens)));
+	}
+	else {
+	  this.recover(new ParseError("Invalid location of '" + this.token.original_text + "'",
+				      this.lexer.location,
+				      this.error_details('invalid_location', base_factor_tokens)));
+	}
+	limit = ['error'];
+      }
+
+      if(token_type == '_')
+	lower = limit;
+      else
+	upper = limit;
+    }
+
+    if(upper !== undefined && lower === undefined) {
+      this.recover(new ParseError("Expected lower limit of integral", this.lexer.location,
+				  this.error_details('expected_token', ['_'])));
+      lower = ['error'];
+    }
+
+    // integrand extends until the first differential
+    // if there is no integrand, as in \int dx, the integrand is 1
+    let integrand = 1;
+
+    let original_state = this.return_state();
+    let found_differential = this.differential();
+    this.set_state(original_state);
+
+    if(found_differential === false) {
+      integrand = this.expression({ parse_absolute_value: parse_absolute_value,
+				    stop_at_differential: true });
+    }
+
+    let variables = [];
+    while(variables.length < n_integrals) {
+      let original_state = this.return_state();
+      let variable = this.differential();
+      if(variable === false) {
+	this.set_state(original_state);
+	break;
+      }
+      variables.push(variable);
+    }
+
+    if(variables.length == 0) {
+      this.recover(new ParseError("Expected differential at end of integral",
+				  this.lexer.location,
+				  this.error_details('expected_token', ['VAR'])));
+      variables.push(['error']);
+    }
+
+    if(this.imaginaryUnit && !this.imaginary_unit_bound
+       && variables.includes(this.imaginaryUnit))
+      return this.bind_imaginary_unit(integral_state, () => this.integral({
+	parse_absolute_value: parse_absolute_value }));
+
+    let result = [operator, integrand];
+
+    if(variables.length == 1)
+      result.push(variables[0]);
+    else
+      result.push(["tuple"].concat(variables));
+
+    if(lower !== undefined)
+      result.push(lower);
+    if(upper !== undefined)
+      result.push(upper);
+
+    return result;
+  }
+
+  big_operator(params) {
+    // token is BIGOPERATOR, whose text is the name of the operator
+
+    let operator = this.token.token_text;
+    let original_state = this.return_state();
+
+    this.advance();
+
+    // subscript and superscript, which may be given in either order
+    let subscript, upper;
+    while((this.token.token_type == '_' && subscript === undefined)
+	  || (this.token.token_type == '^' && upper === undefined)) {
+      let token_type = this.token.token_type;
+
+      this.advance();
+
+      // don't let the superscript absorb a following subscript
+      let limit = this.baseFactor({ parse_absolute_value: params.parse_absolute_value,
+				    allow_subscript: false });
+
+      if(limit === false) {
+	if (this.token.token_type == "EOF") {
+	  this.recover(new ParseError("Unexpected end of input", this.lexer.location,
+				      this.error_details('unexpected_end', base_factor_tokens)));
+	}
+	else {
+	  this.recover(new ParseError("Invalid location of '" + this.token.original_text + "'",
+				      this.lexer.location,
+				      this.error_details('invalid_location', base_factor_tokens)));
+	}
+	limit = ['error'];
+      }
+
+      if(token_type == '_')
+	subscript = limit;
+      else
+	upper = limit;
+    }
+
+    // subscript must be the index or index = lower bound
+    let index, lower;
+    if(typeof subscript === 'string') {
+      index = subscript;
+    }
+    else if(Array.isArray(subscript) && subscript[0] == '='
+	    && subscript.length == 3 && typeof subscript[1] === 'string') {
+      index = subscript[1];
+      lower = subscript[2];
+    }
+    else {
+      this.recover(new ParseError("Expected index of " + operator, this.lexer.location,
+				  this.error_details('invalid_arguments')));
+      index = ['error'];
+    }
+
+    if(upper !== undefined && lower === undefined) {
+      this.recover(new ParseError("Expected lower bound of " + operator, this.lexer.location,
+				  this.error_details('invalid_arguments')));
+      lower = ['error'];
+    }
+
+    if(index === 'imaginary_unit')
+      return this.bind_imaginary_unit(original_state, () => this.big_operator(params));
+
+    let result = [operator, this.term(params), index];
+
+    if(lower !== undefined)
+      result.push(lower);
+    if(upper !== undefined)
+      result.push(upper);
+
+    return result;
+  }
+
+  cases({ parse_absolute_value = true } = {}) {
+    // token is BEGINENVIRONMENT of cases
+    // each row is a value and a condition separated by &
+    // where a condition of \text{otherwise} is represented by true
+
+    this.advance();
+
+    let result = ['piecewise'];
+
+    while(true) {
+      let value = this.statement({ parse_absolute_value: parse_absolute_value });
+
+      // allow punctuation between value and condition, as in x, & x > 0
+      if(this.token.token_type == ',')
+	this.advance();
+
+      let condition;
+      if(this.token.token_type != '&') {
+	this.recover(new ParseError("Expected &", this.lexer.location,
+				    this.error_details('expected_token', ['&'])));
+	condition = ['error'];
+      }
+      else {
+	this.advance();
+
+	if(this.token.token_type == 'OTHERWISE') {
+	  condition = true;
+	  this.advance();
+	}
+	else {
+	  if(this.token.token_type == 'IF')
+	    this.advance();
+	  condition = this.statement({ parse_absolute_value: parse_absolute_value });
+	}
+      }
+
+      result.push(['tuple', value, condition]);
+
+      if(this.token.token_type == 'LINEBREAK') {
+	this.advance();
+      }
+      else if(this.token.token_type != 'ENDENVIRONMENT') {
+	let expected = ['LINEBREAK', 'ENDENVIRONMENT'];
+	if (this.token.token_type == "EOF") {
+	  this.recover(new ParseError("Unexpected end of input", this.lexer.location,
+				      this.error_details('unexpected_end', expected)));
+	}
+	else {
+	  this.recover(new ParseError("Invalid location of '" + this.token.original_text + "'",
+				      this.lexer.location,
+				      this.error_details('invalid_location', expected)));
+	}
+	// if parsing tolerantly, end the cases here
+	return result;
+      }
+
+      if(this.token.token_type == 'ENDENVIRONMENT')
+	break;
+    }
+
+    let environment = /\\end\s*{\s*([a-zA-Z0-9]+)\s*}/.exec(this.token.token_text)[1];
+    if(environment !== 'cases') {
+      this.recover(new ParseError("Expected \\end{cases}", this.lexer.location,
+				  this.error_details('expected_token', ['ENDENVIRONMENT'])));
+    }
+    this.advance();
+
+    return result;
+  }
+
+  limit(params) {
+    // token is LIMIT
+    // the approach, such as x \to 0^+, is given in the subscript
+
+    let original_state = this.return_state();
+
+    this.advance();
+
+    if(this.token.token_type != '_') {
+      this.recover(new ParseError("Expected \\lim_{variable \\to target}", this.lexer.location,
+				  this.error_details('expected_token', ['_'])));
+      return ['error'];
+    }
+    this.advance();
+
+    if(this.token.token_type != '{') {
+      this.recover(new ParseError("Expected {", this.lexer.location,
+				  this.error_details('expected_token', ['{'])));
+      return ['error'];
+    }
+    this.advance();
+
+    let variable = this.expression({ parse_absolute_value: params.parse_absolute_value });
+
+    if(variable === 'imaginary_unit')
+      return this.bind_imaginary_unit(original_state, () => this.limit(params));
+
+    if(typeof variable !== 'string') {
+      this.recover(new ParseError("Expected \\lim_{variable \\to target}", this.lexer.location,
+				  this.error_details('invalid_arguments')));
+      variable = ['error'];
+    }
+
+    let target = ['error'];
+    let direction = false;
+    if(this.token.token_type != 'TO') {
+      this.recover(new ParseError("Expected \\lim_{variable \\to target}", this.lexer.location,
+				  this.error_details('expected_token', ['TO'])));
+    }
+    else {
+      this.advance();
+
+      target = this.expression({ parse_absolute_value: params.parse_absolute_value,
+				 stop_at_direction: true });
+
+      direction = this.direction();
+    }
+
+    if(this.token.token_type == '}') {
+      this.advance();
+    }
+    else {
+      this.recover(new ParseError("Expected }", this.lexer.location,
+				  this.error_details('expected_token', ['}'])));
+    }
+
+    let result = ['limit', this.term(params), variable, target];
+
+    if(direction !== false)
+      result.push(direction);
+
+    return result;
+  }
+
+  direction() {
+    // attempt to find the direction of a one-sided limit
+    // given by a superscript of + or - that ends the approach
+    // if successful, return the direction and advance past it
+    // if unsuccessful, return false and leave the state unchanged
+
+    let original_state = this.return_state();
+
+    if(this.token.token_type == '^') {
+      this.advance();
+
+      let braces = false;
+      if(this.token.token_type == '{') {
+	braces = true;
+	this.advance();
+      }
+
+      if(this.token.token_type == '+' || this.token.token_type == '-') {
+	let direction = this.token.token_type;
+	this.advance();
+
+	let closed = true;
+	if(braces) {
+	  closed = this.token.token_type == '}';
+	  this.advance();
+	}
+
+	// the direction must end the subscript of the limit
+	if(closed && this.token.token_type == '}')
+	  return direction;
+      }
+    }
+
+    this.set_state(original_state);
+    return false;
+  }
+
+  differential() {
+    // attempt to find a differential such as dx, d\theta or d\var{time}
+    // if successful, return the variable and advance past the differential
+    // if unsuccessful, return false, leaving the state for the caller to reset
+
+    if(!(this.token.token_type == 'VAR' && this.token.token_text == 'd'))
+      return false;
+
+    this.advance();
+
+    let variable = false;
+
+    if(this.token.token_type == 'VAR')
+      variable = this.token.token_text;
+    else if(this.token.token_type == 'VARMULTICHAR') {
+      // strip out name of variable from \var command
+      variable = /\\var\s*\{\s*([a-zA-Z0-9]+)\s*\}/.exec(this.token.token_text)[1];
+    }
+    else if(this.token.token_type == 'LATEXCOMMAND') {
+      let r = this.token.token_text.slice(1);
+      if(this.allowedLatexSymbols.includes(r))
+	variable = r;
+    }
+
+    if(variable === false)
+      return false;
+
+    this.advance();
+
+    return variable;
+  }
+
   leibniz_notation() {
     // attempt to find and return a derivative in Leibniz notation
     // if unsuccessful, return false
@@ -1143,7 +2201,7 @@ class latexToAst {
 	return false;
       }
 
-      n_deriv = parseFloat(this.token.token_text);
+      n_deriv = parseFloat(this.token.token_text.replace(/\{,\}|,/, '.'));
       if(!Number.isInteger(n_deriv)) {
 	return false;
       }
@@ -1264,7 +2322,7 @@ class latexToAst {
 	  return false;
 	}
 	
-	this_exponent = parseFloat(this.token.token_text);
+	this_exponent = parseFloat(this.token.token_text.replace(/\{,\}|,/, '.'));
 	if(!Number.isInteger(this_exponent)) {
 	  return false;
 	}
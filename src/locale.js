@@ -0,0 +1,29 @@
+/*
+ * numbers and lists written in a locale
+ *
+ * In a locale that writes a decimal comma, such as 'de' or 'pt-BR',
+ * textToAst and latexToAst read 3,14 as a number and ';' separates
+ * the items of lists, tuples and sets, and astToText and astToLatex
+ * write them the same way.  Other locales write a decimal point
+ * and separate items with ','.
+ *
+ */
+
+
+function decimalSeparator(locale) {
+  // the separator, '.' or ',', that locale writes in a decimal number
+  if (!locale)
+    return '.';
+  let decimal = new Intl.NumberFormat(locale).formatToParts(1.5)
+    .find(part => part.type === 'decimal');
+  return decimal && decimal.value === ',' ? ',' : '.';
+}
+
+
+function listSeparator(locale) {
+  // the separator of the items of a list, which is not the decimal comma
+  return decimalSeparator(locale) === ',' ? ';' : ',';
+}
+
+
+export { decimalSeparator, listSeparator };
@@ -1,19 +1,34 @@
+import astToContentMml from './ast-to-content-mml';
 import astToGuppy from './ast-to-guppy';
 import astToLatex from './ast-to-latex';
+import astToMathml from './ast-to-mathml';
 import astToMathjs from './ast-to-mathjs';
 import astToText from './ast-to-text';
 
+import contentMmlToAst from './content-mml-to-ast';
+import guppyToAst from './guppy-to-ast';
 import latexToAst from './latex-to-ast';
 import mathjsToAst from './mathjs-to-ast';
 import textToAst from './text-to-ast';
 
+import mmlToAst from './mml-to-ast';
 import mmlToLatex from './mml-to-latex';
 
+import evaluateAst from './evaluate-ast';
+import equivalent from './equivalent';
+
+export {astToContentMml} ;
 export {astToGuppy} ;
 export {astToLatex} ;
+export {astToMathml} ;
 export {astToMathjs} ;
 export {astToText} ;
+export {contentMmlToAst} ;
+export {guppyToAst} ;
 export {latexToAst} ;
 export {mathjsToAst} ;
 export {textToAst} ;
+export {mmlToAst} ;
 export {mmlToLatex} ;
+export {evaluateAst} ;
+export {equivalent} ;
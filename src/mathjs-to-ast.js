@@ -42,17 +42,46 @@ const operators = {
     ">=,largerEq": function(operands) { return ['ge', operands[0], operands[1]]; },
     "!=,unequal": function(operands) { return ['ne', operands[0], operands[1]]; },
     "!,factorial": function(operands) { return ['apply', 'factorial', operands[0]];},
+    "+,unaryPlus": function(operands) { return operands[0]; },
+    "xor,xor": function(operands) { return ['apply', 'xor', ['tuple', operands[0], operands[1]]]; },
+    "mod,mod": function(operands) { return ['apply', 'mod', ['tuple', operands[0], operands[1]]]; },
+    "',transpose": function(operands) { return ['apply', 'transpose', operands[0]]; },
 };
 
+// functions whose names in the AST differ from those of math.js
+const functions = {
+  "nthRoot": "nthroot",
+};
+
+// functions for sums and products, as written by astToMathjs, with
+// the numbers of arguments they may have, as the bounds may be omitted,
+// while sum and prod of math.js add or multiply all of their arguments
+const sums = {
+  "summation": { operator: "sum", lengths: [2, 4] },
+  "product": { operator: "prod", lengths: [2, 4] },
+};
+
+// comparisons that may be chained into lts or gts,
+// and whether each is strict
+const lessThan = { "smaller": true, "smallerEq": false };
+const greaterThan = { "larger": true, "largerEq": false };
+
 class mathjsToAst {
 
   convert(mathnode){
-    if(mathnode.isConstantNode)
+    if(mathnode.isConstantNode) {
+  if(mathnode.value && mathnode.value.isComplex)
+      return this.complex(mathnode.value);
   return mathnode.value;
+    }
     if(mathnode.isSymbolNode)
   return mathnode.name;
 
     if(mathnode.isOperatorNode) {
+  var chain = this.chain(mathnode);
+  if(chain)
+      return chain;
+
   var key = [mathnode.op, mathnode.fn].join(',')
   if(key in operators)
       return operators[key](
@@ -66,29 +95,217 @@ class mathjsToAst {
   var args = mathnode.args.map(
       function(v,i) { return this.convert(v); }.bind(this) );
 
+  // sum or product written as sum(expression, index, lower, upper)
+  if(Object.prototype.hasOwnProperty.call(sums, mathnode.name)
+     && sums[mathnode.name].lengths.includes(args.length)
+     && mathnode.args[1].isSymbolNode)
+      return [sums[mathnode.name].operator].concat(args);
+
+  if(mathnode.name === "derivative" && args.length === 2
+     && mathnode.args[1].isSymbolNode)
+      return this.derivative(mathnode);
+
+  // nthRoot(x) is the square root of x
+  if(mathnode.name === "nthRoot" && args.length === 1)
+      return ["apply", "sqrt", args[0]];
+
   if( args.length > 1)
       args = ["tuple"].concat(args);
   else
       args = args[0]
 
-  var result = ["apply", mathnode.name];
+  var name = mathnode.name;
+  if(Object.prototype.hasOwnProperty.call(functions, name))
+      name = functions[name];
+  var result = ["apply", name];
   result.push(args);
   return result;
 
     }
 
     if(mathnode.isArrayNode) {
-  return ["vector"].concat(mathnode.args.map(
+  return ["vector"].concat(mathnode.items.map(
    function(v,i) { return this.convert(v); }.bind(this) ) );
     }
 
     if(mathnode.isParenthesisNode)
   return this.convert(mathnode.content);
 
+    if(mathnode.type === "RelationalNode")
+  return this.relational(mathnode);
+
+    if(mathnode.isAccessorNode)
+  return ['_', this.convert(mathnode.object), this.convert(mathnode.index)];
+
+    if(mathnode.isIndexNode) {
+  // the name of a property in dot notation is a string constant,
+  // which becomes a variable of the same name
+  var dimensions = mathnode.dimensions.map(
+      function(v,i) { return this.convert(v); }.bind(this) );
+  if(dimensions.length === 1)
+      return dimensions[0];
+  return ["tuple"].concat(dimensions);
+    }
+
+    if(mathnode.isAssignmentNode) {
+  var target = this.convert(mathnode.object);
+  if(mathnode.index)
+      target = ['_', target, this.convert(mathnode.index)];
+  return ['=', target, this.convert(mathnode.value)];
+    }
+
+    if(mathnode.isFunctionAssignmentNode) {
+  var params = mathnode.params;
+  if(params.length === 1)
+      params = params[0];
+  else
+      params = ["tuple"].concat(params);
+  return ['=', ['apply', mathnode.name, params], this.convert(mathnode.expr)];
+    }
+
+    if(mathnode.isConditionalNode) {
+  // conditionals nested in the false branch become further cases,
+  // and a final NaN, as written by astToMathjs, means no otherwise case
+  var result = ['piecewise'];
+  var conditional = mathnode;
+  while(conditional.isConditionalNode) {
+      result.push(['tuple', this.convert(conditional.trueExpr),
+       this.convert(conditional.condition)]);
+      conditional = conditional.falseExpr;
+  }
+  if(!(conditional.isSymbolNode && conditional.name === 'NaN')
+     && !(conditional.isConstantNode && Number.isNaN(conditional.value)))
+      result.push(['tuple', this.convert(conditional), true]);
+  return result;
+    }
+
+    if(mathnode.isRangeNode) {
+  var args = [this.convert(mathnode.start), this.convert(mathnode.end)];
+  if(mathnode.step)
+      args.push(this.convert(mathnode.step));
+  return ['apply', 'range', ["tuple"].concat(args)];
+    }
+
+    if(mathnode.isObjectNode) {
+  return ['list'].concat(Object.keys(mathnode.properties).map(
+      function(key) { return ['=', key, this.convert(mathnode.properties[key])]; }.bind(this) ));
+    }
+
+    if(mathnode.isBlockNode) {
+  var statements = mathnode.blocks.map(
+      function(v,i) { return this.convert(v.node); }.bind(this) );
+  if(statements.length === 1)
+      return statements[0];
+  return ['list'].concat(statements);
+    }
+
     throw Error("Unsupported node type: " + mathnode.type);
 
   }
 
+  complex(z) {
+    // a complex constant, such as math.i, is written with the imaginary unit
+    var imaginary = z.im === 1 ? 'imaginary_unit' : ['*', z.im, 'imaginary_unit'];
+    if(z.im === 0)
+  return z.re;
+    if(z.re === 0)
+  return imaginary;
+    return ['+', z.re, imaginary];
+  }
+
+  derivative(mathnode) {
+    // derivative(derivative(x, t), s) is d^2x/dsdt, with repeated
+    // variables collected with their orders, and it is a partial
+    // derivative if there is more than one variable
+    var variables = [];
+    while(mathnode.isFunctionNode && mathnode.name === "derivative"
+    && mathnode.args.length === 2 && mathnode.args[1].isSymbolNode) {
+  var variable = mathnode.args[1].name;
+  var last = variables[variables.length-1];
+  if(last && last[0] === variable)
+      last[1] += 1;
+  else
+      variables.push([variable, 1]);
+  mathnode = mathnode.args[0];
+    }
+
+    var expr = this.convert(mathnode);
+    var order = variables.reduce(function(n, v) { return n + v[1]; }, 0);
+
+    if(variables.length === 1 && expr[0] === 'apply'
+       && typeof expr[1] === 'string' && expr[2] === variables[0][0]) {
+  // derivative of a function of the variable is written with primes
+  var f = expr[1];
+  for(let i=0; i < order; i++)
+      f = ['prime', f];
+  return ['apply', f, expr[2]];
+    }
+
+    if(typeof expr !== 'string') {
+  // no Leibniz notation for other expressions, so keep the calls
+  var result = expr;
+  for(let i=variables.length-1; i >= 0; i--)
+      for(let j=0; j < variables[i][1]; j++)
+    result = ['apply', 'derivative', ['tuple', result, variables[i][0]]];
+  return result;
+    }
+
+    return [variables.length === 1 ? 'derivative_leibniz' : 'partial_derivative_leibniz',
+      order === 1 ? expr : ['tuple', expr, order],
+      ["tuple"].concat(variables.map(function(v) {
+    return v[1] === 1 ? v[0] : ['tuple', v[0], v[1]]; }))];
+  }
+
+  chain(mathnode) {
+    // math.js parses a < b <= c as (a < b) <= c, so a comparison whose
+    // first operand is a comparison in the same direction becomes lts or gts
+    var direction;
+    if(mathnode.fn in lessThan)
+  direction = lessThan;
+    else if(mathnode.fn in greaterThan)
+  direction = greaterThan;
+    else
+  return undefined;
+
+    var args = [];
+    var strict = [];
+    while(mathnode.isOperatorNode && mathnode.fn in direction) {
+  args.unshift(this.convert(mathnode.args[1]));
+  strict.unshift(direction[mathnode.fn]);
+  mathnode = mathnode.args[0];
+    }
+    if(args.length < 2)
+  return undefined;
+    args.unshift(this.convert(mathnode));
+
+    return [direction === lessThan ? 'lts' : 'gts',
+      ["tuple"].concat(args), ["tuple"].concat(strict)];
+  }
+
+  relational(mathnode) {
+    // chained comparisons of later versions of math.js
+    var params = mathnode.params.map(
+  function(v,i) { return this.convert(v); }.bind(this) );
+    var conditionals = mathnode.conditionals;
+
+    for(let direction of [lessThan, greaterThan]) {
+  if(conditionals.every(function(fn) { return fn in direction; }))
+      return [direction === lessThan ? 'lts' : 'gts',
+        ["tuple"].concat(params),
+        ["tuple"].concat(conditionals.map(function(fn) { return direction[fn]; }))];
+    }
+
+    // otherwise all the comparisons hold
+    var fns = {};
+    for(let key in operators)
+  fns[key.split(',')[1]] = operators[key];
+    return ['and'].concat(conditionals.map(function(fn, i) {
+  if(!(fn in fns))
+      throw Error("Unsupported operator: " + fn);
+  return fns[fn]([params[i], params[i+1]]);
+    }));
+  }
+
 }
 
 
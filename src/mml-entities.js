@@ -0,0 +1,149 @@
+/*
+ * named entities and character references of MathML
+ *
+ * xml-parser leaves entities in the text of elements, so the readers
+ * of MathML decode them to the characters they stand for and then
+ * interpret the characters.  The table covers the entities for letters,
+ * operators, relations, arrows and fences that editors and MathJax write,
+ * including the invisible operators &InvisibleTimes; (U+2062),
+ * &ApplyFunction; (U+2061) and &InvisibleComma; (U+2063).
+ *
+ */
+
+import { ParseError } from './error';
+
+
+const entities = {
+  // markup
+  'lt': '<', 'gt': '>', 'amp': '&', 'quot': '"', 'apos': "'",
+
+  // spaces
+  'nbsp': ' ', 'NonBreakingSpace': ' ',
+  'ThinSpace': ' ', 'thinsp': ' ', 'MediumSpace': ' ',
+  'ThickSpace': '  ', 'VeryThinSpace': ' ', 'hairsp': ' ',
+  'ensp': ' ', 'emsp': ' ', 'ZeroWidthSpace': '​',
+  'NegativeThinSpace': '​', 'NegativeMediumSpace': '​',
+  'NegativeThickSpace': '​', 'NegativeVeryThinSpace': '​',
+  'NewLine': '\n',
+
+  // invisible operators
+  'InvisibleTimes': '⁢', 'it': '⁢',
+  'ApplyFunction': '⁡', 'af': '⁡',
+  'InvisibleComma': '⁣', 'ic': '⁣',
+
+  // arithmetic
+  'plus': '+', 'minus': '−', 'PlusMinus': '±', 'plusmn': '±', 'pm': '±',
+  'MinusPlus': '∓', 'mnplus': '∓', 'mp': '∓',
+  'times': '×', 'sdot': '⋅', 'middot': '·', 'centerdot': '·', 'CenterDot': '·',
+  'divide': '÷', 'div': '÷', 'sol': '/', 'ast': '*', 'lowast': '∗',
+  'compfn': '∘', 'SmallCircle': '∘', 'excl': '!', 'percnt': '%', 'comma': ',',
+  'colon': ':', 'semi': ';', 'period': '.', 'deg': '°',
+  'radic': '√', 'Sqrt': '√',
+
+  // relations
+  'equals': '=', 'ne': '≠', 'NotEqual': '≠', 'equiv': '≡', 'Congruent': '≡',
+  'le': '≤', 'leq': '≤', 'LessEqual': '≤', 'leqslant': '⩽', 'les': '⩽',
+  'ge': '≥', 'geq': '≥', 'GreaterEqual': '≥', 'geqslant': '⩾', 'ges': '⩾',
+  'Lt': '≪', 'Gt': '≫', 'll': '≪', 'gg': '≫',
+  'sim': '∼', 'Tilde': '∼', 'approx': '≈', 'ap': '≈', 'TildeTilde': '≈',
+  'cong': '≅', 'TildeFullEqual': '≅', 'prop': '∝', 'propto': '∝', 'Proportional': '∝',
+  'mid': '∣', 'VerticalBar': '∣', 'parallel': '∥', 'par': '∥', 'perp': '⊥',
+
+  // sets and logic
+  'isin': '∈', 'in': '∈', 'isinv': '∈', 'Element': '∈',
+  'notin': '∉', 'NotElement': '∉', 'ni': '∋', 'niv': '∋', 'ReverseElement': '∋',
+  'notni': '∌', 'NotReverseElement': '∌',
+  'sub': '⊂', 'subset': '⊂', 'sup': '⊃', 'supset': '⊃', 'Superset': '⊃',
+  'nsub': '⊄', 'nsup': '⊅', 'sube': '⊆', 'SubsetEqual': '⊆',
+  'supe': '⊇', 'SupersetEqual': '⊇',
+  'cup': '∪', 'Union': '⋃', 'cap': '∩', 'Intersection': '⋂',
+  'setminus': '∖', 'Backslash': '∖', 'empty': '∅', 'emptyset': '∅', 'emptyv': '∅',
+  'and': '∧', 'wedge': '∧', 'or': '∨', 'vee': '∨', 'not': '¬', 'Not': '⫬',
+  'forall': '∀', 'ForAll': '∀', 'exist': '∃', 'Exists': '∃', 'nexist': '∄',
+  'there4': '∴', 'Therefore': '∴', 'because': '∵', 'Because': '∵',
+
+  // arrows
+  'rarr': '→', 'rightarrow': '→', 'RightArrow': '→', 'srarr': '→', 'to': '→',
+  'larr': '←', 'leftarrow': '←', 'LeftArrow': '←',
+  'harr': '↔', 'leftrightarrow': '↔', 'LeftRightArrow': '↔',
+  'rArr': '⇒', 'Rightarrow': '⇒', 'DoubleRightArrow': '⇒', 'Implies': '⇒',
+  'lArr': '⇐', 'Leftarrow': '⇐', 'DoubleLeftArrow': '⇐',
+  'hArr': '⇔', 'iff': '⇔', 'Leftrightarrow': '⇔', 'DoubleLeftRightArrow': '⇔',
+  'map': '↦', 'mapsto': '↦', 'RightTeeArrow': '↦',
+  'uarr': '↑', 'darr': '↓',
+
+  // calculus
+  'infin': '∞', 'part': '∂', 'PartialD': '∂', 'nabla': '∇', 'Del': '∇',
+  'int': '∫', 'Integral': '∫', 'Int': '∬', 'iiint': '∭', 'tint': '∭',
+  'conint': '∮', 'oint': '∮', 'ContourIntegral': '∮',
+  'sum': '∑', 'Sum': '∑', 'prod': '∏', 'Product': '∏', 'coprod': '∐',
+  'DifferentialD': 'ⅆ', 'dd': 'ⅆ', 'ExponentialE': 'ⅇ', 'ee': 'ⅇ',
+  'ImaginaryI': 'ⅈ', 'ii': 'ⅈ',
+  'prime': '′', 'Prime': '″', 'tprime': '‴',
+
+  // fences
+  'lpar': '(', 'rpar': ')', 'lsqb': '[', 'rsqb': ']', 'lbrack': '[', 'rbrack': ']',
+  'lcub': '{', 'rcub': '}', 'lbrace': '{', 'rbrace': '}',
+  'verbar': '|', 'vert': '|', 'VerticalLine': '|', 'Verbar': '‖', 'Vert': '‖',
+  'lang': '⟨', 'rang': '⟩', 'langle': '⟨', 'rangle': '⟩',
+  'LeftAngleBracket': '⟨', 'RightAngleBracket': '⟩',
+  'lceil': '⌈', 'rceil': '⌉', 'LeftCeiling': '⌈', 'RightCeiling': '⌉',
+  'lfloor': '⌊', 'rfloor': '⌋', 'LeftFloor': '⌊', 'RightFloor': '⌋',
+
+  // accents and dots
+  'Hat': '^', 'circ': 'ˆ', 'tilde': '˜', 'DiacriticalTilde': '˜',
+  'macr': '¯', 'OverBar': '‾', 'UnderBar': '_', 'lowbar': '_',
+  'dot': '˙', 'DiacriticalDot': '˙', 'uml': '¨', 'die': '¨',
+  'hellip': '…', 'mldr': '…', 'ctdot': '⋯', 'cdots': '⋯',
+  'vellip': '⋮', 'vdots': '⋮', 'dtdot': '⋱', 'ddots': '⋱',
+
+  // letters
+  'Alpha': 'Α', 'Beta': 'Β', 'Gamma': 'Γ', 'Delta': 'Δ', 'Epsilon': 'Ε',
+  'Zeta': 'Ζ', 'Eta': 'Η', 'Theta': 'Θ', 'Iota': 'Ι', 'Kappa': 'Κ',
+  'Lambda': 'Λ', 'Mu': 'Μ', 'Nu': 'Ν', 'Xi': 'Ξ', 'Omicron': 'Ο',
+  'Pi': 'Π', 'Rho': 'Ρ', 'Sigma': 'Σ', 'Tau': 'Τ', 'Upsilon': 'Υ', 'Upsi': 'ϒ',
+  'Phi': 'Φ', 'Chi': 'Χ', 'Psi': 'Ψ', 'Omega': 'Ω', 'ohm': 'Ω',
+  'alpha': 'α', 'beta': 'β', 'gamma': 'γ', 'delta': 'δ',
+  'epsilon': 'ε', 'epsi': 'ϵ', 'epsiv': 'ε', 'varepsilon': 'ε', 'straightepsilon': 'ϵ',
+  'zeta': 'ζ', 'eta': 'η', 'theta': 'θ', 'thetav': 'ϑ', 'vartheta': 'ϑ', 'thetasym': 'ϑ',
+  'iota': 'ι', 'kappa': 'κ', 'kappav': 'ϰ', 'varkappa': 'ϰ',
+  'lambda': 'λ', 'mu': 'μ', 'micro': 'µ', 'nu': 'ν', 'xi': 'ξ', 'omicron': 'ο',
+  'pi': 'π', 'piv': 'ϖ', 'varpi': 'ϖ', 'rho': 'ρ', 'rhov': 'ϱ', 'varrho': 'ϱ',
+  'sigma': 'σ', 'sigmaf': 'ς', 'sigmav': 'ς', 'varsigma': 'ς',
+  'tau': 'τ', 'upsilon': 'υ', 'upsi': 'υ',
+  'phi': 'φ', 'phiv': 'ϕ', 'varphi': 'ϕ', 'straightphi': 'ϕ',
+  'chi': 'χ', 'psi': 'ψ', 'omega': 'ω',
+  'hbar': 'ℏ', 'planck': 'ℏ', 'ell': 'ℓ', 'weierp': '℘', 'wp': '℘',
+  'image': 'ℑ', 'Im': 'ℑ', 'real': 'ℜ', 'Re': 'ℜ', 'aleph': 'ℵ',
+  'Nopf': 'ℕ', 'naturals': 'ℕ', 'Zopf': 'ℤ', 'integers': 'ℤ',
+  'Qopf': 'ℚ', 'rationals': 'ℚ', 'Ropf': 'ℝ', 'reals': 'ℝ',
+  'Copf': 'ℂ', 'complexes': 'ℂ',
+};
+
+// names in lower case, since some editors change the case of names
+const lower_case_entities = {};
+for (let name in entities) {
+  if (!(name.toLowerCase() in lower_case_entities))
+    lower_case_entities[name.toLowerCase()] = entities[name];
+}
+
+
+function decode(text) {
+  // replace character references and named entities by their characters
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z0-9]+);/g, function (match, name) {
+    if (name[0] === '#') {
+      if (name[1] === 'x')
+	return String.fromCodePoint(parseInt(name.slice(2), 16));
+      return String.fromCodePoint(parseInt(name.slice(1), 10));
+    }
+    if (name in entities)
+      return entities[name];
+    if (name.toLowerCase() in lower_case_entities)
+      return lower_case_entities[name.toLowerCase()];
+    throw new ParseError("Unrecognized entity: " + match, undefined,
+			 { code: 'invalid_symbol', token_text: match });
+  });
+}
+
+
+export { entities, decode };
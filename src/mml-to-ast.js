@@ -0,0 +1,884 @@
+/*
+ * convert presentation MathML to syntax trees
+ *
+ * Copyright 2014-2017 by
+ *  Jim Fowler <kisonecat@gmail.com>
+ *  Duane Nykamp <nykamp@umn.edu>
+ *
+ * This file is part of a math-expressions library
+ *
+ * math-expressions is free software: you can redistribute
+ * it and/or modify it under the terms of the GNU General Public
+ * License as published by the Free Software Foundation, either
+ * version 3 of the License, or at your option any later version.
+ *
+ * math-expressions is distributed in the hope that it
+ * will be useful, but WITHOUT ANY WARRANTY; without even the implied
+ * warranty of MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.
+ * See the GNU General Public License for more details.
+ *
+ */
+
+// Presentation MathML gives the layout rather than the structure of
+// an expression, so the children of each mrow are read as a sequence
+// of items and parsed with the same grammar as textToAst:
+//
+// statement_list = statement (',' statement)*
+// statement = and_statement ('∨' and_statement)*
+// and_statement = not_statement ('∧' not_statement)*
+// not_statement = '¬' not_statement | relation
+// relation = expression (relation_operator expression)*
+// expression = term (('+' | '−' | '∪' | '∩') term)*
+// term = factor (('⋅' | '×' | '/' | invisible times)? factor)*
+// factor = ('−' | '+') factor | primary ('!' | '′')*
+// primary = identifier | number | fenced expression | big operator term
+//         | function argument
+//
+// Each item is an operand, which is a tree from an element such as
+// mi, mn, mfrac or a nested mrow, an operator from an mo, or a table.
+// mfenced, mstyle and mpadded contribute their children to the
+// sequence of the enclosing row, so that fences may be written either
+// with mfenced or with mo elements, as in the output of MathJax,
+// Microsoft Word and Google Docs.
+
+import parseString from 'xml-parser';
+import { ParseError } from './error';
+import { decode } from './mml-entities';
+import flatten from './flatten';
+
+
+// Applied functions must be given an argument so that
+// they are applied to the argument
+const appliedFunctionSymbolsDefault = ["abs", "exp", "log", "ln", "log10", "sign", "sqrt", "erf", "acos", "acosh", "acot", "acoth", "acsc", "acsch", "asec", "asech", "asin", "asinh", "atan", "atanh", "cos", "cosh", "cot", "coth", "csc", "csch", "sec", "sech", "sin", "sinh", "tan", "tanh", 'arcsin', 'arccos', 'arctan', 'arccsc', 'arcsec', 'arccot', 'cosec', 'arg'];
+
+// Functions could have an argument, in which case they are applied
+// or, if they don't have an argument in parentheses, then they are treated
+// like a variable
+const functionSymbolsDefault = ['f', 'g'];
+
+
+// characters of identifiers with the names used in trees
+const symbols = {
+  'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'Γ': 'Gamma', 'δ': 'delta',
+  'Δ': 'Delta', 'ε': 'epsilon', 'ϵ': 'epsilon', 'ζ': 'zeta', 'η': 'eta',
+  'θ': 'theta', 'ϑ': 'theta', 'Θ': 'Theta', 'ι': 'iota', 'κ': 'kappa',
+  'λ': 'lambda', 'Λ': 'Lambda', 'μ': 'mu', 'ν': 'nu', 'ξ': 'xi', 'Ξ': 'Xi',
+  'π': 'pi', 'Π': 'Pi', 'ρ': 'rho', 'σ': 'sigma', 'ς': 'sigma', 'Σ': 'Sigma',
+  'τ': 'tau', 'υ': 'upsilon', 'Υ': 'Upsilon', 'ϕ': 'phi', 'φ': 'phi',
+  'Φ': 'Phi', 'χ': 'chi', 'ψ': 'psi', 'Ψ': 'Psi', 'ω': 'omega', 'Ω': 'Omega',
+  'ϖ': 'pi', 'ϱ': 'rho', 'ϰ': 'kappa',
+  '∞': 'infinity', 'ⅇ': 'e', 'ⅈ': 'imaginary_unit',
+  '∂': 'partial', '∇': 'nabla',
+};
+
+// operators that are written before a term, as the minus sign is,
+// with the operator of the tree, so that x ± y is ['+', 'x', ['pm', 'y']]
+const signs = {
+  '±': 'pm', '∓': 'mp',
+};
+
+// operators, with the characters that may be written for them
+const operator_characters = {
+  '−': ['-', '−', '‐', '–'],
+  '*': ['*', '×', '⋅', '·', '∗', '⁢'],
+  '/': ['/', '÷', '∕'],
+  '≤': ['≤', '⩽', '<='],
+  '≥': ['≥', '⩾', '>='],
+  '≠': ['≠', '!='],
+  '|': ['|', '∣'],
+  '′': ["'", '′', '’'],
+  ',': [',', '⁣'],
+};
+
+// relation operators, with the operator of the tree for two operands
+const relations = {
+  '=': '=', '≠': 'ne', '<': '<', '>': '>', '≤': 'le', '≥': 'ge',
+  '∈': 'in', '∉': 'notin', '∋': 'ni', '∌': 'notni',
+  '⊂': 'subset', '⊄': 'notsubset', '⊃': 'superset', '⊅': 'notsuperset',
+};
+
+// closing fence of each opening fence
+const fences = {
+  '(': ')', '[': ']', '{': '}', '|': '|', '⟨': '⟩', '〈': '〉',
+};
+
+// big operators, which are followed by a term
+const big_operators = {
+  '∑': 'sum', '∏': 'prod',
+  '∫': 'integral', '∬': 'double_integral', '∭': 'triple_integral', '∮': 'contour_integral',
+};
+
+// accents over a variable, which are read as a suffix of its name,
+// since no other format has a node for them
+const accents = {
+  '^': 'hat', 'ˆ': 'hat', '̂': 'hat',
+  '¯': 'bar', '‾': 'bar', 'ˉ': 'bar', '̄': 'bar',
+  '→': 'vec', '⃗': 'vec',
+  '˙': 'dot', '̇': 'dot', '¨': 'ddot', '̈': 'ddot',
+  '~': 'tilde', '˜': 'tilde', '̃': 'tilde',
+};
+
+// elements whose children are read as part of the enclosing row
+const transparent_elements = ['mstyle', 'mpadded', 'menclose'];
+
+// elements that are ignored
+const ignored_elements = ['mspace', 'mphantom', 'annotation', 'annotation-xml', 'maligngroup', 'malignmark'];
+
+
+function normalize_operator(text) {
+  for (let operator in operator_characters) {
+    if (operator_characters[operator].includes(text))
+      return operator;
+  }
+  return text;
+}
+
+function element_name(node) {
+  // ignore namespace prefixes such as m:mrow
+  return node.name.replace(/^.*:/, '');
+}
+
+function text_content(node) {
+  // text of a token element with its entities decoded,
+  // since xml-parser leaves them in place
+  return decode(node.content || '').trim();
+}
+
+
+class mmlToAst {
+  constructor({
+    appliedFunctionSymbols = appliedFunctionSymbolsDefault,
+    functionSymbols = functionSymbolsDefault,
+  } = {}) {
+    this.appliedFunctionSymbols = appliedFunctionSymbols;
+    this.functionSymbols = functionSymbols;
+  }
+
+  convert(xml) {
+    var root = parseString(xml).root;
+    if (!root)
+      throw new ParseError("Invalid MathML", undefined, { code: 'unexpected_end' });
+
+    return flatten(this.tree(root));
+  }
+
+  tree(node) {
+    // tree of node read on its own
+    return this.row(this.items(node));
+  }
+
+  items(node) {
+    // items contributed by node to the row containing it
+    var name = element_name(node);
+    var children = node.children;
+
+    if (ignored_elements.includes(name))
+      return [];
+
+    if (transparent_elements.includes(name))
+      return this.children_items(children);
+
+    if (name === 'math' || name === 'mrow' || name === 'mtd') {
+      // a row consisting of an operator, such as <mrow><mo>(</mo></mrow>,
+      // is that operator, and otherwise a row is a single operand
+      var items = this.children_items(children);
+      if (items.length === 1)
+	return items;
+      return [{ operand: this.row(items) }];
+    }
+
+    if (name === 'semantics') {
+      // the annotations follow the presentation
+      return children.length > 0 ? this.items(children[0]) : [];
+    }
+
+    if (name === 'mfenced')
+      return this.fenced_items(node);
+
+    if (name === 'mo')
+      return this.operator_items(text_content(node));
+
+    if (name === 'mi' && text_content(node) === 'lim')
+      return [{ limit: null }];
+
+    if (name === 'mtext') {
+      var text = text_content(node);
+      if (text === '')
+	return [];
+      return [{ text: text }];
+    }
+
+    if (name === 'mtable')
+      return [{ table: children.map(function (row) {
+	// the label of a labeled row is its first cell
+	var cells = row.children;
+	if (element_name(row) === 'mlabeledtr')
+	  cells = cells.slice(1);
+	return cells;
+      }) }];
+
+    if (name === 'msub' || name === 'msup' || name === 'msubsup' ||
+	name === 'munder' || name === 'mover' || name === 'munderover')
+      return [this.scripted(name, children)];
+
+    return [{ operand: this.element(node) }];
+  }
+
+  row_items(node) {
+    // items of the row given by node, looking into rows
+    // and table cells rather than reading them as single operands
+    var name = element_name(node);
+    if (name === 'mrow' || name === 'mtd' || name === 'math')
+      return this.children_items(node.children);
+    return this.items(node);
+  }
+
+  children_items(children) {
+    return children.reduce(function (items, child) {
+      return items.concat(this.items(child));
+    }.bind(this), []);
+  }
+
+  operator_items(text) {
+    if (text === '')
+      // an empty fence, such as MathJax writes for \right.
+      return [{ operator: '' }];
+
+    if (text in symbols)
+      return [{ operand: symbols[text] }];
+
+    if (text === 'lim')
+      return [{ limit: null }];
+
+    if (text in big_operators)
+      return [{ big_operator: big_operators[text] }];
+
+    return [{ operator: normalize_operator(text) }];
+  }
+
+  fenced_items(node) {
+    // mfenced is its children separated by the separators,
+    // which are the characters of the separators attribute
+    var attributes = node.attributes;
+    var open = attributes.open === undefined ? '(' : decode(attributes.open);
+    var close = attributes.close === undefined ? ')' : decode(attributes.close);
+    var separators = attributes.separators === undefined ? ','
+	: decode(attributes.separators).replace(/\s/g, '');
+
+    var items = this.operator_items(open.trim());
+    node.children.forEach(function (child, i) {
+      if (i > 0 && separators.length > 0)
+	items = items.concat(this.operator_items(
+	  separators[Math.min(i - 1, separators.length - 1)]));
+      items = items.concat(this.items(child));
+    }.bind(this));
+    return items.concat(this.operator_items(close.trim()));
+  }
+
+  element(node) {
+    // tree of a token element or layout schema other than a row
+    var name = element_name(node);
+    var children = node.children;
+
+    if (name === 'mi') {
+      var text = text_content(node);
+      if (text in symbols)
+	return symbols[text];
+      if (text === '')
+	throw new ParseError("Empty identifier", undefined, { code: 'unexpected_end' });
+      return text;
+    }
+
+    if (name === 'mn') {
+      var text = text_content(node);
+      var number = Number(text);
+      if (text === '' || Number.isNaN(number))
+	throw new ParseError("Invalid number: " + text, undefined,
+			     { code: 'invalid_symbol', token_text: text });
+      return number;
+    }
+
+    if (name === 'mfrac')
+      return ['/', this.tree(children[0]), this.tree(children[1])];
+
+    if (name === 'msqrt')
+      return ['apply', 'sqrt', this.row(this.children_items(children))];
+
+    if (name === 'mroot')
+      return ['apply', 'nthroot', ['tuple', this.tree(children[0]), this.tree(children[1])]];
+
+    throw new ParseError("Unsupported element: " + name, undefined,
+			 { code: 'invalid_symbol', token_text: name });
+  }
+
+  scripted(name, children) {
+    // item of an element with scripts, whose base may be a big operator
+    // or lim, in which case the scripts are read with the following term
+    var base = this.items(children[0]);
+    var scripts = children.slice(1);
+
+    if (base.length === 1 && base[0].big_operator) {
+      var item = { big_operator: base[0].big_operator };
+      if (name === 'msup' || name === 'mover')
+	item.upper = scripts[0];
+      else {
+	item.lower = scripts[0];
+	item.upper = scripts[1];
+      }
+      return item;
+    }
+
+    if (base.length === 1 && 'limit' in base[0] && name === 'munder')
+      return { limit: scripts[0] };
+
+    // the base is not applied to an argument, as in sin^2 x
+    var operand = base.length === 1 && 'operand' in base[0] ? base[0].operand
+	: this.row(base);
+
+    if (name === 'munder')
+      throw new ParseError("Unsupported underscript", undefined, { code: 'invalid_location' });
+
+    if (name === 'msub')
+      return { operand: ['_', operand, this.tree(scripts[0])] };
+
+    if (name === 'msup' || name === 'mover') {
+      var script = this.row_items(scripts[0]);
+      var primes = this.primes(script);
+      if (primes > 0) {
+	for (let i = 0; i < primes; i++)
+	  operand = ['prime', operand];
+	return { operand: operand };
+      }
+      if (name === 'msup' && script.length === 1 &&
+	  (script[0].operator === '+' || script[0].operator === '−')) {
+	// the target of a one-sided limit
+	return { operand: operand, direction: script[0].operator === '+' ? '+' : '-' };
+      }
+      if (name === 'mover') {
+	if (typeof operand === 'string' && script.length === 1 &&
+	    accents.hasOwnProperty(script[0].operator))
+	  return { operand: operand + '_' + accents[script[0].operator] };
+	throw new ParseError("Unsupported overscript", undefined, { code: 'invalid_location' });
+      }
+      return { operand: ['^', operand, this.row(script)] };
+    }
+
+    if (name === 'msubsup')
+      return { operand: ['^', ['_', operand, this.tree(scripts[0])], this.tree(scripts[1])] };
+
+    throw new ParseError("Unsupported use of " + name, undefined, { code: 'invalid_location' });
+  }
+
+  primes(items) {
+    // number of primes if items consist of primes, otherwise 0
+    var n = 0;
+    for (let item of items) {
+      if (item.operator === '′')
+	n += 1;
+      else if (item.operator === '″')
+	n += 2;
+      else if (item.operator === '‴')
+	n += 3;
+      else
+	return 0;
+    }
+    return n;
+  }
+
+
+  row(items) {
+    // parse items as a complete sequence
+
+    var saved = [this.sequence, this.position, this.closers, this.integrals];
+    this.sequence = items;
+    this.position = 0;
+    this.closers = [];
+    this.integrals = 0;
+
+    var result = this.statement_list();
+
+    if (this.position < this.sequence.length)
+      throw new ParseError("Invalid location of " + this.describe(this.item()), undefined,
+			   { code: 'invalid_location', token_text: this.item().operator });
+
+    [this.sequence, this.position, this.closers, this.integrals] = saved;
+    return result;
+  }
+
+  item() {
+    return this.sequence[this.position];
+  }
+
+  next_operator(offset = 0) {
+    var item = this.sequence[this.position + offset];
+    return item === undefined ? undefined : item.operator;
+  }
+
+  describe(item) {
+    if (item === undefined)
+      return "end of input";
+    if ('operator' in item)
+      return "'" + item.operator + "'";
+    if ('text' in item)
+      return "text '" + item.text + "'";
+    if ('table' in item)
+      return "table";
+    return "expression";
+  }
+
+  unexpected() {
+    var item = this.item();
+    if (item === undefined)
+      return new ParseError("Unexpected end of input", undefined, { code: 'unexpected_end' });
+    if (item.direction)
+      return new ParseError("Invalid location of " + this.describe(item) + " with superscript "
+			    + item.direction, undefined, { code: 'invalid_location' });
+    return new ParseError("Invalid location of " + this.describe(item), undefined,
+			  { code: 'invalid_location', token_text: item.operator || item.text });
+  }
+
+  is_closer() {
+    // whether the next item closes the innermost fence
+    var operator = this.next_operator();
+    if (operator === undefined || this.closers.length === 0)
+      return false;
+    if (operator === '|')
+      return this.closers[this.closers.length - 1] === '|';
+    return operator === '' || operator === ')' || operator === ']' || operator === '}'
+      || operator === '⟩' || operator === '〉';
+  }
+
+  starts_factor() {
+    // whether the next item can begin a factor that multiplies the term
+    var item = this.item();
+    if (item === undefined || this.is_closer())
+      return false;
+    if (this.integrals > 0 && this.is_differential())
+      return false;
+    if ('operand' in item || 'table' in item || 'big_operator' in item || 'limit' in item)
+      return true;
+    return item.operator in fences;
+  }
+
+  is_differential() {
+    // d followed by a variable, as in the differential of an integral
+    var item = this.item();
+    var next = this.sequence[this.position + 1];
+    if (item === undefined || next === undefined)
+      return false;
+    var d = item.operand === 'd' || item.operator === 'ⅆ';
+    return d && typeof next.operand === 'string';
+  }
+
+
+  statement_list() {
+    var list = [this.statement()];
+    while (this.next_operator() === ',' && this.closers.length === 0) {
+      this.position += 1;
+      list.push(this.statement());
+    }
+    if (list.length === 1)
+      return list[0];
+    return ['list'].concat(list);
+  }
+
+  statement() {
+    var result = this.and_statement();
+    while (this.next_operator() === '∨') {
+      this.position += 1;
+      result = ['or', result, this.and_statement()];
+    }
+    return result;
+  }
+
+  and_statement() {
+    var result = this.not_statement();
+    while (this.next_operator() === '∧') {
+      this.position += 1;
+      result = ['and', result, this.not_statement()];
+    }
+    return result;
+  }
+
+  not_statement() {
+    if (this.next_operator() === '¬') {
+      this.position += 1;
+      return ['not', this.not_statement()];
+    }
+    return this.relation();
+  }
+
+  relation() {
+    var operands = [this.expression()];
+    var operators = [];
+
+    while (this.next_operator() in relations) {
+      operators.push(this.next_operator());
+      this.position += 1;
+      operands.push(this.expression());
+    }
+
+    if (operators.length === 0)
+      return operands[0];
+
+    if (operators.length === 1)
+      return [relations[operators[0]], operands[0], operands[1]];
+
+    if (operators.every(function (op) { return op === '='; }))
+      return ['='].concat(operands);
+
+    var less = operators.every(function (op) { return op === '<' || op === '≤'; });
+    var greater = operators.every(function (op) { return op === '>' || op === '≥'; });
+    if (!less && !greater)
+      throw new ParseError("Invalid chain of relations", undefined, { code: 'invalid_location' });
+
+    return [less ? 'lts' : 'gts', ['tuple'].concat(operands),
+	    ['tuple'].concat(operators.map(function (op) {
+	      return op === '<' || op === '>'; }))];
+  }
+
+  expression() {
+    var result = this.term();
+
+    while (true) {
+      var operator = this.next_operator();
+      if (operator === '+') {
+	this.position += 1;
+	result = ['+', result, this.term()];
+      }
+      else if (operator === '−') {
+	this.position += 1;
+	result = ['+', result, ['-', this.term()]];
+      }
+      else if (operator in signs) {
+	this.position += 1;
+	result = ['+', result, [signs[operator], this.term()]];
+      }
+      else if (operator === '∪') {
+	this.position += 1;
+	result = ['union', result, this.term()];
+      }
+      else if (operator === '∩') {
+	this.position += 1;
+	result = ['intersect', result, this.term()];
+      }
+      else
+	return result;
+    }
+  }
+
+  term() {
+    var result = this.factor();
+
+    while (true) {
+      var operator = this.next_operator();
+      if (operator === '*') {
+	this.position += 1;
+	result = ['*', result, this.factor()];
+      }
+      else if (operator === '/') {
+	this.position += 1;
+	result = ['/', result, this.factor()];
+      }
+      else if (this.starts_factor())
+	result = ['*', result, this.factor()];
+      else
+	return result;
+    }
+  }
+
+  factor() {
+    var operator = this.next_operator();
+    if (operator === '−') {
+      this.position += 1;
+      return ['-', this.factor()];
+    }
+    if (operator in signs) {
+      this.position += 1;
+      return [signs[operator], this.factor()];
+    }
+    if (operator === '+') {
+      this.position += 1;
+      return this.factor();
+    }
+
+    var result = this.primary();
+
+    while (true) {
+      operator = this.next_operator();
+      if (operator === '!') {
+	this.position += 1;
+	result = ['apply', 'factorial', result];
+      }
+      else if (operator === '′') {
+	this.position += 1;
+	result = ['prime', result];
+      }
+      else
+	return result;
+    }
+  }
+
+  primary() {
+    var item = this.item();
+
+    if (item === undefined || this.is_closer())
+      throw this.unexpected();
+
+    if ('big_operator' in item) {
+      this.position += 1;
+      return this.big_operator(item);
+    }
+
+    if ('limit' in item) {
+      this.position += 1;
+      return this.limit(item);
+    }
+
+    if ('table' in item) {
+      this.position += 1;
+      return this.matrix(item.table);
+    }
+
+    if ('operand' in item) {
+      if (item.direction)
+	throw this.unexpected();
+      this.position += 1;
+      return this.function_application(item.operand);
+    }
+
+    if (item.operator in fences) {
+      this.position += 1;
+      return this.fenced(item.operator);
+    }
+
+    throw this.unexpected();
+  }
+
+  function_application(operand) {
+    // apply operand to the following argument if it is a function,
+    // including powers and subscripts of applied functions such as sin^2 and log_2
+
+    var name = operand;
+    if (Array.isArray(operand) && (operand[0] === '^' || operand[0] === '_'
+				   || operand[0] === 'prime'))
+      name = operand[1];
+    while (Array.isArray(name) && name[0] === 'prime')
+      name = name[1];
+
+    var applied = this.next_operator() === '⁡';
+    if (applied)
+      this.position += 1;
+
+    if (!applied) {
+      if (this.appliedFunctionSymbols.includes(name)) {
+	if (!this.starts_factor())
+	  throw this.unexpected();
+      }
+      else if (!(this.functionSymbols.includes(name) && this.next_operator() === '('))
+	return operand;
+    }
+
+    var argument = this.factor();
+    if (Array.isArray(argument) && argument[0] === 'list')
+      argument = ['tuple'].concat(argument.slice(1));
+    if (Array.isArray(operand) && operand[0] === '_' && operand[1] === 'log')
+      // a logarithm with the base as a subscript
+      return ['apply', 'log', ['tuple', argument, operand[2]]];
+    return ['apply', operand, argument];
+  }
+
+  fenced(open) {
+    // read the entries up to the closing fence
+
+    var close = fences[open];
+    this.closers.push(close);
+
+    var entries = [];
+    var table = null;
+    var item = this.item();
+    var next = this.sequence[this.position + 1];
+    if (item && 'table' in item &&
+	(next === undefined || next.operator === close || next.operator === '')) {
+      // the entries form a matrix or, after {, the cases of a piecewise function
+      table = item.table;
+      this.position += 1;
+    }
+    else if (!this.is_closer()) {
+      entries.push(this.statement());
+      while (this.next_operator() === ',') {
+	this.position += 1;
+	entries.push(this.statement());
+      }
+    }
+
+    var closed_by = this.next_operator();
+    if (this.is_closer())
+      this.position += 1;
+    else if (!(closed_by === undefined && table && open === '{'))
+      throw new ParseError("Expected " + close + " after " + open, undefined,
+			   { code: 'expected_token', expected: [close] });
+    this.closers.pop();
+
+    if (table) {
+      if (open === '{' && closed_by !== '}')
+	return this.piecewise(table);
+      return this.matrix(table);
+    }
+
+    if (entries.length === 0)
+      throw new ParseError("Empty " + open + close, undefined, { code: 'unexpected_end' });
+
+    if (open === '|')
+      return ['apply', 'abs', entries[0]];
+    if (open === '{')
+      return ['set'].concat(entries);
+    if (entries.length === 2 && ((open === '(' && closed_by === ']') ||
+				 (open === '[' && closed_by === ')')))
+      return ['interval', ['tuple'].concat(entries),
+	      ['tuple', open === '[', closed_by === ']']];
+    if (entries.length === 1)
+      return entries[0];
+    if (open === '[')
+      return ['array'].concat(entries);
+    return ['tuple'].concat(entries);
+  }
+
+  matrix(rows) {
+    var n_cols = rows.length > 0 ? rows[0].length : 0;
+    return ['matrix', ['tuple', rows.length, n_cols],
+	    ['tuple'].concat(rows.map(function (cells) {
+	      return ['tuple'].concat(cells.map(function (cell) {
+		return this.tree(cell);
+	      }.bind(this)));
+	    }.bind(this)))];
+  }
+
+  piecewise(rows) {
+    // each row is a value, possibly followed by a comma,
+    // and a condition, possibly preceded by text such as "if",
+    // where a condition of "otherwise" is true
+    // or, in a single cell, the value and condition separated by a comma
+    return ['piecewise'].concat(rows.map(function (cells) {
+      var value = this.row_items(cells[0]);
+      var condition = [];
+      if (cells.length > 1)
+	condition = this.row_items(cells[1]);
+
+      var comma = value.findIndex(function (v) { return v.operator === ','; });
+      if (comma !== -1 && (cells.length === 1 || comma === value.length - 1)) {
+	condition = value.slice(comma + 1).concat(condition);
+	value = value.slice(0, comma);
+      }
+
+      if (condition.length > 0 && 'text' in condition[0]) {
+	if (/^otherwise$|^else$/i.test(condition[0].text))
+	  return ['tuple', this.row(value), true];
+	condition = condition.slice(1);
+      }
+
+      if (condition.length === 0)
+	throw new ParseError("Missing condition", undefined, { code: 'unexpected_end' });
+
+      return ['tuple', this.row(value), this.row(condition)];
+    }.bind(this)));
+  }
+
+  big_operator(item) {
+    var operator = item.big_operator;
+
+    if (operator === 'sum' || operator === 'prod') {
+      // the lower script gives the index and, after =, its lower bound
+      if (!item.lower)
+	throw new ParseError("Missing index of " + operator, undefined,
+			     { code: 'invalid_arguments' });
+      var lower = this.row_items(item.lower);
+      var equals = lower.findIndex(function (v) { return v.operator === '='; });
+      var index = this.row(equals === -1 ? lower : lower.slice(0, equals));
+      if (typeof index !== 'string')
+	throw new ParseError("Invalid index of " + operator, undefined,
+			     { code: 'invalid_arguments' });
+
+      var result = [operator, this.term(), index];
+      if (equals !== -1)
+	result.push(this.row(lower.slice(equals + 1)));
+      if (item.upper)
+	result.push(this.tree(item.upper));
+      return result;
+    }
+
+    // integrals
+    this.integrals += 1;
+    var integrand = this.expression();
+    this.integrals -= 1;
+
+    var variables = [];
+    while (this.is_differential()) {
+      variables.push(this.sequence[this.position + 1].operand);
+      this.position += 2;
+    }
+
+    // the differentials may be part of the row of the integrand
+    if (variables.length === 0 && Array.isArray(integrand) && integrand[0] === '*') {
+      var factors = flatten(integrand).slice(1);
+      while (factors.length > 2 && factors[factors.length - 2] === 'd'
+	     && typeof factors[factors.length - 1] === 'string') {
+	variables.unshift(factors[factors.length - 1]);
+	factors = factors.slice(0, -2);
+      }
+      integrand = factors.length === 1 ? factors[0] : ['*'].concat(factors);
+    }
+
+    if (variables.length === 0)
+      throw new ParseError("Missing differential of integral", undefined,
+			   { code: 'expected_token', expected: ['d'] });
+
+    var result = [operator, integrand,
+		  variables.length === 1 ? variables[0] : ['tuple'].concat(variables)];
+    if (item.lower)
+      result.push(this.tree(item.lower));
+    if (item.upper) {
+      if (!item.lower)
+	throw new ParseError("Missing lower limit of integral", undefined,
+			     { code: 'invalid_arguments' });
+      result.push(this.tree(item.upper));
+    }
+    return result;
+  }
+
+  limit(item) {
+    // the underscript is the variable, →, and the target,
+    // which may have + or − as a superscript for a one-sided limit
+    if (!item.limit)
+      throw new ParseError("Missing variable of limit", undefined,
+			   { code: 'invalid_arguments' });
+
+    var under = this.row_items(item.limit);
+    var arrow = under.findIndex(function (v) { return v.operator === '→'; });
+    if (arrow === -1)
+      throw new ParseError("Expected → in limit", undefined,
+			   { code: 'expected_token', expected: ['→'] });
+
+    var variable = this.row(under.slice(0, arrow));
+    if (typeof variable !== 'string')
+      throw new ParseError("Invalid variable of limit", undefined,
+			   { code: 'invalid_arguments' });
+
+    var target_items = under.slice(arrow + 1);
+    var direction;
+    if (target_items.length === 1 && target_items[0].direction) {
+      direction = target_items[0].direction;
+      target_items = [{ operand: target_items[0].operand }];
+    }
+    var target = this.row(target_items);
+
+    var result = ['limit', this.term(), variable, target];
+    if (direction)
+      result.push(direction);
+    return result;
+  }
+
+}
+
+
+export default mmlToAst;
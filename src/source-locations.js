@@ -0,0 +1,136 @@
+/*
+ * record where each subtree produced by a parser came from in its input
+ *
+ * The grammar methods of the parser are wrapped so that, whenever one
+ * returns a subtree, the offsets of the first and one past the last
+ * token it consumed are recorded.  Arrays are recorded by identity,
+ * while numbers and strings are recorded with their value and later
+ * matched to leaves of the tree in order.
+ *
+ * The resulting table maps the path of each subtree of the flattened
+ * tree, given as the indices into the nested arrays joined by commas
+ * ('' for the whole tree), to its { start, end } offsets.
+ * Subtrees that do not correspond to the input, such as the function
+ * name nthroot of \sqrt[3]{x}, have no entry, nor do leaves that no grammar
+ * method returns on its own, such as the y of y_1.  Since leaves are
+ * matched by value, the parser must mark constructed subtrees whose
+ * leaves could be confused with the input, such as the size of a matrix.
+ *
+ */
+
+import { is_associative } from './flatten';
+
+class sourceLocations {
+  constructor(parser, methods) {
+    this.parser = parser;
+    this.reset();
+
+    for (let name of methods) {
+      let method = parser[name];
+      parser[name] = function (...args) {
+	return this.record(method, args);
+      }.bind(this);
+    }
+  }
+
+  reset() {
+    this.node_spans = new Map();
+    this.leaf_spans = [];
+    this.constructed = new Set();
+  }
+
+  mark_constructed(tree) {
+    // tree was constructed by the parser rather than read from the input
+    this.constructed.add(tree);
+  }
+
+  record(method, args) {
+    let start = this.parser.token.start;
+    let n_leaves = this.leaf_spans.length;
+
+    let result = method.apply(this.parser, args);
+
+    let end = this.parser.consumed_end;
+
+    if (end > start) {
+      if (Array.isArray(result)) {
+	// the first method to return a subtree gives the tightest span
+	if (!this.node_spans.has(result))
+	  this.node_spans.set(result, { start: start, end: end });
+      }
+      else if (typeof result === 'string' || typeof result === 'number') {
+	if (!this.leaf_spans.slice(n_leaves).some(function (leaf) {
+	  return leaf.value === result; }))
+	  this.leaf_spans.push({ value: result, start: start, end: end });
+      }
+    }
+
+    return result;
+  }
+
+  table(tree) {
+    // tree is the parse result before flattening
+
+    let locations = {};
+
+    let add_to_table = function (node, path) {
+      if (node.span)
+	locations[path.join(',')] = node.span;
+      node.operands.forEach(function (operand, i) {
+	add_to_table(operand, path.concat([i + 1]));
+      });
+    };
+
+    add_to_table(this.locate(tree, { start: 0, end: Infinity }), []);
+
+    return locations;
+  }
+
+  locate(tree, context) {
+    // return the span of tree and the spans of its operands,
+    // merging operands of associative operators the same way as flatten
+
+    if (this.constructed.has(tree))
+      return { operands: tree.slice(1).map(function () { return { operands: [] }; }) };
+
+    if (!Array.isArray(tree)) {
+      // the first unused leaf with the same value within the context
+      let leaf = this.leaf_spans.filter(function (leaf) {
+	return !leaf.used && leaf.value === tree &&
+	  leaf.start >= context.start && leaf.end <= context.end;
+      }).sort(function (a, b) { return a.start - b.start; })[0];
+
+      if (leaf === undefined)
+	return { operands: [] };
+
+      leaf.used = true;
+      return { span: { start: leaf.start, end: leaf.end }, operands: [] };
+    }
+
+    let operator = tree[0];
+    let span = this.node_spans.get(tree);
+
+    let operands = [];
+    for (let operand of tree.slice(1)) {
+      let node = this.locate(operand, span || context);
+      if (is_associative[operator] && Array.isArray(operand) && operand[0] === operator)
+	operands = operands.concat(node.operands);
+      else
+	operands.push(node);
+    }
+
+    // subtrees built within a method, such as the intermediate sums of
+    // an expression, span their operands
+    if (span === undefined) {
+      let spans = operands.map(function (node) { return node.span; })
+	  .filter(function (s) { return s !== undefined; });
+      if (spans.length > 0)
+	span = { start: Math.min(...spans.map(function (s) { return s.start; })),
+		 end: Math.max(...spans.map(function (s) { return s.end; })) };
+    }
+
+    return { span: span, operands: operands };
+  }
+}
+
+export default sourceLocations;
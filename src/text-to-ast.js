@@ -1,6 +1,9 @@
-import {ParseError} from './error';
+import {ParseError, line_and_column} from './error';
 import lexer from './lexer';
 import flatten from './flatten';
+import sourceLocations from './source-locations';
+import { unitSymbolsDefault, isUnit, isQuantity } from './units';
+import { decimalSeparator } from './locale';
 
 // UPDATETHIS: Delete or change to new license & package name
 
@@ -72,6 +75,8 @@ import flatten from './flatten';
    expression =
     expression '+' term |
     expression '-' term |
+    expression 'PM' term |
+    expression 'MP' term |
     expression 'UNION' term |
     expression 'INTERSECT' term |
     '+' term |
@@ -81,7 +86,26 @@ import flatten from './flatten';
     term '*' factor |
     term nonMinusFactor |
     term '/' factor |
-    factor
+    factor |
+    quantity units
+    *** where quantity is a factor that is a number or a negated number
+        allowed only if parseUnits==true
+    *** units in parentheses, as in 2 (m/s), must be followed by ')'
+
+   units =
+    units '*' unit_factor |
+    units '/' unit_factor |
+    units unit |
+    unit
+
+   unit_factor =
+    unit |
+    '(' units ')'
+
+   unit =
+    unit_symbol |
+    unit_symbol '^' factor
+    *** where factor is a number or a negated number
 
    baseFactor =
     '(' statement_list ')' |
@@ -96,7 +120,18 @@ import flatten from './flatten';
     modified_applied_function '(' statement_list ')' |
     modified_function |
     modified_applied_function factor |
+    big_operator '(' statement ',' variable ')' |
+    big_operator '(' statement ',' variable ',' statement ',' statement ')' |
+    integral '(' statement ',' variables ')' |
+    integral '(' statement ',' variables ',' statement ')' |
+    integral '(' statement ',' variables ',' statement ',' statement ')' |
+    limit '(' variable 'TO' expression direction ',' statement ')' |
+    piecewise '(' cases ')' |
     baseFactor '_' baseFactor |
+    baseFactor subscript |
+    vulgar_fraction |
+    number vulgar_fraction |
+    root factor |
     *** modified_applied_function factor
         allowed only if allowSimplifiedFunctionApplication==true
     *** '|' statement '|'
@@ -128,20 +163,61 @@ import flatten from './flatten';
    nonMinusFactor =
     baseFactor |
     baseFactor '^' factor |
+    baseFactor superscript |
     baseFactor '!' and/or "'" |
     baseFactor '!' and/or "'"  '^' factor|
     *** where '!' and/or "'"  indicates arbitrary sequence of "!" and/or "'"
 
    factor =
     '-' factor |
+    'PM' factor |
+    'MP' factor |
     nonMinusFactor
 
+   PM = '±' | '+/-'
+   MP = '∓' | '-/+'
+
+   big_operator = sum | prod | '∑' | '∏'
+
+   integral = int | iint | iiint | oint | '∫' | '∬' | '∭' | '∮'
+
+   variables = variable | '(' variable ',' ... ')'
+   *** at most as many variables as integral signs (one for int and oint)
+   *** the bounds of a big_operator or integral that end its arguments
+       may be left empty, as in int(f, x, , )
+
+   superscript = Unicode superscript digits, with an optional sign, or 'ⁿ'
+
+   subscript = Unicode subscript digits
+
+   vulgar_fraction = '½' | '⅓' | '¼' | ...
+
+   root = '√' | '∛' | '∜'
+
+   limit = lim
+
+   cases =
+    '(' statement ',' condition ')' |
+    cases ',' '(' statement ',' condition ')'
+
+   condition = statement | otherwise
+
+   direction =
+    '+' | '-' | '^' '+' | '^' '-' |
+    *** empty
+
 */
 
 
 const text_rules = [
   ['[0-9]+(\\.[0-9]+)?(E[+\\-]?[0-9]+)?', 'NUMBER'],
   ['\\.[0-9]+(E[+\\-]?[0-9]+)?', 'NUMBER'],
+  ['[\u207A\u207B]?([\u2070\u00B9\u00B2\u00B3\u2074-\u2079]+|\u207F)', 'SUPERSCRIPT'], // '²', '⁻¹', 'ⁿ'
+  ['[\u2080-\u2089]+', 'SUBSCRIPT'], // '₁'
+  ['[\u00BC-\u00BE\u2150-\u215E\u2189]', 'VULGARFRACTION'], // '½'
+  ['\u221A', 'ROOT', '2'], // '√'
+  ['\u221B', 'ROOT', '3'], // '∛'
+  ['\u221C', 'ROOT', '4'], // '∜'
   ['\\*\\*', '^'],
   ['\\*', '*'], // there is some variety in multiplication symbols
   ['\\xB7', '*'], // '·'
@@ -150,6 +226,12 @@ const text_rules = [
   ['\u22C5', '*'], // '⋅'
   ['\u00D7', '*'], // '×'
   ['\/', '/'],
+  ['\\+\\/-', 'PM'],
+  ['\u00B1', 'PM'], // '±'
+  ['-\\/\\+', 'MP'],
+  ['\u2213', 'MP'], // '∓'
+  ['->', 'TO'],
+  ['\u2192', 'TO'], // '→'
   ['-', '-'], // there is quite some variety with unicode hyphens
   ['\u058A', '-'], // '֊'
   ['\u05BE', '-'], // '־'
@@ -255,6 +337,27 @@ const text_rules = [
   ['\u2218', 'VARMULTICHAR', 'circ'], // '∘'
   ['\u22C6', 'VARMULTICHAR', 'star'], // '⋆'
 
+  // the names of operators are keywords only when followed by (,
+  // so that elsewhere, as in x int, they are split into variables
+  ['lim(?=\\s*\\()', 'LIMIT'],
+
+  ['piecewise(?=\\s*\\()', 'PIECEWISE'],
+  ['otherwise\\b', 'OTHERWISE'],
+
+  ['sum(?=\\s*\\()', 'BIGOPERATOR', 'sum'],
+  ['\u2211', 'BIGOPERATOR', 'sum'], // '∑'
+  ['prod(?=\\s*\\()', 'BIGOPERATOR', 'prod'],
+  ['\u220F', 'BIGOPERATOR', 'prod'], // '∏'
+
+  ['int(?=\\s*\\()', 'INTEGRAL', 'integral'],
+  ['\u222B', 'INTEGRAL', 'integral'], // '∫'
+  ['iint(?=\\s*\\()', 'INTEGRAL', 'double_integral'],
+  ['\u222C', 'INTEGRAL', 'double_integral'], // '∬'
+  ['iiint(?=\\s*\\()', 'INTEGRAL', 'triple_integral'],
+  ['\u222D', 'INTEGRAL', 'triple_integral'], // '∭'
+  ['oint(?=\\s*\\()', 'INTEGRAL', 'contour_integral'],
+  ['\u222E', 'INTEGRAL', 'contour_integral'], // '∮'
+
   ['and\\b', 'AND'],
   ['\\&\\&?', 'AND'],
   ['\u2227', 'AND'], // '∧'
@@ -314,6 +417,49 @@ const text_rules = [
   ['[a-zA-Z∂][a-zA-Z∂0-9]*', 'VAR'],  // include ∂ in VAR
 ];
 
+// characters of the superscripts and subscripts
+const script_characters = {
+  '\u2070': '0', '\u00B9': '1', '\u00B2': '2', '\u00B3': '3', '\u2074': '4',
+  '\u2075': '5', '\u2076': '6', '\u2077': '7', '\u2078': '8', '\u2079': '9',
+  '\u207A': '+', '\u207B': '-', '\u207F': 'n',
+  '\u2080': '0', '\u2081': '1', '\u2082': '2', '\u2083': '3', '\u2084': '4',
+  '\u2085': '5', '\u2086': '6', '\u2087': '7', '\u2088': '8', '\u2089': '9',
+};
+
+// numerators and denominators of the vulgar fractions
+const vulgar_fractions = {
+  '\u00BC': [1, 4], '\u00BD': [1, 2], '\u00BE': [3, 4], '\u2150': [1, 7],
+  '\u2151': [1, 9], '\u2152': [1, 10], '\u2153': [1, 3], '\u2154': [2, 3],
+  '\u2155': [1, 5], '\u2156': [2, 5], '\u2157': [3, 5], '\u2158': [4, 5],
+  '\u2159': [1, 6], '\u215A': [5, 6], '\u215B': [1, 8], '\u215C': [3, 8],
+  '\u215D': [5, 8], '\u215E': [7, 8], '\u2189': [0, 3],
+};
+
+// operators of the plus-minus and minus-plus signs
+const operation_signs = { 'PM': 'pm', 'MP': 'mp' };
+
+// names of the integrals as written in text, as astToText writes them,
+// and the most variables each may have
+const integral_names = {
+  'integral': 'int',
+  'double_integral': 'iint',
+  'triple_integral': 'iiint',
+  'contour_integral': 'oint',
+};
+const integral_multiplicities = {
+  'integral': 1,
+  'double_integral': 2,
+  'triple_integral': 3,
+  'contour_integral': 1,
+};
+
+// tokens for numbers and list separators in a locale that writes
+// a decimal comma, which replace the NUMBER rules of text_rules
+const decimal_comma_rules = [
+  ['[0-9]+(,[0-9]+)?(E[+\\-]?[0-9]+)?', 'NUMBER'],
+  [';', ','],
+];
+
 
 // defaults for parsers if not overridden by context
 
@@ -330,7 +476,7 @@ const unsplitSymbolsDefault = ['alpha', 'beta', 'gamma', 'Gamma', 'delta', 'Delt
 
 // Applied functions must be given an argument so that
 // they are applied to the argument
-const appliedFunctionSymbolsDefault = ["abs", "exp", "log", "ln", "log10", "sign", "sqrt", "erf", "acos", "acosh", "acot", "acoth", "acsc", "acsch", "asec", "asech", "asin", "asinh", "atan", "atanh", "cos", "cosh", "cot", "coth", "csc", "csch", "sec", "sech", "sin", "sinh", "tan", "tanh", 'arcsin', 'arccos', 'arctan', 'arccsc', 'arcsec', 'arccot', 'cosec', 'arg'];
+const appliedFunctionSymbolsDefault = ["abs", "exp", "log", "ln", "log10", "sign", "sqrt", "erf", "acos", "acosh", "acot", "acoth", "acsc", "acsch", "asec", "asech", "asin", "asinh", "atan", "atanh", "cos", "cosh", "cot", "coth", "csc", "csch", "sec", "sech", "sin", "sinh", "tan", "tanh", 'arcsin', 'arccos', 'arctan', 'arccsc', 'arcsec', 'arccot', 'cosec', 'arg', 'nthroot'];
 
 // Functions could have an argument, in which case they are applied
 // or, if they don't have an argument in parentheses, then they are treated
@@ -340,6 +486,41 @@ const functionSymbolsDefault = ['f', 'g'];
 // Parse Leibniz notation
 const parseLeibnizNotationDefault = true;
 
+// if true, a number followed by unit symbols, such as 9.8 m/s^2,
+// is a quantity with units rather than a product of variables
+const parseUnitsDefault = false;
+
+// if set to a letter such as 'i' or 'j', that letter is the imaginary unit,
+// parsed as the constant 'imaginary_unit', and cis is an applied function
+const imaginaryUnitDefault = null;
+
+// locale, such as 'en' or 'de', whose decimal separator is read in numbers,
+// and if it is a comma, items of lists are separated by ';'
+const localeDefault = 'en';
+
+// if true, convert returns { tree, locations }, where locations maps
+// the path of each subtree to its start and end offsets in the input
+const trackLocationsDefault = false;
+
+// if true, convert does not throw on syntax errors but returns
+// { tree, diagnostics }, where tree has the placeholder ['error']
+// where input was missing or could not be parsed
+// and diagnostics is the list of the ParseErrors encountered
+const tolerantDefault = false;
+
+// grammar methods whose results are recorded when tracking locations
+const located_methods = [
+  'statement_list', 'statement', 'statement_a', 'statement_b', 'relation',
+  'expression', 'term', 'factor', 'nonMinusFactor', 'baseFactor',
+  'big_operator', 'integral', 'limit', 'piecewise', 'leibniz_notation'
+];
+
+// tokens that can begin a baseFactor, reported as expected in errors
+const base_factor_tokens = [
+  'NUMBER', 'VULGARFRACTION', 'ROOT', 'INFINITY', 'BIGOPERATOR', 'INTEGRAL',
+  'LIMIT', 'PIECEWISE', 'VAR', 'VARMULTICHAR', '(', '[', '{', '|'
+];
+
 
 class textToAst {
   constructor({
@@ -349,6 +530,12 @@ class textToAst {
     appliedFunctionSymbols = appliedFunctionSymbolsDefault,
     functionSymbols = functionSymbolsDefault,
     parseLeibnizNotation = parseLeibnizNotationDefault,
+    parseUnits = parseUnitsDefault,
+    unitSymbols = unitSymbolsDefault,
+    imaginaryUnit = imaginaryUnitDefault,
+    locale = localeDefault,
+    trackLocations = trackLocationsDefault,
+    tolerant = tolerantDefault,
   } = {}) {
     this.allowSimplifiedFunctionApplication = allowSimplifiedFunctionApplication;
     this.splitSymbols = splitSymbols;
@@ -356,43 +543,130 @@ class textToAst {
     this.appliedFunctionSymbols = appliedFunctionSymbols;
     this.functionSymbols = functionSymbols;
     this.parseLeibnizNotation = parseLeibnizNotation;
-
-    this.lexer = new lexer(text_rules);
+    this.parseUnits = parseUnits;
+    this.unitSymbols = unitSymbols;
+    this.imaginaryUnit = imaginaryUnit;
+    if (imaginaryUnit && !appliedFunctionSymbols.includes('cis'))
+      this.appliedFunctionSymbols = appliedFunctionSymbols.concat(['cis']);
+    this.tolerant = tolerant;
+
+    let rules = text_rules;
+    if (decimalSeparator(locale) === ',')
+      rules = decimal_comma_rules.concat(rules.filter(rule => rule[1] != 'NUMBER'));
+    this.lexer = new lexer(rules);
+
+    this.locations = null;
+    if (trackLocations)
+      this.locations = new sourceLocations(this, located_methods);
 
   }
 
   advance(params) {
+    this.consumed_end = this.token ? this.token.end : 0;
     this.token = this.lexer.advance(params);
+    if (this.split_locations.length > 0 && this.token.token_type != 'EOF') {
+      Object.assign(this.token, this.split_locations.shift());
+    } else {
+      this.token.end = this.lexer.location;
+      this.token.start = this.token.end - this.token.original_text.length;
+    }
     if (this.token.token_type == 'INVALID') {
-      throw new ParseError("Invalid symbol '" + this.token.original_text + "'",
-        this.lexer.location);
+      // the lexer does not consume an invalid character
+      this.token.start = this.lexer.location;
+      this.token.end = this.token.start + 1;
+      this.recover(new ParseError("Invalid symbol '" + this.token.original_text + "'",
+        this.lexer.location, this.error_details('invalid_symbol')));
+
+      // skip the character, leaving the INVALID token
+      // to be parsed as an error placeholder
+      let state = this.lexer.return_state();
+      this.lexer.set_state({ input: state.input.slice(1), location: state.location + 1 });
     }
   }
 
+  recover(error) {
+    // if parsing tolerantly, record error as a diagnostic,
+    // after which the caller continues with a placeholder,
+    // otherwise throw error
+    if (!this.diagnostics)
+      throw error;
+
+    // the same error may be found again as parsing unwinds
+    let last = this.diagnostics[this.diagnostics.length - 1];
+    if (last && last.location == error.location && last.message == error.message)
+      return;
+
+    this.diagnostics.push(error);
+  }
+
+  error_details(code, expected = []) {
+    // details of an error at the current token, see ParseError
+    let position = line_and_column(this.input, this.token.start);
+    return { code: code,
+	     token_type: this.token.token_type,
+	     token_text: this.token.original_text,
+	     expected: expected,
+	     line: position.line,
+	     column: position.column };
+  }
+
   return_state() {
     return ({ lexer_state: this.lexer.return_state(),
-	      token: Object.assign({}, this.token) });
+	      token: Object.assign({}, this.token),
+	      consumed_end: this.consumed_end,
+	      split_locations: this.split_locations.slice(),
+	      diagnostics: this.diagnostics && this.diagnostics.slice() });
   }
 
   set_state(state) {
     this.lexer.set_state(state.lexer_state);
     this.token = Object.assign({}, state.token);
+    this.consumed_end = state.consumed_end;
+    this.split_locations = state.split_locations.slice();
+    this.diagnostics = state.diagnostics && state.diagnostics.slice();
+  }
+
+  bind_imaginary_unit(state, read) {
+    // the operator beginning at state binds the letter of the imaginary unit,
+    // so read it again with that letter as a variable throughout
+    this.set_state(state);
+    let bound = this.imaginary_unit_bound;
+    this.imaginary_unit_bound = true;
+    let result = read();
+    this.imaginary_unit_bound = bound;
+    return result;
   }
 
 
   convert(input) {
 
     this.lexer.set_input(input);
+    this.input = input;
+    this.token = null;
+    this.split_locations = [];
+    this.diagnostics = this.tolerant ? [] : null;
+    this.imaginary_unit_bound = false;
+    if (this.locations)
+      this.locations.reset();
     this.advance();
 
     var result = this.statement_list();
 
     if (this.token.token_type != 'EOF') {
-      throw new ParseError("Invalid location of '" + this.token.original_text + "'",
-        this.lexer.location);
+      // if parsing tolerantly, the rest of the input is ignored
+      this.recover(new ParseError("Invalid location of '" + this.token.original_text + "'",
+        this.lexer.location, this.error_details('invalid_location', ['EOF'])));
     }
 
-    return flatten(result);
+    if (!this.locations && !this.diagnostics)
+      return flatten(result);
+
+    var output = { tree: flatten(result) };
+    if (this.locations)
+      output.locations = this.locations.table(result);
+    if (this.diagnostics)
+      output.diagnostics = this.diagnostics;
+    return output;
 
   }
 
@@ -417,21 +691,28 @@ class textToAst {
   statement({inside_absolute_value = 0} = {}) {
 
     var original_state;
+    var n_diagnostics = this.diagnostics ? this.diagnostics.length : 0;
+    var first_attempt = null;
     
     try {
       
       original_state = this.return_state();
 
-      let lhs=this.statement_a({inside_absolute_value: inside_absolute_value});
-
-      if(this.token.token_type !== ':')
-	return lhs;
+      let result=this.statement_a({inside_absolute_value: inside_absolute_value});
 
-      this.advance();
+      if(this.token.token_type === ':') {
+	this.advance();
+	result = [':', result, this.statement_a()];
+      }
 
-      let rhs=this.statement_a();
+      // if parsing tolerantly, errors were recorded rather than thrown,
+      // so try the alternative below, but keep this attempt in case it fails
+      if(this.diagnostics && this.diagnostics.length > n_diagnostics) {
+	first_attempt = { result: result, state: this.return_state() };
+	throw this.diagnostics[n_diagnostics];
+      }
 
-      return [':', lhs, rhs];
+      return result;
       
     }
     catch (e) {
@@ -454,10 +735,18 @@ class textToAst {
 	
 	let rhs = this.statement_a({ parse_absolute_value: false });
 
+	if(this.diagnostics && this.diagnostics.length > n_diagnostics) {
+	  throw(e);
+	}
+
 	return ['|', lhs, rhs];
 	
       }
       catch(e2) {
+	if(first_attempt) {
+	  this.set_state(first_attempt.state);
+	  return first_attempt.result;
+	}
 	throw(e);  // throw original error
       }
     }
@@ -607,22 +896,33 @@ class textToAst {
     var lhs = this.term(params);
     
     while ((this.token.token_type == '+') || (this.token.token_type == '-')
+	   || (this.token.token_type == 'PM') || (this.token.token_type == 'MP')
 	   || (this.token.token_type == 'UNION') ||
       (this.token.token_type == 'INTERSECT')) {
 
+      // in the target of a limit, a trailing + or - is the direction
+      if (params && params.stop_at_direction) {
+        let original_state = this.return_state();
+        let direction = this.direction();
+        this.set_state(original_state);
+        if (direction !== false)
+          break;
+      }
+
       var operation = this.token.token_type.toLowerCase();
-      var negative = false;
+      var sign = null;
 
-      if (this.token.token_type == '-') {
+      // x - y is x + (-y), and likewise x ± y is x + (±y)
+      if (this.token.token_type == '-' || this.token.token_type == 'PM'
+	  || this.token.token_type == 'MP') {
         operation = '+';
-        negative = true;
-        this.advance();
-      } else {
-        this.advance();
+        sign = this.token.token_type == '-' ? '-' : operation_signs[this.token.token_type];
       }
+      this.advance();
+
       var rhs = this.term(params);
-      if (negative) {
-        rhs = ['-', rhs];
+      if (sign) {
+        rhs = [sign, rhs];
       }
 
       lhs = [operation, lhs, rhs];
@@ -635,6 +935,10 @@ class textToAst {
   term(params) {
     var lhs = this.factor(params);
 
+    if (this.parseUnits && isQuantity(lhs)
+	&& (this.starts_unit() || this.parenthesized_units()))
+      lhs = ['unit', lhs, this.units()];
+
     var keepGoing = false;
 
     do {
@@ -664,22 +968,129 @@ class textToAst {
   }
 
 
+  starts_unit({ allow_parentheses = false } = {}) {
+    // whether the next token begins a unit or, if allow_parentheses,
+    // parenthesized units
+
+    if (this.token.token_type == 'VAR')
+      return isUnit(this.token.token_text, this.unitSymbols);
+
+    if (this.token.token_type == '(' && allow_parentheses) {
+      let original_state = this.return_state();
+      this.advance();
+      let result = this.starts_unit();
+      this.set_state(original_state);
+      return result;
+    }
+
+    return false;
+  }
+
+  parenthesized_units() {
+    // whether the next tokens are units in parentheses, as in 2 (m/s),
+    // rather than a factor such as (m+1) that starts with a unit
+
+    if (!this.starts_unit({ allow_parentheses: true }))
+      return false;
+
+    let original_state = this.return_state();
+    let n_diagnostics = this.diagnostics ? this.diagnostics.length : 0;
+    let result;
+    try {
+      this.advance();
+      this.units();
+      result = this.token.token_type == ')'
+	&& !(this.diagnostics && this.diagnostics.length > n_diagnostics);
+    } catch (e) {
+      if (!(e instanceof ParseError))
+	throw e;
+      result = false;
+    }
+    this.set_state(original_state);
+    return result;
+  }
+
+  units() {
+    var lhs = this.unit_factor();
+
+    while (true) {
+      let operation;
+      if (this.token.token_type == '*' || this.token.token_type == '/') {
+        // the operator is part of the units only if units follow it
+        let original_state = this.return_state();
+        operation = this.token.token_type;
+        this.advance();
+        if (!this.starts_unit({ allow_parentheses: true })) {
+          this.set_state(original_state);
+          return lhs;
+        }
+      } else if (this.starts_unit()) {
+        operation = '*';
+      } else {
+        return lhs;
+      }
+
+      lhs = [operation, lhs, this.unit_factor()];
+    }
+  }
+
+  unit_factor() {
+    var result;
+
+    if (this.token.token_type == '(') {
+      this.advance();
+      result = this.units();
+      if (this.token.token_type == ')') {
+        this.advance();
+      } else {
+        this.recover(new ParseError('Expected )', this.lexer.location,
+          this.error_details('expected_token', [')'])));
+      }
+    } else {
+      result = this.token.token_text;
+      this.advance();
+    }
+
+    if (this.token.token_type == '^') {
+      this.advance();
+      let exponent = this.factor();
+      // math.js can raise units only to numerical powers
+      if (!isQuantity(exponent)) {
+        this.recover(new ParseError("Exponent of units must be a number",
+          this.lexer.location, this.error_details('invalid_exponent')));
+        exponent = ['error'];
+      }
+      result = ['^', result, exponent];
+    }
+
+    return result;
+  }
+
+
   factor(params) {
 
     if (this.token.token_type == '-') {
       this.advance();
       return ['-', this.factor(params)];
     }
+    if (this.token.token_type == 'PM' || this.token.token_type == 'MP') {
+      let sign = operation_signs[this.token.token_type];
+      this.advance();
+      return [sign, this.factor(params)];
+    }
 
     var result = this.nonMinusFactor(params);
 
     if (result === false) {
+      let expected = ['-'].concat(base_factor_tokens);
       if (this.token.token_type == "EOF") {
-        throw new ParseError("Unexpected end of input", this.lexer.location);
+        this.recover(new ParseError("Unexpected end of input", this.lexer.location,
+          this.error_details('unexpected_end', expected)));
       } else {
-        throw new ParseError("Invalid location of '" + this.token.original_text + "'",
-          this.lexer.location);
+        this.recover(new ParseError("Invalid location of '" + this.token.original_text + "'",
+          this.lexer.location, this.error_details('invalid_location', expected)));
       }
+      return ['error'];
     } else {
       return result;
     }
@@ -692,9 +1103,11 @@ class textToAst {
 
     // allow arbitrary sequence of factorials
     if (this.token.token_type == '!' || this.token.token_type == "'") {
-      if (result === false)
-        throw new ParseError("Invalid location of " + this.token.token_type,
-          this.lexer.location);
+      if (result === false) {
+        this.recover(new ParseError("Invalid location of " + this.token.token_type,
+          this.lexer.location, this.error_details('invalid_location', base_factor_tokens)));
+        result = ['error'];
+      }
       while (this.token.token_type == '!' || this.token.token_type == "'") {
         if (this.token.token_type == '!')
           result = ['apply', 'factorial', result]
@@ -704,10 +1117,31 @@ class textToAst {
       }
     }
 
+    if (this.token.token_type == 'SUPERSCRIPT') {
+      if (result === false) {
+        this.recover(new ParseError("Invalid location of superscript", this.lexer.location,
+          this.error_details('invalid_location', base_factor_tokens)));
+        result = ['error'];
+      }
+      return ['^', result, this.script()];
+    }
+
     if (this.token.token_type == '^') {
+      // in the target of a limit, a trailing ^+ or ^- is the direction
+      if (params && params.stop_at_direction) {
+        let original_state = this.return_state();
+        let direction = this.direction();
+        this.set_state(original_state);
+        if (direction !== false)
+          return result;
+      }
+
       if (result === false) {
-        throw new ParseError("Invalid location of ^", this.lexer.location);
+        this.recover(new ParseError("Invalid location of ^", this.lexer.location,
+          this.error_details('invalid_location', base_factor_tokens)));
+        result = ['error'];
       }
+
       this.advance();
 
       // do not allow absolute value closing here
@@ -730,11 +1164,37 @@ class textToAst {
     var result = false;
 
     if (this.token.token_type == 'NUMBER') {
-      result = parseFloat(this.token.token_text);
+      result = parseFloat(this.token.token_text.replace(',', '.'));
+      this.advance();
+
+      // a number followed by a vulgar fraction, such as 2½, is a mixed number
+      if (this.token.token_type == 'VULGARFRACTION')
+        result = ['+', result, this.vulgar_fraction()];
+    } else if (this.token.token_type == 'VULGARFRACTION') {
+      result = this.vulgar_fraction();
+    } else if (this.token.token_type == 'ROOT') {
+      let index = parseInt(this.token.token_text);
       this.advance();
+      result = this.factor({ parse_absolute_value: parse_absolute_value });
+      if (index == 2)
+        result = ['apply', 'sqrt', result];
+      else
+        result = ['apply', 'nthroot', ['tuple', result, index]];
     } else if (this.token.token_type == 'INFINITY') {
       result = 'infinity';
       this.advance();
+    } else if (this.token.token_type == 'INVALID') {
+      // only reached if parsing tolerantly
+      result = ['error'];
+      this.advance();
+    } else if (this.token.token_type == 'BIGOPERATOR') {
+      result = this.big_operator();
+    } else if (this.token.token_type == 'INTEGRAL') {
+      result = this.integral();
+    } else if (this.token.token_type == 'LIMIT') {
+      result = this.limit();
+    } else if (this.token.token_type == 'PIECEWISE') {
+      result = this.piecewise();
     } else if (this.token.token_type == 'VAR' || this.token.token_type == 'VARMULTICHAR') {
       result = this.token.token_text;
 
@@ -753,14 +1213,18 @@ class textToAst {
           // since baseFactor could return false, must check
           if (subresult === false) {
             if (this.token.token_type == "EOF") {
-              throw new ParseError("Unexpected end of input",
-                this.lexer.location);
+              this.recover(new ParseError("Unexpected end of input", this.lexer.location,
+                this.error_details('unexpected_end', base_factor_tokens)));
             } else {
-              throw new ParseError("Invalid location of '" + this.token.original_text +
-                "'", this.lexer.location);
+              this.recover(new ParseError("Invalid location of '" +
+                this.token.original_text + "'", this.lexer.location,
+                this.error_details('invalid_location', base_factor_tokens)));
             }
+            subresult = ['error'];
           }
           result = ['_', result, subresult];
+        } else if (this.token.token_type == 'SUBSCRIPT') {
+          result = ['_', result, this.script()];
         }
 
         var n_primes = 0;
@@ -773,16 +1237,20 @@ class textToAst {
         if (this.token.token_type == '^') {
           this.advance();
           result = ['^', result, this.factor({ parse_absolute_value: parse_absolute_value })];
+        } else if (this.token.token_type == 'SUPERSCRIPT') {
+          result = ['^', result, this.script()];
         }
 
         if (this.token.token_type == '(') {
           this.advance();
           var parameters = this.statement_list();
 
-          if (this.token.token_type != ')') {
-            throw new ParseError('Expected )', this.lexer.location);
+          if (this.token.token_type == ')') {
+            this.advance();
+          } else {
+            this.recover(new ParseError('Expected )', this.lexer.location,
+              this.error_details('expected_token', [')', ','])));
           }
-          this.advance();
 
           if (parameters[0] == 'list') {
             // rename from list to tuple
@@ -794,13 +1262,52 @@ class textToAst {
           // if was an applied function symbol,
           // cannot omit argument
           if (must_apply) {
-            if (!this.allowSimplifiedFunctionApplication)
-              throw new ParseError("Expected ( after function",
-                this.lexer.location);
+            if (!this.allowSimplifiedFunctionApplication) {
+              this.recover(new ParseError("Expected ( after function",
+                this.lexer.location, this.error_details('expected_token', ['('])));
+              result = ['apply', result, ['error']];
+            } else {
+              // if allow simplied function application
+              // let the argument be the next factor
+              result = ['apply', result, this.factor({ parse_absolute_value: parse_absolute_value })];
+            }
+          }
+        }
+
+        // log_b(x) is the logarithm of x to the base b, log(x, b),
+        // and log_b^n(x) is its nth power
+        if (result[0] === 'apply') {
+          let [, f, arg] = result;
+          let power = null;
+          if (Array.isArray(f) && f[0] === '^') {
+            power = f[2];
+            f = f[1];
+          }
+          if (Array.isArray(f) && f[0] === '_' && f[1] === 'log') {
+            if (Array.isArray(arg) && arg[0] === 'tuple') {
+              this.recover(new ParseError("Expected a single argument of log with a base",
+                this.lexer.location, this.error_details('invalid_arguments')));
+              arg = ['error'];
+            }
+            result = ['apply', 'log', ['tuple', arg, f[2]]];
+            if (power !== null)
+              result = ['^', result, power];
+          }
 
-            // if allow simplied function application
-            // let the argument be the next factor
-            result = ['apply', result, this.factor({ parse_absolute_value: parse_absolute_value })];
+          // nthroot(x, n) takes the radicand and the index,
+          // and nthroot(x) is the square root, as in math.js
+          if (f === 'nthroot') {
+            if (!(Array.isArray(arg) && arg[0] === 'tuple'))
+              result = ['apply', 'sqrt', arg];
+            else if (arg.length === 3)
+              result = ['apply', 'nthroot', arg];
+            else {
+              this.recover(new ParseError("Expected nthroot(radicand, index)",
+                this.lexer.location, this.error_details('invalid_arguments')));
+              result = ['apply', 'nthroot', ['error']];
+            }
+            if (power !== null)
+              result = ['^', result, power];
           }
         }
       } else {
@@ -847,6 +1354,14 @@ class textToAst {
             this.lexer.unput(" ");
             this.lexer.unput(result[i]);
           }
+
+          // the added spaces shift the location in the lexer,
+          // so record where each character was in the input
+          let start = this.token.start;
+          this.split_locations = result.split('').map(function (c, i) {
+            return { start: start + i, end: start + i + 1 };
+          });
+
           this.advance();
 
           return this.baseFactor({ inside_absolute_value: inside_absolute_value,
@@ -855,6 +1370,11 @@ class textToAst {
 				 });
         } else {
           this.advance();
+          // a subscripted i, as in i_1, is an index variable,
+          // and so is an i bound by a sum, limit or integral
+          if (result === this.imaginaryUnit && this.token.token_type !== '_'
+              && this.token.token_type !== 'SUBSCRIPT' && !this.imaginary_unit_bound)
+            result = 'imaginary_unit';
         }
       }
     } else if (this.token.token_type == '(' || this.token.token_type == '[' ||
@@ -880,14 +1400,21 @@ class textToAst {
         n_elements = result.length - 1;
       }
 
-      if (this.token.token_type != expected_right) {
+      // if parsing tolerantly, a missing right delimiter is taken to be expected_right
+      var closed_by = this.token.token_type;
+      if (closed_by != expected_right &&
+	  (n_elements != 2 || other_right === null || closed_by != other_right)) {
         if (n_elements != 2 || other_right === null) {
-          throw new ParseError('Expected ' + expected_right,
-            this.lexer.location);
-        } else if (this.token.token_type != other_right) {
-          throw new ParseError('Expected ) or ]', this.lexer.location);
+          this.recover(new ParseError('Expected ' + expected_right, this.lexer.location,
+            this.error_details('expected_token', [expected_right, ','])));
+        } else {
+          this.recover(new ParseError('Expected ) or ]', this.lexer.location,
+            this.error_details('expected_token', [')', ']'])));
         }
+        closed_by = null;
+      }
 
+      if (closed_by !== null && closed_by != expected_right) {
         // half-open interval
         result[0] = 'tuple';
         result = ['interval', result];
@@ -915,7 +1442,8 @@ class textToAst {
 	}
       }
 
-      this.advance();
+      if (closed_by !== null)
+        this.advance();
       
     } else if (this.token.token_type == '|' && parse_absolute_value &&
 	       (inside_absolute_value==0 || !allow_absolute_value_closing)) {
@@ -933,27 +1461,41 @@ class textToAst {
       var result = this.statement({ inside_absolute_value: inside_absolute_value });
       result = ['apply', 'abs', result];
 
-      if (this.token.token_type != '|') {
-        throw new ParseError('Expected |', this.lexer.location);
+      if (this.token.token_type == '|') {
+        this.advance();
+      } else {
+        this.recover(new ParseError('Expected |', this.lexer.location,
+          this.error_details('expected_token', ['|'])));
       }
+    }
 
-      this.advance();
+    if (this.token.token_type == 'SUBSCRIPT') {
+      if (result === false) {
+        this.recover(new ParseError("Invalid location of subscript", this.lexer.location,
+          this.error_details('invalid_location', base_factor_tokens)));
+        result = ['error'];
+      }
+      result = ['_', result, this.script()];
     }
 
     if (this.token.token_type == '_') {
       if (result === false) {
-        throw new ParseError("Invalid location of _", this.lexer.location);
+        this.recover(new ParseError("Invalid location of _", this.lexer.location,
+          this.error_details('invalid_location', base_factor_tokens)));
+        result = ['error'];
       }
       this.advance();
       var subresult = this.baseFactor({ parse_absolute_value: parse_absolute_value });
 
       if (subresult === false) {
         if (this.token.token_type == "EOF") {
-          throw new ParseError("Unexpected end of input", this.lexer.location);
+          this.recover(new ParseError("Unexpected end of input", this.lexer.location,
+            this.error_details('unexpected_end', base_factor_tokens)));
         } else {
-          throw new ParseError("Invalid location of '" + this.token.original_text + "'",
-            this.lexer.location);
+          this.recover(new ParseError("Invalid location of '" + this.token.original_text + "'",
+            this.lexer.location, this.error_details('invalid_location', base_factor_tokens)));
         }
+        subresult = ['error'];
       }
       return ['_', result, subresult];
     }
@@ -962,6 +1504,291 @@ class textToAst {
   }
 
 
+  script() {
+    // token is SUPERSCRIPT or SUBSCRIPT, whose characters are a number,
+    // possibly with a sign, or n
+    let text = this.token.token_text.split('').map(c => script_characters[c]).join('');
+    this.advance();
+
+    let sign = text[0];
+    if (sign == '+' || sign == '-')
+      text = text.slice(1);
+    let result = text == 'n' ? 'n' : parseInt(text);
+    if (sign == '-')
+      result = ['-', result];
+    return result;
+  }
+
+  vulgar_fraction() {
+    // token is VULGARFRACTION, such as ½
+    let [numerator, denominator] = vulgar_fractions[this.token.token_text];
+    this.advance();
+    return ['/', numerator, denominator];
+  }
+
+  big_operator() {
+    // token is BIGOPERATOR, whose text is the name of the operator
+    // arguments are the expression, the index,
+    // and optionally the lower and upper bounds
+
+    let operator = this.token.token_text;
+    let original_state = this.return_state();
+
+    this.advance();
+
+    if (this.token.token_type != '(') {
+      this.recover(new ParseError("Expected ( after " + operator, this.lexer.location,
+        this.error_details('expected_token', ['('])));
+      return ['error'];
+    }
+    this.advance();
+
+    let args = this.bounded_arguments();
+
+    if (this.token.token_type == ')') {
+      this.advance();
+    } else {
+      this.recover(new ParseError('Expected )', this.lexer.location,
+        this.error_details('expected_token', [')', ','])));
+    }
+
+    if (!(args.length == 3 || args.length == 5) || typeof args[2] !== 'string') {
+      this.recover(new ParseError("Expected " + operator + "(expression, index, lower, upper)",
+        this.lexer.location, this.error_details('invalid_arguments')));
+      return ['error'];
+    }
+
+    if (args[2] === 'imaginary_unit')
+      return this.bind_imaginary_unit(original_state, () => this.big_operator());
+
+    return [operator].concat(args.slice(1));
+  }
+
+  bounded_arguments() {
+    // arguments of a sum, product or integral as a list, where the bounds
+    // at the end may be left empty, as in int(f, x, , ), which is the text
+    // Guppy writes for an integral without limits
+    // an empty argument before one that is given is an invalid argument
+
+    let list = ['list', this.statement()];
+
+    while (this.token.token_type == ',') {
+      this.advance();
+      if (this.token.token_type == ',' || this.token.token_type == ')')
+        list.push(undefined);
+      else
+        list.push(this.statement());
+    }
+
+    while (list[list.length - 1] === undefined)
+      list.pop();
+
+    if (list.includes(undefined))
+      list = ['list'];
+
+    return list;
+  }
+
+  integral() {
+    // token is INTEGRAL, whose text is the name of the operator
+    // arguments are the integrand, the variable or a tuple of variables,
+    // and optionally a region or the lower and upper limits
+
+    let operator = this.token.token_text;
+    let name = integral_names[operator];
+    let original_state = this.return_state();
+
+    this.advance();
+
+    if (this.token.token_type != '(') {
+      this.recover(new ParseError("Expected ( after " + name, this.lexer.location,
+        this.error_details('expected_token', ['('])));
+      return ['error'];
+    }
+    this.advance();
+
+    let args = this.bounded_arguments();
+
+    if (this.token.token_type == ')') {
+      this.advance();
+    } else {
+      this.recover(new ParseError('Expected )', this.lexer.location,
+        this.error_details('expected_token', [')', ','])));
+    }
+
+    let variables = args[2];
+    if (Array.isArray(variables) && variables[0] === 'tuple')
+      variables = variables.slice(1);
+    else
+      variables = [variables];
+
+    if (args.length < 3 || args.length > 5
+	|| !variables.every(v => typeof v === 'string')
+	|| variables.length > integral_multiplicities[operator]) {
+      this.recover(new ParseError("Expected " + name + "(expression, variables, lower, upper)",
+        this.lexer.location, this.error_details('invalid_arguments')));
+      return ['error'];
+    }
+
+    if (variables.includes('imaginary_unit'))
+      return this.bind_imaginary_unit(original_state, () => this.integral());
+
+    return [operator].concat(args.slice(1));
+  }
+
+  piecewise() {
+    // token is PIECEWISE
+    // arguments are (value, condition) pairs,
+    // where a condition of otherwise is represented by true
+
+    this.advance();
+
+    if (this.token.token_type != '(') {
+      this.recover(new ParseError("Expected ( after piecewise", this.lexer.location,
+        this.error_details('expected_token', ['('])));
+      return ['error'];
+    }
+    this.advance();
+
+    let result = ['piecewise'];
+
+    while (true) {
+      if (this.token.token_type != '(') {
+        this.recover(new ParseError("Expected piecewise((value, condition), ...)",
+          this.lexer.location, this.error_details('expected_token', ['('])));
+        result.push(['tuple', ['error'], ['error']]);
+        break;
+      }
+      this.advance();
+
+      let value = this.statement();
+
+      let condition;
+      if (this.token.token_type != ',') {
+        this.recover(new ParseError("Expected piecewise((value, condition), ...)",
+          this.lexer.location, this.error_details('expected_token', [','])));
+        condition = ['error'];
+      } else {
+        this.advance();
+
+        if (this.token.token_type == 'OTHERWISE') {
+          condition = true;
+          this.advance();
+        } else {
+          condition = this.statement();
+        }
+      }
+
+      if (this.token.token_type == ')') {
+        this.advance();
+      } else {
+        this.recover(new ParseError('Expected )', this.lexer.location,
+          this.error_details('expected_token', [')'])));
+      }
+
+      result.push(['tuple', value, condition]);
+
+      if (this.token.token_type != ',')
+        break;
+      this.advance();
+    }
+
+    if (this.token.token_type == ')') {
+      this.advance();
+    } else {
+      this.recover(new ParseError('Expected )', this.lexer.location,
+        this.error_details('expected_token', [')', ','])));
+    }
+
+    return result;
+  }
+
+  limit() {
+    // token is LIMIT
+    // arguments are the approach, such as x->0+, and the expression
+
+    let original_state = this.return_state();
+
+    this.advance();
+
+    if (this.token.token_type != '(') {
+      this.recover(new ParseError("Expected ( after lim", this.lexer.location,
+        this.error_details('expected_token', ['('])));
+      return ['error'];
+    }
+    this.advance();
+
+    let variable = this.expression();
+
+    if (variable === 'imaginary_unit')
+      return this.bind_imaginary_unit(original_state, () => this.limit());
+
+    if (typeof variable !== 'string') {
+      this.recover(new ParseError("Expected lim(variable->target, expression)",
+        this.lexer.location, this.error_details('invalid_arguments')));
+      variable = ['error'];
+    }
+
+    let target = ['error'];
+    let direction = false;
+    if (this.token.token_type != 'TO') {
+      this.recover(new ParseError("Expected lim(variable->target, expression)",
+        this.lexer.location, this.error_details('expected_token', ['TO'])));
+    } else {
+      this.advance();
+
+      target = this.expression({ stop_at_direction: true });
+
+      direction = this.direction();
+    }
+
+    let expr = ['error'];
+    if (this.token.token_type != ',') {
+      this.recover(new ParseError("Expected lim(variable->target, expression)",
+        this.lexer.location, this.error_details('expected_token', [','])));
+    } else {
+      this.advance();
+
+      expr = this.statement();
+    }
+
+    if (this.token.token_type == ')') {
+      this.advance();
+    } else {
+      this.recover(new ParseError('Expected )', this.lexer.location,
+        this.error_details('expected_token', [')'])));
+    }
+
+    let result = ['limit', expr, variable, target];
+
+    if (direction !== false)
+      result.push(direction);
+
+    return result;
+  }
+
+  direction() {
+    // attempt to find the direction of a one-sided limit,
+    // i.e., a + or -, optionally preceded by ^, that ends the approach
+    // if successful, return the direction and advance past it
+    // if unsuccessful, return false and leave the state unchanged
+
+    let original_state = this.return_state();
+
+    if (this.token.token_type == '^')
+      this.advance();
+
+    if (this.token.token_type == '+' || this.token.token_type == '-') {
+      let direction = this.token.token_type;
+      this.advance();
+      if (this.token.token_type == ',')
+        return direction;
+    }
+
+    this.set_state(original_state);
+    return false;
+  }
+
   leibniz_notation() {
     // attempt to find and return a derivative in Leibniz notation
     // if unsuccessful, return false
@@ -1013,7 +1840,7 @@ class textToAst {
 	  return false;
 	}
 	
-	n_deriv = parseFloat(this.token.token_text);
+	n_deriv = parseFloat(this.token.token_text.replace(',', '.'));
 	if(!Number.isInteger(n_deriv)) {
 	  return false;
 	}
@@ -1104,7 +1931,7 @@ class textToAst {
 	  return false;
 	}
 	  
-	this_exponent = parseFloat(this.token.token_text);
+	this_exponent = parseFloat(this.token.token_text.replace(',', '.'));
 	if(!Number.isInteger(this_exponent)) {
 	  return false;
 	}
@@ -0,0 +1,74 @@
+/*
+ * units of measurement
+ *
+ * When parsing units, textToAst and latexToAst write a quantity
+ * followed by units, such as 9.8 m/s^2, as the tree
+ * ['unit', 9.8, ['/', 'm', ['^', 's', 2]]], whose units are a product,
+ * quotient or power of unit symbols.  The symbols are those of math.js,
+ * so that astToMathjs can pass them on to math.unit.
+ *
+ */
+
+
+// SI prefixes, as written by math.js
+const prefixes = ['da', 'Y', 'Z', 'E', 'P', 'T', 'G', 'M', 'k', 'h',
+		  'd', 'c', 'm', 'u', 'n', 'p', 'f', 'a'];
+
+// unit symbols, and whether they may be written with an SI prefix
+const unitSymbolsDefault = {
+  // SI base and derived units
+  'm': true, 'g': true, 's': true, 'A': true, 'K': true, 'mol': true,
+  'cd': true, 'N': true, 'J': true, 'W': true, 'Pa': true, 'Hz': true,
+  'C': true, 'V': true, 'ohm': true, 'F': true, 'T': true, 'H': true,
+  'Wb': true, 'S': true, 'rad': true,
+
+  // other units accepted for use with SI
+  'L': true, 'eV': true, 'Wh': true, 'bar': true,
+  'min': false, 'h': false, 'day': false, 'deg': false,
+  'degC': false, 'degF': false,
+
+  // customary units
+  'in': false, 'ft': false, 'mi': false, 'lb': false, 'lbf': false,
+  'psi': false, 'atm': false, 'mmHg': false,
+};
+
+
+function isUnit(name, unitSymbols = unitSymbolsDefault) {
+  // whether name is a unit symbol, possibly with an SI prefix
+
+  if (typeof name !== 'string')
+    return false;
+
+  if (Object.prototype.hasOwnProperty.call(unitSymbols, name))
+    return true;
+
+  return prefixes.some(function (prefix) {
+    let symbol = name.slice(prefix.length);
+    return name.startsWith(prefix) &&
+      Object.prototype.hasOwnProperty.call(unitSymbols, symbol) &&
+      unitSymbols[symbol] === true;
+  });
+}
+
+
+function isQuantity(tree) {
+  // whether tree is a number, possibly negated, that may be
+  // followed by units
+  if (Array.isArray(tree) && tree[0] === '-' && tree.length === 2)
+    tree = tree[1];
+  return typeof tree === 'number';
+}
+
+
+function reciprocal(units) {
+  // units raised to the power -1, such as m^-2 for 1/m^2,
+  // which are written when the units have no numerator
+  if (Array.isArray(units) && units[0] === '*')
+    return ['*'].concat(units.slice(1).map(reciprocal));
+  if (Array.isArray(units) && units[0] === '^' && typeof units[2] === 'number')
+    return ['^', units[1], -units[2]];
+  return ['^', units, -1];
+}
+
+
+export { prefixes, unitSymbolsDefault, isUnit, isQuantity, reciprocal };